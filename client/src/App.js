@@ -8,6 +8,7 @@ import { CircularProgress, Box } from '@mui/material';
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
 import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
 
 // Layout Components
 import MainLayout from './components/layouts/MainLayout';
@@ -100,6 +101,7 @@ const App = () => {
                 <Route path="/login" element={isAuthenticated ? <Navigate to="/" /> : <Login />} />
                 <Route path="/register" element={isAuthenticated ? <Navigate to="/" /> : <Register />} />
                 <Route path="/forgot-password" element={isAuthenticated ? <Navigate to="/" /> : <ForgotPassword />} />
+                <Route path="/reset-password/:token" element={isAuthenticated ? <Navigate to="/" /> : <ResetPassword />} />
               </Route>
 
               {/* Protected Routes */}
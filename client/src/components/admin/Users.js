@@ -131,7 +131,18 @@ const AdminUsers = () => {
 
   const handleUpdateUser = async () => {
     try {
-      await axios.put(`/api/admin/users/${selectedUser._id}`, formData);
+      const { roles, ...userData } = formData;
+      await axios.put(`/api/admin/users/${selectedUser._id}`, userData);
+      
+      // Roles are changed one at a time through the add-role and remove-role endpoints
+      const addedRoles = roles.filter(role => !selectedUser.roles.includes(role));
+      const removedRoles = selectedUser.roles.filter(role => !roles.includes(role));
+      for (const role of addedRoles) {
+        await axios.put(`/api/users/add-role/${selectedUser._id}`, { role });
+      }
+      for (const role of removedRoles) {
+        await axios.put(`/api/users/remove-role/${selectedUser._id}`, { role });
+      }
       
       // Update user in the list
       setUsers(users.map(user => 
@@ -148,7 +159,7 @@ const AdminUsers = () => {
     } catch (err) {
       setSnackbar({
         open: true,
-        message: 'Failed to update user',
+        message: err.response?.data?.msg || 'Failed to update user',
         severity: 'error'
       });
     }
@@ -7,9 +7,13 @@ import {
   Typography, 
   Link, 
   Alert, 
-  CircularProgress 
+  CircularProgress,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 import AuthContext from '../../context/AuthContext';
+import TwoFactorStep from './TwoFactorStep';
+import PhoneLogin from './PhoneLogin';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -17,7 +21,8 @@ const Login = () => {
     password: ''
   });
   const [formErrors, setFormErrors] = useState({});
-  const { login, loading, error } = useContext(AuthContext);
+  const [mode, setMode] = useState('email');
+  const { login, loading, error, twoFactorChallenge } = useContext(AuthContext);
 
   const handleChange = (e) => {
     setFormData({
@@ -61,8 +66,13 @@ const Login = () => {
     }
   };
 
+  // Second step for two-factor accounts
+  if (twoFactorChallenge) {
+    return <TwoFactorStep />;
+  }
+
   return (
-    <Box component="form" onSubmit={handleSubmit} sx={{ width: '100%' }}>
+    <Box sx={{ width: '100%' }}>
       <Typography component="h1" variant="h5" align="center" gutterBottom>
         Sign In
       </Typography>
@@ -73,45 +83,63 @@ const Login = () => {
         </Alert>
       )}
       
-      <TextField
-        margin="normal"
-        required
-        fullWidth
-        id="email"
-        label="Email Address"
-        name="email"
-        autoComplete="email"
-        autoFocus
-        value={formData.email}
-        onChange={handleChange}
-        error={!!formErrors.email}
-        helperText={formErrors.email}
-      />
-      
-      <TextField
-        margin="normal"
-        required
+      <ToggleButtonGroup
+        value={mode}
+        exclusive
         fullWidth
-        name="password"
-        label="Password"
-        type="password"
-        id="password"
-        autoComplete="current-password"
-        value={formData.password}
-        onChange={handleChange}
-        error={!!formErrors.password}
-        helperText={formErrors.password}
-      />
-      
-      <Button
-        type="submit"
-        fullWidth
-        variant="contained"
-        sx={{ mt: 3, mb: 2 }}
-        disabled={loading}
+        size="small"
+        onChange={(e, value) => value && setMode(value)}
+        sx={{ mb: 1 }}
       >
-        {loading ? <CircularProgress size={24} /> : 'Sign In'}
-      </Button>
+        <ToggleButton value="email">Email & Password</ToggleButton>
+        <ToggleButton value="phone">Phone Code</ToggleButton>
+      </ToggleButtonGroup>
+      
+      {mode === 'phone' ? (
+        <PhoneLogin />
+      ) : (
+        <Box component="form" onSubmit={handleSubmit}>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            id="email"
+            label="Email Address"
+            name="email"
+            autoComplete="email"
+            autoFocus
+            value={formData.email}
+            onChange={handleChange}
+            error={!!formErrors.email}
+            helperText={formErrors.email}
+          />
+          
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            name="password"
+            label="Password"
+            type="password"
+            id="password"
+            autoComplete="current-password"
+            value={formData.password}
+            onChange={handleChange}
+            error={!!formErrors.password}
+            helperText={formErrors.password}
+          />
+          
+          <Button
+            type="submit"
+            fullWidth
+            variant="contained"
+            sx={{ mt: 3, mb: 2 }}
+            disabled={loading}
+          >
+            {loading ? <CircularProgress size={24} /> : 'Sign In'}
+          </Button>
+        </Box>
+      )}
       
       <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
         <Link component={RouterLink} to="/forgot-password" variant="body2">
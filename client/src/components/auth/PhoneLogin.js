@@ -0,0 +1,112 @@
+import React, { useState, useContext } from 'react';
+import { 
+  TextField, 
+  Button, 
+  Box, 
+  Alert, 
+  CircularProgress 
+} from '@mui/material';
+import AuthContext from '../../context/AuthContext';
+
+const PhoneLogin = () => {
+  const [phone, setPhone] = useState('');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [formErrors, setFormErrors] = useState({});
+  const { requestOtp, loginWithOtp, loading } = useContext(AuthContext);
+
+  const handleRequestCode = async (e) => {
+    e.preventDefault();
+    
+    if (!phone) {
+      setFormErrors({ phone: 'Phone number is required' });
+      return;
+    }
+    
+    if (await requestOtp(phone)) {
+      setCodeSent(true);
+    }
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    
+    if (!/^\d{6}$/.test(code)) {
+      setFormErrors({ code: 'Enter the 6-digit code' });
+      return;
+    }
+    
+    await loginWithOtp(phone, code);
+  };
+
+  return (
+    <Box component="form" onSubmit={codeSent ? handleVerifyCode : handleRequestCode} sx={{ width: '100%' }}>
+      {codeSent && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          If this phone number has an account, we sent it a login code.
+        </Alert>
+      )}
+      
+      <TextField
+        margin="normal"
+        required
+        fullWidth
+        id="phone"
+        label="Phone Number"
+        name="phone"
+        autoComplete="tel"
+        autoFocus
+        value={phone}
+        onChange={(e) => {
+          setPhone(e.target.value);
+          setFormErrors({});
+        }}
+        disabled={codeSent}
+        error={!!formErrors.phone}
+        helperText={formErrors.phone}
+      />
+      
+      {codeSent && (
+        <TextField
+          margin="normal"
+          required
+          fullWidth
+          id="code"
+          label="Login Code"
+          name="code"
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value.trim());
+            setFormErrors({});
+          }}
+          error={!!formErrors.code}
+          helperText={formErrors.code}
+        />
+      )}
+      
+      <Button
+        type="submit"
+        fullWidth
+        variant="contained"
+        sx={{ mt: 3, mb: 2 }}
+        disabled={loading}
+      >
+        {loading ? <CircularProgress size={24} /> : codeSent ? 'Sign In' : 'Send Code'}
+      </Button>
+      
+      {codeSent && (
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
+          <Button size="small" onClick={() => { setCodeSent(false); setCode(''); }}>
+            Change number
+          </Button>
+          <Button size="small" onClick={handleRequestCode} disabled={loading}>
+            Resend code
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default PhoneLogin;
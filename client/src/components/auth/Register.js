@@ -229,6 +229,12 @@ const Register = () => {
           }
           label="Deliver orders as a delivery agent"
         />
+        
+        {(sellerRole || deliveryRole) && (
+          <FormHelperText>
+            Seller and delivery accounts are reviewed by our team before they are activated.
+          </FormHelperText>
+        )}
       </Box>
       
       <Button
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import { 
+  TextField, 
+  Button, 
+  Box, 
+  Typography, 
+  Link, 
+  Alert, 
+  CircularProgress 
+} from '@mui/material';
+import axios from 'axios';
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [success, setSuccess] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    
+    // Clear error when user types
+    if (formErrors[e.target.name]) {
+      setFormErrors({
+        ...formErrors,
+        [e.target.name]: ''
+      });
+    }
+  };
+
+  const validateForm = () => {
+    const errors = {};
+    const { password, confirmPassword } = formData;
+    
+    if (!password) {
+      errors.password = 'Password is required';
+    } else if (password.length < 6) {
+      errors.password = 'Password must be at least 6 characters';
+    }
+    
+    if (password !== confirmPassword) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+    
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (validateForm()) {
+      setLoading(true);
+      setError('');
+      
+      try {
+        await axios.post(`/api/auth/reset-password/${token}`, { password: formData.password });
+        setSuccess(true);
+      } catch (err) {
+        setError(err.response?.data?.msg || 'Something went wrong. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} sx={{ width: '100%' }}>
+      <Typography component="h1" variant="h5" align="center" gutterBottom>
+        Reset Password
+      </Typography>
+      
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      
+      {success ? (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          Your password has been reset. You can now sign in with your new password.
+        </Alert>
+      ) : (
+        <>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            name="password"
+            label="New Password"
+            type="password"
+            id="password"
+            autoComplete="new-password"
+            autoFocus
+            value={formData.password}
+            onChange={handleChange}
+            error={!!formErrors.password}
+            helperText={formErrors.password}
+          />
+          
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            name="confirmPassword"
+            label="Confirm New Password"
+            type="password"
+            id="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            error={!!formErrors.confirmPassword}
+            helperText={formErrors.confirmPassword}
+          />
+          
+          <Button
+            type="submit"
+            fullWidth
+            variant="contained"
+            sx={{ mt: 3, mb: 2 }}
+            disabled={loading}
+          >
+            {loading ? <CircularProgress size={24} /> : 'Reset Password'}
+          </Button>
+        </>
+      )}
+      
+      <Box sx={{ textAlign: 'center' }}>
+        <Link component={RouterLink} to="/login" variant="body2">
+          Back to Sign In
+        </Link>
+      </Box>
+    </Box>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { 
+  TextField, 
+  Button, 
+  Box, 
+  Typography, 
+  Link, 
+  Alert, 
+  CircularProgress 
+} from '@mui/material';
+import AuthContext from '../../context/AuthContext';
+
+const TwoFactorStep = () => {
+  const {
+    twoFactorChallenge,
+    verifyTwoFactor,
+    startTwoFactorSetup,
+    confirmTwoFactorSetup,
+    completeLogin,
+    cancelTwoFactor,
+    loading,
+    error
+  } = useContext(AuthContext);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [setupError, setSetupError] = useState('');
+  const [enrollment, setEnrollment] = useState(null);
+
+  const { setupRequired } = twoFactorChallenge;
+
+  useEffect(() => {
+    if (setupRequired) {
+      startTwoFactorSetup()
+        .then(setSetup)
+        .catch((err) => setSetupError(err.response?.data?.msg || 'Failed to start two-factor setup'));
+    }
+  }, [setupRequired, startTwoFactorSetup]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!code) return;
+    
+    if (setupRequired) {
+      const result = await confirmTwoFactorSetup(code);
+      if (result) {
+        setEnrollment(result);
+      }
+    } else if (useRecoveryCode) {
+      await verifyTwoFactor({ recoveryCode: code });
+    } else {
+      await verifyTwoFactor({ code });
+    }
+  };
+
+  // Show recovery codes once before signing in
+  if (enrollment) {
+    return (
+      <Box sx={{ width: '100%' }}>
+        <Typography component="h1" variant="h5" align="center" gutterBottom>
+          Save Your Recovery Codes
+        </Typography>
+        
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Each code can be used once if you lose access to your authenticator app. They will not be shown again.
+        </Alert>
+        
+        <Box sx={{ fontFamily: 'monospace', display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1, mb: 2 }}>
+          {enrollment.recoveryCodes.map((recoveryCode) => (
+            <Typography key={recoveryCode} sx={{ fontFamily: 'monospace' }}>{recoveryCode}</Typography>
+          ))}
+        </Box>
+        
+        <Button
+          fullWidth
+          variant="contained"
+          onClick={() => completeLogin(enrollment)}
+        >
+          Continue
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} sx={{ width: '100%' }}>
+      <Typography component="h1" variant="h5" align="center" gutterBottom>
+        Two-Factor Authentication
+      </Typography>
+      
+      {(error || setupError) && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error || setupError}
+        </Alert>
+      )}
+      
+      {setupRequired ? (
+        <>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            Two-factor authentication is required for your account. Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+          </Typography>
+          
+          {setup ? (
+            <Box sx={{ textAlign: 'center', mb: 2 }}>
+              <img src={setup.qrCode} alt="Two-factor QR code" width={200} height={200} />
+              <Typography variant="caption" display="block" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                {setup.secret}
+              </Typography>
+            </Box>
+          ) : (
+            !setupError && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2 }}>
+                <CircularProgress />
+              </Box>
+            )
+          )}
+        </>
+      ) : (
+        <Typography variant="body2" sx={{ mb: 2 }}>
+          {useRecoveryCode
+            ? 'Enter one of your recovery codes.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </Typography>
+      )}
+      
+      <TextField
+        margin="normal"
+        required
+        fullWidth
+        id="code"
+        label={useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+        name="code"
+        autoComplete="one-time-code"
+        autoFocus
+        value={code}
+        onChange={(e) => setCode(e.target.value.trim())}
+      />
+      
+      <Button
+        type="submit"
+        fullWidth
+        variant="contained"
+        sx={{ mt: 3, mb: 2 }}
+        disabled={loading || (setupRequired && !setup)}
+      >
+        {loading ? <CircularProgress size={24} /> : 'Verify'}
+      </Button>
+      
+      <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+        <Link component="button" type="button" variant="body2" onClick={cancelTwoFactor}>
+          Back to Sign In
+        </Link>
+        {!setupRequired && (
+          <Link
+            component="button"
+            type="button"
+            variant="body2"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode('');
+            }}
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </Link>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default TwoFactorStep;
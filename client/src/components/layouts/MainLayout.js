@@ -32,7 +32,8 @@ import {
   Subscriptions as SubscriptionIcon,
   Notifications as NotificationsIcon,
   Person as PersonIcon,
-  Logout as LogoutIcon
+  Logout as LogoutIcon,
+  Devices as DevicesIcon
 } from '@mui/icons-material';
 import AuthContext from '../../context/AuthContext';
 
@@ -41,7 +42,7 @@ const drawerWidth = 240;
 const MainLayout = () => {
   const [mobileOpen, setMobileOpen] = useState(false);
   const [anchorEl, setAnchorEl] = useState(null);
-  const { user, logout } = useContext(AuthContext);
+  const { user, logout, logoutAll } = useContext(AuthContext);
   const navigate = useNavigate();
 
   const handleDrawerToggle = () => {
@@ -56,8 +57,13 @@ const MainLayout = () => {
     setAnchorEl(null);
   };
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login');
+  };
+
+  const handleLogoutAll = async () => {
+    await logoutAll();
     navigate('/login');
   };
 
@@ -199,6 +205,12 @@ const MainLayout = () => {
               </ListItemIcon>
               Logout
             </MenuItem>
+            <MenuItem onClick={handleLogoutAll}>
+              <ListItemIcon>
+                <DevicesIcon fontSize="small" />
+              </ListItemIcon>
+              Log out all devices
+            </MenuItem>
           </Menu>
         </Toolbar>
       </AppBar>
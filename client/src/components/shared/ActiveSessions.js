@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { 
+  Box, 
+  Typography, 
+  Button, 
+  List, 
+  ListItem, 
+  ListItemIcon, 
+  ListItemText, 
+  Chip, 
+  CircularProgress, 
+  Alert 
+} from '@mui/material';
+import {
+  Devices as DevicesIcon,
+  Logout as LogoutIcon
+} from '@mui/icons-material';
+import AuthContext from '../../context/AuthContext';
+import axios from 'axios';
+
+const ActiveSessions = ({ onNotify }) => {
+  const { logout, logoutAll } = useContext(AuthContext);
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const res = await axios.get('/api/auth/sessions');
+      setSessions(res.data);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout();
+      navigate('/login');
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/auth/sessions/${session.id}`);
+      setSessions(sessions.filter(s => s.id !== session.id));
+      onNotify('Session revoked', 'success');
+    } catch (err) {
+      onNotify(err.response?.data?.msg || 'Failed to revoke session', 'error');
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    await logoutAll();
+    navigate('/login');
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <Typography variant="body1">
+          These devices are currently signed in to your account.
+        </Typography>
+        <Button
+          color="error"
+          variant="outlined"
+          sx={{ ml: 'auto' }}
+          onClick={handleRevokeAll}
+        >
+          Log out all devices
+        </Button>
+      </Box>
+      
+      <List>
+        {sessions.map((session) => (
+          <ListItem
+            key={session.id}
+            divider
+            secondaryAction={
+              <Button
+                color="error"
+                startIcon={<LogoutIcon />}
+                onClick={() => handleRevoke(session)}
+              >
+                {session.current ? 'Log out' : 'Revoke'}
+              </Button>
+            }
+          >
+            <ListItemIcon>
+              <DevicesIcon />
+            </ListItemIcon>
+            <ListItemText
+              primary={
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {session.device}
+                  {session.current && <Chip label="This device" color="primary" size="small" />}
+                </Box>
+              }
+              secondary={
+                `IP ${session.ip || 'unknown'} · Last seen ${new Date(session.lastSeenAt).toLocaleString()} · Signed in ${new Date(session.createdAt).toLocaleString()}`
+              }
+            />
+          </ListItem>
+        ))}
+      </List>
+    </Box>
+  );
+};
+
+export default ActiveSessions;
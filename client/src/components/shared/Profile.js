@@ -21,6 +21,8 @@ import {
   Cancel as CancelIcon
 } from '@mui/icons-material';
 import AuthContext from '../../context/AuthContext';
+import ActiveSessions from './ActiveSessions';
+import TwoFactorSettings from './TwoFactorSettings';
 import axios from 'axios';
 
 const Profile = () => {
@@ -130,6 +132,14 @@ const Profile = () => {
     }
   };
 
+  const handleNotify = (message, severity) => {
+    setSnackbar({
+      open: true,
+      message,
+      severity
+    });
+  };
+
   const handleCloseSnackbar = () => {
     setSnackbar({
       ...snackbar,
@@ -190,6 +200,8 @@ const Profile = () => {
           <Tab label="Address" />
           {user.roles.includes('seller') && <Tab label="Seller Information" />}
           {user.roles.includes('delivery') && <Tab label="Delivery Information" />}
+          <Tab label="Security" value="security" />
+          <Tab label="Sessions" value="sessions" />
         </Tabs>
         
         <Box component="form" onSubmit={handleSubmit}>
@@ -408,6 +420,16 @@ const Profile = () => {
             </Grid>
           )}
           
+          {/* Security Tab */}
+          {tabValue === 'security' && (
+            <TwoFactorSettings onNotify={handleNotify} />
+          )}
+          
+          {/* Sessions Tab */}
+          {tabValue === 'sessions' && (
+            <ActiveSessions onNotify={handleNotify} />
+          )}
+          
           {editing && (
             <Box sx={{ mt: 3, display: 'flex', justifyContent: 'flex-end' }}>
               <Button
@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { 
+  Box, 
+  Typography, 
+  Button, 
+  TextField, 
+  Chip, 
+  CircularProgress, 
+  Alert 
+} from '@mui/material';
+import axios from 'axios';
+
+const TwoFactorSettings = ({ onNotify }) => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const res = await axios.get('/api/auth/2fa');
+      setStatus(res.data);
+    } catch (err) {
+      onNotify('Failed to load two-factor status', 'error');
+    }
+  };
+
+  const handleStartSetup = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.post('/api/auth/2fa/setup');
+      setSetup(res.data);
+      setCode('');
+    } catch (err) {
+      onNotify(err.response?.data?.msg || 'Failed to start setup', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnable = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.post('/api/auth/2fa/enable', { code });
+      setRecoveryCodes(res.data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      await fetchStatus();
+      onNotify('Two-factor authentication enabled', 'success');
+    } catch (err) {
+      onNotify(err.response?.data?.msg || 'Invalid code', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    setLoading(true);
+    try {
+      await axios.post('/api/auth/2fa/disable', { password, code });
+      setPassword('');
+      setCode('');
+      setRecoveryCodes(null);
+      await fetchStatus();
+      onNotify('Two-factor authentication disabled', 'success');
+    } catch (err) {
+      onNotify(err.response?.data?.msg || 'Failed to disable two-factor authentication', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.post('/api/auth/2fa/recovery-codes', { code });
+      setRecoveryCodes(res.data.recoveryCodes);
+      setCode('');
+      await fetchStatus();
+    } catch (err) {
+      onNotify(err.response?.data?.msg || 'Invalid code', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!status) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <Typography variant="h6">Two-Factor Authentication</Typography>
+        <Chip
+          label={status.enabled ? 'Enabled' : 'Disabled'}
+          color={status.enabled ? 'success' : 'default'}
+          size="small"
+        />
+        {status.required && <Chip label="Required for your account" color="warning" size="small" />}
+      </Box>
+      
+      {recoveryCodes && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Save these recovery codes. Each can be used once and they will not be shown again.
+          <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1, mt: 1 }}>
+            {recoveryCodes.map((recoveryCode) => (
+              <Typography key={recoveryCode} sx={{ fontFamily: 'monospace' }}>{recoveryCode}</Typography>
+            ))}
+          </Box>
+        </Alert>
+      )}
+      
+      {!status.enabled && !setup && (
+        <Button variant="contained" onClick={handleStartSetup} disabled={loading}>
+          Set up two-factor authentication
+        </Button>
+      )}
+      
+      {setup && (
+        <Box>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+          </Typography>
+          <img src={setup.qrCode} alt="Two-factor QR code" width={200} height={200} />
+          <Typography variant="caption" display="block" sx={{ fontFamily: 'monospace', mb: 2 }}>
+            {setup.secret}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              label="Authentication Code"
+              value={code}
+              onChange={(e) => setCode(e.target.value.trim())}
+              size="small"
+            />
+            <Button variant="contained" onClick={handleEnable} disabled={loading || !code}>
+              Enable
+            </Button>
+          </Box>
+        </Box>
+      )}
+      
+      {status.enabled && (
+        <Box>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            {status.recoveryCodesRemaining} recovery codes remaining. Enter a code from your authenticator app to manage two-factor authentication.
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+            <TextField
+              label="Authentication Code"
+              value={code}
+              onChange={(e) => setCode(e.target.value.trim())}
+              size="small"
+            />
+            <Button variant="outlined" onClick={handleRegenerate} disabled={loading || !code}>
+              New recovery codes
+            </Button>
+            {!status.required && (
+              <>
+                <TextField
+                  label="Password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  size="small"
+                />
+                <Button color="error" variant="outlined" onClick={handleDisable} disabled={loading || !code || !password}>
+                  Disable
+                </Button>
+              </>
+            )}
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,4 +1,4 @@
-import React, { createContext, useState } from 'react';
+import React, { createContext, useState, useCallback } from 'react';
 import axios from 'axios';
 import { setToken, removeToken } from '../utils/auth';
 
@@ -9,6 +9,7 @@ export const AuthProvider = ({ children, value }) => {
   const [user, setUser] = useState(value?.user || null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   // Register user
   const register = async (userData) => {
@@ -16,7 +17,7 @@ export const AuthProvider = ({ children, value }) => {
     setError(null);
     try {
       const res = await axios.post('/api/auth/register', userData);
-      setToken(res.data.token);
+      setToken(res.data.token, res.data.refreshToken);
       loadUser();
       setIsAuthenticated(true);
       setLoading(false);
@@ -34,11 +35,40 @@ export const AuthProvider = ({ children, value }) => {
     setError(null);
     try {
       const res = await axios.post('/api/auth/login', { email, password });
-      setToken(res.data.token);
-      loadUser();
-      setIsAuthenticated(true);
+      const completed = handleLoginResponse(res.data);
+      setLoading(false);
+      return completed;
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Login failed');
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // Request a one-time login code by SMS
+  const requestOtp = async (phone) => {
+    setLoading(true);
+    setError(null);
+    try {
+      await axios.post('/api/auth/otp/request', { phone });
       setLoading(false);
       return true;
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Failed to send code');
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // Login with a phone number and one-time code
+  const loginWithOtp = async (phone, code) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await axios.post('/api/auth/otp/verify', { phone, code });
+      const completed = handleLoginResponse(res.data);
+      setLoading(false);
+      return completed;
     } catch (err) {
       setError(err.response?.data?.msg || 'Login failed');
       setLoading(false);
@@ -46,6 +76,82 @@ export const AuthProvider = ({ children, value }) => {
     }
   };
 
+  // Store tokens, or start the second step for two-factor accounts
+  const handleLoginResponse = (data) => {
+    if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+      setTwoFactorChallenge({
+        challengeToken: data.challengeToken,
+        setupRequired: !!data.twoFactorSetupRequired
+      });
+      return false;
+    }
+    
+    completeLogin(data);
+    return true;
+  };
+
+  // Store tokens from a successful login
+  const completeLogin = (tokens) => {
+    setToken(tokens.token, tokens.refreshToken);
+    setTwoFactorChallenge(null);
+    loadUser();
+    setIsAuthenticated(true);
+  };
+
+  // Second login step with a TOTP code or a recovery code
+  const verifyTwoFactor = async ({ code, recoveryCode }) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await axios.post('/api/auth/2fa/login', {
+        challengeToken: twoFactorChallenge.challengeToken,
+        code,
+        recoveryCode
+      });
+      completeLogin(res.data);
+      setLoading(false);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Verification failed');
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // Start mandatory two-factor enrollment during login
+  // Memoized so the setup step can start it from an effect once per challenge
+  const startTwoFactorSetup = useCallback(async () => {
+    const res = await axios.post('/api/auth/2fa/login/setup', {
+      challengeToken: twoFactorChallenge.challengeToken
+    });
+    return res.data;
+  }, [twoFactorChallenge]);
+
+  // Confirm mandatory enrollment; resolves to the tokens and recovery codes
+  // so the recovery codes can be shown before completing the login
+  const confirmTwoFactorSetup = async (code) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await axios.post('/api/auth/2fa/login/enable', {
+        challengeToken: twoFactorChallenge.challengeToken,
+        code
+      });
+      setLoading(false);
+      return res.data;
+    } catch (err) {
+      setError(err.response?.data?.msg || 'Verification failed');
+      setLoading(false);
+      return null;
+    }
+  };
+
+  // Abandon the second login step
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+    setError(null);
+  };
+
   // Load user data
   const loadUser = async () => {
     try {
@@ -58,13 +164,33 @@ export const AuthProvider = ({ children, value }) => {
     }
   };
 
-  // Logout user
-  const logout = () => {
+  // Clear local auth state
+  const clearAuth = () => {
     removeToken();
     setIsAuthenticated(false);
     setUser(null);
   };
 
+  // Logout user (revokes the session on the server)
+  const logout = async () => {
+    try {
+      await axios.post('/api/auth/logout');
+    } catch (err) {
+      // Session may already be expired or revoked
+    }
+    clearAuth();
+  };
+
+  // Logout user from all devices
+  const logoutAll = async () => {
+    try {
+      await axios.post('/api/auth/logout-all');
+    } catch (err) {
+      // Session may already be expired or revoked
+    }
+    clearAuth();
+  };
+
   return (
     <AuthContext.Provider
       value={{
@@ -76,7 +202,16 @@ export const AuthProvider = ({ children, value }) => {
         setUser,
         register,
         login,
+        requestOtp,
+        loginWithOtp,
+        twoFactorChallenge,
+        verifyTwoFactor,
+        startTwoFactorSetup,
+        confirmTwoFactorSetup,
+        completeLogin,
+        cancelTwoFactor,
         logout,
+        logoutAll,
         loadUser
       }}
     >
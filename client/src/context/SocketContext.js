@@ -1,22 +1,22 @@
-import React, { createContext, useEffect, useState } from 'react';
+import React, { createContext, useContext, useEffect, useState } from 'react';
 import io from 'socket.io-client';
-import { getToken } from '../utils/auth';
+import AuthContext from './AuthContext';
+import { getToken, refreshAccessToken } from '../utils/auth';
 
 const SocketContext = createContext();
 
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
+  const { isAuthenticated } = useContext(AuthContext);
 
   useEffect(() => {
-    const token = getToken();
-    if (!token) return;
+    if (!isAuthenticated || !getToken()) return;
 
     // Initialize socket connection
+    // The token is read on every (re)connect so refreshed tokens are picked up
     const socketInstance = io(process.env.REACT_APP_API_URL || '', {
-      auth: {
-        token
-      }
+      auth: (cb) => cb({ token: getToken() })
     });
 
     // Socket event handlers
@@ -34,6 +34,19 @@ export const SocketProvider = ({ children }) => {
       console.error('Socket error:', error);
     });
 
+    // The server rejects expired access tokens, so refresh and retry
+    // (an inactive socket means the server refused it rather than a network error)
+    socketInstance.on('connect_error', async (error) => {
+      console.error('Socket connection error:', error.message);
+      if (socketInstance.active) return;
+      try {
+        await refreshAccessToken();
+        socketInstance.connect();
+      } catch (err) {
+        setConnected(false);
+      }
+    });
+
     setSocket(socketInstance);
 
     // Cleanup on unmount
@@ -41,8 +54,10 @@ export const SocketProvider = ({ children }) => {
       if (socketInstance) {
         socketInstance.disconnect();
       }
+      setSocket(null);
+      setConnected(false);
     };
-  }, []);
+  }, [isAuthenticated]);
 
   // Function to emit events
   const emit = (event, data, callback) => {
@@ -2,24 +2,15 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
-import axios from 'axios';
-import { initAuthHeader } from './utils/auth';
+import { initAuthHeader, setupAuthInterceptors } from './utils/auth';
 
 // Initialize auth header from localStorage
 initAuthHeader();
 
-// Set up axios interceptors for handling token expiration
-axios.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response && error.response.status === 401) {
-      // Handle token expiration
-      localStorage.removeItem('token');
-      window.location.href = '/login';
-    }
-    return Promise.reject(error);
-  }
-);
+// Refresh expired tokens automatically, send the user to login when that fails
+setupAuthInterceptors(() => {
+  window.location.href = '/login';
+});
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -1,17 +1,22 @@
+import axios from 'axios';
 import jwt_decode from 'jwt-decode';
 
-// Set token in localStorage
-export const setToken = (token) => {
+// Set tokens in localStorage
+export const setToken = (token, refreshToken) => {
   localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
   // Set auth header for axios
   if (token) {
     setAuthHeader(token);
   }
 };
 
-// Remove token from localStorage
+// Remove tokens from localStorage
 export const removeToken = () => {
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
   // Remove auth header
   setAuthHeader(false);
 };
@@ -21,9 +26,13 @@ export const getToken = () => {
   return localStorage.getItem('token');
 };
 
+// Get refresh token from localStorage
+export const getRefreshToken = () => {
+  return localStorage.getItem('refreshToken');
+};
+
 // Set auth header for axios
 export const setAuthHeader = (token) => {
-  const axios = require('axios');
   if (token) {
     axios.defaults.headers.common['x-auth-token'] = token;
   } else {
@@ -68,4 +77,61 @@ export const initAuthHeader = () => {
   if (token) {
     setAuthHeader(token);
   }
-};
\ No newline at end of file
+};
+
+// Pending refresh request, shared so that parallel 401s refresh only once
+let refreshPromise = null;
+
+// Exchange the refresh token for a new token pair
+export const refreshAccessToken = () => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    return Promise.reject(new Error('No refresh token'));
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = axios.post('/api/auth/refresh', { refreshToken }, { skipAuthRefresh: true })
+      .then((res) => {
+        setToken(res.data.token, res.data.refreshToken);
+        return res.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Set up axios interceptor that refreshes expired tokens and retries the request
+// onAuthFailure is called when the session cannot be refreshed
+export const setupAuthInterceptors = (onAuthFailure) => {
+  axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const originalRequest = error.config;
+      
+      if (!error.response || error.response.status !== 401 || !originalRequest || originalRequest.skipAuthRefresh) {
+        return Promise.reject(error);
+      }
+      
+      // Try to refresh the token once per request
+      if (!originalRequest._retry && getRefreshToken()) {
+        originalRequest._retry = true;
+        try {
+          const token = await refreshAccessToken();
+          originalRequest.headers['x-auth-token'] = token;
+          return axios(originalRequest);
+        } catch (refreshError) {
+          removeToken();
+          onAuthFailure();
+          return Promise.reject(refreshError);
+        }
+      }
+      
+      removeToken();
+      onAuthFailure();
+      return Promise.reject(error);
+    }
+  );
+};
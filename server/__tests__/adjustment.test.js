@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/ledger.service', () => ({
+  ...jest.requireActual('../services/ledger.service'),
+  postEntry: jest.fn()
+}));
+// Stands in for the MongoDB session of the approval transaction
+const mockSession = { id: 'approval-transaction' };
+jest.mock('../services/dbTransaction.service', () => ({
+  ...jest.requireActual('../services/dbTransaction.service'),
+  runInTransaction: (work) => work(mockSession)
+}));
+jest.mock('../services/socket.service', () => ({
+  emitToUser: jest.fn(),
+  emitToRole: jest.fn()
+}));
+
+const AuditLog = require('../models/audit.model');
+const Wallet = require('../models/wallet.model');
+const WalletAdjustment = require('../models/walletAdjustment.model');
+const { SYSTEM_ACCOUNTS, postEntry } = require('../services/ledger.service');
+const { approveAdjustment } = require('../services/adjustment.service');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('wallet adjustment approval', () => {
+  const requester = id();
+  const approver = id();
+  let wallet;
+  let stored;
+
+  beforeEach(() => {
+    wallet = { _id: id(), owner: id(), currency: 'XOF', balance: 0 };
+    stored = {
+      _id: id(),
+      wallet: wallet._id,
+      owner: wallet.owner,
+      walletType: 'buyer',
+      currency: 'XOF',
+      direction: 'credit',
+      amount: 2500,
+      reason: 'Duplicate charge',
+      ticketReference: 'SUP-42',
+      requestedBy: requester,
+      status: 'pending_approval'
+    };
+
+    // findOneAndUpdate applies the review only to a pending adjustment, as MongoDB would
+    jest.spyOn(WalletAdjustment, 'findOne').mockImplementation(async (filter) => (
+      stored.status === filter.status ? WalletAdjustment.hydrate({ ...stored }) : null
+    ));
+    jest.spyOn(WalletAdjustment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.status !== filter.status) {
+        return null;
+      }
+      Object.assign(stored, update);
+      return WalletAdjustment.hydrate({ ...stored });
+    });
+    jest.spyOn(WalletAdjustment, 'exists').mockResolvedValue({ _id: stored._id });
+    jest.spyOn(WalletAdjustment, 'updateOne').mockImplementation(async (filter, { $unset, ...update }) => {
+      if (stored.status === filter.status && !stored.ledgerEntry) {
+        Object.keys($unset).forEach(field => delete stored[field]);
+        Object.assign(stored, update);
+      }
+      return {};
+    });
+    jest.spyOn(WalletAdjustment.prototype, 'save').mockImplementation(function() {
+      Object.assign(stored, this.toObject());
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Wallet, 'findById').mockImplementation(() => Object.assign(Promise.resolve(wallet), {
+      session: () => Promise.resolve(wallet)
+    }));
+    jest.spyOn(AuditLog, 'create').mockImplementation(async ([fields]) => [fields]);
+
+    postEntry.mockResolvedValue({ _id: id(), createdAt: new Date() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('posts an approved credit once, with its audit entry in the same transaction', async () => {
+    const approved = await approveAdjustment(stored._id, approver);
+
+    expect(approved.status).toBe('posted');
+    expect(postEntry).toHaveBeenCalledTimes(1);
+    expect(postEntry.mock.calls[0][0].lines.map(line => [line.target === SYSTEM_ACCOUNTS.ADJUSTMENTS ? 'adjustments' : 'wallet', line.direction, line.amount]))
+      .toEqual([['adjustments', 'debit', 2500], ['wallet', 'credit', 2500]]);
+    expect(AuditLog.create).toHaveBeenCalledWith([expect.objectContaining({
+      action: 'wallet_adjustment.approved',
+      actor: approver,
+      targetUser: wallet.owner
+    })], { session: mockSession });
+    expect(postEntry.mock.calls[0][1]).toBe(mockSession);
+
+    await expect(approveAdjustment(stored._id, id())).rejects.toThrow('This adjustment has already been reviewed');
+    expect(postEntry).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses an approval by the admin who requested it', async () => {
+    await expect(approveAdjustment(stored._id, requester)).rejects.toMatchObject({ status: 403 });
+    expect(stored.status).toBe('pending_approval');
+    expect(postEntry).not.toHaveBeenCalled();
+  });
+
+  it('refuses an approval by the owner of the wallet', async () => {
+    await expect(approveAdjustment(stored._id, wallet.owner)).rejects.toMatchObject({ status: 403 });
+    expect(postEntry).not.toHaveBeenCalled();
+  });
+
+  it('fails the approval when the audit entry cannot be written', async () => {
+    AuditLog.create.mockRejectedValue(new Error('connection lost'));
+
+    await expect(approveAdjustment(stored._id, approver)).rejects.toThrow('connection lost');
+  });
+});
@@ -0,0 +1,59 @@
+const ExchangeRate = require('../models/exchangeRate.model');
+const {
+  BASE_CURRENCY,
+  roundAmount,
+  formatAmount,
+  getRateSnapshot,
+  convertAmount,
+  exchangeRate
+} = require('../services/currency.service');
+
+// Locales separate thousands with different kinds of spaces
+const plain = (text) => text.replace(/\s/g, ' ');
+
+describe('currency conversion', () => {
+  const snapshot = { base: 'XOF', rates: { XOF: 1, GHS: 0.02, NGN: 2.5 } };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes a snapshot of the rate table against the base currency', async () => {
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([{ currency: 'GHS', rate: 0.02 }, { currency: 'NGN', rate: 2.5 }]);
+
+    const { base, rates } = await getRateSnapshot();
+
+    expect(base).toBe(BASE_CURRENCY);
+    expect(rates).toEqual({ XOF: 1, GHS: 0.02, NGN: 2.5 });
+  });
+
+  it('converts through the base currency and rounds to the target unit', () => {
+    expect(convertAmount(1001, 'XOF', 'GHS', snapshot)).toBe(20.02);
+    expect(convertAmount(100, 'GHS', 'XOF', snapshot)).toBe(5000);
+    expect(convertAmount(33.33, 'NGN', 'XOF', snapshot)).toBe(13);
+    expect(convertAmount(100, 'GHS', 'NGN', snapshot)).toBe(12500);
+    expect(exchangeRate('GHS', 'NGN', snapshot)).toBe(125);
+  });
+
+  it('converts with the snapshot stored on an order', () => {
+    // Mongoose returns the stored rates as a Map
+    const stored = { base: 'XOF', rates: new Map(Object.entries(snapshot.rates)) };
+
+    expect(convertAmount(100, 'GHS', 'XOF', stored)).toBe(convertAmount(100, 'GHS', 'XOF', snapshot));
+  });
+
+  it('refuses currencies without a rate', () => {
+    expect(() => convertAmount(100, 'XAF', 'XOF', snapshot)).toThrow('No exchange rate is set for XAF');
+    expect(convertAmount(100, 'XAF', 'XAF', snapshot)).toBe(100);
+  });
+
+  it('rounds and formats amounts for each market', () => {
+    expect(roundAmount(1500.6, 'XOF')).toBe(1501);
+    expect(roundAmount(12.345, 'GHS')).toBe(12.35);
+
+    expect(plain(formatAmount(1500, 'XOF'))).toBe('1 500 F CFA');
+    expect(plain(formatAmount(1500, 'XOF', { currencyDisplay: 'code' }))).toBe('1 500 XOF');
+    expect(formatAmount(1234.5, 'GHS')).toBe('GH₵1,234.50');
+    expect(formatAmount(2500.75, 'NGN')).toBe('₦2,500.75');
+  });
+});
@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/ledger.service', () => ({
+  ...jest.requireActual('../services/ledger.service'),
+  postEntry: jest.fn(),
+  platformFeeAccount: jest.fn()
+}));
+jest.mock('../services/promo.service', () => ({
+  promoCreditFor: jest.fn(),
+  consumePromoCredit: jest.fn(),
+  restorePromoCredit: jest.fn(),
+  creditCashback: jest.fn()
+}));
+jest.mock('../services/dbTransaction.service', () => ({
+  ...jest.requireActual('../services/dbTransaction.service'),
+  runInTransaction: (work) => work(null)
+}));
+jest.mock('../services/socket.service', () => ({
+  emitToOrder: jest.fn(),
+  emitToUser: jest.fn(),
+  emitToRole: jest.fn()
+}));
+
+const EscrowHold = require('../models/escrow.model');
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const Wallet = require('../models/wallet.model');
+const { SYSTEM_ACCOUNTS, postEntry, platformFeeAccount } = require('../services/ledger.service');
+const { promoCreditFor } = require('../services/promo.service');
+const { payOrder, releaseHold, refundHold, updateOrderStatus } = require('../services/escrow.service');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// One escrow hold kept in memory; findOneAndUpdate applies the update only
+// when the stored hold matches the filter, as MongoDB would
+const storeHold = (fields) => {
+  const stored = { _id: id(), status: 'held', ...fields };
+
+  jest.spyOn(EscrowHold, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (!filter.order.equals(stored.order) || filter.status !== stored.status) {
+      return null;
+    }
+    Object.assign(stored, update);
+    return EscrowHold.hydrate({ ...stored });
+  });
+  jest.spyOn(EscrowHold, 'exists').mockReturnValue({ session: () => Promise.resolve({ _id: stored._id }) });
+  jest.spyOn(EscrowHold.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+
+  return stored;
+};
+
+describe('escrow holds', () => {
+  let order;
+  let hold;
+  let wallets;
+
+  beforeEach(() => {
+    const seller = id();
+    order = {
+      _id: id(),
+      buyer: id(),
+      deliveryAgent: id(),
+      currency: 'XOF',
+      save: jest.fn().mockResolvedValue()
+    };
+    hold = storeHold({
+      order: order._id,
+      buyer: order.buyer,
+      amount: 1100,
+      currency: 'XOF',
+      sellers: [{ seller, amount: 1000 }],
+      deliveryFee: 60,
+      adminFee: 40
+    });
+
+    wallets = {};
+    jest.spyOn(Wallet, 'findByOwnerAndType').mockImplementation((owner, walletType) => {
+      wallets[walletType] = wallets[walletType] || { _id: id(), owner, walletType, currency: 'XOF' };
+      return { session: () => Promise.resolve(wallets[walletType]) };
+    });
+
+    postEntry.mockResolvedValue({ _id: id() });
+    platformFeeAccount.mockResolvedValue(SYSTEM_ACCOUNTS.REVENUE);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('releases a hold to the sellers, delivery agent and platform once', async () => {
+    const released = await releaseHold(order);
+
+    expect(released.status).toBe('released');
+    expect(hold.status).toBe('released');
+    expect(order.paymentStatus).toBe('released');
+    expect(postEntry).toHaveBeenCalledTimes(1);
+    expect(postEntry.mock.calls[0][0].lines.map(line => [line.direction, line.amount])).toEqual([
+      ['debit', 1100],
+      ['credit', 1000],
+      ['credit', 60],
+      ['credit', 40]
+    ]);
+
+    await expect(releaseHold(order)).resolves.toBeNull();
+    expect(postEntry).toHaveBeenCalledTimes(1);
+  });
+
+  it('refunds a hold to the buyer once', async () => {
+    const refunded = await refundHold(order);
+
+    expect(refunded.status).toBe('refunded');
+    expect(order.paymentStatus).toBe('refunded');
+    expect(postEntry).toHaveBeenCalledTimes(1);
+    expect(postEntry.mock.calls[0][0].lines.map(line => [line.direction, line.amount])).toEqual([
+      ['debit', 1100],
+      ['credit', 1100]
+    ]);
+
+    await expect(refundHold(order)).resolves.toBeNull();
+    expect(postEntry).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not refund a hold that was released', async () => {
+    await releaseHold(order);
+
+    await expect(refundHold(order)).resolves.toBeNull();
+    expect(hold.status).toBe('released');
+    expect(postEntry).toHaveBeenCalledTimes(1);
+    expect(postEntry.mock.calls[0][0].kind).toBe('order_release');
+  });
+
+  it('does not release a hold that was refunded', async () => {
+    await refundHold(order);
+
+    await expect(releaseHold(order)).resolves.toBeNull();
+    expect(hold.status).toBe('refunded');
+    expect(postEntry).toHaveBeenCalledTimes(1);
+    expect(postEntry.mock.calls[0][0].kind).toBe('order_refund');
+  });
+
+  describe('orders paid before escrow holds existed', () => {
+    // Net amount each system account received over all posted entries
+    const balanceOf = (account) => postEntry.mock.calls
+      .flatMap(([entry]) => entry.lines)
+      .filter(line => line.target === account)
+      .reduce((total, line) => total + (line.direction === 'credit' ? line.amount : -line.amount), 0);
+
+    beforeEach(() => {
+      const product = { _id: id(), seller: id() };
+      Object.assign(order, {
+        totalAmount: 1100,
+        deliveryFee: 60,
+        adminFee: 40,
+        items: [{ product: product._id, subtotal: 1000 }]
+      });
+      EscrowHold.findOneAndUpdate.mockResolvedValue(null);
+      EscrowHold.exists.mockReturnValue({ session: () => Promise.resolve(null) });
+      jest.spyOn(EscrowHold, 'create').mockImplementation(async ([fields]) => [EscrowHold.hydrate({ _id: id(), ...fields })]);
+      jest.spyOn(Product, 'find').mockReturnValue({ session: () => Promise.resolve([product]) });
+    });
+
+    it.each([['released', releaseHold], ['refunded', refundHold]])('opens escrow from system:opening before the hold is %s', async (status, settle) => {
+      const hold = await settle(order);
+
+      expect(hold.status).toBe(status);
+      expect(postEntry.mock.calls[0][0].kind).toBe('opening_balance');
+      expect(balanceOf(SYSTEM_ACCOUNTS.ESCROW)).toBe(0);
+      expect(balanceOf(SYSTEM_ACCOUNTS.OPENING)).toBe(-1100);
+    });
+  });
+
+  describe('updateOrderStatus', () => {
+    let paidOrder;
+
+    beforeEach(() => {
+      paidOrder = Order.hydrate({ ...order, status: 'processing', paymentStatus: 'paid' });
+      jest.spyOn(Order.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Order, 'findById').mockReturnValue({ session: () => Promise.resolve(paidOrder) });
+    });
+
+    it('releases the hold of a paid order marked delivered', async () => {
+      const updated = await updateOrderStatus(order._id, 'delivered');
+
+      expect(updated.status).toBe('delivered');
+      expect(hold.status).toBe('released');
+      expect(postEntry.mock.calls[0][0].kind).toBe('order_release');
+    });
+
+    it.each(['cancelled', 'refunded'])('refunds the hold of a paid order marked %s', async (status) => {
+      const updated = await updateOrderStatus(order._id, status);
+
+      expect(updated.status).toBe(status);
+      expect(updated.paymentStatus).toBe('refunded');
+      expect(hold.status).toBe('refunded');
+      expect(postEntry.mock.calls[0][0].kind).toBe('order_refund');
+    });
+
+    it('leaves the hold alone for other statuses', async () => {
+      await updateOrderStatus(order._id, 'shipped');
+
+      expect(hold.status).toBe('held');
+      expect(postEntry).not.toHaveBeenCalled();
+    });
+
+    it('fails for an unknown order', async () => {
+      Order.findById.mockReturnValue({ session: () => Promise.resolve(null) });
+
+      await expect(updateOrderStatus(order._id, 'delivered')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
+
+describe('payOrder', () => {
+  let product;
+
+  // An order for one unit of the product, paid from its buyer's wallet
+  const checkout = () => {
+    const order = Order.hydrate({
+      _id: id(),
+      buyer: id(),
+      items: [{ product: product._id, quantity: 1, price: 1000, subtotal: 1000 }],
+      totalAmount: 1000,
+      currency: 'XOF',
+      paymentMethod: 'wallet',
+      status: 'pending'
+    });
+    return payOrder(order, { _id: id(), owner: order.buyer, walletType: 'buyer', currency: 'XOF' });
+  };
+
+  beforeEach(() => {
+    product = { _id: id(), name: 'Last lamp', seller: id(), stock: 1, isAvailable: true };
+    // Stock is taken only while enough is left, as the conditional update would
+    jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(async (filter) => {
+      if (!filter._id.equals(product._id) || !product.isAvailable || product.stock < filter.stock.$gte) {
+        return null;
+      }
+      product.stock -= filter.stock.$gte;
+      product.isAvailable = product.stock > 0;
+      return product;
+    });
+    jest.spyOn(Product, 'findById').mockReturnValue({ select: () => ({ session: () => Promise.resolve(product) }) });
+    jest.spyOn(Product, 'find').mockReturnValue({ session: () => Promise.resolve([product]) });
+    jest.spyOn(Wallet, 'findById').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(EscrowHold, 'create').mockImplementation(async ([fields]) => [fields]);
+    jest.spyOn(Order.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    promoCreditFor.mockResolvedValue(0);
+    postEntry.mockResolvedValue({ _id: id(), reference: 'ref_1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('sells the last unit to only one of two buyers paying at once', async () => {
+    const results = await Promise.allSettled([checkout(), checkout()]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('Insufficient stock for Last lamp');
+    expect(product).toMatchObject({ stock: 0, isAvailable: false });
+    expect(postEntry).toHaveBeenCalledTimes(1);
+  });
+
+  it('takes the payment into escrow for the sellers', async () => {
+    const paid = await checkout();
+
+    expect(paid).toMatchObject({ status: 'processing', paymentStatus: 'paid' });
+    expect(postEntry.mock.calls[0][0].lines.map(line => [line.direction, line.amount])).toEqual([['debit', 1000], ['credit', 1000]]);
+    expect(EscrowHold.create.mock.calls[0][0][0].sellers).toEqual([{ seller: product.seller.toString(), amount: 1000 }]);
+  });
+});
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/socket.service', () => ({
+  emitToRole: jest.fn()
+}));
+
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const FraudRule = require('../models/fraudRule.model');
+const FraudCheck = require('../models/fraudCheck.model');
+const ExchangeRate = require('../models/exchangeRate.model');
+const { emitToRole } = require('../services/socket.service');
+const {
+  FraudBlockedError,
+  onHoldReviewed,
+  screenOperation,
+  releaseCheck,
+  rejectCheck
+} = require('../services/fraud.service');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const rule = (fields) => ({ _id: id(), isActive: true, ...fields });
+const burst = rule({ name: 'Withdrawal burst', type: 'velocity', maxCount: 3, windowMinutes: 60, action: 'hold' });
+const large = rule({ name: 'Very large payment', type: 'amount', minAmount: 2000000, action: 'flag' });
+const newDevice = rule({ name: 'Large transfer from new device', type: 'new_device', windowMinutes: 24 * 60, minAmount: 100000, action: 'hold' });
+const passwordChange = rule({ name: 'Payout after password change', type: 'password_change', windowMinutes: 24 * 60, action: 'hold' });
+
+describe('fraud screening', () => {
+  let user;
+  let rules;
+  let earlier;
+
+  const screen = (fields) => screenOperation({ userId: user._id, operation: 'withdrawal', amount: 5000, ...fields });
+
+  beforeEach(() => {
+    user = { _id: id() };
+    rules = [];
+    earlier = 0;
+    jest.spyOn(FraudRule, 'estimatedDocumentCount').mockResolvedValue(4);
+    jest.spyOn(FraudRule, 'find').mockImplementation(() => ({ sort: () => Promise.resolve(rules) }));
+    jest.spyOn(User, 'findById').mockImplementation(() => ({ select: () => Promise.resolve(user) }));
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([]);
+    jest.spyOn(FraudCheck, 'countSince').mockImplementation(async () => earlier);
+    jest.spyOn(FraudCheck, 'create').mockImplementation(async (fields) => ({ _id: id(), ...fields }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('allows a payment no rule matches', async () => {
+    rules = [burst, large];
+
+    const check = await screen();
+
+    expect(check.decision).toBe('allow');
+    expect(check.status).toBe('closed');
+    expect(check.results.map(result => result.matched)).toEqual([false, false]);
+    expect(emitToRole).not.toHaveBeenCalled();
+  });
+
+  it('decides with the strictest matching rule and alerts the admins', async () => {
+    rules = [large, burst];
+    earlier = 3;
+
+    const check = await screen({ amount: 2500000 });
+
+    expect(check.decision).toBe('hold');
+    expect(check.status).toBe('open');
+    expect(emitToRole).toHaveBeenCalledWith('admin', 'fraudAlert', expect.objectContaining({
+      decision: 'hold',
+      rules: ['Very large payment', 'Withdrawal burst']
+    }));
+  });
+
+  it('blocks instead of holding operations that cannot wait for a reviewer', async () => {
+    rules = [burst];
+    earlier = 3;
+
+    const error = await screen({ operation: 'wallet_transfer' }).catch(err => err);
+
+    expect(error).toBeInstanceOf(FraudBlockedError);
+    expect(error.status).toBe(403);
+    expect(error.check.decision).toBe('block');
+  });
+
+  it('holds payouts soon after a password change', async () => {
+    rules = [passwordChange];
+
+    user.passwordChangedAt = new Date(Date.now() - 25 * 60 * 60 * 1000);
+    expect((await screen()).decision).toBe('allow');
+
+    user.passwordChangedAt = new Date(Date.now() - 60 * 60 * 1000);
+    expect((await screen()).decision).toBe('hold');
+  });
+
+  it('holds large transfers from a device first seen today', async () => {
+    rules = [newDevice];
+    const session = { _id: id(), userAgent: 'Phone', createdAt: new Date(Date.now() - 60 * 1000) };
+    jest.spyOn(Session, 'findById').mockImplementation(() => ({ select: () => Promise.resolve(session) }));
+    const knownDevice = jest.spyOn(Session, 'exists').mockResolvedValue(null);
+    const transfer = (amount) => screen({ operation: 'transfer', amount, context: { sessionId: session._id } });
+
+    expect((await transfer(99999)).decision).toBe('allow');
+    expect((await transfer(100000)).decision).toBe('hold');
+
+    knownDevice.mockResolvedValue({ _id: id() });
+    expect((await transfer(100000)).decision).toBe('allow');
+  });
+});
+
+describe('fraud review', () => {
+  const handlers = { release: jest.fn(), reject: jest.fn() };
+  let check;
+
+  beforeAll(() => {
+    onHoldReviewed('deposit', handlers);
+  });
+
+  beforeEach(() => {
+    check = { _id: id(), operation: 'deposit', decision: 'hold', subject: id(), status: 'open' };
+    jest.spyOn(FraudCheck, 'findOne').mockImplementation(async () => (check.status === 'open' ? check : null));
+    jest.spyOn(FraudCheck, 'review').mockImplementation(async (checkId, update) => Object.assign(check, update));
+    jest.spyOn(FraudCheck, 'exists').mockResolvedValue({ _id: check._id });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('lets a held payment go ahead when it is released, once', async () => {
+    const adminId = id();
+
+    const reviewed = await releaseCheck(check._id, adminId, 'Known customer');
+
+    expect(handlers.release).toHaveBeenCalledWith(check, adminId);
+    expect(reviewed.status).toBe('released');
+
+    await expect(rejectCheck(check._id, adminId, 'Changed my mind')).rejects.toThrow('This check has already been reviewed');
+    expect(handlers.reject).not.toHaveBeenCalled();
+  });
+
+  it('leaves the check open when releasing the payment fails', async () => {
+    handlers.release.mockRejectedValueOnce(new Error('Insufficient balance'));
+
+    await expect(releaseCheck(check._id, id())).rejects.toThrow('Insufficient balance');
+    expect(check.status).toBe('open');
+  });
+
+  it('cancels a held payment when it is rejected', async () => {
+    const adminId = id();
+
+    await rejectCheck(check._id, adminId, 'Stolen card');
+
+    expect(handlers.reject).toHaveBeenCalledWith(check, adminId, 'Stolen card');
+    expect(check.status).toBe('rejected');
+  });
+});
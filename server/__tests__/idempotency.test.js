@@ -0,0 +1,146 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/idempotency.model');
+const { idempotent } = require('../middleware/idempotency.middleware');
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+// In-memory idempotency keys with the unique (user, key) index of the model
+const keys = new Map();
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+const buildApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: userId };
+    next();
+  });
+  app.post('/api/wallet/transfer', idempotent, handler);
+  return app;
+};
+
+beforeEach(() => {
+  keys.clear();
+  jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (fields) => {
+    const id = `${fields.user}:${fields.key}`;
+    if (keys.has(id)) {
+      throw duplicateKey();
+    }
+    const record = { _id: id, status: 'processing', ...fields };
+    keys.set(id, record);
+    return record;
+  });
+  jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async ({ user, key, expiresAt }) => {
+    const record = keys.get(`${user}:${key}`);
+    return record && record.expiresAt > expiresAt.$gt ? record : null;
+  });
+  // Only the replacement of an expired key is modelled; a stale lock is never taken over
+  jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockImplementation(async ({ user, key, expiresAt }, update) => {
+    const record = user && keys.get(`${user}:${key}`);
+    if (!record || !(record.expiresAt <= expiresAt.$lte)) {
+      return null;
+    }
+    const { $unset, ...fields } = update;
+    Object.keys($unset).forEach(field => delete record[field]);
+    return Object.assign(record, fields);
+  });
+  jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async ({ _id }, update) => {
+    Object.assign(keys.get(_id), update);
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async ({ _id }) => {
+    keys.delete(_id);
+    return { deletedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// The response is stored after it is sent; wait for that to settle
+const stored = () => new Promise(resolve => setImmediate(resolve));
+
+describe('idempotent', () => {
+  it('replays the stored response without running the handler again', async () => {
+    let calls = 0;
+    const app = buildApp((req, res) => {
+      calls++;
+      res.status(201).json({ transfer: calls, amount: req.body.amount });
+    });
+
+    const first = await request(app).post('/api/wallet/transfer').set('Idempotency-Key', 'key-1').send({ amount: 500 });
+    await stored();
+    const replay = await request(app).post('/api/wallet/transfer').set('Idempotency-Key', 'key-1').send({ amount: 500 });
+
+    expect(first.status).toBe(201);
+    expect(replay.status).toBe(201);
+    expect(replay.body).toEqual(first.body);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    const app = buildApp((req, res) => res.status(201).json({ ok: true }));
+
+    await request(app).post('/api/wallet/transfer').set('Idempotency-Key', 'key-2').send({ amount: 500 });
+    await stored();
+    const reused = await request(app).post('/api/wallet/transfer').set('Idempotency-Key', 'key-2').send({ amount: 900 });
+
+    expect(reused.status).toBe(422);
+  });
+
+  it('lets a request that failed with a server error be retried', async () => {
+    let calls = 0;
+    const app = buildApp((req, res) => {
+      calls++;
+      if (calls === 1) {
+        return res.status(500).json({ msg: 'Server error' });
+      }
+      res.status(201).json({ ok: true });
+    });
+
+    await request(app).post('/api/wallet/transfer').set('Idempotency-Key', 'key-3').send({ amount: 500 });
+    await stored();
+    const retry = await request(app).post('/api/wallet/transfer').set('Idempotency-Key', 'key-3').send({ amount: 500 });
+
+    expect(retry.status).toBe(201);
+    expect(calls).toBe(2);
+  });
+
+  it('runs a request again once the key has expired', async () => {
+    let calls = 0;
+    const app = buildApp((req, res) => {
+      calls++;
+      res.status(201).json({ transfer: calls });
+    });
+
+    await request(app).post('/api/wallet/transfer').set('Idempotency-Key', 'key-5').send({ amount: 500 });
+    await stored();
+    keys.get(`${userId}:key-5`).expiresAt = new Date(Date.now() - 1000);
+
+    const again = await request(app).post('/api/wallet/transfer').set('Idempotency-Key', 'key-5').send({ amount: 900 });
+    await stored();
+    const replay = await request(app).post('/api/wallet/transfer').set('Idempotency-Key', 'key-5').send({ amount: 900 });
+
+    expect(again.status).toBe(201);
+    expect(again.headers['idempotent-replayed']).toBeUndefined();
+    expect(again.body).toEqual({ transfer: 2 });
+    expect(replay.body).toEqual({ transfer: 2 });
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(2);
+  });
+
+  it('answers 500 when the existing key cannot be read', async () => {
+    const app = buildApp((req, res) => res.status(201).json({ ok: true }));
+    IdempotencyKey.create.mockRejectedValue(duplicateKey());
+    IdempotencyKey.findOne.mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await request(app).post('/api/wallet/transfer').set('Idempotency-Key', 'key-4').send({ amount: 500 });
+
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/ledger.service', () => ({
+  ...jest.requireActual('../services/ledger.service'),
+  postEntry: jest.fn()
+}));
+jest.mock('../services/dbTransaction.service', () => ({
+  ...jest.requireActual('../services/dbTransaction.service'),
+  runInTransaction: (work) => work(null)
+}));
+jest.mock('../services/fraud.service', () => ({
+  onHoldReviewed: jest.fn(),
+  screenOperation: jest.fn(),
+  attachSubject: jest.fn()
+}));
+jest.mock('../services/socket.service', () => ({
+  emitToUser: jest.fn()
+}));
+
+const User = require('../models/user.model');
+const Transfer = require('../models/transfer.model');
+const Withdrawal = require('../models/withdrawal.model');
+const ExchangeRate = require('../models/exchangeRate.model');
+const { postEntry } = require('../services/ledger.service');
+const { screenOperation } = require('../services/fraud.service');
+const { LIMITS, LimitExceededError, tierOf, assertWithinLimits } = require('../services/kyc.service');
+const { requestWithdrawal } = require('../services/withdrawal.service');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Total returned by an aggregate over the stored records matching $match
+const aggregateOver = (records) => ([{ $match }]) => {
+  const counted = records().filter(record => (
+    (!$match._id || !$match._id.$ne.equals(record._id))
+    && (!$match.$or || $match.$or.some(branch => branch.status === record.status
+      && (!branch.completedAt || record.completedAt >= branch.completedAt.$gte)))
+  ));
+  const totals = counted.length ? [{ _id: 'XOF', total: counted.reduce((sum, record) => sum + record.amount, 0) }] : [];
+  return { session: () => Promise.resolve(totals) };
+};
+
+describe('KYC limits', () => {
+  let user;
+  let transfers;
+
+  beforeEach(() => {
+    user = { _id: id(), isPhoneVerified: false };
+    transfers = [];
+    jest.spyOn(User, 'findById').mockImplementation(() => ({
+      select: () => ({ session: () => Promise.resolve(user) })
+    }));
+    jest.spyOn(Transfer, 'aggregate').mockImplementation(aggregateOver(() => transfers));
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('places users in a tier from their verification state', () => {
+    expect(tierOf({ isPhoneVerified: false })).toBe('unverified');
+    expect(tierOf({ isPhoneVerified: true })).toBe('phone_verified');
+    expect(tierOf({ isPhoneVerified: true, kyc: { status: 'approved' } })).toBe('id_verified');
+  });
+
+  it('refuses a transfer over the daily cap of the tier', async () => {
+    const cap = LIMITS.unverified.transfer.daily;
+
+    await expect(assertWithinLimits(user._id, 'transfer', cap, 'XOF')).resolves.toBeDefined();
+    await expect(assertWithinLimits(user._id, 'transfer', cap + 1, 'XOF')).rejects.toThrow(LimitExceededError);
+    await expect(assertWithinLimits(user._id, 'transfer', cap + 1, 'XOF'))
+      .rejects.toThrow('Verify your account to raise your limits');
+  });
+
+  it('counts completed and held transfers as used', async () => {
+    const cap = LIMITS.unverified.transfer.daily;
+    transfers.push(
+      { _id: id(), amount: cap / 2, status: 'completed', completedAt: new Date() },
+      { _id: id(), amount: cap / 2, status: 'held' },
+      { _id: id(), amount: cap, status: 'rejected' }
+    );
+
+    const error = await assertWithinLimits(user._id, 'transfer', 1, 'XOF').catch(err => err);
+
+    expect(error).toBeInstanceOf(LimitExceededError);
+    expect(error.allowance.daily.used).toBe(cap);
+  });
+
+  it('leaves out the transfer being settled', async () => {
+    const cap = LIMITS.unverified.transfer.daily;
+    const held = { _id: id(), amount: cap, status: 'held' };
+    transfers.push(held);
+
+    await expect(assertWithinLimits(user._id, 'transfer', cap, 'XOF', { exclude: held._id })).resolves.toBeDefined();
+  });
+
+  describe('withdrawals', () => {
+    const wallet = { _id: id(), walletType: 'seller', currency: 'XOF' };
+    const payoutAccount = { _id: id(), toDestination: () => ({ type: 'mobile_money', phone: '+22500000000' }), describe: () => 'MTN' };
+    let withdrawals;
+
+    beforeEach(() => {
+      user.isPhoneVerified = true;
+      withdrawals = [];
+      jest.spyOn(Withdrawal, 'aggregate').mockImplementation(aggregateOver(() => withdrawals));
+      jest.spyOn(Withdrawal, 'create').mockImplementation(async ([fields]) => [Withdrawal.hydrate({ _id: id(), ...fields })]);
+      jest.spyOn(Withdrawal.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      screenOperation.mockResolvedValue({ decision: 'allow' });
+      postEntry.mockResolvedValue({ _id: id() });
+    });
+
+    it('reserves a withdrawal within the limits', async () => {
+      await requestWithdrawal({ userId: user._id, wallet, amount: 1000, payoutAccount });
+
+      expect(postEntry).toHaveBeenCalledTimes(1);
+    });
+
+    it('checks the limits again in the transaction reserving the funds', async () => {
+      const cap = LIMITS.phone_verified.withdrawal.daily;
+      // Another withdrawal is reserved while this one is screened
+      screenOperation.mockImplementation(async () => {
+        withdrawals.push({ _id: id(), amount: cap, status: 'pending_review' });
+        return { decision: 'allow' };
+      });
+
+      await expect(requestWithdrawal({ userId: user._id, wallet, amount: 1000, payoutAccount }))
+        .rejects.toThrow('Daily withdrawal limit');
+      expect(Withdrawal.create).not.toHaveBeenCalled();
+      expect(postEntry).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/ledger.model');
+const Wallet = require('../models/wallet.model');
+const Transaction = require('../models/transaction.model');
+const { SYSTEM_ACCOUNTS, InsufficientFundsError, debit, credit, postEntry } = require('../services/ledger.service');
+const { runInTransaction } = require('../services/dbTransaction.service');
+
+const walletDoc = (balance) => new Wallet({
+  owner: new mongoose.Types.ObjectId(),
+  walletType: 'buyer',
+  currency: 'XOF',
+  balance
+});
+
+// A query whose .session() resolves to value, like Wallet.findById(...).session(...)
+const sessionQuery = (value) => ({ session: () => Promise.resolve(value) });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ledger entries', () => {
+  it('rejects an entry whose debits and credits do not balance', async () => {
+    const entry = new LedgerEntry({
+      reference: 'unbalanced',
+      kind: 'transfer',
+      description: 'Unbalanced',
+      lines: [
+        { account: SYSTEM_ACCOUNTS.EXTERNAL, direction: 'debit', amount: 100 },
+        { account: SYSTEM_ACCOUNTS.REVENUE, direction: 'credit', amount: 90 }
+      ]
+    });
+
+    await expect(entry.validate()).rejects.toThrow('Unbalanced ledger entry: debits 100, credits 90');
+  });
+
+  it('accepts a balanced entry', async () => {
+    const entry = new LedgerEntry({
+      reference: 'balanced',
+      kind: 'transfer',
+      description: 'Balanced',
+      lines: [
+        { account: SYSTEM_ACCOUNTS.EXTERNAL, direction: 'debit', amount: 100 },
+        { account: SYSTEM_ACCOUNTS.REVENUE, direction: 'credit', amount: 60 },
+        { account: SYSTEM_ACCOUNTS.ESCROW, direction: 'credit', amount: 40 }
+      ]
+    });
+
+    await expect(entry.validate()).resolves.toBeUndefined();
+  });
+
+  it('does not post an unbalanced entry to any wallet', async () => {
+    const applyTransaction = jest.spyOn(Wallet, 'applyTransaction');
+    const wallet = walletDoc(500);
+
+    await expect(postEntry({
+      kind: 'transfer',
+      description: 'Unbalanced',
+      lines: [debit(SYSTEM_ACCOUNTS.EXTERNAL, 100), credit(wallet, 90)]
+    })).rejects.toThrow('Unbalanced ledger entry');
+
+    expect(applyTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('wallet debits', () => {
+  it('only debits an active wallet whose balance covers the amount', async () => {
+    const findOneAndUpdate = jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue(null);
+    const createTransaction = jest.spyOn(Transaction, 'create');
+    const walletId = new mongoose.Types.ObjectId();
+
+    const updated = await Wallet.applyTransaction(walletId, { direction: 'debit', amount: 250 });
+
+    expect(updated).toBeNull();
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: walletId, isActive: true, balance: { $gte: 250 } },
+      { $inc: { balance: -250, transactionCount: 1 } },
+      expect.objectContaining({ new: true })
+    );
+    expect(createTransaction).not.toHaveBeenCalled();
+  });
+
+  it('throws InsufficientFundsError when the wallet cannot cover a debit', async () => {
+    const wallet = walletDoc(50);
+    jest.spyOn(LedgerEntry, 'create').mockResolvedValue([{ _id: new mongoose.Types.ObjectId(), createdAt: new Date() }]);
+    jest.spyOn(Wallet, 'applyTransaction').mockResolvedValue(null);
+    jest.spyOn(Wallet, 'findById').mockReturnValue(sessionQuery(wallet));
+
+    await expect(postEntry({
+      kind: 'transfer',
+      description: 'Too much',
+      lines: [debit(wallet, 100), credit(SYSTEM_ACCOUNTS.EXTERNAL, 100)]
+    })).rejects.toBeInstanceOf(InsufficientFundsError);
+  });
+
+  it('rolls the transaction back when a debit is short', async () => {
+    const session = {
+      withTransaction: jest.fn(async (work) => {
+        try {
+          await work();
+          session.committed = true;
+        } catch (err) {
+          session.aborted = true;
+          throw err;
+        }
+      }),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+
+    const payer = walletDoc(50);
+    const payee = walletDoc(0);
+    jest.spyOn(LedgerEntry, 'create').mockResolvedValue([{ _id: new mongoose.Types.ObjectId(), createdAt: new Date() }]);
+    const applyTransaction = jest.spyOn(Wallet, 'applyTransaction').mockResolvedValue(null);
+    jest.spyOn(Wallet, 'findById').mockReturnValue(sessionQuery(payer));
+
+    await expect(runInTransaction(txn => postEntry({
+      kind: 'transfer',
+      description: 'Too much',
+      lines: [debit(payer, 100), credit(payee, 100)]
+    }, txn))).rejects.toBeInstanceOf(InsufficientFundsError);
+
+    expect(session.aborted).toBe(true);
+    expect(session.committed).toBeUndefined();
+    expect(session.endSession).toHaveBeenCalled();
+    // The credit is never applied once the debit fails
+    expect(applyTransaction).toHaveBeenCalledTimes(1);
+    expect(applyTransaction).toHaveBeenCalledWith(payer._id, expect.objectContaining({ direction: 'debit' }), session);
+  });
+});
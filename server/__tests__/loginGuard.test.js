@@ -0,0 +1,106 @@
+const User = require('../models/user.model');
+const { setTransport } = require('../services/notification.service');
+const {
+  LoginBlockedError,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  listLockouts,
+  clearLockout
+} = require('../services/loginGuard.service');
+
+// Counters live in the per-process memory store, so each test uses its own
+// account and IP
+let attempt = 0;
+const nextAttempt = () => {
+  attempt++;
+  return { account: `user${attempt}@example.com`, ip: `10.0.0.${attempt}` };
+};
+
+const fail = async (login, times) => {
+  for (let i = 0; i < times; i++) {
+    await recordLoginFailure(login);
+  }
+};
+
+describe('login throttling', () => {
+  let sent;
+
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date('2026-01-01T12:00:00Z'));
+    sent = jest.fn().mockResolvedValue({ delivered: true });
+    setTransport('email', sent);
+    jest.spyOn(User, 'findOne').mockResolvedValue({ email: 'locked@example.com' });
+  });
+
+  afterEach(() => {
+    setTransport('email', null);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('lets the first failures through and then delays the next attempt', async () => {
+    const login = nextAttempt();
+
+    await fail(login, 3);
+    await expect(assertLoginAllowed(login)).resolves.toBeUndefined();
+
+    await fail(login, 1);
+    await expect(assertLoginAllowed(login)).rejects.toMatchObject({ retryAfter: 1, locked: false });
+
+    await fail(login, 1);
+    await expect(assertLoginAllowed(login)).rejects.toMatchObject({ retryAfter: 2 });
+
+    jest.advanceTimersByTime(2000);
+    await expect(assertLoginAllowed(login)).resolves.toBeUndefined();
+  });
+
+  it('locks the account after ten failures and tells its owner', async () => {
+    const login = nextAttempt();
+
+    await fail(login, 10);
+
+    const error = await assertLoginAllowed({ account: login.account }).catch(err => err);
+    expect(error).toBeInstanceOf(LoginBlockedError);
+    expect(error.locked).toBe(true);
+    expect(error.message).toBe('Too many failed attempts. Try again in 30 minutes');
+    expect(sent).toHaveBeenCalledWith(expect.objectContaining({ to: 'locked@example.com', subject: 'Your Super~Up account has been locked' }));
+
+    jest.advanceTimersByTime(30 * 60 * 1000);
+    await expect(assertLoginAllowed({ account: login.account })).resolves.toBeUndefined();
+  });
+
+  it('starts the account over after a successful login', async () => {
+    const login = nextAttempt();
+
+    await fail(login, 3);
+    await recordLoginSuccess(login);
+    await fail(login, 3);
+
+    await expect(assertLoginAllowed({ account: login.account })).resolves.toBeUndefined();
+  });
+
+  it('throttles an IP trying many accounts', async () => {
+    const { ip } = nextAttempt();
+
+    for (let i = 0; i < 11; i++) {
+      await recordLoginFailure({ account: `${ip}-target${i}@example.com`, ip });
+    }
+
+    await expect(assertLoginAllowed({ account: 'fresh@example.com', ip })).rejects.toBeInstanceOf(LoginBlockedError);
+    await expect(assertLoginAllowed({ account: 'fresh@example.com', ip: '10.9.9.9' })).resolves.toBeUndefined();
+  });
+
+  it('lets an admin list and clear lockouts', async () => {
+    const login = nextAttempt();
+    await fail(login, 10);
+
+    expect(await listLockouts()).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'account', id: login.account, failures: 10, locked: true })
+    ]));
+
+    await clearLockout('account', login.account);
+    await expect(assertLoginAllowed({ account: login.account })).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,55 @@
+const { sendEmail, sendSms, setTransport } = require('../services/notification.service');
+
+const ENV = { ...process.env };
+
+beforeEach(() => {
+  delete process.env.EMAIL_TRANSPORT;
+  delete process.env.SMS_TRANSPORT;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  process.env = { ...ENV };
+  setTransport('email', null);
+  setTransport('sms', null);
+  jest.restoreAllMocks();
+});
+
+describe('console transport', () => {
+  it('prints the whole message outside production so codes and links can be used', async () => {
+    process.env.NODE_ENV = 'development';
+
+    await sendSms('+22500000000', 'Your login code is 482913');
+    await sendEmail('buyer@example.com', 'Reset your password', 'Open http://localhost:3000/reset-password/abc123');
+
+    expect(console.log).toHaveBeenCalledWith('[sms] to +22500000000: Your login code is 482913');
+    expect(console.log).toHaveBeenCalledWith(
+      '[email] to buyer@example.com: Reset your password - Open http://localhost:3000/reset-password/abc123'
+    );
+  });
+
+  it('refuses to send in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    await expect(sendSms('+22500000000', 'Your login code is 482913')).rejects.toThrow('No sms transport configured');
+    expect(console.log).not.toHaveBeenCalled();
+  });
+});
+
+describe('configured transports', () => {
+  it('fails when a provider is missing its settings', async () => {
+    process.env.EMAIL_TRANSPORT = 'sendgrid';
+    delete process.env.SENDGRID_API_KEY;
+
+    await expect(sendEmail('buyer@example.com', 'Hi', 'Hello')).rejects.toThrow('EMAIL_TRANSPORT=sendgrid needs SENDGRID_API_KEY');
+  });
+
+  it('uses a transport set in code instead of the configured one', async () => {
+    const transport = jest.fn().mockResolvedValue({ delivered: true });
+    setTransport('email', transport);
+
+    await sendEmail('buyer@example.com', 'Hi', 'Hello');
+
+    expect(transport).toHaveBeenCalledWith({ to: 'buyer@example.com', subject: 'Hi', text: 'Hello' });
+  });
+});
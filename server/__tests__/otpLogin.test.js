@@ -0,0 +1,122 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Wallet = require('../models/wallet.model');
+const Session = require('../models/session.model');
+const ExchangeRate = require('../models/exchangeRate.model');
+const { setTransport } = require('../services/notification.service');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth/otp', require('../routes/otp.routes'));
+  return app;
+};
+
+// Throttle counters are kept per phone for the whole file, so each test
+// signs in with its own number
+let phones = 0;
+
+describe('phone OTP login', () => {
+  let app;
+  let user;
+  let sms;
+
+  const codeFromSms = () => sms.mock.calls[sms.mock.calls.length - 1][0].text.match(/\d{6}/)[0];
+  const requestCode = () => request(app).post('/api/auth/otp/request').send({ phone: user.phone });
+  const verify = (code) => request(app).post('/api/auth/otp/verify').send({ phone: user.phone, code });
+
+  beforeEach(() => {
+    app = buildApp();
+    phones++;
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Buyer',
+      email: `buyer${phones}@example.com`,
+      phone: `+2250100000${phones}`,
+      roles: ['buyer'],
+      isVerified: false,
+      isPhoneVerified: false
+    });
+
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ phone }) => (phone === user.phone ? user : null));
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Wallet, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([]);
+    sms = jest.fn().mockResolvedValue({ delivered: true });
+    setTransport('sms', sms);
+  });
+
+  afterEach(() => {
+    setTransport('sms', null);
+    jest.restoreAllMocks();
+  });
+
+  it('signs in with the code sent by SMS, once', async () => {
+    await requestCode();
+    const code = codeFromSms();
+
+    const response = await verify(code);
+
+    expect(response.status).toBe(200);
+    expect(response.body.token).toBeDefined();
+    expect(response.body.refreshToken).toBeDefined();
+    expect(user.isPhoneVerified).toBe(true);
+
+    const replay = await verify(code);
+    expect(replay.status).toBe(400);
+  });
+
+  it('refuses a wrong code and counts the attempt', async () => {
+    await requestCode();
+    const code = codeFromSms();
+
+    const response = await verify(code === '000000' ? '111111' : '000000');
+
+    expect(response.status).toBe(400);
+    expect(user.loginOtp.attempts).toBe(1);
+  });
+
+  it('asks for a new code once the attempts are used up', async () => {
+    await requestCode();
+    const code = codeFromSms();
+    user.loginOtp.attempts = 5;
+
+    const response = await verify(code);
+
+    expect(response.status).toBe(429);
+    expect(response.body.msg).toBe('Too many attempts. Please request a new code');
+  });
+
+  it('refuses an expired code', async () => {
+    await requestCode();
+    const code = codeFromSms();
+    user.loginOtp.expiresAt = new Date(Date.now() - 1000);
+
+    expect((await verify(code)).status).toBe(400);
+  });
+
+  it('waits between two codes for the same phone', async () => {
+    await requestCode();
+    const again = await requestCode();
+
+    expect(again.status).toBe(429);
+    expect(sms).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not send codes to staff accounts or reveal them', async () => {
+    user.roles = ['admin'];
+
+    const response = await requestCode();
+
+    expect(response.status).toBe(200);
+    expect(response.body.msg).toBe('If this phone number has an account, a code has been sent');
+    expect(sms).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/ledger.service', () => ({
+  ...jest.requireActual('../services/ledger.service'),
+  postEntry: jest.fn()
+}));
+jest.mock('../services/dbTransaction.service', () => ({
+  ...jest.requireActual('../services/dbTransaction.service'),
+  runInTransaction: (work) => work(null)
+}));
+jest.mock('../services/socket.service', () => ({
+  emitToUser: jest.fn()
+}));
+
+const PromoGrant = require('../models/promoGrant.model');
+const EscrowHold = require('../models/escrow.model');
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const Wallet = require('../models/wallet.model');
+const { SYSTEM_ACCOUNTS, postEntry } = require('../services/ledger.service');
+const { grantPromoCredit, expirePromoCredit } = require('../services/promo.service');
+const { payOrder } = require('../services/escrow.service');
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+// A query resolving to rows, whichever way the service reads it
+const query = (rows) => {
+  const result = Promise.resolve(rows);
+  return Object.assign(result, {
+    select: () => query(rows),
+    sort: () => query(rows),
+    limit: () => query(rows),
+    session: () => query(rows)
+  });
+};
+
+// Ledger movements of every posted entry, as [account, direction, amount]
+const postedLines = () => postEntry.mock.calls.map(([entry]) => entry.lines.map(line => [
+  typeof line.target === 'string' ? line.target : (line.target.promo ? 'promo' : 'cash'),
+  line.direction,
+  line.amount
+]));
+
+describe('promo credit', () => {
+  const wallet = { _id: id(), owner: id(), walletType: 'buyer', currency: 'XOF', balance: 10000 };
+  let grants;
+
+  const grant = (remaining, expiresInDays) => {
+    const created = PromoGrant.hydrate({
+      _id: id(),
+      wallet: wallet._id,
+      owner: wallet.owner,
+      amount: remaining,
+      remaining,
+      source: 'admin',
+      description: 'Welcome credit',
+      status: 'active',
+      expiresAt: new Date(Date.now() + expiresInDays * DAY)
+    });
+    grants.push(created);
+    return created;
+  };
+
+  beforeEach(() => {
+    grants = [];
+    // Active grants matching the expiry filter, soonest-expiring first
+    jest.spyOn(PromoGrant, 'find').mockImplementation(({ expiresAt }) => query(grants
+      .filter(candidate => candidate.status === 'active')
+      .filter(candidate => (expiresAt.$gt ? candidate.expiresAt > expiresAt.$gt : candidate.expiresAt <= expiresAt.$lte))
+      .sort((a, b) => a.expiresAt - b.expiresAt)));
+    jest.spyOn(PromoGrant, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const found = grants.find(candidate => candidate._id.equals(filter._id) && candidate.status === filter.status);
+      if (!found) {
+        return null;
+      }
+      const before = PromoGrant.hydrate(found.toObject());
+      Object.assign(found, update);
+      return before;
+    });
+    jest.spyOn(PromoGrant.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Wallet, 'findById').mockImplementation(() => query(wallet));
+    postEntry.mockResolvedValue({ _id: id(), reference: 'ref_1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('spending on an order', () => {
+    let order;
+
+    beforeEach(() => {
+      order = Order.hydrate({
+        _id: id(),
+        buyer: wallet.owner,
+        items: [],
+        totalAmount: 5000,
+        currency: 'XOF',
+        paymentMethod: 'wallet',
+        status: 'pending'
+      });
+      jest.spyOn(Order.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Product, 'find').mockImplementation(() => query([]));
+      jest.spyOn(EscrowHold, 'create').mockImplementation(async ([fields]) => [fields]);
+    });
+
+    it('spends promo credit before the cash balance', async () => {
+      const first = grant(2000, 20);
+      const second = grant(1500, 5);
+
+      const paid = await payOrder(order, wallet);
+
+      expect(postedLines()).toEqual([[
+        ['promo', 'debit', 3500],
+        ['cash', 'debit', 1500],
+        [SYSTEM_ACCOUNTS.ESCROW, 'credit', 5000]
+      ]]);
+      expect(paid.promoCreditUsed).toBe(3500);
+      expect([first.status, second.status]).toEqual(['used', 'used']);
+    });
+
+    it('takes nothing from the cash balance when promo credit covers the order, soonest-expiring first', async () => {
+      const later = grant(4000, 20);
+      const sooner = grant(3000, 5);
+
+      await payOrder(order, wallet);
+
+      expect(postedLines()).toEqual([[['promo', 'debit', 5000], [SYSTEM_ACCOUNTS.ESCROW, 'credit', 5000]]]);
+      expect(sooner.status).toBe('used');
+      expect(later.remaining).toBe(2000);
+      expect(later.status).toBe('active');
+    });
+
+    it('does not spend credit past its expiry before it is swept', async () => {
+      grant(3000, -1);
+
+      await payOrder(order, wallet);
+
+      expect(postedLines()).toEqual([[['cash', 'debit', 5000], [SYSTEM_ACCOUNTS.ESCROW, 'credit', 5000]]]);
+    });
+  });
+
+  it('returns what is left of expired grants to system:promotions, once', async () => {
+    const expired = grant(1200, -1);
+    grant(800, 10);
+
+    await expect(expirePromoCredit()).resolves.toBe(1);
+
+    expect(expired.status).toBe('expired');
+    expect(postedLines()).toEqual([[['promo', 'debit', 1200], [SYSTEM_ACCOUNTS.PROMOTIONS, 'credit', 1200]]]);
+
+    await expect(expirePromoCredit()).resolves.toBe(0);
+    expect(postEntry).toHaveBeenCalledTimes(1);
+  });
+
+  it('only grants promo credit to buyer wallets', async () => {
+    await expect(grantPromoCredit({ wallet: { ...wallet, walletType: 'seller' }, amount: 1000, source: 'admin' }))
+      .rejects.toThrow('Promo credit can only be granted to buyer wallets');
+    expect(postEntry).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const ReconciliationReport = require('../models/reconciliation.model');
+const Transaction = require('../models/transaction.model');
+const Wallet = require('../models/wallet.model');
+const Order = require('../models/order.model');
+const EscrowHold = require('../models/escrow.model');
+const Withdrawal = require('../models/withdrawal.model');
+const { runReconciliation } = require('../services/reconciliation.service');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A query resolving to rows, whichever way the service reads it
+const query = (rows) => {
+  const result = Promise.resolve(rows);
+  return Object.assign(result, {
+    select: () => query(rows),
+    distinct: (field) => Promise.resolve(rows.map(row => row[field])),
+    cursor: async function* () {
+      yield* rows;
+    }
+  });
+};
+
+describe('reconciliation', () => {
+  let wallets;
+  let totals;
+  let orders;
+  let credits;
+  let pending;
+  let openWithdrawals;
+
+  const kinds = (report) => report.discrepancies.map(discrepancy => discrepancy.kind);
+
+  beforeEach(() => {
+    wallets = [];
+    totals = [];
+    orders = [];
+    credits = [];
+    pending = [];
+    openWithdrawals = [];
+
+    jest.spyOn(ReconciliationReport, 'create').mockImplementation(async (fields) => ReconciliationReport.hydrate({ _id: id(), ...fields }));
+    jest.spyOn(ReconciliationReport.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Transaction, 'aggregate').mockImplementation(async ([{ $match }]) =>
+      totals.filter(total => !$match.wallet || total._id.equals($match.wallet))
+    );
+    jest.spyOn(Wallet, 'find').mockImplementation(() => query(wallets));
+    jest.spyOn(Wallet, 'findById').mockImplementation((walletId) => query(wallets.find(wallet => wallet._id.equals(walletId))));
+    jest.spyOn(Wallet, 'exists').mockResolvedValue(null);
+    jest.spyOn(Order, 'find').mockImplementation(() => query(orders));
+    jest.spyOn(EscrowHold, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Transaction, 'find').mockImplementation((filter) => query(filter.status === 'pending' ? pending : credits));
+    jest.spyOn(Withdrawal, 'find').mockImplementation(() => query(openWithdrawals));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports a wallet whose balance does not match its transactions', async () => {
+    const balanced = { _id: id(), owner: id(), walletType: 'buyer', balance: 1500, promoBalance: 0, transactionCount: 2 };
+    const drifted = { _id: id(), owner: id(), walletType: 'seller', balance: 900, promoBalance: 0, transactionCount: 3 };
+    wallets = [balanced, drifted];
+    totals = [
+      { _id: balanced._id, completed: 1000, pending: 500, promo: 0 },
+      { _id: drifted._id, completed: 1000, pending: 0, promo: 0 }
+    ];
+
+    const report = await runReconciliation();
+
+    expect(report.status).toBe('completed');
+    expect(report.walletsChecked).toBe(2);
+    expect(report.discrepancies).toHaveLength(1);
+    expect(report.discrepancies[0]).toMatchObject({ kind: 'balance_mismatch', wallet: drifted._id, actual: 900 });
+  });
+
+  it('checks promo credit against the promo transactions', async () => {
+    const wallet = { _id: id(), owner: id(), walletType: 'buyer', balance: 0, promoBalance: 2000, transactionCount: 1 };
+    wallets = [wallet];
+    totals = [{ _id: wallet._id, completed: 0, pending: 0, promo: 1500 }];
+
+    expect(kinds(await runReconciliation())).toEqual(['promo_balance_mismatch']);
+  });
+
+  it('reports duplicate seller credits and missing refunds', async () => {
+    const seller = id();
+    const delivered = { _id: id(), status: 'delivered', items: [], adminFee: 0 };
+    const cancelled = { _id: id(), status: 'cancelled', paymentStatus: 'refunded', buyer: id(), items: [] };
+    orders = [delivered, cancelled];
+    jest.spyOn(EscrowHold, 'find').mockImplementation(() => query([{ order: delivered._id, sellers: [{ seller, amount: 1000 }] }]));
+    const sellerCredit = () => ({ _id: id(), relatedOrder: delivered._id, walletType: 'seller', type: 'deposit', owner: seller, description: 'Sale' });
+    credits = [sellerCredit(), sellerCredit()];
+
+    const report = await runReconciliation();
+
+    expect(report.ordersChecked).toBe(2);
+    expect(report.discrepancies).toEqual([
+      expect.objectContaining({ kind: 'duplicate_seller_credit', order: delivered._id, actual: 2 }),
+      expect.objectContaining({ kind: 'missing_refund', order: cancelled._id, actual: 0 })
+    ]);
+  });
+
+  it('reports old pending transactions without an open withdrawal', async () => {
+    const createdAt = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    pending = [
+      { _id: id(), reference: 'WD-OPEN', type: 'withdrawal', amount: 500, createdAt },
+      { _id: id(), reference: 'WD-LOST', type: 'withdrawal', amount: 700, createdAt }
+    ];
+    openWithdrawals = [{ reference: 'WD-OPEN' }];
+
+    const report = await runReconciliation();
+
+    expect(report.pendingChecked).toBe(2);
+    expect(report.discrepancies).toEqual([
+      expect.objectContaining({ kind: 'orphaned_pending_transaction', transaction: pending[1]._id })
+    ]);
+  });
+
+  it('runs the scheduled reconciliation once per day', async () => {
+    ReconciliationReport.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(runReconciliation({ trigger: 'scheduled', runKey: '2026-01-01' })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Session = require('../models/session.model');
+const { issueTokens } = require('../services/token.service');
+
+const CHROME_ON_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0 Safari/537.36';
+const SAFARI_ON_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth.routes'));
+  return app;
+};
+
+// Sign in from a device, as the login route does
+const signIn = (user, userAgent) => issueTokens(user, { ip: '127.0.0.1', get: () => userAgent });
+
+describe('session management', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), roles: ['buyer'] };
+  let sessions;
+
+  const active = () => [...sessions.values()].filter(session => !session.revokedAt);
+
+  beforeEach(() => {
+    sessions = new Map();
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+      sessions.set(this._id.toString(), this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session, 'findById').mockImplementation(async (id) => sessions.get(id.toString()) || null);
+    jest.spyOn(Session, 'findOne').mockImplementation(async ({ _id, user: owner }) => {
+      const session = sessions.get(_id.toString());
+      return session && session.user.equals(owner) ? session : null;
+    });
+    jest.spyOn(Session, 'find').mockImplementation(() => ({ sort: () => Promise.resolve(active()) }));
+    jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists the active sessions with their devices, marking the current one', async () => {
+    const laptop = await signIn(user, CHROME_ON_WINDOWS);
+    await signIn(user, SAFARI_ON_IPHONE);
+
+    const response = await request(buildApp()).get('/api/auth/sessions').set('x-auth-token', laptop.token);
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(session => [session.device, session.current])).toEqual([
+      ['Chrome on Windows', true],
+      ['Safari on iOS', false]
+    ]);
+  });
+
+  it('signs a revoked device out', async () => {
+    const laptop = await signIn(user, CHROME_ON_WINDOWS);
+    const phone = await signIn(user, SAFARI_ON_IPHONE);
+    const phoneSession = phone.refreshToken.split('.')[0];
+
+    const revoked = await request(buildApp()).delete(`/api/auth/sessions/${phoneSession}`).set('x-auth-token', laptop.token);
+    const afterwards = await request(buildApp()).get('/api/auth/sessions').set('x-auth-token', phone.token);
+
+    expect(revoked.body).toEqual({ msg: 'Session revoked', current: false });
+    expect(sessions.get(phoneSession).revokedReason).toBe('revoked_by_user');
+    expect(afterwards.status).toBe(401);
+  });
+
+  it("does not reveal or revoke another user's session", async () => {
+    const laptop = await signIn(user, CHROME_ON_WINDOWS);
+    const other = await signIn({ _id: new mongoose.Types.ObjectId(), roles: ['buyer'] }, SAFARI_ON_IPHONE);
+    const otherSession = other.refreshToken.split('.')[0];
+
+    const response = await request(buildApp()).delete(`/api/auth/sessions/${otherSession}`).set('x-auth-token', laptop.token);
+
+    expect(response.status).toBe(404);
+    expect(sessions.get(otherSession).revokedAt).toBeUndefined();
+  });
+});
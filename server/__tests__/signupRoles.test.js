@@ -0,0 +1,87 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/user.model');
+const Wallet = require('../models/wallet.model');
+const Session = require('../models/session.model');
+const AuditLog = require('../models/audit.model');
+const { setTransport } = require('../services/notification.service');
+const { resolveSignupRoles } = require('../services/role.service');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth.routes'));
+  return app;
+};
+
+const signup = (fields) => request(buildApp()).post('/api/auth/register').send({
+  name: 'New User',
+  email: 'new@example.com',
+  password: 'secret123',
+  phone: '+22500000003',
+  ...fields
+});
+
+describe('signup roles', () => {
+  let saved;
+  let wallets;
+
+  beforeEach(() => {
+    saved = null;
+    wallets = [];
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      saved = this;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Wallet.prototype, 'save').mockImplementation(function() {
+      wallets.push(this.walletType);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(AuditLog, 'create').mockImplementation(async ([fields]) => [fields]);
+    setTransport('sms', jest.fn().mockResolvedValue({ delivered: true }));
+  });
+
+  afterEach(() => {
+    setTransport('sms', null);
+    jest.restoreAllMocks();
+  });
+
+  it('grants the buyer role by default', async () => {
+    const response = await signup();
+
+    expect(response.status).toBe(200);
+    expect(response.body.token).toBeDefined();
+    expect(saved.roles).toEqual(['buyer']);
+    expect(wallets).toEqual(['buyer']);
+  });
+
+  it('refuses privileged roles and records the attempt', async () => {
+    const response = await signup({ roles: ['buyer', 'admin'] });
+
+    expect(response.status).toBe(403);
+    expect(saved).toBeNull();
+    expect(AuditLog.create).toHaveBeenCalledWith([expect.objectContaining({
+      action: 'role.signup_denied',
+      details: expect.objectContaining({ denied: ['admin'] })
+    })], { session: null });
+  });
+
+  it('opens seller and delivery requests as applications', async () => {
+    const response = await signup({ roles: ['seller'], sellerInfo: { businessName: 'Shop' } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.pendingRoles).toEqual(['seller']);
+    expect(saved.roles).toEqual(['buyer']);
+    expect(saved.sellerInfo.applicationStatus).toBe('pending');
+    expect(saved.sellerInfo.businessName).toBe('Shop');
+    expect(wallets).toEqual(['buyer']);
+  });
+
+  it('treats a single role string like a list', () => {
+    expect(resolveSignupRoles('customer_service')).toEqual({ granted: ['buyer'], pending: [], denied: ['customer_service'] });
+  });
+});
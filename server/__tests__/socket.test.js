@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Session = require('../models/session.model');
+const Order = require('../models/order.model');
+const { issueTokens, revokeSession } = require('../services/token.service');
+const { initSocket } = require('../services/socket.service');
+
+// Stand-in for the socket.io server recording middleware and room operations
+const fakeServer = () => {
+  const server = {
+    middleware: null,
+    disconnected: [],
+    use: (fn) => { server.middleware = fn; },
+    on: jest.fn(),
+    in: (room) => ({ disconnectSockets: () => server.disconnected.push(room) })
+  };
+  return server;
+};
+
+const authenticate = (server, token) => new Promise(resolve => {
+  const socket = { handshake: { auth: { token } } };
+  server.middleware(socket, (err) => resolve({ err, socket }));
+});
+
+const user = { _id: new mongoose.Types.ObjectId(), roles: ['buyer'] };
+let server;
+let sessions;
+
+beforeEach(() => {
+  server = fakeServer();
+  initSocket(server);
+
+  sessions = new Map();
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+    sessions.set(this._id.toString(), this);
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Session, 'findById').mockImplementation(async (id) => sessions.get(id.toString()) || null);
+  jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+  jest.spyOn(Order, 'find').mockReturnValue({ distinct: () => Promise.resolve([]) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('socket authentication', () => {
+  it('refuses a connection without a token', async () => {
+    const { err } = await authenticate(server);
+
+    expect(err.message).toBe('No token, authorization denied');
+  });
+
+  it('refuses a forged token', async () => {
+    const { err } = await authenticate(server, 'not-a-jwt');
+
+    expect(err.message).toBe('Token is not valid');
+  });
+
+  it('accepts a token whose session is active', async () => {
+    const { token } = await issueTokens(user);
+    const { err, socket } = await authenticate(server, token);
+
+    expect(err).toBeUndefined();
+    expect(socket.user.id).toBe(user._id.toString());
+  });
+
+  it('refuses a token whose session was revoked', async () => {
+    const { token } = await issueTokens(user);
+    const [session] = sessions.values();
+    await revokeSession(session._id, 'revoked_by_user');
+
+    const { err } = await authenticate(server, token);
+
+    expect(err.message).toBe('Session has expired or was revoked');
+  });
+
+  it('disconnects the sockets of a revoked session', async () => {
+    await issueTokens(user);
+    const [session] = sessions.values();
+
+    await revokeSession(session._id, 'revoked_by_user');
+
+    expect(server.disconnected).toEqual([`session:${session._id}`]);
+  });
+});
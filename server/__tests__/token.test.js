@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/twoFactor.service', () => ({
+  ...jest.requireActual('../services/twoFactor.service'),
+  isTwoFactorRequired: jest.fn()
+}));
+
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const { isTwoFactorRequired } = require('../services/twoFactor.service');
+const { issueTokens, refreshTokens } = require('../services/token.service');
+
+const user = { _id: new mongoose.Types.ObjectId(), roles: ['buyer'] };
+
+// In-memory sessions; findOneAndUpdate applies the update only when the
+// stored session matches the filter, as MongoDB would
+let sessions;
+
+const matches = (stored, filter) => stored._id.equals(filter._id)
+  && stored.refreshTokenHash === filter.refreshTokenHash
+  && !stored.revokedAt
+  && stored.expiresAt > filter.expiresAt.$gt;
+
+beforeEach(() => {
+  sessions = new Map();
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+    sessions.set(this._id.toString(), this.toObject());
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Session, 'findById').mockImplementation(async (id) => {
+    const stored = sessions.get(id.toString());
+    return stored ? Session.hydrate({ ...stored }) : null;
+  });
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const stored = sessions.get(filter._id.toString());
+    if (!stored || !matches(stored, filter)) {
+      return null;
+    }
+    Object.assign(stored, update);
+    return Session.hydrate({ ...stored });
+  });
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+  isTwoFactorRequired.mockResolvedValue(false);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const storedSession = () => [...sessions.values()][0];
+
+describe('refreshTokens', () => {
+  it('rotates the refresh token', async () => {
+    const { refreshToken } = await issueTokens(user);
+
+    const refreshed = await refreshTokens(refreshToken);
+
+    expect(refreshed.refreshToken).not.toBe(refreshToken);
+    expect(refreshed.refreshToken.split('.')[0]).toBe(refreshToken.split('.')[0]);
+    await expect(refreshTokens(refreshed.refreshToken)).resolves.toHaveProperty('token');
+  });
+
+  it('revokes the session when a rotated token is presented again', async () => {
+    const { refreshToken } = await issueTokens(user);
+    const refreshed = await refreshTokens(refreshToken);
+
+    await expect(refreshTokens(refreshToken)).rejects.toThrow('Refresh token has already been used');
+    expect(storedSession().revokedReason).toBe('refresh_token_reuse');
+    await expect(refreshTokens(refreshed.refreshToken)).rejects.toThrow('Session has expired or was revoked');
+  });
+
+  it('lets only one of two concurrent refreshes with the same token succeed', async () => {
+    const { refreshToken } = await issueTokens(user);
+
+    const results = await Promise.allSettled([refreshTokens(refreshToken), refreshTokens(refreshToken)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(storedSession().revokedReason).toBe('refresh_token_reuse');
+  });
+
+  it('rejects a malformed token', async () => {
+    await expect(refreshTokens('garbage')).rejects.toThrow('Invalid refresh token');
+  });
+
+  it('revokes the session when the account now requires two-factor', async () => {
+    const { refreshToken } = await issueTokens(user);
+    isTwoFactorRequired.mockResolvedValue(true);
+
+    await expect(refreshTokens(refreshToken)).rejects.toThrow('Two-factor authentication is now required');
+    expect(storedSession().revokedReason).toBe('two_factor_required');
+  });
+});
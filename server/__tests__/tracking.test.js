@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/socket.service', () => ({
+  emitToOrder: jest.fn()
+}));
+
+const Order = require('../models/order.model');
+const User = require('../models/user.model');
+const { emitToOrder } = require('../services/socket.service');
+const { estimateArrival, buildTrackingSnapshot, broadcastAgentLocation } = require('../services/tracking.service');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// 0.1 degree of latitude north of the address, about 11 km
+const ADDRESS = { latitude: 5.3, longitude: -4.0 };
+const NEARBY = { latitude: 5.4, longitude: -4.0 };
+
+describe('delivery tracking', () => {
+  const agent = { _id: id(), name: 'Courier', phone: '+2250700000000', deliveryInfo: { currentLocation: NEARBY } };
+
+  const orderIn = (deliveryStatus) => Order.hydrate({
+    _id: id(),
+    buyer: id(),
+    deliveryAgent: agent._id,
+    deliveryStatus,
+    status: 'shipped',
+    shippingAddress: { coordinates: ADDRESS }
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date('2026-01-01T12:00:00Z'));
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(agent) });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('estimates arrival from the straight-line distance at courier speed', () => {
+    expect(estimateArrival(NEARBY, ADDRESS)).toEqual({
+      distanceKm: 11.12,
+      minutes: 27,
+      arrivalAt: new Date('2026-01-01T12:27:00Z')
+    });
+    expect(estimateArrival(NEARBY, {})).toBeNull();
+  });
+
+  it('shares the agent position while the order is on its way', async () => {
+    const snapshot = await buildTrackingSnapshot(orderIn('in_transit'));
+
+    expect(snapshot.agent).toEqual({ id: agent._id, name: 'Courier', phone: '+2250700000000' });
+    expect(snapshot.location).toEqual(NEARBY);
+    expect(snapshot.eta.minutes).toBe(27);
+  });
+
+  it('stops sharing the agent position once the order is delivered', async () => {
+    const snapshot = await buildTrackingSnapshot(orderIn('delivered'));
+
+    expect(snapshot.deliveryStatus).toBe('delivered');
+    expect(snapshot.location).toBeNull();
+    expect(snapshot.agent).toBeUndefined();
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  it('pushes a new position to each order the agent is delivering', async () => {
+    const orders = [orderIn('picked_up'), orderIn('in_transit')];
+    const find = jest.spyOn(Order, 'find').mockReturnValue({ select: () => Promise.resolve(orders) });
+
+    await expect(broadcastAgentLocation(agent._id, NEARBY)).resolves.toBe(2);
+
+    expect(find).toHaveBeenCalledWith({ deliveryAgent: agent._id, deliveryStatus: { $in: ['assigned', 'picked_up', 'in_transit'] } });
+    expect(emitToOrder).toHaveBeenCalledTimes(2);
+    expect(emitToOrder).toHaveBeenCalledWith(orders[1]._id, 'deliveryLocation', expect.objectContaining({
+      deliveryStatus: 'in_transit',
+      location: NEARBY,
+      eta: expect.objectContaining({ minutes: 27 })
+    }));
+  });
+});
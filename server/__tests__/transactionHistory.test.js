@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/transaction.model');
+const { listTransactions, buildStatement, statementCsv } = require('../services/transactionHistory.service');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('transaction history', () => {
+  const wallet = { _id: id(), walletType: 'buyer', currency: 'XOF' };
+  let stored;
+
+  // Transactions matching the sequence cursor, sorted and limited as MongoDB would
+  const fakeFind = () => jest.spyOn(Transaction, 'find').mockImplementation((filter) => {
+    const matching = stored.filter(transaction => !filter.sequence || transaction.sequence < filter.sequence.$lt);
+    return {
+      sort: ({ sequence }) => {
+        const sorted = [...matching].sort((a, b) => (a.sequence - b.sequence) * sequence);
+        const result = Promise.resolve(sorted);
+        return Object.assign(result, { limit: (count) => Promise.resolve(sorted.slice(0, count)) });
+      }
+    };
+  });
+
+  beforeEach(() => {
+    stored = [1, 2, 3, 4, 5].map(sequence => ({ sequence, reference: `TX-${sequence}` }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pages newest first with a cursor', async () => {
+    fakeFind();
+
+    const first = await listTransactions(wallet, { limit: 2 });
+    const second = await listTransactions(wallet, { limit: 2, cursor: first.nextCursor });
+    const last = await listTransactions(wallet, { limit: 2, cursor: second.nextCursor });
+
+    expect(first.transactions.map(transaction => transaction.sequence)).toEqual([5, 4]);
+    expect(second.transactions.map(transaction => transaction.sequence)).toEqual([3, 2]);
+    expect(last.transactions.map(transaction => transaction.sequence)).toEqual([1]);
+    expect(last.nextCursor).toBeNull();
+  });
+
+  it('keeps pages stable while new transactions arrive', async () => {
+    fakeFind();
+
+    const first = await listTransactions(wallet, { limit: 2 });
+    stored.push({ sequence: 6, reference: 'TX-6' });
+    const second = await listTransactions(wallet, { limit: 2, cursor: first.nextCursor });
+
+    expect(second.transactions.map(transaction => transaction.sequence)).toEqual([3, 2]);
+  });
+
+  it('filters by type, balance and date, a bare end day covering the whole day', async () => {
+    const find = fakeFind();
+
+    await listTransactions(wallet, { type: 'deposit', balanceType: 'cash', from: '2026-09-01', to: '2026-09-30' });
+
+    expect(find).toHaveBeenCalledWith({
+      wallet: wallet._id,
+      type: 'deposit',
+      balanceType: { $ne: 'promo' },
+      createdAt: { $gte: new Date('2026-09-01T00:00:00Z'), $lt: new Date('2026-10-01T00:00:00Z') }
+    });
+  });
+
+  describe('monthly statements', () => {
+    const transactions = [
+      { createdAt: new Date('2026-09-03T10:00:00Z'), reference: 'TX-1', type: 'deposit', description: 'Mobile money deposit', status: 'completed', direction: 'credit', amount: 5000, balanceAfter: 6000 },
+      { createdAt: new Date('2026-09-10T10:00:00Z'), reference: 'TX-2', type: 'payment', description: 'Payment for order, "express"', status: 'completed', direction: 'debit', amount: 2500, balanceAfter: 3500 }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(Transaction, 'balanceAt').mockResolvedValue(1000);
+      jest.spyOn(Transaction, 'find').mockReturnValue({ sort: () => Promise.resolve(transactions) });
+    });
+
+    it('totals the month from its opening balance', async () => {
+      const statement = await buildStatement(wallet, '2026-09', { name: 'Buyer', email: 'buyer@example.com' });
+
+      expect(Transaction.balanceAt).toHaveBeenCalledWith(wallet._id, new Date('2026-09-01T00:00:00Z'));
+      expect(Transaction.find).toHaveBeenCalledWith(expect.objectContaining({
+        balanceType: { $ne: 'promo' },
+        createdAt: { $gte: new Date('2026-09-01T00:00:00Z'), $lt: new Date('2026-10-01T00:00:00Z') }
+      }));
+      expect(statement).toMatchObject({ openingBalance: 1000, totalCredits: 5000, totalDebits: 2500, closingBalance: 3500 });
+    });
+
+    it('exports the statement as CSV with balance rows', async () => {
+      const csv = statementCsv(await buildStatement(wallet, '2026-09'));
+
+      expect(csv.split('\r\n')).toEqual([
+        'Date,Reference,Type,Description,Status,Debit,Credit,Balance',
+        '2026-09-01,,,Opening balance,,,,1000',
+        '2026-09-03T10:00:00.000Z,TX-1,deposit,Mobile money deposit,completed,,5000,6000',
+        '2026-09-10T10:00:00.000Z,TX-2,payment,"Payment for order, ""express""",completed,2500,,3500',
+        '2026-09-30,,,Closing balance,,2500,5000,3500',
+        ''
+      ]);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/ledger.service', () => ({
+  ...jest.requireActual('../services/ledger.service'),
+  postEntry: jest.fn(),
+  platformFeeAccount: jest.fn()
+}));
+jest.mock('../services/dbTransaction.service', () => ({
+  ...jest.requireActual('../services/dbTransaction.service'),
+  runInTransaction: (work) => work(null)
+}));
+jest.mock('../services/kyc.service', () => ({
+  assertWithinLimits: jest.fn()
+}));
+jest.mock('../services/fraud.service', () => ({
+  onHoldReviewed: jest.fn(),
+  screenOperation: jest.fn()
+}));
+jest.mock('../services/socket.service', () => ({
+  emitToUser: jest.fn()
+}));
+
+const Transfer = require('../models/transfer.model');
+const User = require('../models/user.model');
+const Wallet = require('../models/wallet.model');
+const ExchangeRate = require('../models/exchangeRate.model');
+const { SYSTEM_ACCOUNTS, postEntry, platformFeeAccount } = require('../services/ledger.service');
+const { onHoldReviewed, screenOperation } = require('../services/fraud.service');
+const { DAILY_AMOUNT_LIMIT, calculateFee, confirmTransfer } = require('../services/transfer.service');
+
+const id = () => new mongoose.Types.ObjectId();
+const { release: releaseHeldTransfer } = onHoldReviewed.mock.calls.find(([operation]) => operation === 'transfer')[1];
+
+// Whether a stored document matches a query filter, for the operators the
+// transfer service uses
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') {
+    return condition.some(branch => matches(doc, branch));
+  }
+  const value = doc[field];
+  if (condition instanceof mongoose.Types.ObjectId) {
+    return condition.equals(value);
+  }
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    return Object.entries(condition).every(([operator, operand]) => ({
+      $gt: () => value > operand,
+      $gte: () => value >= operand,
+      $ne: () => !(operand instanceof mongoose.Types.ObjectId ? operand.equals(value) : value === operand)
+    })[operator]());
+  }
+  return value === condition || (value instanceof mongoose.Types.ObjectId && value.equals(condition));
+});
+
+describe('transfers', () => {
+  const sender = { _id: id(), name: 'Sender' };
+  const recipient = { _id: id(), name: 'Recipient' };
+  const fromWallet = { _id: id(), owner: sender._id, currency: 'XOF' };
+  const toWallet = { _id: id(), owner: recipient._id, currency: 'XOF' };
+  let transfers;
+
+  // Store a transfer of the sender in memory
+  const storeTransfer = (fields) => {
+    const transfer = {
+      _id: id(),
+      sender: sender._id,
+      recipient: recipient._id,
+      fromWallet: fromWallet._id,
+      toWallet: toWallet._id,
+      fee: 0,
+      currency: 'XOF',
+      reference: `p2p_${transfers.length}`,
+      status: 'pending_confirmation',
+      confirmationExpiresAt: new Date(Date.now() + 10 * 60 * 1000),
+      ...fields
+    };
+    transfers.push(transfer);
+    return transfer;
+  };
+
+  const statusOf = (transfer) => transfers.find(stored => stored._id.equals(transfer._id)).status;
+
+  beforeEach(() => {
+    transfers = [];
+    const find = (filter) => transfers.find(transfer => matches(transfer, filter)) || null;
+
+    jest.spyOn(Transfer, 'aggregate').mockImplementation(([{ $match }]) => {
+      const sent = transfers.filter(transfer => matches(transfer, $match));
+      const totals = sent.length ? [{ _id: 'XOF', amount: sent.reduce((sum, t) => sum + t.amount, 0), count: sent.length }] : [];
+      return { session: () => Promise.resolve(totals) };
+    });
+    jest.spyOn(Transfer, 'findOne').mockImplementation((filter) => ({
+      session: () => Promise.resolve(find(filter) && Transfer.hydrate({ ...find(filter) }))
+    }));
+    jest.spyOn(Transfer, 'exists').mockImplementation(async (filter) => find(filter) && { _id: find(filter)._id });
+    jest.spyOn(Transfer, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const stored = find(filter);
+      if (!stored) {
+        return null;
+      }
+      Object.assign(stored, update);
+      return Transfer.hydrate({ ...stored });
+    });
+    jest.spyOn(Transfer.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const users = [sender, recipient];
+    jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+      select: () => ({ session: () => Promise.resolve(users.find(user => user._id.equals(userId))) })
+    }));
+    const wallets = [fromWallet, toWallet];
+    jest.spyOn(Wallet, 'findById').mockImplementation((walletId) => ({
+      session: () => Promise.resolve(wallets.find(wallet => wallet._id.equals(walletId)))
+    }));
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([]);
+
+    postEntry.mockResolvedValue({ _id: id() });
+    platformFeeAccount.mockResolvedValue(SYSTEM_ACCOUNTS.REVENUE);
+    screenOperation.mockResolvedValue({ decision: 'allow' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('charges the percentage fee on top of the amount', async () => {
+    expect(calculateFee(10000, 'XOF')).toBe(100);
+
+    const transfer = storeTransfer({ amount: 10000, fee: 100 });
+    await confirmTransfer(transfer);
+
+    expect(statusOf(transfer)).toBe('completed');
+    expect(postEntry.mock.calls[0][0].lines.map(line => [line.direction, line.amount])).toEqual([
+      ['debit', 10000],
+      ['credit', 10000],
+      ['debit', 100],
+      ['credit', 100]
+    ]);
+  });
+
+  it('counts held transfers against the daily limit', async () => {
+    storeTransfer({ amount: DAILY_AMOUNT_LIMIT - 1000, status: 'held' });
+    const transfer = storeTransfer({ amount: 5000 });
+
+    await expect(confirmTransfer(transfer)).rejects.toThrow('Daily transfer limit exceeded');
+    expect(statusOf(transfer)).toBe('pending_confirmation');
+    expect(postEntry).not.toHaveBeenCalled();
+  });
+
+  it('rechecks the daily limit when the funds move', async () => {
+    const transfer = storeTransfer({ amount: 5000 });
+    // Another transfer completes between the confirmation checks and the settlement
+    Transfer.exists.mockImplementationOnce(async () => {
+      storeTransfer({ amount: DAILY_AMOUNT_LIMIT - 1000, status: 'completed', completedAt: new Date() });
+      return { _id: transfer._id };
+    });
+
+    await expect(confirmTransfer(transfer)).rejects.toThrow('Daily transfer limit exceeded');
+    expect(statusOf(transfer)).toBe('pending_confirmation');
+    expect(postEntry).not.toHaveBeenCalled();
+  });
+
+  it('refuses to release a held transfer that no longer fits the daily limit', async () => {
+    const held = storeTransfer({ amount: 5000, status: 'held' });
+    storeTransfer({ amount: DAILY_AMOUNT_LIMIT - 1000, status: 'completed', completedAt: new Date() });
+
+    await expect(releaseHeldTransfer({ subject: held._id })).rejects.toThrow('Daily transfer limit exceeded');
+    expect(statusOf(held)).toBe('held');
+    expect(postEntry).not.toHaveBeenCalled();
+  });
+
+  it('does not count a held transfer against its own release', async () => {
+    const held = storeTransfer({ amount: DAILY_AMOUNT_LIMIT - 1000, status: 'held' });
+
+    await releaseHeldTransfer({ subject: held._id });
+
+    expect(statusOf(held)).toBe('completed');
+    expect(postEntry).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Wallet = require('../models/wallet.model');
+const ExchangeRate = require('../models/exchangeRate.model');
+const {
+  BALANCE_THRESHOLD,
+  isTwoFactorRequired,
+  beginSetup,
+  confirmSetup,
+  verifySecondFactor
+} = require('../services/twoFactor.service');
+
+// Reference TOTP implementation (RFC 6238, SHA-1, 30 second steps)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const fromBase32 = (secret) => {
+  const bits = [...secret].map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0')).join('');
+  return Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+};
+const totp = (secret, seconds, digits = 6) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(seconds / 30)));
+  const hmac = crypto.createHmac('sha1', fromBase32(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits).padStart(digits, '0');
+};
+
+const START = 1700000000;
+
+it('computes the RFC 6238 reference codes in the test implementation', () => {
+  // RFC 6238 appendix B, SHA-1 secret "12345678901234567890" at T=59
+  expect(totp('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 59, 8)).toBe('94287082');
+});
+
+describe('TOTP two-factor', () => {
+  let now;
+  let user;
+  let secret;
+
+  const codeAt = (seconds) => totp(secret, seconds);
+
+  beforeEach(async () => {
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now * 1000);
+    user = { email: 'seller@example.com' };
+    ({ secret } = await beginSetup(user));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('enables two-factor with a code from the authenticator app', () => {
+    const code = codeAt(now);
+    const wrongCode = `${code.slice(0, 5)}${(Number(code[5]) + 1) % 10}`;
+    expect(confirmSetup(user, wrongCode)).toBeNull();
+
+    const recoveryCodes = confirmSetup(user, code);
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.pendingSecret).toBeUndefined();
+  });
+
+  it('accepts codes from the next step but never the same step twice', () => {
+    confirmSetup(user, codeAt(now));
+
+    // The code used to confirm enrollment cannot sign in
+    expect(verifySecondFactor(user, { code: codeAt(now) })).toBe(false);
+
+    now += 30;
+    expect(verifySecondFactor(user, { code: codeAt(now) })).toBe(true);
+    expect(verifySecondFactor(user, { code: codeAt(now) })).toBe(false);
+  });
+
+  it('allows one step of clock drift and no more', () => {
+    confirmSetup(user, codeAt(now));
+    now += 300;
+
+    expect(verifySecondFactor(user, { code: codeAt(now + 60) })).toBe(false);
+    expect(verifySecondFactor(user, { code: codeAt(now - 30) })).toBe(true);
+  });
+
+  it('accepts each recovery code once', () => {
+    const [recoveryCode] = confirmSetup(user, codeAt(now));
+
+    expect(verifySecondFactor(user, { recoveryCode })).toBe(true);
+    expect(verifySecondFactor(user, { recoveryCode })).toBe(false);
+    expect(user.twoFactor.recoveryCodes).toHaveLength(9);
+  });
+});
+
+describe('isTwoFactorRequired', () => {
+  const walletsWith = (wallets) => jest.spyOn(Wallet, 'find').mockReturnValue({ select: () => Promise.resolve(wallets) });
+
+  beforeEach(() => {
+    jest.spyOn(ExchangeRate, 'find').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is required for admins', async () => {
+    const find = walletsWith([]);
+
+    await expect(isTwoFactorRequired({ _id: new mongoose.Types.ObjectId(), roles: ['admin'] })).resolves.toBe(true);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('is required once seller earnings pass the threshold', async () => {
+    const seller = { _id: new mongoose.Types.ObjectId(), roles: ['buyer', 'seller'] };
+
+    walletsWith([{ balance: BALANCE_THRESHOLD, currency: 'XOF' }]);
+    await expect(isTwoFactorRequired(seller)).resolves.toBe(false);
+
+    walletsWith([{ balance: BALANCE_THRESHOLD + 1, currency: 'XOF' }]);
+    await expect(isTwoFactorRequired(seller)).resolves.toBe(true);
+  });
+});
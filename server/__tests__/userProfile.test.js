@@ -0,0 +1,93 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('../middleware/auth.middleware', () => ({
+  ...jest.requireActual('../middleware/auth.middleware'),
+  auth: (req, res, next) => {
+    req.user = { id: mockUserId.toString(), roles: ['buyer'] };
+    next();
+  }
+}));
+
+const User = require('../models/user.model');
+const { auth, requireVerified } = require('../middleware/auth.middleware');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/users', require('../routes/user.routes'));
+  app.post('/api/verified-only', auth, requireVerified, (req, res) => res.json({ ok: true }));
+  return app;
+};
+
+describe('profile phone changes', () => {
+  let user;
+
+  const storeUser = (fields) => {
+    user = User.hydrate({
+      _id: mockUserId,
+      name: 'Buyer',
+      email: 'buyer@example.com',
+      phone: '+22500000001',
+      roles: ['buyer'],
+      isVerified: true,
+      isPhoneVerified: true,
+      ...fields
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation(() => {
+      const query = Promise.resolve(user);
+      query.select = () => Promise.resolve(user);
+      return query;
+    });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const changePhone = (app) => request(app).put('/api/users/profile').send({ name: 'Buyer', phone: '+22500000002' });
+
+  it('unverifies an account verified only through the old phone number', async () => {
+    storeUser({ isEmailVerified: false });
+    const app = buildApp();
+
+    await expect(request(app).post('/api/verified-only')).resolves.toHaveProperty('status', 200);
+
+    const response = await changePhone(app);
+
+    expect(response.status).toBe(200);
+    expect(user.isPhoneVerified).toBe(false);
+    expect(user.isVerified).toBe(false);
+    await expect(request(app).post('/api/verified-only')).resolves.toHaveProperty('status', 403);
+  });
+
+  it('keeps an account with a verified email verified', async () => {
+    storeUser({ isEmailVerified: true });
+    const app = buildApp();
+
+    await changePhone(app);
+
+    expect(user.isPhoneVerified).toBe(false);
+    expect(user.isVerified).toBe(true);
+    await expect(request(app).post('/api/verified-only')).resolves.toHaveProperty('status', 200);
+  });
+
+  it('leaves verification alone when the phone number is unchanged', async () => {
+    storeUser({ isEmailVerified: false });
+
+    await request(buildApp()).put('/api/users/profile').send({ name: 'New name', phone: '+22500000001' });
+
+    expect(user.name).toBe('New name');
+    expect(user.isPhoneVerified).toBe(true);
+    expect(user.isVerified).toBe(true);
+  });
+});
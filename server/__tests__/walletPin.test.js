@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const AuditLog = require('../models/audit.model');
+const { setTransport } = require('../services/notification.service');
+const {
+  WalletPinError,
+  isPinRequired,
+  authorizeWalletOperation
+} = require('../services/walletPin.service');
+
+describe('wallet PIN', () => {
+  let user;
+  let sent;
+
+  const authorize = (pin, operation = 'transfer', amount = 1000) => authorizeWalletOperation(user._id, operation, amount, pin);
+
+  beforeEach(async () => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date('2026-01-01T12:00:00Z'));
+    user = User.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'Buyer', email: 'buyer@example.com', roles: ['buyer'] });
+    await user.setWalletPin('2468');
+
+    jest.spyOn(User, 'findById').mockImplementation(async () => user);
+    // Counts attempts on the stored user, as the $inc would
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, { $inc }) => {
+      user.walletPin.failedAttempts += $inc['walletPin.failedAttempts'];
+      return user;
+    });
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      user.walletPin.failedAttempts = update['walletPin.failedAttempts'];
+      return {};
+    });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(AuditLog, 'record').mockResolvedValue({});
+    sent = jest.fn().mockResolvedValue({ delivered: true });
+    setTransport('email', sent);
+  });
+
+  afterEach(() => {
+    setTransport('email', null);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('only asks for the PIN on large payments', () => {
+    expect(isPinRequired('payment', 49999)).toBe(false);
+    expect(isPinRequired('payment', 50000)).toBe(true);
+    expect(isPinRequired('withdrawal', 1)).toBe(true);
+  });
+
+  it('authorizes the operation with the right PIN', async () => {
+    await expect(authorize('2468')).resolves.toBeUndefined();
+    await expect(authorize(undefined)).rejects.toThrow('Wallet PIN is required for this operation');
+  });
+
+  it('counts wrong PINs and starts over after the right one', async () => {
+    await expect(authorize('1111')).rejects.toThrow('Invalid wallet PIN. 4 attempts left');
+    await expect(authorize('1111')).rejects.toThrow('Invalid wallet PIN. 3 attempts left');
+
+    await authorize('2468');
+
+    expect(user.walletPin.failedAttempts).toBe(0);
+  });
+
+  it('locks the wallet after five wrong PINs, even for the right PIN', async () => {
+    for (let i = 0; i < 4; i++) {
+      await authorize('1111').catch(() => {});
+    }
+
+    const error = await authorize('1111').catch(err => err);
+
+    expect(error).toBeInstanceOf(WalletPinError);
+    expect(error.status).toBe(423);
+    expect(error.message).toBe('Wallet is locked after too many wrong PIN attempts. Try again in 30 minutes');
+    expect(AuditLog.record).toHaveBeenCalledWith('wallet_pin.locked', expect.objectContaining({ targetUser: user._id }));
+    expect(sent).toHaveBeenCalledWith(expect.objectContaining({ to: 'buyer@example.com', subject: 'Your wallet has been locked' }));
+
+    // A locked wallet refuses operations that would not need the PIN too
+    await expect(authorize('2468')).rejects.toMatchObject({ status: 423 });
+    await expect(authorize(undefined, 'payment', 100)).rejects.toMatchObject({ status: 423 });
+
+    jest.advanceTimersByTime(30 * 60 * 1000);
+    await expect(authorize('2468')).resolves.toBeUndefined();
+  });
+});
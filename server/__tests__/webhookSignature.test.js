@@ -0,0 +1,124 @@
+const Deposit = require('../models/deposit.model');
+const { hmacSha256 } = require('../services/providers/signing');
+const wave = require('../services/providers/wave.provider');
+const mtnMomo = require('../services/providers/mtnMomo.provider');
+const simulated = require('../services/providers/simulated.provider');
+const { handleWebhook } = require('../services/deposit.service');
+
+const ENV = { ...process.env };
+const SECRET = 'test-webhook-secret';
+
+const waveCallback = (body, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+  const rawBody = JSON.stringify(body);
+  return {
+    headers: { 'wave-signature': `t=${timestamp},v1=${hmacSha256(secret, `${timestamp}${rawBody}`)}` },
+    body,
+    rawBody: Buffer.from(rawBody)
+  };
+};
+
+const completedCheckout = {
+  type: 'checkout.session.completed',
+  data: { id: 'cos_1', client_reference: 'dep_1', payment_status: 'succeeded', amount: '5000' }
+};
+
+beforeEach(() => {
+  process.env.WAVE_API_KEY = 'wave-key';
+  process.env.WAVE_WEBHOOK_SECRET = SECRET;
+  process.env.MTN_MOMO_WEBHOOK_SECRET = SECRET;
+});
+
+afterEach(() => {
+  process.env = { ...ENV };
+  jest.restoreAllMocks();
+});
+
+describe('Wave webhooks', () => {
+  it('accepts a fresh callback with a valid signature', () => {
+    expect(wave.parseWebhook(waveCallback(completedCheckout))).toEqual(expect.objectContaining({
+      reference: 'dep_1',
+      status: 'completed',
+      amount: 5000
+    }));
+  });
+
+  it('rejects a callback signed with another secret', () => {
+    expect(wave.parseWebhook(waveCallback(completedCheckout, { secret: 'wrong-secret' }))).toBeNull();
+  });
+
+  it('rejects a callback whose body was changed after signing', () => {
+    const callback = waveCallback(completedCheckout);
+    callback.rawBody = Buffer.from(JSON.stringify({ ...completedCheckout, data: { ...completedCheckout.data, amount: '500000' } }));
+
+    expect(wave.parseWebhook(callback)).toBeNull();
+  });
+
+  it('rejects a stale callback', () => {
+    const tenMinutesAgo = Math.floor(Date.now() / 1000) - 10 * 60;
+
+    expect(wave.parseWebhook(waveCallback(completedCheckout, { timestamp: tenMinutesAgo }))).toBeNull();
+  });
+
+  it('rejects a callback without a signature', () => {
+    const callback = waveCallback(completedCheckout);
+    delete callback.headers['wave-signature'];
+
+    expect(wave.parseWebhook(callback)).toBeNull();
+  });
+});
+
+describe('MTN MoMo webhooks', () => {
+  const body = { externalId: 'dep_2', financialTransactionId: 'ft_1', status: 'SUCCESSFUL', amount: '2500' };
+  const rawBody = JSON.stringify(body);
+
+  it('accepts a callback with a valid signature', () => {
+    const event = mtnMomo.parseWebhook({
+      headers: { 'x-callback-signature': hmacSha256(SECRET, rawBody) },
+      body,
+      rawBody: Buffer.from(rawBody)
+    });
+
+    expect(event).toEqual(expect.objectContaining({ reference: 'dep_2', status: 'completed', amount: 2500 }));
+  });
+
+  it('rejects a callback with a bad signature', () => {
+    expect(mtnMomo.parseWebhook({
+      headers: { 'x-callback-signature': hmacSha256('wrong-secret', rawBody) },
+      body,
+      rawBody: Buffer.from(rawBody)
+    })).toBeNull();
+  });
+
+  it('rejects every callback when no secret is configured', () => {
+    delete process.env.MTN_MOMO_WEBHOOK_SECRET;
+
+    expect(mtnMomo.parseWebhook({ headers: { 'x-callback-signature': 'anything' }, body, rawBody: Buffer.from(rawBody) })).toBeNull();
+  });
+});
+
+describe('handleWebhook', () => {
+  it('refuses a callback with a bad signature before looking up the deposit', async () => {
+    const findDeposit = jest.spyOn(Deposit, 'findOne');
+
+    await expect(handleWebhook('wave', waveCallback(completedCheckout, { secret: 'wrong-secret' })))
+      .rejects.toMatchObject({ status: 401, message: 'Invalid signature' });
+    expect(findDeposit).not.toHaveBeenCalled();
+  });
+
+  it('refuses callbacks for a provider that is not enabled', async () => {
+    delete process.env.SIMULATED_PROVIDER_ENABLED;
+    const findDeposit = jest.spyOn(Deposit, 'findOne');
+
+    expect(simulated.isEnabled()).toBe(false);
+    await expect(handleWebhook('simulated', { headers: {}, body: {} }))
+      .rejects.toMatchObject({ status: 404 });
+    expect(findDeposit).not.toHaveBeenCalled();
+  });
+
+  it('keeps the simulated provider disabled without its own secret', () => {
+    process.env.SIMULATED_PROVIDER_ENABLED = 'true';
+    delete process.env.SIMULATED_PROVIDER_SECRET;
+
+    expect(simulated.isEnabled()).toBe(false);
+  });
+});
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/ledger.service', () => ({
+  ...jest.requireActual('../services/ledger.service'),
+  postEntry: jest.fn()
+}));
+jest.mock('../services/dbTransaction.service', () => ({
+  ...jest.requireActual('../services/dbTransaction.service'),
+  runInTransaction: (work) => work(null)
+}));
+jest.mock('../services/kyc.service', () => ({
+  assertWithinLimits: jest.fn()
+}));
+jest.mock('../services/fraud.service', () => ({
+  onHoldReviewed: jest.fn(),
+  screenOperation: jest.fn(),
+  attachSubject: jest.fn()
+}));
+jest.mock('../services/socket.service', () => ({
+  emitToUser: jest.fn()
+}));
+
+const Withdrawal = require('../models/withdrawal.model');
+const PayoutBatch = require('../models/payoutBatch.model');
+const Wallet = require('../models/wallet.model');
+const Transaction = require('../models/transaction.model');
+const { SYSTEM_ACCOUNTS, postEntry } = require('../services/ledger.service');
+const { screenOperation } = require('../services/fraud.service');
+const {
+  requestWithdrawal,
+  cancelWithdrawal,
+  rejectWithdrawal,
+  approveWithdrawal,
+  settlePayoutItem
+} = require('../services/withdrawal.service');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Ledger movements of every posted entry, as [account, direction, amount]
+const postedLines = () => postEntry.mock.calls.map(([entry]) => entry.lines.map(line => [
+  typeof line.target === 'string' ? line.target : 'wallet',
+  line.direction,
+  line.amount
+]));
+
+describe('withdrawals', () => {
+  const userId = id();
+  const wallet = { _id: id(), owner: userId, walletType: 'seller', currency: 'XOF' };
+  const payoutAccount = { _id: id(), toDestination: () => ({ type: 'mobile_money', phone: '+22500000000' }), describe: () => 'MTN' };
+  let withdrawals;
+
+  const find = (filter) => withdrawals.get(filter._id.toString());
+
+  beforeEach(() => {
+    withdrawals = new Map();
+    jest.spyOn(Withdrawal, 'create').mockImplementation(async ([fields]) => {
+      const created = Withdrawal.hydrate({ _id: id(), status: 'pending_review', ...fields });
+      withdrawals.set(created._id.toString(), created.toObject());
+      return [created];
+    });
+    jest.spyOn(Withdrawal.prototype, 'save').mockImplementation(function() {
+      withdrawals.set(this._id.toString(), this.toObject());
+      return Promise.resolve(this);
+    });
+    // Status changes apply only from the expected statuses, as MongoDB would
+    jest.spyOn(Withdrawal, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const stored = find(filter);
+      if (!stored || !filter.status.$in.includes(stored.status) || (filter.fraudHold && stored.fraudHold)) {
+        return null;
+      }
+      Object.assign(stored, update);
+      return Withdrawal.hydrate({ ...stored });
+    });
+    jest.spyOn(Withdrawal, 'exists').mockImplementation((filter) => {
+      const stored = find(filter);
+      const found = stored && (!filter.status || stored.status === filter.status)
+        && (filter.fraudHold === undefined || stored.fraudHold === filter.fraudHold);
+      const result = Promise.resolve(found ? { _id: stored._id } : null);
+      return Object.assign(result, { session: () => result });
+    });
+    jest.spyOn(Wallet, 'findById').mockReturnValue({ session: () => Promise.resolve(wallet) });
+    jest.spyOn(Transaction, 'setStatus').mockResolvedValue({});
+
+    screenOperation.mockResolvedValue({ decision: 'allow' });
+    postEntry.mockResolvedValue({ _id: id() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const request = (amount = 5000) => requestWithdrawal({ userId, wallet, amount, payoutAccount });
+
+  it('reserves the amount in system:payouts while it is reviewed', async () => {
+    const withdrawal = await request();
+
+    expect(withdrawal.status).toBe('pending_review');
+    expect(postedLines()).toEqual([[['wallet', 'debit', 5000], [SYSTEM_ACCOUNTS.PAYOUTS, 'credit', 5000]]]);
+  });
+
+  it('returns the reserved amount once when the user cancels', async () => {
+    const withdrawal = await request();
+
+    const cancelled = await cancelWithdrawal(withdrawal);
+
+    expect(cancelled.status).toBe('cancelled');
+    expect(postedLines()[1]).toEqual([[SYSTEM_ACCOUNTS.PAYOUTS, 'debit', 5000], ['wallet', 'credit', 5000]]);
+
+    await expect(cancelWithdrawal(withdrawal)).rejects.toThrow('Withdrawal can no longer be changed');
+    expect(postEntry).toHaveBeenCalledTimes(2);
+  });
+
+  it('returns the reserved amount when an admin rejects it', async () => {
+    const withdrawal = await request();
+
+    const rejected = await rejectWithdrawal(withdrawal._id, id(), 'Wrong account');
+
+    expect(rejected.status).toBe('rejected');
+    expect(rejected.rejectionReason).toBe('Wrong account');
+    expect(postedLines()[1]).toEqual([[SYSTEM_ACCOUNTS.PAYOUTS, 'debit', 5000], ['wallet', 'credit', 5000]]);
+  });
+
+  it('does not approve a withdrawal held for fraud review', async () => {
+    screenOperation.mockResolvedValue({ decision: 'hold' });
+    const withdrawal = await request();
+
+    await expect(approveWithdrawal(withdrawal._id, id())).rejects.toThrow('This withdrawal is held for fraud review');
+    expect(find(withdrawal).status).toBe('pending_review');
+  });
+
+  describe('payout settlement', () => {
+    let batch;
+
+    // A withdrawal approved and placed in a payout batch
+    const inBatch = async () => {
+      const withdrawal = await request();
+      Object.assign(find(withdrawal), { status: 'processing' });
+      batch = { _id: id(), items: [{ withdrawal: withdrawal._id, status: 'pending' }] };
+      return withdrawal;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(PayoutBatch, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+        const item = batch.items.find(candidate => candidate.status === 'pending' && candidate.withdrawal.equals(filter.items.$elemMatch.withdrawal));
+        if (!item) {
+          return null;
+        }
+        item.status = $set['items.$.status'];
+        return { ...batch, save: jest.fn() };
+      });
+      jest.spyOn(PayoutBatch, 'exists').mockReturnValue({ session: () => Promise.resolve({ _id: id() }) });
+    });
+
+    it('sends a paid withdrawal out of the platform once', async () => {
+      const withdrawal = await inBatch();
+
+      const settled = await settlePayoutItem(batch._id, withdrawal._id, { status: 'paid', providerReference: 'prov_1' });
+
+      expect(settled.withdrawal.status).toBe('paid');
+      expect(postedLines()[1]).toEqual([[SYSTEM_ACCOUNTS.PAYOUTS, 'debit', 5000], [SYSTEM_ACCOUNTS.EXTERNAL, 'credit', 5000]]);
+      expect(Transaction.setStatus).toHaveBeenCalledWith(withdrawal.reference, 'completed', null);
+
+      await expect(settlePayoutItem(batch._id, withdrawal._id, { status: 'paid' })).rejects.toThrow('Payout has already been settled');
+      expect(postEntry).toHaveBeenCalledTimes(2);
+    });
+
+    it('returns a failed payout to the wallet', async () => {
+      const withdrawal = await inBatch();
+
+      const settled = await settlePayoutItem(batch._id, withdrawal._id, { status: 'failed', failureReason: 'Number not registered' });
+
+      expect(settled.withdrawal.status).toBe('failed');
+      expect(postedLines()[1]).toEqual([[SYSTEM_ACCOUNTS.PAYOUTS, 'debit', 5000], ['wallet', 'credit', 5000]]);
+    });
+  });
+});
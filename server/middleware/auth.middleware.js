@@ -1,7 +1,8 @@
-const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const { verifyAccessToken, TokenError } = require('../services/token.service');
 
 // Middleware to verify JWT token and protect routes
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   // Get token from header
   const token = req.header('x-auth-token');
 
@@ -11,15 +12,21 @@ const auth = (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'superupsecret');
+    // Verify token and its session
+    const decoded = await verifyAccessToken(token);
     
-    // Add user from payload to request
+    // Add user and session from payload to request
     req.user = decoded.user;
-    next();
+    req.sessionId = decoded.sid;
   } catch (err) {
-    res.status(401).json({ msg: 'Token is not valid' });
+    if (err instanceof TokenError) {
+      return res.status(401).json({ msg: err.message });
+    }
+    console.error(err.message);
+    return res.status(500).send('Server error');
   }
+
+  next();
 };
 
 // Middleware to check if user has required role
@@ -38,4 +45,22 @@ const checkRole = (roles) => {
   };
 };
 
-module.exports = { auth, checkRole };
\ No newline at end of file
+// Middleware to restrict an action to users who have verified their email or phone
+const requireVerified = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ msg: 'Authorization denied' });
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select('isVerified');
+    if (!user || !user.isVerified) {
+      return res.status(403).json({ msg: 'Please verify your account to perform this action' });
+    }
+    next();
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+};
+
+module.exports = { auth, checkRole, requireVerified };
\ No newline at end of file
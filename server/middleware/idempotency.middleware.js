@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotency.model');
+
+// How long a key replays its first response
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+// How long a request may hold a key before a retry can take it over
+const LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS, 10) || 60;
+const MAX_KEY_LENGTH = 255;
+
+// Serialize with sorted object keys so equal bodies always hash the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (req) => crypto.createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${canonicalJson(req.body || {})}`)
+  .digest('hex');
+
+// Middleware to make a money-moving endpoint safe to retry
+// A request carrying an Idempotency-Key header runs once per user and key;
+// repeats within the window get the stored first response, and a key reused
+// with a different body is rejected. Must run after auth.
+const idempotent = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ msg: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const requestHash = hashRequest(req);
+  const now = Date.now();
+  const fresh = {
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    requestHash,
+    status: 'processing',
+    lockedUntil: new Date(now + LOCK_SECONDS * 1000),
+    expiresAt: new Date(now + KEY_TTL_HOURS * 60 * 60 * 1000)
+  };
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({ user: req.user.id, key, ...fresh });
+  } catch (err) {
+    if (err.code !== 11000) {
+      console.error(err.message);
+      return res.status(500).send('Server error');
+    }
+
+    try {
+      // A key past its replay window (MongoDB removes expired keys only
+      // periodically) starts over as a new request
+      record = await IdempotencyKey.findOneAndUpdate(
+        { user: req.user.id, key, expiresAt: { $lte: new Date(now) } },
+        { ...fresh, $unset: { responseStatus: 1, responseBody: 1 } },
+        { new: true }
+      );
+      if (!record) {
+        const existing = await IdempotencyKey.findOne({ user: req.user.id, key, expiresAt: { $gt: new Date(now) } });
+
+        if (existing && existing.requestHash !== requestHash) {
+          return res.status(422).json({ msg: 'Idempotency-Key has already been used for a different request' });
+        }
+
+        if (existing && existing.status === 'completed') {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        // Take the key over only when the first request stopped without answering
+        record = existing && await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, status: 'processing', lockedUntil: { $lt: new Date(now) } },
+          { lockedUntil: new Date(now + LOCK_SECONDS * 1000) },
+          { new: true }
+        );
+      }
+    } catch (lookupErr) {
+      console.error(lookupErr.message);
+      return res.status(500).send('Server error');
+    }
+
+    if (!record) {
+      return res.status(409).json({ msg: 'A request with this Idempotency-Key is still being processed' });
+    }
+  }
+
+  // Capture the response to store it once it has been sent
+  const json = res.json.bind(res);
+  let responseBody;
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    // Server errors are not stored, so the client can retry with the same key
+    const update = res.statusCode >= 500 || responseBody === undefined
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne({ _id: record._id }, {
+        status: 'completed',
+        responseStatus: res.statusCode,
+        responseBody: JSON.parse(JSON.stringify(responseBody)),
+        lockedUntil: null
+      });
+
+    update.catch(err => console.error('Error storing idempotent response:', err.message));
+  });
+
+  next();
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Audit entries are append-only: block any update or delete
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove']
+  .forEach(operation => auditLogSchema.pre(operation, rejectChange));
+
+// Static method to record an audit entry
+// Pass the express request to capture the actor and IP address, and a session
+// to commit the entry with the change it records
+auditLogSchema.statics.record = async function(action, { req, actor, targetUser, details, session = null } = {}) {
+  const [entry] = await this.create([{
+    action,
+    actor: actor || req?.user?.id,
+    targetUser,
+    details,
+    ip: req?.ip
+  }], { session });
+  return entry;
+};
+
+// Static method to find the audit trail of a user
+auditLogSchema.statics.findByUser = function(userId, limit = 100) {
+  return this.find({ $or: [{ targetUser: userId }, { actor: userId }] })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('actor', 'name email');
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
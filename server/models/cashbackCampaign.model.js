@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Admin-defined cashback: percent of what a buyer spends on a product category
+// comes back as promo credit once the order is delivered
+// maxAmount caps the cashback per order, in the base currency (0 for no cap)
+const cashbackCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  percent: {
+    type: Number,
+    required: true,
+    min: 0.01,
+    max: 100
+  },
+  maxAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Days the earned credit can be spent before it expires
+  creditExpiryDays: {
+    type: Number,
+    min: 1,
+    default: 30
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+cashbackCampaignSchema.index({ isActive: 1, category: 1, startsAt: 1, endsAt: 1 });
+
+// Static method to find the campaigns running at a date for some categories
+cashbackCampaignSchema.statics.runningFor = function(categories, date = new Date()) {
+  return this.find({
+    isActive: true,
+    category: { $in: categories },
+    startsAt: { $lte: date },
+    endsAt: { $gt: date }
+  }).sort({ createdAt: 1 });
+};
+
+const CashbackCampaign = mongoose.model('CashbackCampaign', cashbackCampaignSchema);
+
+module.exports = CashbackCampaign;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
+
+// Deposit collected through a mobile money provider
+// The wallet is only credited once the provider confirms the payment
+const depositSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  walletType: {
+    type: String,
+    enum: ['buyer', 'seller', 'delivery', 'admin'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  phone: String,
+  // Our reference, sent to the provider and echoed in its callbacks
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  providerReference: String,
+  redirectUrl: String,
+  instructions: String,
+  status: {
+    type: String,
+    enum: ['pending', 'held', 'completed', 'failed', 'expired'],
+    default: 'pending'
+  },
+  // Held by the fraud rules: once confirmed the deposit waits for a reviewer
+  // before the wallet is credited
+  fraudHold: {
+    type: Boolean,
+    default: false
+  },
+  failureReason: String,
+  ledgerEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+depositSchema.index({ user: 1, createdAt: -1 });
+depositSchema.index({ status: 1, expiresAt: 1 });
+
+const Deposit = mongoose.model('Deposit', depositSchema);
+
+module.exports = Deposit;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
+
+const escrowHoldSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Part of amount the buyer paid with promo credit; refunded as promo credit
+  promoAmount: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  // Shares fixed at checkout and paid out on release
+  sellers: [{
+    _id: false,
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amount: Number
+  }],
+  deliveryFee: {
+    type: Number,
+    default: 0
+  },
+  adminFee: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['held', 'released', 'refunded'],
+    default: 'held'
+  },
+  holdEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  settlementEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  heldAt: {
+    type: Date,
+    default: Date.now
+  },
+  settledAt: Date
+}, {
+  timestamps: true
+});
+
+escrowHoldSchema.index({ buyer: 1, status: 1 });
+escrowHoldSchema.index({ 'sellers.seller': 1, status: 1 });
+
+// Static method to move a hold out of the held state exactly once
+// Returns null when the hold was already settled (or never existed)
+escrowHoldSchema.statics.claim = function(orderId, status, session = null) {
+  return this.findOneAndUpdate(
+    { order: orderId, status: 'held' },
+    { status, settledAt: new Date() },
+    { new: true, session }
+  );
+};
+
+const EscrowHold = mongoose.model('EscrowHold', escrowHoldSchema);
+
+module.exports = EscrowHold;
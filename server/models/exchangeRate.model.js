@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Admin-managed exchange rate of a currency against the base currency
+// rate is how many units of the currency one unit of the base currency buys
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
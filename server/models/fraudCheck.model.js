@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
+
+// Outcome of one rule for a screened payment
+const ruleResultSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FraudRule'
+  },
+  name: String,
+  type: String,
+  action: String,
+  matched: Boolean,
+  reason: String
+}, { _id: false });
+
+// Record of a payment screened by the fraud rules
+// Flagged and held payments stay open on the admin fraud queue until a
+// reviewer releases or rejects them
+const fraudCheckSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  operation: {
+    type: String,
+    enum: ['deposit', 'withdrawal', 'transfer', 'wallet_transfer', 'order_payment', 'subscription_payment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  // Amount in the base currency, which rule thresholds are set in
+  baseAmount: Number,
+  // The deposit, withdrawal, transfer or order the payment created
+  subjectModel: {
+    type: String,
+    enum: ['Deposit', 'Withdrawal', 'Transfer', 'Order']
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'subjectModel'
+  },
+  ip: String,
+  userAgent: String,
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  results: [ruleResultSchema],
+  decision: {
+    type: String,
+    enum: ['allow', 'flag', 'hold', 'block'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['closed', 'open', 'released', 'rejected'],
+    default: 'closed'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: String
+}, {
+  timestamps: true
+});
+
+fraudCheckSchema.index({ user: 1, operation: 1, createdAt: -1 });
+fraudCheckSchema.index({ status: 1, createdAt: 1 });
+fraudCheckSchema.index({ subjectModel: 1, subject: 1 });
+
+// Static method to count a user's screened operations since a date
+// Blocked attempts never happened and do not count
+fraudCheckSchema.statics.countSince = function(userId, operation, since) {
+  return this.countDocuments({ user: userId, operation, decision: { $ne: 'block' }, createdAt: { $gte: since } });
+};
+
+// Static method to move an open check to its review outcome exactly once
+// Returns null when it was already reviewed (or never existed)
+fraudCheckSchema.statics.review = function(id, update, session = null) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'open' },
+    { ...update, reviewedAt: new Date() },
+    { new: true, session }
+  );
+};
+
+const FraudCheck = mongoose.model('FraudCheck', fraudCheckSchema);
+
+module.exports = FraudCheck;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Admin-configured fraud rule that wallet and order payments are screened against
+// - velocity        more than maxCount of the operation within windowMinutes
+// - password_change the operation within windowMinutes of a password change
+// - new_device      from a device first seen within windowMinutes, for minAmount or more
+// - amount          minAmount or more in one operation
+// minAmount is in the base currency
+const fraudRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: ['velocity', 'password_change', 'new_device', 'amount'],
+    required: true
+  },
+  operations: [{
+    type: String,
+    enum: ['deposit', 'withdrawal', 'transfer', 'wallet_transfer', 'order_payment', 'subscription_payment']
+  }],
+  maxCount: {
+    type: Number,
+    min: 0,
+    required: function() { return this.type === 'velocity'; }
+  },
+  windowMinutes: {
+    type: Number,
+    min: 1,
+    required: function() { return this.type !== 'amount'; }
+  },
+  minAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // What happens to a matching payment; the strictest matching rule wins
+  action: {
+    type: String,
+    enum: ['flag', 'hold', 'block'],
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+fraudRuleSchema.index({ isActive: 1, operations: 1 });
+
+const FraudRule = mongoose.model('FraudRule', fraudRuleSchema);
+
+module.exports = FraudRule;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// First response to a request sent with an Idempotency-Key header
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  // Hash of the request body, to reject a key reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are scoped per user
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+// Let MongoDB remove keys once their replay window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
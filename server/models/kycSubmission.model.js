@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Identity document a user submits to reach the id_verified wallet tier
+const kycFileSchema = new mongoose.Schema({
+  side: {
+    type: String,
+    enum: ['front', 'back', 'selfie'],
+    required: true
+  },
+  mimeType: {
+    type: String,
+    enum: ['image/jpeg', 'image/png', 'application/pdf'],
+    required: true
+  },
+  fileName: String,
+  size: Number,
+  // File contents are only loaded when a reviewer opens the file
+  data: {
+    type: Buffer,
+    required: true,
+    select: false
+  }
+});
+
+const kycSubmissionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  documentType: {
+    type: String,
+    enum: ['national_id', 'passport', 'drivers_license', 'residence_permit'],
+    required: true
+  },
+  documentNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  files: [kycFileSchema],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String
+}, {
+  timestamps: true
+});
+
+kycSubmissionSchema.index({ user: 1, createdAt: -1 });
+kycSubmissionSchema.index({ status: 1, createdAt: 1 });
+
+// Static method to move a pending submission to its review outcome exactly once
+// Returns null when it was already reviewed (or never existed)
+kycSubmissionSchema.statics.review = function(id, update, session = null) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { ...update, reviewedAt: new Date() },
+    { new: true, session }
+  );
+};
+
+const KycSubmission = mongoose.model('KycSubmission', kycSubmissionSchema);
+
+module.exports = KycSubmission;
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
+
+// Amounts are compared in hundredths to avoid floating point drift
+const toCents = (amount) => Math.round(amount * 100);
+
+const ledgerLineSchema = new mongoose.Schema({
+  // Wallet accounts are "wallet:<walletId>", their promo credit
+  // "promo:<walletId>", platform accounts "system:<name>"
+  account: {
+    type: String,
+    required: true
+  },
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet'
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A ledger entry needs at least one debit and one credit'
+    }
+  },
+  relatedOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  relatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+ledgerEntrySchema.index({ 'lines.account': 1, createdAt: -1 });
+ledgerEntrySchema.index({ relatedOrder: 1 });
+
+// Every entry must balance: total debits equal total credits
+ledgerEntrySchema.pre('validate', function(next) {
+  const totals = this.lines.reduce((sum, line) => {
+    sum[line.direction] += toCents(line.amount);
+    return sum;
+  }, { debit: 0, credit: 0 });
+
+  if (totals.debit !== totals.credit) {
+    return next(new Error(`Unbalanced ledger entry: debits ${totals.debit / 100}, credits ${totals.credit / 100}`));
+  }
+  next();
+});
+
+// Ledger entries are append-only: corrections are posted as new entries
+const rejectChange = function(next) {
+  next(new Error('Ledger entries cannot be modified'));
+};
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove']
+  .forEach(operation => ledgerEntrySchema.pre(operation, rejectChange));
+
+// Static method to total debits and credits per account and currency
+// match filters the lines, e.g. { account: 'system:escrow' }. A wallet account
+// has one currency; system accounts get one row per currency they hold.
+ledgerEntrySchema.statics.accountTotals = function(match = {}) {
+  const lineMatch = Object.keys(match).reduce((conditions, key) => {
+    conditions[`lines.${key}`] = match[key];
+    return conditions;
+  }, {});
+
+  return this.aggregate([
+    { $unwind: '$lines' },
+    { $match: lineMatch },
+    {
+      $group: {
+        _id: { account: '$lines.account', currency: { $ifNull: ['$currency', BASE_CURRENCY] } },
+        wallet: { $first: '$lines.wallet' },
+        debits: { $sum: { $cond: [{ $eq: ['$lines.direction', 'debit'] }, '$lines.amount', 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$lines.direction', 'credit'] }, '$lines.amount', 0] } },
+        entries: { $sum: 1 }
+      }
+    },
+    { $project: { _id: '$_id.account', currency: '$_id.currency', wallet: 1, debits: 1, credits: 1, entries: 1 } },
+    { $sort: { _id: 1, currency: 1 } }
+  ]);
+};
+
+// Static method to find the entries touching an account
+ledgerEntrySchema.statics.findByAccount = function(account, limit = 100) {
+  return this.find({ 'lines.account': account })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
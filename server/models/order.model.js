@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY, roundAmount } = require('../services/currency.service');
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -18,6 +19,12 @@ const orderItemSchema = new mongoose.Schema({
   subtotal: {
     type: Number,
     required: true
+  },
+  // Product price in its own currency before conversion to the order currency
+  originalPrice: Number,
+  originalCurrency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES
   }
 });
 
@@ -34,22 +41,32 @@ const orderSchema = new mongoose.Schema({
   },
   platformFee: {
     type: Number,
-    default: 1200, // Fixed 1200 XOF platform fee
+    default: 1200, // Delivery fee plus admin fee
     required: true
   },
   deliveryFee: {
     type: Number,
-    default: 1000, // 1000 XOF to delivery agent
+    default: 1000, // To delivery agent
     required: true
   },
   adminFee: {
     type: Number,
-    default: 200, // 200 XOF to admin
+    default: 200, // To admin
     required: true
   },
   currency: {
     type: String,
-    default: 'XOF'
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  // Rates captured at checkout; payouts and refunds of the order convert with them
+  exchangeRates: {
+    base: String,
+    rates: {
+      type: Map,
+      of: Number
+    },
+    capturedAt: Date
   },
   status: {
     type: String,
@@ -61,6 +78,31 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'paid', 'released', 'refunded', 'failed'],
     default: 'pending'
   },
+  // Part of totalAmount paid with the buyer's promo credit
+  promoCreditUsed: {
+    type: Number,
+    default: 0
+  },
+  // Cashback the order earns from the campaigns running at checkout,
+  // credited as promo credit on delivery
+  cashback: [{
+    _id: false,
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CashbackCampaign'
+    },
+    name: String,
+    category: String,
+    percent: Number,
+    creditExpiryDays: Number,
+    amount: Number
+  }],
+  // Held by the fraud rules: the payment is taken only once the fraud review
+  // releases the order
+  fraudHold: {
+    type: Boolean,
+    default: false
+  },
   paymentMethod: {
     type: String,
     enum: ['wallet', 'mobile_money', 'credit_card', 'bank_transfer'],
@@ -115,7 +157,7 @@ orderSchema.pre('save', function(next) {
     this.items.forEach(item => {
       total += item.subtotal;
     });
-    this.totalAmount = total + this.platformFee;
+    this.totalAmount = roundAmount(total + this.platformFee, this.currency);
   }
   next();
 });
@@ -127,6 +169,42 @@ orderSchema.methods.assignDeliveryAgent = function(agentId) {
   return this.save();
 };
 
+// Method to get the order state pushed to socket subscribers
+orderSchema.methods.toEventPayload = function() {
+  return {
+    orderId: this._id,
+    status: this.status,
+    paymentStatus: this.paymentStatus,
+    deliveryStatus: this.deliveryStatus,
+    deliveryAgent: this.deliveryAgent,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Method to check if a user may view this order
+// Buyer, admin, the assigned delivery agent or the seller of at least one item
+orderSchema.methods.isAccessibleBy = async function(user) {
+  const idOf = (ref) => ref && (ref._id || ref).toString();
+
+  if (idOf(this.buyer) === user.id || user.roles.includes('admin')) {
+    return true;
+  }
+
+  if (user.roles.includes('delivery') && idOf(this.deliveryAgent) === user.id) {
+    return true;
+  }
+
+  if (user.roles.includes('seller')) {
+    const count = await mongoose.model('Product').countDocuments({
+      seller: user.id,
+      _id: { $in: this.items.map(item => idOf(item.product)) }
+    });
+    return count > 0;
+  }
+
+  return false;
+};
+
 // Method to update order status
 orderSchema.methods.updateStatus = function(status) {
   this.status = status;
@@ -135,7 +213,7 @@ orderSchema.methods.updateStatus = function(status) {
   if (status === 'delivered') {
     this.paymentStatus = 'released';
     this.actualDeliveryDate = new Date();
-  } else if (status === 'cancelled') {
+  } else if (status === 'cancelled' || status === 'refunded') {
     this.paymentStatus = 'refunded';
   }
   
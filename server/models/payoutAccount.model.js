@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Account a user has saved to receive withdrawals on
+const payoutAccountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['mobile_money', 'bank'],
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  // Mobile money: provider name and phone number
+  provider: String,
+  phone: String,
+  // Bank: bank name, account holder and account number (IBAN or RIB)
+  bankName: String,
+  accountName: String,
+  accountNumber: String,
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Removed accounts are kept for the withdrawals that reference them
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+payoutAccountSchema.index({ user: 1, isActive: 1 });
+
+// Method to get the destination details copied onto a withdrawal
+payoutAccountSchema.methods.toDestination = function() {
+  return {
+    type: this.type,
+    provider: this.provider,
+    phone: this.phone,
+    bankName: this.bankName,
+    accountName: this.accountName,
+    accountNumber: this.accountNumber
+  };
+};
+
+// Method to get a masked description of the account, safe to show in lists
+payoutAccountSchema.methods.describe = function() {
+  const number = this.type === 'bank' ? this.accountNumber : this.phone;
+  const masked = number ? `****${number.slice(-4)}` : '';
+  return `${this.label || (this.type === 'bank' ? this.bankName : this.provider)} ${masked}`.trim();
+};
+
+const PayoutAccount = mongoose.model('PayoutAccount', payoutAccountSchema);
+
+module.exports = PayoutAccount;
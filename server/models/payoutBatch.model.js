@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
+
+// Group of approved withdrawals paid out together
+// Each item is settled on its own as the payment provider or bank reports it
+const payoutItemSchema = new mongoose.Schema({
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  destination: {
+    type: {
+      type: String,
+      enum: ['mobile_money', 'bank']
+    },
+    provider: String,
+    phone: String,
+    bankName: String,
+    accountName: String,
+    accountNumber: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed'],
+    default: 'pending'
+  },
+  providerReference: String,
+  failureReason: String,
+  settledAt: Date
+});
+
+const payoutBatchSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [payoutItemSchema],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+
+// Method to count items by status
+payoutBatchSchema.methods.summary = function() {
+  return this.items.reduce((counts, item) => {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+    return counts;
+  }, { pending: 0, paid: 0, failed: 0 });
+};
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+
+module.exports = PayoutBatch;
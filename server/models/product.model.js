@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -17,7 +18,8 @@ const productSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    default: 'XOF'
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
   },
   images: {
     type: [String],
@@ -130,6 +132,21 @@ productSchema.methods.reduceStock = function(quantity = 1) {
   return this.save();
 };
 
+// Static method to take stock for an order in one atomic update
+// Only matches when enough stock is left; marks the product unavailable at zero
+productSchema.statics.reserveStock = function(productId, quantity, session = null) {
+  return this.findOneAndUpdate(
+    { _id: productId, isAvailable: true, stock: { $gte: quantity } },
+    [{
+      $set: {
+        stock: { $subtract: ['$stock', quantity] },
+        isAvailable: { $gt: [{ $subtract: ['$stock', quantity] }, 0] }
+      }
+    }],
+    { new: true, session }
+  );
+};
+
 // Static method to find featured products
 productSchema.statics.findFeatured = function(limit = 10) {
   return this.find({ isFeatured: true, isAvailable: true })
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
+
+// Amounts are compared in hundredths to avoid floating point drift
+const toCents = (amount) => Math.round(amount * 100);
+
+// Promo credit granted to a wallet, spent soonest-expiring first
+// remaining is what is left to spend; whatever remains at expiresAt expires
+const promoGrantSchema = new mongoose.Schema({
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  remaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // admin: granted by an admin; cashback: earned on a delivered order;
+  // refund: promo credit returned when an order paid with it was cancelled
+  source: {
+    type: String,
+    enum: ['admin', 'cashback', 'refund'],
+    required: true
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashbackCampaign'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['active', 'used', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  expiredAt: Date,
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ledgerEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  }
+}, {
+  timestamps: true
+});
+
+promoGrantSchema.index({ wallet: 1, status: 1, expiresAt: 1 });
+promoGrantSchema.index({ status: 1, expiresAt: 1 });
+promoGrantSchema.index({ owner: 1, createdAt: -1 });
+
+// Static method to total the promo credit a wallet can spend now
+// Grants past their expiry no longer count, even before they are swept
+promoGrantSchema.statics.spendable = async function(walletId, session = null) {
+  const grants = await this.find({ wallet: walletId, status: 'active', expiresAt: { $gt: new Date() } })
+    .select('remaining')
+    .session(session);
+  return grants.reduce((cents, grant) => cents + toCents(grant.remaining), 0) / 100;
+};
+
+// Static method to take an amount out of a wallet's grants, soonest-expiring first
+// Returns the amount the grants did not cover
+promoGrantSchema.statics.consume = async function(walletId, amount, session = null) {
+  const grants = await this.find({ wallet: walletId, status: 'active', expiresAt: { $gt: new Date() } })
+    .sort({ expiresAt: 1 })
+    .session(session);
+
+  let leftCents = toCents(amount);
+  for (const grant of grants) {
+    if (leftCents <= 0) {
+      break;
+    }
+    const takenCents = Math.min(toCents(grant.remaining), leftCents);
+    grant.remaining = (toCents(grant.remaining) - takenCents) / 100;
+    if (grant.remaining === 0) {
+      grant.status = 'used';
+    }
+    await grant.save({ session });
+    leftCents -= takenCents;
+  }
+
+  return leftCents / 100;
+};
+
+const PromoGrant = mongoose.model('PromoGrant', promoGrantSchema);
+
+module.exports = PromoGrant;
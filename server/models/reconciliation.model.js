@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Problem found by a reconciliation run, reviewed by an admin
+const discrepancySchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: [
+      'balance_mismatch',
+      'promo_balance_mismatch',
+      'missing_seller_credit',
+      'duplicate_seller_credit',
+      'missing_agent_commission',
+      'duplicate_agent_commission',
+      'missing_admin_fee',
+      'duplicate_admin_fee',
+      'missing_refund',
+      'duplicate_refund',
+      'orphaned_pending_transaction'
+    ],
+    required: true
+  },
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expected: mongoose.Schema.Types.Mixed,
+  actual: mongoose.Schema.Types.Mixed,
+  message: String,
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'ignored'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  resolutionNote: String
+});
+
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Day of a scheduled run, so only one server runs it
+  runKey: String,
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  error: String,
+  walletsChecked: {
+    type: Number,
+    default: 0
+  },
+  ordersChecked: {
+    type: Number,
+    default: 0
+  },
+  pendingChecked: {
+    type: Number,
+    default: 0
+  },
+  discrepancies: [discrepancySchema],
+  // More discrepancies were found than the report keeps
+  truncated: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ runKey: 1 }, { unique: true, sparse: true });
+reconciliationReportSchema.index({ createdAt: -1 });
+
+// Method to count discrepancies by status
+reconciliationReportSchema.methods.summary = function() {
+  return this.discrepancies.reduce((counts, discrepancy) => {
+    counts[discrepancy.status] += 1;
+    return counts;
+  }, { open: 0, resolved: 0, ignored: 0 });
+};
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+module.exports = ReconciliationReport;
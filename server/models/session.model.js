@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// A login session backs one refresh token. Access tokens carry the session id
+// so that revoking the session cuts off every token issued for it.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Method to check if session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to get a short device description from the user agent
+sessionSchema.methods.describeDevice = function() {
+  const ua = this.userAgent || '';
+  if (!ua) return 'Unknown device';
+
+  const os = [
+    ['Android', /Android/i],
+    ['iOS', /iPhone|iPad|iPod/i],
+    ['Windows', /Windows/i],
+    ['macOS', /Mac OS X|Macintosh/i],
+    ['Linux', /Linux/i]
+  ].find(([, pattern]) => pattern.test(ua));
+
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(ua));
+
+  if (!os && !browser) return ua.slice(0, 60);
+  return [browser && browser[0], os && os[0]].filter(Boolean).join(' on ');
+};
+
+// Method to get the public view of a session
+sessionSchema.methods.toClient = function(currentSessionId) {
+  return {
+    id: this._id,
+    device: this.describeDevice(),
+    userAgent: this.userAgent,
+    ip: this.ip,
+    lastSeenAt: this.lastSeenAt,
+    createdAt: this.createdAt,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+// Method to revoke session
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to find active sessions of a user
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke all active sessions of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
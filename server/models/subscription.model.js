@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
 
 const subscriptionSchema = new mongoose.Schema({
   seller: {
@@ -35,7 +36,8 @@ const subscriptionSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    default: 'XOF'
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
   },
   paymentMethod: {
     type: String,
@@ -64,6 +66,16 @@ const subscriptionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Plan prices in the base currency; wallets in another currency pay the
+// converted amount
+const PLAN_PRICES = {
+  weekly: 2000,
+  monthly: 7500,
+  yearly: 75000
+};
+
+subscriptionSchema.statics.PLAN_PRICES = PLAN_PRICES;
+
 // Calculate end date based on plan before saving
 subscriptionSchema.pre('save', function(next) {
   if (this.isNew || this.isModified('plan')) {
@@ -77,19 +89,20 @@ subscriptionSchema.pre('save', function(next) {
         break;
       case 'weekly':
         this.endDate = new Date(currentDate.setDate(currentDate.getDate() + 7));
-        this.price = 2000; // Example price in XOF
+        this.price = PLAN_PRICES.weekly;
         break;
       case 'monthly':
         this.endDate = new Date(currentDate.setMonth(currentDate.getMonth() + 1));
-        this.price = 7500; // Example price in XOF
+        this.price = PLAN_PRICES.monthly;
         break;
       case 'yearly':
         this.endDate = new Date(currentDate.setFullYear(currentDate.getFullYear() + 1));
-        this.price = 75000; // Example price in XOF
+        this.price = PLAN_PRICES.yearly;
         break;
       default:
         break;
     }
+    this.currency = BASE_CURRENCY;
   }
   next();
 });
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Shared failure counters used to throttle logins across server instances
+const throttleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  firstFailureAt: Date,
+  lastFailureAt: Date,
+  blockedUntil: Date,
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove counters once they expire
+throttleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+throttleSchema.index({ blockedUntil: 1 });
+
+const Throttle = mongoose.model('Throttle', throttleSchema);
+
+module.exports = Throttle;
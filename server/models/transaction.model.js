@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
+
+const TRANSACTION_TYPES = [
+  'deposit', 'withdrawal', 'payment', 'refund', 'commission', 'fee', 'transfer',
+  // Movements of promo credit
+  'promo_credit', 'cashback', 'promo_spend', 'promo_refund', 'promo_expiry',
+  // Manual correction approved by admins
+  'adjustment'
+];
+
+// Movement on a wallet
+// Kept in its own collection rather than embedded in the wallet so history
+// can grow without limit and be paged and filtered. sequence numbers the
+// transactions of a wallet in the order they were applied and balanceAfter is
+// the wallet balance right after, which gives statements their opening and
+// closing balances.
+const transactionSchema = new mongoose.Schema({
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  walletType: {
+    type: String,
+    enum: ['buyer', 'seller', 'delivery', 'admin']
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Side of the ledger line this transaction records on the wallet account
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  // Which balance of the wallet the transaction moved: the cash balance or
+  // the promo credit; balanceAfter is that balance
+  balanceType: {
+    type: String,
+    enum: ['cash', 'promo'],
+    default: 'cash'
+  },
+  balanceAfter: Number,
+  ledgerEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  relatedOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  relatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['mobile_money', 'credit_card', 'bank_transfer', 'internal'],
+    default: 'internal'
+  },
+  paymentDetails: {
+    provider: String,
+    transactionId: String,
+    accountNumber: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+transactionSchema.index({ wallet: 1, sequence: -1 }, { unique: true });
+transactionSchema.index({ wallet: 1, createdAt: -1 });
+transactionSchema.index({ relatedOrder: 1 });
+transactionSchema.index({ status: 1, createdAt: 1 });
+
+transactionSchema.statics.TYPES = TRANSACTION_TYPES;
+
+// Types that added to the balance before transactions recorded a direction
+const LEGACY_CREDIT_TYPES = ['deposit', 'refund', 'commission'];
+
+// Static method to update the status of a transaction by reference
+transactionSchema.statics.setStatus = function(reference, status, session = null) {
+  return this.updateOne({ reference }, { status }, { session });
+};
+
+// Static method to get the cash balance of a wallet at a point in time
+// The balance after the last cash transaction applied before the date, or 0
+transactionSchema.statics.balanceAt = async function(walletId, date) {
+  const last = await this.findOne({ wallet: walletId, balanceType: { $ne: 'promo' }, createdAt: { $lt: date } })
+    .sort({ sequence: -1 })
+    .select('balanceAfter');
+  return last ? last.balanceAfter : 0;
+};
+
+// Static method to move the transactions embedded in a wallet document into
+// this collection
+// They are numbered 0 and below, before every transaction recorded since, and
+// their balances are worked back from the balance before the first of those.
+// Returns the number of transactions moved; a wallet already migrated is
+// skipped.
+transactionSchema.statics.migrateEmbedded = async function(rawWallet) {
+  const embedded = rawWallet.transactions || [];
+  if (!embedded.length || await this.exists({ wallet: rawWallet._id, sequence: { $lte: 0 } })) {
+    return 0;
+  }
+
+  const directionOf = (transaction) => transaction.direction ||
+    (LEGACY_CREDIT_TYPES.includes(transaction.type) ? 'credit' : 'debit');
+  const signed = (transaction) => (directionOf(transaction) === 'credit' ? transaction.amount : -transaction.amount);
+
+  const first = await this.findOne({ wallet: rawWallet._id }).sort({ sequence: 1 });
+  let balance = first ? first.balanceAfter - signed(first) : rawWallet.balance;
+
+  const documents = [];
+  for (let index = embedded.length - 1; index >= 0; index--) {
+    const transaction = embedded[index];
+
+    documents.unshift({
+      ...transaction,
+      wallet: rawWallet._id,
+      owner: rawWallet.owner,
+      walletType: rawWallet.walletType,
+      currency: transaction.currency || rawWallet.currency,
+      direction: directionOf(transaction),
+      sequence: index - embedded.length + 1,
+      balanceAfter: balance
+    });
+    balance -= signed(transaction);
+  }
+
+  await this.insertMany(documents);
+  return documents.length;
+};
+
+const Transaction = mongoose.model('Transaction', transactionSchema);
+
+module.exports = Transaction;
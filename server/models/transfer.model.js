@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
+
+// Transfer of funds from one user to another
+// Created when the sender asks for a quote and completed once they confirm it
+// with their wallet PIN
+const transferSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fromWallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  toWallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // Charged to the sender on top of the amount
+  fee: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 140
+  },
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending_confirmation', 'held', 'completed', 'rejected', 'cancelled', 'expired'],
+    default: 'pending_confirmation'
+  },
+  confirmationExpiresAt: {
+    type: Date,
+    required: true
+  },
+  ledgerEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+transferSchema.index({ sender: 1, createdAt: -1 });
+transferSchema.index({ recipient: 1, createdAt: -1 });
+transferSchema.index({ sender: 1, status: 1, completedAt: 1 });
+
+// Static method to build the filter of the transfers a sender has sent since
+// a date: completed ones, and held ones whatever their date since releasing
+// them moves the money
+transferSchema.statics.sentFilter = function(senderId, since) {
+  return {
+    sender: new mongoose.Types.ObjectId(senderId),
+    $or: [
+      { status: 'completed', completedAt: { $gte: since } },
+      { status: 'held' }
+    ]
+  };
+};
+
+// Static method to total the transfers a sender has sent since a date
+// Amounts are totalled per currency; exclude leaves one transfer out
+transferSchema.statics.sentSince = async function(senderId, since, { exclude, session = null } = {}) {
+  const match = this.sentFilter(senderId, since);
+  if (exclude) {
+    match._id = { $ne: exclude };
+  }
+
+  const totals = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$currency', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]).session(session);
+  return {
+    amounts: totals.reduce((amounts, total) => ({ ...amounts, [total._id]: total.amount }), {}),
+    count: totals.reduce((count, total) => count + total.count, 0)
+  };
+};
+
+const Transfer = mongoose.model('Transfer', transferSchema);
+
+module.exports = Transfer;
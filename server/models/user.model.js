@@ -1,5 +1,23 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
+
+// Onboarding application shared by seller and delivery profiles
+const roleApplication = {
+  applicationStatus: {
+    type: String,
+    enum: ['none', 'pending', 'approved', 'rejected'],
+    default: 'none'
+  },
+  appliedAt: Date,
+  reviewedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectionReason: String
+};
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -24,6 +42,12 @@ const userSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Home currency; the user's wallets are opened in it
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
   roles: {
     type: [String],
     enum: ['buyer', 'seller', 'delivery', 'admin', 'customer_service'],
@@ -48,9 +72,73 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Identity verification; an approved one puts the user in the id_verified wallet tier
+  kyc: {
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'approved', 'rejected'],
+      default: 'none'
+    },
+    submission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'KycSubmission'
+    },
+    verifiedAt: Date
+  },
   verificationToken: String,
+  verificationChannel: {
+    type: String,
+    enum: ['email', 'sms']
+  },
+  verificationExpires: Date,
+  verificationAttempts: {
+    type: Number,
+    default: 0
+  },
+  verificationSentAt: Date,
   resetPasswordToken: String,
   resetPasswordExpires: Date,
+  passwordChangedAt: Date,
+  // One-time code for passwordless phone login (code hashed)
+  loginOtp: {
+    codeHash: String,
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    sentAt: Date
+  },
+  // TOTP two-factor authentication (secrets encrypted, recovery codes hashed)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    pendingSecret: String,
+    lastUsedStep: Number,
+    recoveryCodes: [String],
+    enabledAt: Date
+  },
+  // PIN authorizing wallet operations (hashed)
+  walletPin: {
+    hash: String,
+    setAt: Date,
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -79,7 +167,8 @@ const userSchema = new mongoose.Schema({
     totalReviews: {
       type: Number,
       default: 0
-    }
+    },
+    ...roleApplication
   },
   // Delivery agent specific fields
   deliveryInfo: {
@@ -95,7 +184,8 @@ const userSchema = new mongoose.Schema({
     },
     currentLocation: {
       latitude: Number,
-      longitude: Number
+      longitude: Number,
+      updatedAt: Date
     },
     rating: {
       type: Number,
@@ -104,10 +194,33 @@ const userSchema = new mongoose.Schema({
     totalDeliveries: {
       type: Number,
       default: 0
-    }
+    },
+    ...roleApplication
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Never send credentials or secrets to clients
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.resetPasswordToken;
+      delete ret.resetPasswordExpires;
+      delete ret.verificationToken;
+      delete ret.loginOtp;
+      ret.walletPin = {
+        isSet: Boolean(ret.walletPin?.hash),
+        setAt: ret.walletPin?.setAt
+      };
+      if (ret.twoFactor) {
+        ret.twoFactor = {
+          enabled: ret.twoFactor.enabled,
+          enabledAt: ret.twoFactor.enabledAt,
+          recoveryCodesRemaining: (ret.twoFactor.recoveryCodes || []).length
+        };
+      }
+      return ret;
+    }
+  }
 });
 
 // Hash password before saving
@@ -115,6 +228,9 @@ userSchema.pre('save', async function(next) {
   const user = this;
   if (user.isModified('password')) {
     user.password = await bcrypt.hash(user.password, 8);
+    if (!user.isNew) {
+      user.passwordChangedAt = new Date();
+    }
   }
   next();
 });
@@ -124,11 +240,100 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to generate a password reset token
+// Only the SHA-256 hash is stored; the raw token is returned to be sent to the user
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes = 60) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = hashToken(resetToken);
+  this.resetPasswordExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return resetToken;
+};
+
+// Method to generate a 6-digit verification code for the given channel
+// Only the hash is stored in verificationToken; the raw code is returned to be sent
+userSchema.methods.createVerificationCode = function(channel, expiresInMinutes = 15) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  this.verificationToken = hashToken(code);
+  this.verificationChannel = channel;
+  this.verificationExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  this.verificationAttempts = 0;
+  this.verificationSentAt = new Date();
+  return code;
+};
+
+// Method to check a verification code against the stored hash
+userSchema.methods.matchesVerificationCode = function(code) {
+  return !!this.verificationToken && this.verificationToken === hashToken(String(code));
+};
+
+// Method to mark the pending verification channel as verified
+userSchema.methods.completeVerification = function() {
+  if (this.verificationChannel === 'sms') {
+    this.isPhoneVerified = true;
+  } else {
+    this.isEmailVerified = true;
+  }
+  this.isVerified = true;
+  this.verificationToken = undefined;
+  this.verificationChannel = undefined;
+  this.verificationExpires = undefined;
+  this.verificationAttempts = 0;
+};
+
+// Method to generate a 6-digit phone login code
+// Only the hash is stored; the raw code is returned to be sent by SMS
+userSchema.methods.createLoginOtp = function(expiresInMinutes = 5) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  this.loginOtp = {
+    codeHash: hashToken(code),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+    attempts: 0,
+    sentAt: new Date()
+  };
+  return code;
+};
+
+// Method to check a phone login code (expiry and attempts are checked by the caller)
+userSchema.methods.matchesLoginOtp = function(code) {
+  return !!this.loginOtp?.codeHash && this.loginOtp.codeHash === hashToken(String(code));
+};
+
+// Method to set the wallet PIN (stored as a bcrypt hash)
+userSchema.methods.setWalletPin = async function(pin) {
+  this.walletPin = {
+    hash: await bcrypt.hash(String(pin), 8),
+    setAt: new Date(),
+    failedAttempts: 0,
+    lockedUntil: this.walletPin?.lockedUntil
+  };
+};
+
+// Method to compare a candidate wallet PIN with the stored hash
+userSchema.methods.compareWalletPin = async function(candidatePin) {
+  if (!this.walletPin?.hash) {
+    return false;
+  }
+  return await bcrypt.compare(String(candidatePin), this.walletPin.hash);
+};
+
 // Method to check if user has a specific role
 userSchema.methods.hasRole = function(role) {
   return this.roles.includes(role);
 };
 
+// Static method to find a user by an unexpired password reset token
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    resetPasswordToken: hashToken(token),
+    resetPasswordExpires: { $gt: new Date() }
+  });
+};
+
+// Helper function to hash tokens before storing or looking them up
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
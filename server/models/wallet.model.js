@@ -1,56 +1,6 @@
 const mongoose = require('mongoose');
-
-const transactionSchema = new mongoose.Schema({
-  type: {
-    type: String,
-    enum: ['deposit', 'withdrawal', 'payment', 'refund', 'commission', 'fee'],
-    required: true
-  },
-  amount: {
-    type: Number,
-    required: true
-  },
-  currency: {
-    type: String,
-    default: 'XOF'
-  },
-  description: {
-    type: String,
-    required: true
-  },
-  status: {
-    type: String,
-    enum: ['pending', 'completed', 'failed', 'cancelled'],
-    default: 'pending'
-  },
-  reference: {
-    type: String,
-    required: true,
-    unique: true
-  },
-  relatedOrder: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Order'
-  },
-  relatedUser: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  },
-  paymentMethod: {
-    type: String,
-    enum: ['mobile_money', 'credit_card', 'bank_transfer', 'internal'],
-    default: 'internal'
-  },
-  paymentDetails: {
-    provider: String,
-    transactionId: String,
-    accountNumber: String
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
+const Transaction = require('./transaction.model');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
 
 const walletSchema = new mongoose.Schema({
   owner: {
@@ -67,15 +17,26 @@ const walletSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Promotional credit: spent on orders before the balance, never withdrawn
+  // or transferred, and expires (see PromoGrant)
+  promoBalance: {
+    type: Number,
+    default: 0
+  },
   currency: {
     type: String,
-    default: 'XOF'
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
   },
   isActive: {
     type: Boolean,
     default: true
   },
-  transactions: [transactionSchema],
+  // Number of transactions applied, used to sequence them
+  transactionCount: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -84,18 +45,52 @@ const walletSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Method to add a transaction to the wallet
-walletSchema.methods.addTransaction = async function(transactionData) {
-  this.transactions.push(transactionData);
+// One wallet per role and currency; the oldest of a role is its default
+walletSchema.index({ owner: 1, walletType: 1, currency: 1 }, { unique: true });
+
+// Static method to apply a transaction to a wallet
+// The balance changes in one atomic update; debits only match an active wallet
+// whose balance covers them, so concurrent requests cannot overdraw it. The
+// transaction is then recorded with its sequence number and the resulting
+// balance. A transaction with balanceType 'promo' moves promoBalance instead.
+// Returns the updated wallet, or null when the update did not apply.
+walletSchema.statics.applyTransaction = async function(walletId, transactionData, session = null) {
+  const { direction, amount } = transactionData;
+  const field = transactionData.balanceType === 'promo' ? 'promoBalance' : 'balance';
+  const filter = { _id: walletId };
+  
+  if (direction === 'debit') {
+    filter.isActive = true;
+    filter[field] = { $gte: amount };
+  }
   
-  // Update wallet balance based on transaction type
-  if (['deposit', 'refund', 'commission'].includes(transactionData.type)) {
-    this.balance += transactionData.amount;
-  } else if (['withdrawal', 'payment', 'fee'].includes(transactionData.type)) {
-    this.balance -= transactionData.amount;
+  const wallet = await this.findOneAndUpdate(filter, {
+    $inc: {
+      [field]: direction === 'credit' ? amount : -amount,
+      transactionCount: 1
+    }
+  }, { new: true, session });
+  
+  if (!wallet) {
+    return null;
   }
   
-  return this.save();
+  await Transaction.create([{
+    ...transactionData,
+    wallet: wallet._id,
+    owner: wallet.owner,
+    walletType: wallet.walletType,
+    currency: wallet.currency,
+    sequence: wallet.transactionCount,
+    balanceAfter: wallet[field]
+  }], { session });
+  
+  return wallet;
+};
+
+// Method to get the ledger account code of the wallet
+walletSchema.methods.accountCode = function() {
+  return `wallet:${this._id}`;
 };
 
 // Method to check if wallet has sufficient balance
@@ -104,8 +99,12 @@ walletSchema.methods.hasSufficientBalance = function(amount) {
 };
 
 // Static method to find wallet by owner and type
-walletSchema.statics.findByOwnerAndType = function(ownerId, walletType) {
-  return this.findOne({ owner: ownerId, walletType });
+// Without a currency this is the owner's default (first opened) wallet of the type
+walletSchema.statics.findByOwnerAndType = function(ownerId, walletType, currency) {
+  if (currency) {
+    return this.findOne({ owner: ownerId, walletType, currency });
+  }
+  return this.findOne({ owner: ownerId, walletType }).sort({ createdAt: 1 });
 };
 
 const Wallet = mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
+
+// Manual correction of a wallet balance requested by an admin
+// Nothing is posted until a second admin approves it; the requester cannot
+// approve their own adjustment. What is adjusted and why cannot be changed
+// once requested, only the review outcome is filled in.
+const walletAdjustmentSchema = new mongoose.Schema({
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true,
+    immutable: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  walletType: {
+    type: String,
+    enum: ['buyer', 'seller', 'delivery', 'admin'],
+    required: true,
+    immutable: true
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY,
+    immutable: true
+  },
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true,
+    immutable: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    immutable: true
+  },
+  // Support ticket the correction was raised from
+  ticketReference: {
+    type: String,
+    required: true,
+    trim: true,
+    immutable: true
+  },
+  status: {
+    type: String,
+    enum: ['pending_approval', 'posted', 'rejected'],
+    default: 'pending_approval'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+  ledgerEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  postedAt: Date
+}, {
+  timestamps: true
+});
+
+walletAdjustmentSchema.index({ status: 1, createdAt: 1 });
+walletAdjustmentSchema.index({ owner: 1, createdAt: -1 });
+
+// Static method to move a pending adjustment to its review outcome exactly once
+// update may set reviewedAt, which defaults to now
+// Returns null when it was already reviewed (or never existed)
+walletAdjustmentSchema.statics.review = function(id, update, session = null) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'pending_approval' },
+    { reviewedAt: new Date(), ...update },
+    { new: true, session }
+  );
+};
+
+const WalletAdjustment = mongoose.model('WalletAdjustment', walletAdjustmentSchema);
+
+module.exports = WalletAdjustment;
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
+
+// Withdrawal requested by a user and reviewed by an admin
+// The amount is reserved from the wallet when the request is made, then paid
+// out in a payout batch or returned to the wallet on rejection, cancellation
+// or a failed payout.
+const withdrawalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  walletType: {
+    type: String,
+    enum: ['buyer', 'seller', 'delivery', 'admin'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: BASE_CURRENCY
+  },
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  payoutAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutAccount',
+    required: true
+  },
+  // Copy of the payout account at request time
+  destination: {
+    type: {
+      type: String,
+      enum: ['mobile_money', 'bank']
+    },
+    provider: String,
+    phone: String,
+    bankName: String,
+    accountName: String,
+    accountNumber: String
+  },
+  status: {
+    type: String,
+    enum: ['pending_review', 'approved', 'rejected', 'cancelled', 'processing', 'paid', 'failed'],
+    default: 'pending_review'
+  },
+  // Held by the fraud rules: cannot be approved until the fraud review releases it
+  fraudHold: {
+    type: Boolean,
+    default: false
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  },
+  providerReference: String,
+  failureReason: String,
+  reserveEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  settlementEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  settledAt: Date
+}, {
+  timestamps: true
+});
+
+withdrawalSchema.index({ user: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+
+// Statuses whose amount is still reserved
+withdrawalSchema.statics.OPEN_STATUSES = ['pending_review', 'approved', 'processing'];
+
+// Static method to move a withdrawal from one status to another exactly once
+// conditions are further fields the withdrawal must match
+// Returns null when it was no longer in one of the expected statuses
+withdrawalSchema.statics.transition = function(id, from, update, session = null, conditions = {}) {
+  return this.findOneAndUpdate(
+    { ...conditions, _id: id, status: { $in: [].concat(from) } },
+    update,
+    { new: true, session }
+  );
+};
+
+const Withdrawal = mongoose.model('Withdrawal', withdrawalSchema);
+
+module.exports = Withdrawal;
@@ -4,7 +4,41 @@ const User = require('../models/user.model');
 const Product = require('../models/product.model');
 const Order = require('../models/order.model');
 const Subscription = require('../models/subscription.model');
+const AuditLog = require('../models/audit.model');
 const { auth, checkRole } = require('../middleware/auth.middleware');
+const { check, validationResult } = require('express-validator');
+const { APPLICATION_ROLES, grantRole } = require('../services/role.service');
+const { revokeUserSessions } = require('../services/token.service');
+const { listLockouts, clearLockout } = require('../services/loginGuard.service');
+const LedgerEntry = require('../models/ledger.model');
+const EscrowHold = require('../models/escrow.model');
+const { updateOrderStatus } = require('../services/escrow.service');
+const { emitToOrder } = require('../services/socket.service');
+const { trialBalance, postOpeningBalances } = require('../services/ledger.service');
+const Withdrawal = require('../models/withdrawal.model');
+const PayoutBatch = require('../models/payoutBatch.model');
+const { TransactionAbort } = require('../services/dbTransaction.service');
+const {
+  approveWithdrawal,
+  rejectWithdrawal,
+  createPayoutBatch,
+  settlePayoutItem
+} = require('../services/withdrawal.service');
+const { migrateEmbeddedTransactions } = require('../services/transactionHistory.service');
+const ReconciliationReport = require('../models/reconciliation.model');
+const { runReconciliation } = require('../services/reconciliation.service');
+const ExchangeRate = require('../models/exchangeRate.model');
+const KycSubmission = require('../models/kycSubmission.model');
+const { approveSubmission, rejectSubmission } = require('../services/kyc.service');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY } = require('../services/currency.service');
+const FraudRule = require('../models/fraudRule.model');
+const FraudCheck = require('../models/fraudCheck.model');
+const PromoGrant = require('../models/promoGrant.model');
+const CashbackCampaign = require('../models/cashbackCampaign.model');
+const { grantFromAdmin } = require('../services/promo.service');
+const { OPERATIONS: FRAUD_OPERATIONS, ACTIONS: FRAUD_ACTIONS, releaseCheck, rejectCheck } = require('../services/fraud.service');
+const WalletAdjustment = require('../models/walletAdjustment.model');
+const { requestAdjustment, approveAdjustment, rejectAdjustment } = require('../services/adjustment.service');
 
 // Middleware to ensure user is an admin
 const adminAuth = [auth, checkRole(['admin'])];
@@ -106,42 +140,1352 @@ router.put('/users/:id', adminAuth, async (req, res) => {
     // Update user fields
     const { name, email, phone, roles, isVerified } = req.body;
     
+    if (roles !== undefined && !Array.isArray(roles)) {
+      return res.status(400).json({ msg: 'Roles must be an array' });
+    }
+    
+    // Roles are only changed through the add-role and remove-role endpoints
+    if (roles && (roles.length !== user.roles.length || roles.some(role => !user.roles.includes(role)))) {
+      return res.status(400).json({ msg: 'Use the add-role and remove-role endpoints to change roles' });
+    }
+    
     if (name) user.name = name;
     if (email) user.email = email;
     if (phone) user.phone = phone;
-    if (roles) user.roles = roles;
     if (isVerified !== undefined) user.isVerified = isVerified;
     
-    await user.save();
+    await user.save();
+    
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/admin/users/:id
+// @desc    Delete user
+// @access  Private/Admin
+router.delete('/users/:id', adminAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    
+    await user.remove();
+    await revokeUserSessions(user._id, 'user_deleted');
+    
+    res.json({ msg: 'User removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/role-applications
+// @desc    Get seller and delivery role applications
+// @access  Private/Admin
+router.get('/role-applications', adminAuth, async (req, res) => {
+  try {
+    const { role, status = 'pending' } = req.query;
+    
+    if (role && !APPLICATION_ROLES.includes(role)) {
+      return res.status(400).json({ msg: 'Invalid role' });
+    }
+    
+    const roles = role ? [role] : APPLICATION_ROLES;
+    const users = await User.find({
+      $or: roles.map(r => ({ [`${r}Info.applicationStatus`]: status }))
+    })
+      .select('name email phone roles sellerInfo deliveryInfo createdAt')
+      .sort({ createdAt: 1 });
+    
+    res.json(users);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/role-applications/:id/approve
+// @desc    Approve a seller or delivery role application
+// @access  Private/Admin
+router.put('/role-applications/:id/approve', adminAuth, [
+  check('role', 'Role must be seller or delivery').isIn(APPLICATION_ROLES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { role } = req.body;
+
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    
+    const application = user[`${role}Info`];
+    if (!application || application.applicationStatus !== 'pending') {
+      return res.status(400).json({ msg: `No pending ${role} application for this user` });
+    }
+    
+    // Grant the role with its subscription and wallet
+    await grantRole(user, role);
+    
+    application.applicationStatus = 'approved';
+    application.reviewedAt = new Date();
+    application.reviewedBy = req.user.id;
+    application.rejectionReason = undefined;
+    
+    await user.save();
+    
+    // Tokens carry the roles, so force the user to sign in again
+    await revokeUserSessions(user._id, 'role_change');
+    
+    await AuditLog.record('role.application_approved', {
+      req,
+      targetUser: user._id,
+      details: { role }
+    });
+    
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/role-applications/:id/reject
+// @desc    Reject a seller or delivery role application
+// @access  Private/Admin
+router.put('/role-applications/:id/reject', adminAuth, [
+  check('role', 'Role must be seller or delivery').isIn(APPLICATION_ROLES),
+  check('reason', 'Rejection reason is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { role, reason } = req.body;
+
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    
+    const application = user[`${role}Info`];
+    if (!application || application.applicationStatus !== 'pending') {
+      return res.status(400).json({ msg: `No pending ${role} application for this user` });
+    }
+    
+    application.applicationStatus = 'rejected';
+    application.reviewedAt = new Date();
+    application.reviewedBy = req.user.id;
+    application.rejectionReason = reason;
+    
+    await user.save();
+    
+    await AuditLog.record('role.application_rejected', {
+      req,
+      targetUser: user._id,
+      details: { role, reason }
+    });
+    
+    res.json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/kyc
+// @desc    Get identity document submissions, pending ones by default
+// @access  Private/Admin
+router.get('/kyc', adminAuth, async (req, res) => {
+  const { status = 'pending' } = req.query;
+  
+  try {
+    const submissions = await KycSubmission.find({ status })
+      .sort({ createdAt: 1 })
+      .limit(100)
+      .populate('user', 'name email phone isPhoneVerified kyc')
+      .populate('reviewedBy', 'name email');
+    
+    res.json(submissions);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/kyc/:id/files/:fileId
+// @desc    Download a file of an identity document submission
+// @access  Private/Admin
+router.get('/kyc/:id/files/:fileId', adminAuth, async (req, res) => {
+  try {
+    const submission = await KycSubmission.findById(req.params.id).select('+files.data');
+    const file = submission && submission.files.id(req.params.fileId);
+    
+    if (!file) {
+      return res.status(404).json({ msg: 'File not found' });
+    }
+    
+    // Identity documents are personal data: every view is recorded
+    await AuditLog.record('kyc.file_viewed', {
+      req,
+      targetUser: submission.user,
+      details: { submission: submission._id, file: file._id, side: file.side }
+    });
+    
+    res.set('Content-Type', file.mimeType);
+    res.set('Content-Disposition', `inline; filename="${file.fileName || `${submission.documentType}-${file.side}`}"`);
+    res.set('Cache-Control', 'no-store');
+    res.send(file.data);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'File not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/kyc/:id/approve
+// @desc    Approve an identity document; the user moves to the ID-verified tier
+// @access  Private/Admin
+router.put('/kyc/:id/approve', adminAuth, async (req, res) => {
+  try {
+    const submission = await approveSubmission(req.params.id, req.user.id);
+    
+    await AuditLog.record('kyc.approved', {
+      req,
+      targetUser: submission.user,
+      details: { submission: submission._id, documentType: submission.documentType }
+    });
+    
+    res.json(submission);
+  } catch (err) {
+    console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Submission not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/kyc/:id/reject
+// @desc    Reject an identity document with a reason the user can act on
+// @access  Private/Admin
+router.put('/kyc/:id/reject', adminAuth, [
+  check('reason', 'Rejection reason is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const submission = await rejectSubmission(req.params.id, req.user.id, req.body.reason);
+    
+    await AuditLog.record('kyc.rejected', {
+      req,
+      targetUser: submission.user,
+      details: { submission: submission._id, reason: req.body.reason }
+    });
+    
+    res.json(submission);
+  } catch (err) {
+    console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Submission not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/fraud/rules
+// @desc    Get the fraud rules payments are screened against
+// @access  Private/Admin
+router.get('/fraud/rules', adminAuth, async (req, res) => {
+  try {
+    const rules = await FraudRule.find().sort({ createdAt: 1 }).populate('updatedBy', 'name email');
+    res.json(rules);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/admin/fraud/rules
+// @desc    Create a fraud rule; amounts are in the base currency
+// @access  Private/Admin
+router.post('/fraud/rules', adminAuth, [
+  check('name', 'Name is required').not().isEmpty(),
+  check('type', 'Type must be velocity, password_change, new_device or amount').isIn(['velocity', 'password_change', 'new_device', 'amount']),
+  check('operations', 'At least one operation is required').isArray({ min: 1 }),
+  check('operations.*', `Operations must be among ${FRAUD_OPERATIONS.join(', ')}`).isIn(FRAUD_OPERATIONS),
+  check('action', `Action must be one of ${FRAUD_ACTIONS.join(', ')}`).isIn(FRAUD_ACTIONS),
+  check('maxCount', 'Max count must be a whole number').optional().isInt({ min: 0 }),
+  check('windowMinutes', 'Window must be a whole number of minutes').optional().isInt({ min: 1 }),
+  check('minAmount', 'Minimum amount must be a positive number').optional().isFloat({ min: 0 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, description, type, operations, action, maxCount, windowMinutes, minAmount, isActive } = req.body;
+
+  try {
+    const rule = await FraudRule.create({
+      name, description, type, operations, action, maxCount, windowMinutes, minAmount, isActive, updatedBy: req.user.id
+    });
+    
+    await AuditLog.record('fraud_rule.created', {
+      req,
+      details: { rule: rule._id, name: rule.name, type: rule.type, action: rule.action }
+    });
+    
+    res.status(201).json(rule);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: 'A rule with this name already exists' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/fraud/rules/:id
+// @desc    Change a fraud rule's thresholds, action or operations, or switch it off
+// @access  Private/Admin
+router.put('/fraud/rules/:id', adminAuth, [
+  check('operations', 'At least one operation is required').optional().isArray({ min: 1 }),
+  check('operations.*', `Operations must be among ${FRAUD_OPERATIONS.join(', ')}`).isIn(FRAUD_OPERATIONS),
+  check('action', `Action must be one of ${FRAUD_ACTIONS.join(', ')}`).optional().isIn(FRAUD_ACTIONS),
+  check('maxCount', 'Max count must be a whole number').optional().isInt({ min: 0 }),
+  check('windowMinutes', 'Window must be a whole number of minutes').optional().isInt({ min: 1 }),
+  check('minAmount', 'Minimum amount must be a positive number').optional().isFloat({ min: 0 }),
+  check('isActive', 'isActive must be a boolean').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rule = await FraudRule.findById(req.params.id);
+    
+    if (!rule) {
+      return res.status(404).json({ msg: 'Rule not found' });
+    }
+    
+    const previous = rule.toObject();
+    const fields = ['description', 'operations', 'action', 'maxCount', 'windowMinutes', 'minAmount', 'isActive'];
+    fields.filter(field => req.body[field] !== undefined).forEach(field => { rule[field] = req.body[field]; });
+    rule.updatedBy = req.user.id;
+    await rule.save();
+    
+    await AuditLog.record('fraud_rule.updated', {
+      req,
+      details: {
+        rule: rule._id,
+        name: rule.name,
+        changes: fields
+          .filter(field => req.body[field] !== undefined)
+          .map(field => ({ field, from: previous[field], to: rule[field] }))
+      }
+    });
+    
+    res.json(rule);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Rule not found' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/fraud/checks
+// @desc    Get the fraud queue (open flagged and held payments, oldest first) or past screenings
+// @access  Private/Admin
+router.get('/fraud/checks', adminAuth, async (req, res) => {
+  const { status = 'open', decision, operation, user } = req.query;
+  
+  try {
+    const filter = status === 'all' ? {} : { status };
+    if (decision) filter.decision = decision;
+    if (operation) filter.operation = operation;
+    if (user) filter.user = user;
+    
+    const checks = await FraudCheck.find(filter)
+      .sort({ createdAt: status === 'open' ? 1 : -1 })
+      .limit(500)
+      .populate('user', 'name email phone')
+      .populate('reviewedBy', 'name email');
+    
+    res.json(checks);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ msg: 'Invalid user' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/fraud/checks/:id/release
+// @desc    Clear a flagged payment, or let a held payment go ahead
+// @access  Private/Admin
+router.put('/fraud/checks/:id/release', adminAuth, async (req, res) => {
+  try {
+    const fraudCheck = await releaseCheck(req.params.id, req.user.id, req.body.note);
+    
+    await AuditLog.record('fraud_check.released', {
+      req,
+      targetUser: fraudCheck.user,
+      details: { check: fraudCheck._id, operation: fraudCheck.operation, decision: fraudCheck.decision, note: req.body.note }
+    });
+    
+    res.json(fraudCheck);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Fraud check not found' });
+    }
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/fraud/checks/:id/reject
+// @desc    Confirm a flagged payment as fraud, or cancel a held payment
+// @access  Private/Admin
+router.put('/fraud/checks/:id/reject', adminAuth, [
+  check('reason', 'Rejection reason is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const fraudCheck = await rejectCheck(req.params.id, req.user.id, req.body.reason);
+    
+    await AuditLog.record('fraud_check.rejected', {
+      req,
+      targetUser: fraudCheck.user,
+      details: { check: fraudCheck._id, operation: fraudCheck.operation, decision: fraudCheck.decision, reason: req.body.reason }
+    });
+    
+    res.json(fraudCheck);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Fraud check not found' });
+    }
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/users/:id/audit
+// @desc    Get the audit trail for a user
+// @access  Private/Admin
+router.get('/users/:id/audit', adminAuth, async (req, res) => {
+  try {
+    const entries = await AuditLog.findByUser(req.params.id);
+    res.json(entries);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/lockouts
+// @desc    Get accounts and IPs blocked after failed logins
+// @access  Private/Admin
+router.get('/lockouts', adminAuth, async (req, res) => {
+  try {
+    const lockouts = await listLockouts();
+    res.json(lockouts);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/admin/lockouts/:type/:id
+// @desc    Clear the lockout of an account (email or phone) or an IP
+// @access  Private/Admin
+router.delete('/lockouts/:type/:id', adminAuth, async (req, res) => {
+  const { type, id } = req.params;
+  
+  if (!['account', 'ip'].includes(type)) {
+    return res.status(400).json({ msg: 'Lockout type must be account or ip' });
+  }
+  
+  try {
+    const cleared = await clearLockout(type, id);
+    
+    if (!cleared) {
+      return res.status(404).json({ msg: 'Lockout not found' });
+    }
+    
+    await AuditLog.record('login.lockout_cleared', {
+      req,
+      details: { type, id }
+    });
+    
+    res.json({ msg: 'Lockout cleared' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/ledger/trial-balance
+// @desc    Get debit and credit totals per account and wallets drifting from the ledger
+// @access  Private/Admin
+router.get('/ledger/trial-balance', adminAuth, async (req, res) => {
+  try {
+    res.json(await trialBalance());
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/ledger/entries
+// @desc    Get ledger entries, optionally for one account or order
+// @access  Private/Admin
+router.get('/ledger/entries', adminAuth, async (req, res) => {
+  const { account, order, limit = 100 } = req.query;
+  
+  try {
+    const filter = {};
+    if (account) filter['lines.account'] = account;
+    if (order) filter.relatedOrder = order;
+    
+    const entries = await LedgerEntry.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit, 10) || 100, 500));
+    
+    res.json(entries);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/escrow
+// @desc    Get escrow holds, optionally filtered by status
+// @access  Private/Admin
+router.get('/escrow', adminAuth, async (req, res) => {
+  const { status = 'held' } = req.query;
+  
+  try {
+    const holds = await EscrowHold.find(status === 'all' ? {} : { status })
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .populate('buyer', 'name email phone')
+      .populate('order', 'status deliveryStatus deliveryAgent createdAt');
+    
+    res.json(holds);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/admin/ledger/opening-balances
+// @desc    Record existing wallet balances that have no ledger history
+// @access  Private/Admin
+router.post('/ledger/opening-balances', adminAuth, async (req, res) => {
+  try {
+    const entries = await postOpeningBalances();
+    
+    await AuditLog.record('ledger.opening_balances', {
+      req,
+      details: { entries: entries.length }
+    });
+    
+    res.json({ posted: entries.length, entries });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/admin/wallets/migrate-transactions
+// @desc    Move transactions embedded in wallet documents into the transactions collection
+// @access  Private/Admin
+router.post('/wallets/migrate-transactions', adminAuth, async (req, res) => {
+  try {
+    const result = await migrateEmbeddedTransactions();
+    
+    await AuditLog.record('wallet.transactions_migrated', {
+      req,
+      details: result
+    });
+    
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/reconciliation
+// @desc    Get reconciliation reports, newest first
+// @access  Private/Admin
+router.get('/reconciliation', adminAuth, async (req, res) => {
+  try {
+    const reports = await ReconciliationReport.find()
+      .sort({ createdAt: -1 })
+      .limit(60);
+    
+    res.json(reports.map(report => ({
+      ...report.toJSON(),
+      discrepancies: undefined,
+      summary: report.summary()
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/reconciliation/:id
+// @desc    Get a reconciliation report, optionally only discrepancies with a given status
+// @access  Private/Admin
+router.get('/reconciliation/:id', adminAuth, async (req, res) => {
+  const { status } = req.query;
+  
+  try {
+    const report = await ReconciliationReport.findById(req.params.id);
+    
+    if (!report) {
+      return res.status(404).json({ msg: 'Reconciliation report not found' });
+    }
+    
+    const json = report.toJSON();
+    if (status) {
+      json.discrepancies = json.discrepancies.filter(discrepancy => discrepancy.status === status);
+    }
+    
+    res.json({ ...json, summary: report.summary() });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Reconciliation report not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/admin/reconciliation
+// @desc    Run a reconciliation now
+// @access  Private/Admin
+router.post('/reconciliation', adminAuth, async (req, res) => {
+  try {
+    const report = await runReconciliation({ trigger: 'manual', triggeredBy: req.user.id });
+    
+    await AuditLog.record('reconciliation.run', {
+      req,
+      details: { report: report._id, status: report.status, discrepancies: report.discrepancies.length }
+    });
+    
+    res.status(201).json({ ...report.toJSON(), summary: report.summary() });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/reconciliation/:id/discrepancies/:discrepancyId
+// @desc    Mark a discrepancy resolved or ignored
+// @access  Private/Admin
+router.put('/reconciliation/:id/discrepancies/:discrepancyId', adminAuth, [
+  check('status', 'Status must be resolved or ignored').isIn(['resolved', 'ignored']),
+  check('note', 'A note explaining the resolution is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { status, note } = req.body;
+
+  try {
+    const report = await ReconciliationReport.findOneAndUpdate(
+      { _id: req.params.id, discrepancies: { $elemMatch: { _id: req.params.discrepancyId, status: 'open' } } },
+      {
+        $set: {
+          'discrepancies.$.status': status,
+          'discrepancies.$.resolvedBy': req.user.id,
+          'discrepancies.$.resolvedAt': new Date(),
+          'discrepancies.$.resolutionNote': note
+        }
+      },
+      { new: true }
+    );
+    
+    if (!report) {
+      return res.status(404).json({ msg: 'Open discrepancy not found' });
+    }
+    
+    const discrepancy = report.discrepancies.id(req.params.discrepancyId);
+    
+    await AuditLog.record(`reconciliation.discrepancy_${status}`, {
+      req,
+      targetUser: discrepancy.user,
+      details: { report: report._id, discrepancy: discrepancy._id, kind: discrepancy.kind, note }
+    });
+    
+    res.json(discrepancy);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Open discrepancy not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/exchange-rates
+// @desc    Get the exchange rates of the supported currencies against the base currency
+// @access  Private/Admin
+router.get('/exchange-rates', adminAuth, async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find({ currency: { $in: SUPPORTED_CURRENCIES } })
+      .populate('updatedBy', 'name email');
+    
+    res.json({
+      base: BASE_CURRENCY,
+      rates: SUPPORTED_CURRENCIES.filter(currency => currency !== BASE_CURRENCY).map(currency =>
+        rates.find(rate => rate.currency === currency) || { currency, rate: null }
+      )
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/exchange-rates/:currency
+// @desc    Set how many units of a currency one unit of the base currency buys
+// @access  Private/Admin
+router.put('/exchange-rates/:currency', adminAuth, [
+  check('rate', 'Rate must be a positive number').isFloat({ gt: 0 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const currency = req.params.currency.toUpperCase();
+  
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    return res.status(404).json({ msg: 'Currency not supported' });
+  }
+  
+  if (currency === BASE_CURRENCY) {
+    return res.status(400).json({ msg: `${BASE_CURRENCY} is the base currency; its rate is always 1` });
+  }
+
+  try {
+    const previous = await ExchangeRate.findOne({ currency });
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { rate: parseFloat(req.body.rate), updatedBy: req.user.id },
+      { new: true, upsert: true, runValidators: true }
+    );
     
-    res.json(user);
+    await AuditLog.record('exchange_rate.updated', {
+      req,
+      details: { currency, base: BASE_CURRENCY, previousRate: previous ? previous.rate : null, rate: exchangeRate.rate }
+    });
+    
+    res.json(exchangeRate);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/promo-credits
+// @desc    Get promo credit grants, newest first
+// @access  Private/Admin
+router.get('/promo-credits', adminAuth, async (req, res) => {
+  const { status, source, user } = req.query;
+  
+  try {
+    const filter = {};
+    if (status) filter.status = status;
+    if (source) filter.source = source;
+    if (user) filter.owner = user;
+    
+    const grants = await PromoGrant.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .populate('owner', 'name email phone')
+      .populate('campaign', 'name category percent')
+      .populate('grantedBy', 'name email');
+    
+    res.json(grants);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ msg: 'Invalid user' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/admin/promo-credits
+// @desc    Grant promo credit to a user's buyer wallet; it can only be spent on orders and expires
+// @access  Private/Admin
+router.post('/promo-credits', adminAuth, [
+  check('user', 'User ID is required').isMongoId(),
+  check('amount', 'Amount must be a positive number').isFloat({ gt: 0 }),
+  check('currency', `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`).optional().isIn(SUPPORTED_CURRENCIES),
+  check('expiresAt', 'Expiry must be a future date').optional().isISO8601().custom(value => new Date(value) > new Date()),
+  check('description', 'Description must be at most 140 characters').optional().isLength({ max: 140 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { user, amount, currency, expiresAt, description } = req.body;
+
+  try {
+    const grant = await grantFromAdmin({
+      userId: user,
+      currency,
+      amount: parseFloat(amount),
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      description,
+      adminId: req.user.id
+    });
+    
+    await AuditLog.record('promo_credit.granted', {
+      req,
+      targetUser: grant.owner,
+      details: { grant: grant._id, amount: grant.amount, currency: grant.currency, expiresAt: grant.expiresAt }
+    });
+    
+    res.status(201).json(grant);
+  } catch (err) {
+    console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/cashback-campaigns
+// @desc    Get cashback campaigns, newest first
+// @access  Private/Admin
+router.get('/cashback-campaigns', adminAuth, async (req, res) => {
+  try {
+    const campaigns = await CashbackCampaign.find()
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email');
+    
+    res.json(campaigns);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/admin/cashback-campaigns
+// @desc    Create a cashback campaign giving a percentage of orders in a category back as promo credit
+// @access  Private/Admin
+router.post('/cashback-campaigns', adminAuth, [
+  check('name', 'Name is required').not().isEmpty(),
+  check('category', 'Category is required').not().isEmpty(),
+  check('percent', 'Percent must be between 0.01 and 100').isFloat({ min: 0.01, max: 100 }),
+  check('maxAmount', 'Maximum amount must be a positive number').optional().isFloat({ min: 0 }),
+  check('creditExpiryDays', 'Credit expiry must be a whole number of days').optional().isInt({ min: 1 }),
+  check('startsAt', 'Start must be a date').optional().isISO8601(),
+  check('endsAt', 'End date is required').isISO8601()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, description, category, percent, maxAmount, creditExpiryDays, startsAt, endsAt } = req.body;
+
+  if (new Date(endsAt) <= new Date(startsAt || Date.now())) {
+    return res.status(400).json({ msg: 'The campaign must end after it starts' });
+  }
+
+  try {
+    const campaign = await CashbackCampaign.create({
+      name,
+      description,
+      category,
+      percent,
+      maxAmount,
+      creditExpiryDays,
+      startsAt,
+      endsAt,
+      createdBy: req.user.id
+    });
+    
+    await AuditLog.record('cashback_campaign.created', {
+      req,
+      details: { campaign: campaign._id, name, category, percent: campaign.percent, endsAt: campaign.endsAt }
+    });
+    
+    res.status(201).json(campaign);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/cashback-campaigns/:id
+// @desc    Change a cashback campaign or end it early; orders already placed keep their cashback
+// @access  Private/Admin
+router.put('/cashback-campaigns/:id', adminAuth, [
+  check('percent', 'Percent must be between 0.01 and 100').optional().isFloat({ min: 0.01, max: 100 }),
+  check('maxAmount', 'Maximum amount must be a positive number').optional().isFloat({ min: 0 }),
+  check('creditExpiryDays', 'Credit expiry must be a whole number of days').optional().isInt({ min: 1 }),
+  check('startsAt', 'Start must be a date').optional().isISO8601(),
+  check('endsAt', 'End must be a date').optional().isISO8601(),
+  check('isActive', 'isActive must be a boolean').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const campaign = await CashbackCampaign.findById(req.params.id);
+    
+    if (!campaign) {
+      return res.status(404).json({ msg: 'Campaign not found' });
+    }
+    
+    const fields = ['name', 'description', 'category', 'percent', 'maxAmount', 'creditExpiryDays', 'startsAt', 'endsAt', 'isActive']
+      .filter(field => req.body[field] !== undefined);
+    const previous = campaign.toObject();
+    fields.forEach(field => { campaign[field] = req.body[field]; });
+    
+    if (campaign.endsAt <= campaign.startsAt) {
+      return res.status(400).json({ msg: 'The campaign must end after it starts' });
+    }
+    
+    campaign.updatedBy = req.user.id;
+    await campaign.save();
+    
+    await AuditLog.record('cashback_campaign.updated', {
+      req,
+      details: {
+        campaign: campaign._id,
+        name: campaign.name,
+        changes: fields.map(field => ({ field, from: previous[field], to: campaign[field] }))
+      }
+    });
+    
+    res.json(campaign);
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
-      return res.status(404).json({ msg: 'User not found' });
+      return res.status(404).json({ msg: 'Campaign not found' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ msg: err.message });
     }
     res.status(500).send('Server error');
   }
 });
 
-// @route   DELETE api/admin/users/:id
-// @desc    Delete user
+// @route   GET api/admin/wallet-adjustments
+// @desc    Get manual wallet adjustments, awaiting approval by default
 // @access  Private/Admin
-router.delete('/users/:id', adminAuth, async (req, res) => {
+router.get('/wallet-adjustments', adminAuth, async (req, res) => {
+  const { status = 'pending_approval', user } = req.query;
+  
   try {
-    const user = await User.findById(req.params.id);
+    const filter = status === 'all' ? {} : { status };
+    if (user) filter.owner = user;
     
-    if (!user) {
-      return res.status(404).json({ msg: 'User not found' });
+    // Approval queue: oldest request first
+    const adjustments = await WalletAdjustment.find(filter)
+      .sort({ createdAt: status === 'pending_approval' ? 1 : -1 })
+      .limit(500)
+      .populate('owner', 'name email phone')
+      .populate('requestedBy', 'name email')
+      .populate('reviewedBy', 'name email');
+    
+    res.json(adjustments);
+  } catch (err) {
+    console.error(err.message);
+    if (err.name === 'CastError') {
+      return res.status(400).json({ msg: 'Invalid user' });
     }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/admin/wallet-adjustments
+// @desc    Request a manual credit or debit on a wallet; it posts once a second admin approves it
+// @access  Private/Admin
+router.post('/wallet-adjustments', adminAuth, [
+  check('wallet', 'Wallet ID must be valid').optional().isMongoId(),
+  check('user', 'User ID or wallet ID is required').if(check('wallet').not().exists()).isMongoId(),
+  check('walletType', 'Wallet type must be buyer, seller, delivery or admin')
+    .if(check('wallet').not().exists())
+    .isIn(['buyer', 'seller', 'delivery', 'admin']),
+  check('currency', `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`).optional().isIn(SUPPORTED_CURRENCIES),
+  check('direction', 'Direction must be credit or debit').isIn(['credit', 'debit']),
+  check('amount', 'Amount must be a positive number').isFloat({ gt: 0 }),
+  check('reason', 'Reason is required').trim().not().isEmpty(),
+  check('ticketReference', 'Ticket reference is required').trim().not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { wallet, user, walletType, currency, direction, amount, reason, ticketReference } = req.body;
+
+  try {
+    const adjustment = await requestAdjustment({
+      walletId: wallet,
+      userId: user,
+      walletType,
+      currency,
+      direction,
+      amount: parseFloat(amount),
+      reason,
+      ticketReference,
+      adminId: req.user.id
+    });
     
-    await user.remove();
+    await AuditLog.record('wallet_adjustment.requested', {
+      req,
+      targetUser: adjustment.owner,
+      details: {
+        adjustment: adjustment._id,
+        wallet: adjustment.wallet,
+        direction,
+        amount: adjustment.amount,
+        currency: adjustment.currency,
+        reason: adjustment.reason,
+        ticketReference: adjustment.ticketReference
+      }
+    });
     
-    res.json({ msg: 'User removed' });
+    res.status(201).json(adjustment);
+  } catch (err) {
+    console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/wallet-adjustments/:id/approve
+// @desc    Approve another admin's wallet adjustment and post it to the wallet
+// @access  Private/Admin
+router.put('/wallet-adjustments/:id/approve', adminAuth, async (req, res) => {
+  try {
+    // Posted and audited together in one transaction
+    const adjustment = await approveAdjustment(req.params.id, req.user.id, req);
+    
+    res.json(adjustment);
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
-      return res.status(404).json({ msg: 'User not found' });
+      return res.status(404).json({ msg: 'Adjustment not found' });
+    }
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/wallet-adjustments/:id/reject
+// @desc    Reject a wallet adjustment awaiting approval; the requester can reject their own to withdraw it
+// @access  Private/Admin
+router.put('/wallet-adjustments/:id/reject', adminAuth, [
+  check('reason', 'Rejection reason is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const adjustment = await rejectAdjustment(req.params.id, req.user.id, req.body.reason);
+    
+    await AuditLog.record('wallet_adjustment.rejected', {
+      req,
+      targetUser: adjustment.owner,
+      details: {
+        adjustment: adjustment._id,
+        direction: adjustment.direction,
+        amount: adjustment.amount,
+        currency: adjustment.currency,
+        ticketReference: adjustment.ticketReference,
+        requestedBy: adjustment.requestedBy,
+        reason: req.body.reason
+      }
+    });
+    
+    res.json(adjustment);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Adjustment not found' });
+    }
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/withdrawals
+// @desc    Get withdrawal requests, awaiting review by default
+// @access  Private/Admin
+router.get('/withdrawals', adminAuth, async (req, res) => {
+  const { status = 'pending_review' } = req.query;
+  
+  try {
+    // Review queue: oldest request first
+    const withdrawals = await Withdrawal.find(status === 'all' ? {} : { status })
+      .sort({ createdAt: status === 'pending_review' ? 1 : -1 })
+      .limit(500)
+      .populate('user', 'name email phone');
+    
+    res.json(withdrawals);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/withdrawals/:id/approve
+// @desc    Approve a withdrawal for the next payout batch
+// @access  Private/Admin
+router.put('/withdrawals/:id/approve', adminAuth, async (req, res) => {
+  try {
+    const withdrawal = await approveWithdrawal(req.params.id, req.user.id);
+    
+    await AuditLog.record('withdrawal.approved', {
+      req,
+      targetUser: withdrawal.user,
+      details: { withdrawal: withdrawal._id, amount: withdrawal.amount }
+    });
+    
+    res.json(withdrawal);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Withdrawal not found' });
+    }
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/withdrawals/:id/reject
+// @desc    Reject a withdrawal and return the funds to the wallet
+// @access  Private/Admin
+router.put('/withdrawals/:id/reject', adminAuth, [
+  check('reason', 'Rejection reason is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const withdrawal = await rejectWithdrawal(req.params.id, req.user.id, req.body.reason);
+    
+    await AuditLog.record('withdrawal.rejected', {
+      req,
+      targetUser: withdrawal.user,
+      details: { withdrawal: withdrawal._id, amount: withdrawal.amount, reason: req.body.reason }
+    });
+    
+    res.json(withdrawal);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Withdrawal not found' });
+    }
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/payout-batches
+// @desc    Get payout batches, newest first
+// @access  Private/Admin
+router.get('/payout-batches', adminAuth, async (req, res) => {
+  const { status } = req.query;
+  
+  try {
+    const batches = await PayoutBatch.find(status ? { status } : {})
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .select('-items');
+    
+    res.json(batches);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/admin/payout-batches/:id
+// @desc    Get a payout batch with the status of each payout
+// @access  Private/Admin
+router.get('/payout-batches/:id', adminAuth, async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id)
+      .populate('items.user', 'name email phone');
+    
+    if (!batch) {
+      return res.status(404).json({ msg: 'Payout batch not found' });
+    }
+    
+    res.json({ ...batch.toJSON(), summary: batch.summary() });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Payout batch not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/admin/payout-batches
+// @desc    Group approved withdrawals into a payout batch
+// @access  Private/Admin
+router.post('/payout-batches', adminAuth, [
+  check('withdrawals', 'Withdrawals must be a list of withdrawal IDs').optional().isArray(),
+  check('withdrawals.*', 'Invalid withdrawal ID').isMongoId(),
+  check('currency', `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`).optional().isIn(SUPPORTED_CURRENCIES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const batch = await createPayoutBatch(req.user.id, req.body.withdrawals, req.body.currency);
+    
+    if (!batch) {
+      return res.status(400).json({ msg: 'No approved withdrawals to pay out' });
+    }
+    
+    await AuditLog.record('payout_batch.created', {
+      req,
+      details: { batch: batch._id, items: batch.items.length, totalAmount: batch.totalAmount }
+    });
+    
+    res.status(201).json(batch);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/admin/payout-batches/:id/items/:withdrawalId
+// @desc    Record whether a payout was paid or failed; failed payouts return to the wallet
+// @access  Private/Admin
+router.put('/payout-batches/:id/items/:withdrawalId', adminAuth, [
+  check('status', 'Status must be paid or failed').isIn(['paid', 'failed']),
+  check('failureReason', 'Failure reason is required').if(check('status').equals('failed')).not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { status, providerReference, failureReason } = req.body;
+
+  try {
+    const { batch, withdrawal } = await settlePayoutItem(req.params.id, req.params.withdrawalId, {
+      status,
+      providerReference,
+      failureReason
+    });
+    
+    await AuditLog.record(`withdrawal.${status}`, {
+      req,
+      targetUser: withdrawal.user,
+      details: { withdrawal: withdrawal._id, batch: batch._id, amount: withdrawal.amount, providerReference, failureReason }
+    });
+    
+    res.json({ batch, withdrawal });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Payout not found' });
+    }
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
     }
     res.status(500).send('Server error');
   }
@@ -203,23 +1547,26 @@ router.get('/orders', adminAuth, async (req, res) => {
 // @route   PUT api/admin/orders/:id
 // @desc    Update order status
 // @access  Private/Admin
-router.put('/orders/:id', adminAuth, async (req, res) => {
+router.put('/orders/:id', adminAuth, [
+  check('status', 'Status is required').isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    const order = await Order.findById(req.params.id);
-    
-    if (!order) {
-      return res.status(404).json({ msg: 'Order not found' });
-    }
+    // Delivery releases the payment, cancellation or refund returns it
+    const order = await updateOrderStatus(req.params.id, req.body.status);
     
-    // Update order status
-    const { status } = req.body;
-    if (status) order.status = status;
-    
-    await order.save();
+    emitToOrder(order._id, 'orderUpdated', order.toEventPayload());
     
     res.json(order);
   } catch (err) {
     console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ msg: 'Order not found' });
     }
@@ -2,17 +2,35 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/user.model');
 const Wallet = require('../models/wallet.model');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
+const AuditLog = require('../models/audit.model');
+const Session = require('../models/session.model');
 const { check, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth.middleware');
+const { notifyUser } = require('../services/notification.service');
+const { resolveSignupRoles, startApplication } = require('../services/role.service');
+const { SUPPORTED_CURRENCIES } = require('../services/currency.service');
+const {
+  LoginBlockedError,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../services/loginGuard.service');
+const {
+  TokenError,
+  issueTokens,
+  beginLogin,
+  refreshTokens,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/token.service');
 
 // Middleware for input validation
 const validateRegistration = [
   check('name', 'Name is required').not().isEmpty(),
   check('email', 'Please include a valid email').isEmail(),
   check('password', 'Password must be at least 6 characters').isLength({ min: 6 }),
-  check('phone', 'Phone number is required').not().isEmpty()
+  check('phone', 'Phone number is required').not().isEmpty(),
+  check('currency', `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`).optional().isIn(SUPPORTED_CURRENCIES)
 ];
 
 const validateLogin = [
@@ -20,6 +38,41 @@ const validateLogin = [
   check('password', 'Password is required').exists()
 ];
 
+const validateForgotPassword = [
+  check('email', 'Please include a valid email').isEmail(),
+  check('channel', 'Channel must be email or sms').optional().isIn(['email', 'sms'])
+];
+
+const validateResetPassword = [
+  check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+];
+
+const validateChangePassword = [
+  check('currentPassword', 'Current password is required').exists(),
+  check('newPassword', 'Password must be at least 6 characters').isLength({ min: 6 })
+];
+
+const validateRefresh = [
+  check('refreshToken', 'Refresh token is required').not().isEmpty()
+];
+
+const validateVerify = [
+  check('code', 'Verification code is required').isLength({ min: 6, max: 6 }).isNumeric()
+];
+
+const validateResendVerification = [
+  check('channel', 'Channel must be email or sms').optional().isIn(['email', 'sms'])
+];
+
+// Password reset tokens are valid for one hour
+const RESET_TOKEN_EXPIRY_MINUTES = 60;
+
+// Verification codes expire after 15 minutes and allow 5 attempts
+const VERIFICATION_CODE_EXPIRY_MINUTES = 15;
+const VERIFICATION_MAX_ATTEMPTS = 5;
+// Minimum delay between two verification codes
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
 // @route   POST api/auth/register
 // @desc    Register a user
 // @access  Public
@@ -29,59 +82,73 @@ router.post('/register', validateRegistration, async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { name, email, password, phone, roles = ['buyer'] } = req.body;
+  const { name, email, password, phone, currency, roles = ['buyer'], verificationChannel = 'sms' } = req.body;
+
+  // Apply the role onboarding policy to the requested roles
+  const roleDecision = resolveSignupRoles(roles);
 
   try {
+    if (roleDecision.denied.length > 0) {
+      await AuditLog.record('role.signup_denied', {
+        req,
+        details: { email, requestedRoles: roles, denied: roleDecision.denied }
+      });
+      return res.status(403).json({ 
+        msg: `These roles cannot be requested at signup: ${roleDecision.denied.join(', ')}` 
+      });
+    }
+
     // Check if user already exists
     let user = await User.findOne({ email });
     if (user) {
       return res.status(400).json({ msg: 'User already exists' });
     }
 
-    // Create new user
+    // Create new user with self-service roles only
     user = new User({
       name,
       email,
       password,
       phone,
-      roles
+      currency,
+      roles: roleDecision.granted
+    });
+
+    // Seller and delivery roles start as applications awaiting admin approval
+    roleDecision.pending.forEach(role => {
+      startApplication(user, role, req.body[`${role}Info`]);
     });
 
     // Save user to database
     await user.save();
 
-    // Create wallets for each role
-    const walletPromises = roles.map(role => {
-      if (['buyer', 'seller', 'delivery', 'admin'].includes(role)) {
-        return new Wallet({
-          owner: user._id,
-          walletType: role,
-          balance: 0,
-          currency: 'XOF'
-        }).save();
-      }
-      return null;
-    }).filter(Boolean);
+    // Create wallets for each granted role
+    const walletPromises = roleDecision.granted.map(role => new Wallet({
+      owner: user._id,
+      walletType: role,
+      balance: 0,
+      currency: user.currency
+    }).save());
 
     await Promise.all(walletPromises);
 
-    // Create and return JWT token
-    const payload = {
-      user: {
-        id: user._id,
-        roles: user.roles
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET || 'superupsecret',
-      { expiresIn: '24h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token });
-      }
-    );
+    await AuditLog.record('role.signup', {
+      req,
+      actor: user._id,
+      targetUser: user._id,
+      details: { requestedRoles: roles, granted: roleDecision.granted, pending: roleDecision.pending }
+    });
+
+    // Send a verification code; registration still succeeds if delivery fails
+    try {
+      await sendVerificationCode(user, verificationChannel === 'email' ? 'email' : 'sms');
+    } catch (err) {
+      console.error('Error sending verification code:', err.message);
+    }
+
+    // Open a session and return access and refresh tokens
+    const tokens = await issueTokens(user, req);
+    res.json({ ...tokens, pendingRoles: roleDecision.pending });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -98,37 +165,316 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 
   const { email, password } = req.body;
+  const attempt = { account: email, ip: req.ip };
 
   try {
+    // Refuse attempts while the account or IP is throttled
+    await assertLoginAllowed(attempt);
+
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(attempt);
       return res.status(400).json({ msg: 'Invalid credentials' });
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(attempt);
       return res.status(400).json({ msg: 'Invalid credentials' });
     }
 
-    // Create and return JWT token
-    const payload = {
-      user: {
-        id: user._id,
-        roles: user.roles
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET || 'superupsecret',
-      { expiresIn: '24h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token });
+    await recordLoginSuccess(attempt);
+
+    // Return tokens, or a challenge for two-factor accounts
+    res.json(await beginLogin(user, req));
+  } catch (err) {
+    if (err instanceof LoginBlockedError) {
+      res.set('Retry-After', String(err.retryAfter));
+      return res.status(429).json({ msg: err.message, retryAfter: err.retryAfter });
+    }
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public
+router.post('/refresh', validateRefresh, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const tokens = await refreshTokens(req.body.refreshToken, req);
+    res.json(tokens);
+  } catch (err) {
+    if (err instanceof TokenError) {
+      return res.status(401).json({ msg: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+    res.json({ msg: 'Logged out' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/logout-all
+// @desc    Revoke every session of the current user
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id, 'logout_all');
+    res.json({ msg: 'Logged out from all devices' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/auth/sessions
+// @desc    Get the active sessions of the current user
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.id);
+    res.json(sessions.map(session => session.toClient(req.sessionId)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+    
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+    
+    await revokeSession(session._id, 'revoked_by_user');
+    
+    res.json({ msg: 'Session revoked', current: session._id.toString() === req.sessionId });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/auth/change-password
+// @desc    Change password and sign out other devices
+// @access  Private
+router.put('/change-password', auth, validateChangePassword, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ msg: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep the current session, revoke the others
+    await revokeUserSessions(user._id, 'password_change', req.sessionId);
+
+    res.json({ msg: 'Password has been changed' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/forgot-password
+// @desc    Send a password reset link to the user
+// @access  Public
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { email, channel = 'email' } = req.body;
+  // Same response whether or not the account exists, to avoid leaking emails
+  const response = { msg: 'If an account exists for this email, reset instructions have been sent' };
+
+  try {
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.json(response);
+    }
+
+    // Generate a new token, replacing any previous one
+    const resetToken = user.createPasswordResetToken(RESET_TOKEN_EXPIRY_MINUTES);
+    await user.save();
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const resetUrl = `${clientUrl}/reset-password/${resetToken}`;
+
+    try {
+      await notifyUser(user, {
+        channel,
+        subject: 'Super~Up password reset',
+        text: `Reset your password within ${RESET_TOKEN_EXPIRY_MINUTES} minutes: ${resetUrl}`
+      });
+    } catch (err) {
+      // Clear the token so an undelivered link cannot be used
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpires = undefined;
+      await user.save();
+      throw err;
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/reset-password/:token
+// @desc    Reset password using a reset token
+// @access  Public
+router.post('/reset-password/:token', validateResetPassword, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findByResetToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({ msg: 'Password reset token is invalid or has expired' });
+    }
+
+    // Set new password (hashed in pre-save hook) and invalidate the token
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+
+    // Sign out every device that used the old password
+    await revokeUserSessions(user._id, 'password_reset');
+
+    res.json({ msg: 'Password has been reset' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/verify
+// @desc    Confirm the current user's email or phone with a verification code
+// @access  Private
+router.post('/verify', auth, validateVerify, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (!user.verificationToken || !user.verificationExpires || user.verificationExpires < new Date()) {
+      return res.status(400).json({ msg: 'Verification code is invalid or has expired' });
+    }
+
+    if (user.verificationAttempts >= VERIFICATION_MAX_ATTEMPTS) {
+      return res.status(429).json({ msg: 'Too many attempts. Please request a new code' });
+    }
+
+    if (!user.matchesVerificationCode(req.body.code)) {
+      user.verificationAttempts += 1;
+      await user.save();
+      return res.status(400).json({
+        msg: 'Invalid verification code',
+        attemptsRemaining: VERIFICATION_MAX_ATTEMPTS - user.verificationAttempts
+      });
+    }
+
+    user.completeVerification();
+    await user.save();
+
+    res.json({
+      isVerified: user.isVerified,
+      isEmailVerified: user.isEmailVerified,
+      isPhoneVerified: user.isPhoneVerified
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/auth/verify/resend
+// @desc    Send a new verification code by email or SMS
+// @access  Private
+router.post('/verify/resend', auth, validateResendVerification, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const channel = req.body.channel || user.verificationChannel || 'sms';
+
+    if ((channel === 'sms' && user.isPhoneVerified) || (channel === 'email' && user.isEmailVerified)) {
+      return res.status(400).json({ msg: `Your ${channel === 'sms' ? 'phone' : 'email'} is already verified` });
+    }
+
+    // Throttle resends
+    if (user.verificationSentAt) {
+      const elapsed = (Date.now() - user.verificationSentAt.getTime()) / 1000;
+      if (elapsed < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+        return res.status(429).json({
+          msg: `Please wait ${Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsed)} seconds before requesting a new code`
+        });
       }
-    );
+    }
+
+    await sendVerificationCode(user, channel);
+
+    res.json({ msg: 'Verification code sent', channel });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -152,4 +498,16 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// Helper function to issue a verification code and send it to the user
+async function sendVerificationCode(user, channel) {
+  const code = user.createVerificationCode(channel, VERIFICATION_CODE_EXPIRY_MINUTES);
+  await user.save();
+
+  await notifyUser(user, {
+    channel,
+    subject: 'Verify your Super~Up account',
+    text: `Your Super~Up verification code is ${code}. It expires in ${VERIFICATION_CODE_EXPIRY_MINUTES} minutes.`
+  });
+}
+
 module.exports = router;
\ No newline at end of file
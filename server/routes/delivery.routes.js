@@ -4,6 +4,8 @@ const Order = require('../models/order.model');
 const User = require('../models/user.model');
 const { auth, checkRole } = require('../middleware/auth.middleware');
 const { check, validationResult } = require('express-validator');
+const { emitToOrder, joinOrderRoom } = require('../services/socket.service');
+const { calculateDistance, broadcastAgentLocation } = require('../services/tracking.service');
 
 // @route   PUT api/delivery/location
 // @desc    Update delivery agent location
@@ -34,14 +36,19 @@ router.put('/location', auth, checkRole(['delivery']), [
     // Update location
     user.deliveryInfo.currentLocation = {
       latitude,
-      longitude
+      longitude,
+      updatedAt: new Date()
     };
     
     await user.save();
     
+    // Share the new position with buyers following active deliveries
+    const trackedOrders = await broadcastAgentLocation(user._id, user.deliveryInfo.currentLocation);
+    
     res.json({
       success: true,
-      location: user.deliveryInfo.currentLocation
+      location: user.deliveryInfo.currentLocation,
+      trackedOrders
     });
   } catch (err) {
     console.error(err.message);
@@ -144,6 +151,9 @@ router.put('/accept/:id', auth, checkRole(['delivery']), async (req, res) => {
     // Assign delivery agent to order
     await order.assignDeliveryAgent(req.user.id);
     
+    joinOrderRoom(req.user.id, order._id);
+    emitToOrder(order._id, 'orderUpdated', order.toEventPayload());
+    
     res.json(order);
   } catch (err) {
     console.error(err.message);
@@ -259,22 +269,4 @@ router.get('/stats', auth, checkRole(['delivery']), async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two points (simplified)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the earth in km
-  const dLat = deg2rad(lat2 - lat1);
-  const dLon = deg2rad(lon2 - lon1);
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2); 
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); 
-  const distance = R * c; // Distance in km
-  return distance;
-}
-
-function deg2rad(deg) {
-  return deg * (Math.PI/180);
-}
-
 module.exports = router;
\ No newline at end of file
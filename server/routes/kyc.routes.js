@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/user.model');
+const KycSubmission = require('../models/kycSubmission.model');
+const AuditLog = require('../models/audit.model');
+const { auth } = require('../middleware/auth.middleware');
+const { check, validationResult } = require('express-validator');
+const { TransactionAbort } = require('../services/dbTransaction.service');
+const { tierOf, limitsFor, submitDocuments } = require('../services/kyc.service');
+const { isSupportedCurrency } = require('../services/currency.service');
+
+// Largest identity document file accepted, before base64 encoding
+const MAX_FILE_BYTES = (parseFloat(process.env.KYC_MAX_FILE_MB) || 5) * 1024 * 1024;
+
+// @route   GET api/kyc
+// @desc    Get the current user's KYC tier, verification status and wallet limits
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const currency = isSupportedCurrency(req.query.currency) ? req.query.currency : user.currency;
+    const latest = await KycSubmission.findOne({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.json({
+      tier: tierOf(user),
+      kyc: user.kyc,
+      latestSubmission: latest,
+      limits: (await limitsFor(user, currency)).allowances
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/kyc/submissions
+// @desc    Get the identity documents the current user has submitted
+// @access  Private
+router.get('/submissions', auth, async (req, res) => {
+  try {
+    const submissions = await KycSubmission.find({ user: req.user.id }).sort({ createdAt: -1 });
+    res.json(submissions);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/kyc/submissions
+// @desc    Submit an identity document for review to reach the ID-verified tier
+// @access  Private
+router.post('/submissions', auth, [
+  check('documentType', 'Invalid document type').isIn(['national_id', 'passport', 'drivers_license', 'residence_permit']),
+  check('documentNumber', 'Document number is required').not().isEmpty(),
+  check('files', 'At least one file is required').isArray({ min: 1, max: 3 }),
+  check('files.*.side', 'File side must be front, back or selfie').isIn(['front', 'back', 'selfie']),
+  check('files.*.mimeType', 'Files must be JPEG, PNG or PDF').isIn(['image/jpeg', 'image/png', 'application/pdf']),
+  check('files.*.data', 'File data must be base64 encoded').isBase64()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { documentType, documentNumber } = req.body;
+  const files = req.body.files.map(file => ({
+    side: file.side,
+    mimeType: file.mimeType,
+    fileName: file.fileName,
+    data: Buffer.from(file.data, 'base64')
+  }));
+
+  if (!files.some(file => file.side === 'front')) {
+    return res.status(400).json({ msg: 'The front of the document is required' });
+  }
+
+  if (files.some(file => file.data.length === 0 || file.data.length > MAX_FILE_BYTES)) {
+    return res.status(400).json({ msg: `Each file must be at most ${MAX_FILE_BYTES / 1024 / 1024} MB` });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    const submission = await submitDocuments(user, {
+      documentType,
+      documentNumber,
+      files: files.map(file => ({ ...file, size: file.data.length }))
+    });
+
+    await AuditLog.record('kyc.submitted', {
+      req,
+      targetUser: user._id,
+      details: { submission: submission._id, documentType, files: files.map(file => file.side) }
+    });
+
+    // File contents are not sent back
+    const created = submission.toObject();
+    created.files.forEach(file => delete file.data);
+
+    res.status(201).json(created);
+  } catch (err) {
+    console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
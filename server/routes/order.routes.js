@@ -5,18 +5,31 @@ const Product = require('../models/product.model');
 const User = require('../models/user.model');
 const Wallet = require('../models/wallet.model');
 const { auth, checkRole } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 const { check, validationResult } = require('express-validator');
-const crypto = require('crypto');
+const { emitToUser, emitToOrder, joinOrderRoom } = require('../services/socket.service');
+const { buildTrackingSnapshot } = require('../services/tracking.service');
+const { payOrder, releaseHold, updateOrderStatus } = require('../services/escrow.service');
+const { TransactionAbort, runInTransaction } = require('../services/dbTransaction.service');
+const { pinFromRequest, authorizeWalletOperation } = require('../services/walletPin.service');
+const { requestContext, screenOperation, attachSubject } = require('../services/fraud.service');
+const { promoCreditFor, cashbackFor } = require('../services/promo.service');
+const { SUPPORTED_CURRENCIES, BASE_CURRENCY, getRateSnapshot, convertAmount, roundAmount, formatAmount } = require('../services/currency.service');
+
+// Fees per order in the base currency, converted to the order currency
+const DELIVERY_FEE = 1000; // To delivery agent
+const ADMIN_FEE = 200;     // To admin
 
 // @route   POST api/orders
 // @desc    Create a new order
 // @access  Private/Buyer
-router.post('/', auth, checkRole(['buyer']), [
+router.post('/', auth, checkRole(['buyer']), idempotent, [
   check('items', 'Items are required').isArray({ min: 1 }),
   check('items.*.product', 'Product ID is required for each item').not().isEmpty(),
   check('items.*.quantity', 'Quantity is required for each item').isInt({ min: 1 }),
   check('shippingAddress', 'Shipping address is required').not().isEmpty(),
-  check('paymentMethod', 'Payment method is required').not().isEmpty()
+  check('paymentMethod', 'Payment method is required').not().isEmpty(),
+  check('currency', `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`).optional().isIn(SUPPORTED_CURRENCIES)
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -26,8 +39,30 @@ router.post('/', auth, checkRole(['buyer']), [
   const { items, shippingAddress, paymentMethod, paymentDetails } = req.body;
 
   try {
+    // Wallet payments are in the currency of the buyer wallet used; other
+    // methods in the requested currency or the buyer's home currency
+    let buyerWallet;
+    let currency;
+    if (paymentMethod === 'wallet') {
+      buyerWallet = await Wallet.findByOwnerAndType(req.user.id, 'buyer', req.body.currency);
+      
+      if (!buyerWallet) {
+        return res.status(404).json({ msg: 'Buyer wallet not found' });
+      }
+      
+      currency = buyerWallet.currency;
+    } else {
+      const buyer = await User.findById(req.user.id).select('currency');
+      currency = req.body.currency || buyer.currency || BASE_CURRENCY;
+    }
+    
+    // Every price and fee of the order is converted with one snapshot of the rates
+    const exchangeRates = await getRateSnapshot();
+    
     // Validate products and calculate total
     const orderItems = [];
+    const sellerIds = new Set();
+    const categoryTotals = {};
     let productTotal = 0;
 
     for (const item of items) {
@@ -47,112 +82,107 @@ router.post('/', auth, checkRole(['buyer']), [
         });
       }
       
-      const subtotal = product.price * item.quantity;
+      const price = convertAmount(product.price, product.currency, currency, exchangeRates);
+      const subtotal = roundAmount(price * item.quantity, currency);
       productTotal += subtotal;
+      categoryTotals[product.category] = roundAmount((categoryTotals[product.category] || 0) + subtotal, currency);
+      sellerIds.add(product.seller.toString());
       
       orderItems.push({
         product: product._id,
         quantity: item.quantity,
-        price: product.price,
-        subtotal
+        price,
+        subtotal,
+        originalPrice: product.price,
+        originalCurrency: product.currency
       });
     }
 
     // Fixed platform fee
-    const platformFee = 1200; // 1200 XOF
-    const deliveryFee = 1000; // 1000 XOF to delivery agent
-    const adminFee = 200;     // 200 XOF to admin
+    const deliveryFee = convertAmount(DELIVERY_FEE, BASE_CURRENCY, currency, exchangeRates);
+    const adminFee = convertAmount(ADMIN_FEE, BASE_CURRENCY, currency, exchangeRates);
+    const platformFee = roundAmount(deliveryFee + adminFee, currency);
     
     // Total amount including product total and platform fee
-    const totalAmount = productTotal + platformFee;
+    const totalAmount = roundAmount(productTotal + platformFee, currency);
 
     // Check if buyer has sufficient balance if paying with wallet
+    // Promo credit pays first, the balance the rest
+    let cashback = [];
     if (paymentMethod === 'wallet') {
-      const buyerWallet = await Wallet.findOne({ 
-        owner: req.user.id,
-        walletType: 'buyer'
-      });
-      
-      if (!buyerWallet) {
-        return res.status(404).json({ msg: 'Buyer wallet not found' });
-      }
+      const promoCredit = await promoCreditFor(buyerWallet, totalAmount);
+      const cashDue = roundAmount(totalAmount - promoCredit, currency);
       
-      if (!buyerWallet.hasSufficientBalance(totalAmount)) {
+      if (!buyerWallet.hasSufficientBalance(cashDue)) {
+        const promoNote = promoCredit > 0 ? ` after ${formatAmount(promoCredit, currency)} of promo credit` : '';
         return res.status(400).json({ 
-          msg: `Insufficient balance. Required: ${totalAmount} XOF, Available: ${buyerWallet.balance} XOF` 
+          msg: `Insufficient balance. Required: ${formatAmount(cashDue, currency)}${promoNote}, Available: ${formatAmount(buyerWallet.balance, currency)}` 
         });
       }
+      
+      await authorizeWalletOperation(req.user.id, 'payment', totalAmount, pinFromRequest(req), currency);
+      
+      // Cashback campaigns running now apply once the order is delivered
+      cashback = await cashbackFor(categoryTotals, currency, exchangeRates);
     }
 
-    // Create new order
-    const order = new Order({
-      buyer: req.user.id,
-      items: orderItems,
-      totalAmount,
-      platformFee,
-      deliveryFee,
-      adminFee,
-      currency: 'XOF',
-      status: 'pending',
-      paymentStatus: 'pending',
-      paymentMethod,
-      shippingAddress,
-      estimatedDeliveryDate: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000) // 2 days from now
+    // A held order is created unpaid and waits for the fraud review
+    const fraudCheck = await screenOperation({
+      userId: req.user.id,
+      operation: 'order_payment',
+      amount: totalAmount,
+      currency,
+      context: requestContext(req)
     });
+    const fraudHold = fraudCheck.decision === 'hold';
 
-    // Save order
-    await order.save();
-
-    // Process payment if using wallet
-    if (paymentMethod === 'wallet') {
-      const buyerWallet = await Wallet.findOne({ 
-        owner: req.user.id,
-        walletType: 'buyer'
+    // Create the order, take the stock and move the payment in one transaction:
+    // if any step fails (stock sold out or balance spent by a concurrent
+    // request) none of the changes are kept
+    const order = await runInTransaction(async (session) => {
+      const order = new Order({
+        buyer: req.user.id,
+        items: orderItems,
+        totalAmount,
+        platformFee,
+        deliveryFee,
+        adminFee,
+        currency,
+        exchangeRates,
+        status: 'pending',
+        paymentStatus: 'pending',
+        paymentMethod,
+        cashback,
+        fraudHold,
+        shippingAddress,
+        estimatedDeliveryDate: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000) // 2 days from now
       });
-      
-      // Generate unique reference
-      const reference = crypto.randomBytes(10).toString('hex');
-      
-      // Create transaction
-      const transaction = {
-        type: 'payment',
-        amount: totalAmount,
-        description: `Payment for order #${order._id}`,
-        status: 'completed',
-        reference,
-        relatedOrder: order._id,
-        paymentMethod: 'wallet',
-        paymentDetails: {
-          transactionId: reference,
-          provider: 'internal'
-        },
-        createdAt: new Date()
-      };
-      
-      // Add transaction to wallet
-      await buyerWallet.addTransaction(transaction);
-      
-      // Update order payment status
-      order.paymentStatus = 'paid';
-      order.status = 'processing';
-      order.paymentDetails = {
-        transactionId: reference,
-        paymentDate: new Date(),
-        provider: 'wallet'
-      };
-      
-      await order.save();
-      
-      // Reduce product stock
-      for (const item of orderItems) {
-        const product = await Product.findById(item.product);
-        await product.reduceStock(item.quantity);
+
+      // Save order
+      await order.save({ session });
+
+      // Take the stock and the payment if using wallet
+      if (paymentMethod === 'wallet' && !fraudHold) {
+        await payOrder(order, buyerWallet, session);
       }
+
+      return order;
+    });
+    await attachSubject(fraudCheck, 'Order', order._id);
+
+    // Let the buyer and sellers follow the order in real time
+    joinOrderRoom(req.user.id, order._id);
+    for (const sellerId of sellerIds) {
+      joinOrderRoom(sellerId, order._id);
+      emitToUser(sellerId, 'newOrder', order.toEventPayload());
     }
 
     res.json(order);
   } catch (err) {
     console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     res.status(500).send('Server error');
   }
 });
@@ -211,16 +241,7 @@ router.get('/:id', auth, async (req, res) => {
     }
     
     // Check if user is authorized to view this order
-    const isAuthorized = 
-      order.buyer.toString() === req.user.id || // Buyer
-      req.user.roles.includes('admin') || // Admin
-      (req.user.roles.includes('delivery') && order.deliveryAgent && 
-       order.deliveryAgent.toString() === req.user.id) || // Delivery agent assigned to this order
-      (req.user.roles.includes('seller') && 
-       await Product.find({ 
-         seller: req.user.id, 
-         _id: { $in: order.items.map(item => item.product) } 
-       }).count() > 0); // Seller of at least one product in the order
+    const isAuthorized = await order.isAccessibleBy(req.user);
     
     if (!isAuthorized) {
       return res.status(403).json({ msg: 'Not authorized to view this order' });
@@ -236,6 +257,31 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/orders/:id/tracking
+// @desc    Get live tracking state of an order (agent position, status, ETA)
+// @access  Private
+router.get('/:id/tracking', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({ msg: 'Order not found' });
+    }
+    
+    if (!(await order.isAccessibleBy(req.user))) {
+      return res.status(403).json({ msg: 'Not authorized to view this order' });
+    }
+    
+    res.json(await buildTrackingSnapshot(order));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Order not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   PUT api/orders/:id/status
 // @desc    Update order status
 // @access  Private/Admin
@@ -250,30 +296,17 @@ router.put('/:id/status', auth, checkRole(['admin']), [
   const { status } = req.body;
 
   try {
-    const order = await Order.findById(req.params.id);
+    // Delivery releases the payment, cancellation or refund returns it
+    const order = await updateOrderStatus(req.params.id, status);
     
-    if (!order) {
-      return res.status(404).json({ msg: 'Order not found' });
-    }
-    
-    // Update order status
-    await order.updateStatus(status);
-    
-    // If order is delivered, release payment to seller and delivery agent
-    if (status === 'delivered' && order.paymentStatus === 'paid') {
-      // Process payment distribution
-      await distributePayment(order);
-    }
-    
-    // If order is cancelled, refund buyer
-    if (status === 'cancelled' && order.paymentStatus === 'paid') {
-      // Process refund
-      await processRefund(order);
-    }
+    emitToOrder(order._id, 'orderUpdated', order.toEventPayload());
     
     res.json(order);
   } catch (err) {
     console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ msg: 'Order not found' });
     }
@@ -309,6 +342,10 @@ router.put('/:id/assign-delivery', auth, checkRole(['admin']), [
     // Assign delivery agent
     await order.assignDeliveryAgent(deliveryAgentId);
     
+    joinOrderRoom(deliveryAgentId, order._id);
+    emitToUser(deliveryAgentId, 'deliveryAssigned', order.toEventPayload());
+    emitToOrder(order._id, 'orderUpdated', order.toEventPayload());
+    
     res.json(order);
   } catch (err) {
     console.error(err.message);
@@ -333,29 +370,41 @@ router.put('/:id/delivery-status', auth, checkRole(['delivery']), [
   const { status, proof } = req.body;
 
   try {
-    const order = await Order.findById(req.params.id);
-    
-    if (!order) {
-      return res.status(404).json({ msg: 'Order not found' });
-    }
-    
-    // Check if delivery agent is assigned to this order
-    if (!order.deliveryAgent || order.deliveryAgent.toString() !== req.user.id) {
-      return res.status(403).json({ msg: 'Not authorized to update this order' });
-    }
-    
-    // Update delivery status
-    await order.updateDeliveryStatus(status, proof);
+    // Delivery status and the resulting payout commit together
+    const order = await runInTransaction(async (session) => {
+      const order = await Order.findById(req.params.id).session(session);
+      
+      if (!order) {
+        throw new TransactionAbort('Order not found', 404);
+      }
+      
+      // Check if delivery agent is assigned to this order
+      if (!order.deliveryAgent || order.deliveryAgent.toString() !== req.user.id) {
+        throw new TransactionAbort('Not authorized to update this order', 403);
+      }
+      
+      const wasPaid = order.paymentStatus === 'paid';
+      
+      // Update delivery status
+      await order.updateDeliveryStatus(status, proof);
+      
+      // If delivery is completed, release payment
+      if (status === 'delivered' && wasPaid) {
+        // Process payment distribution
+        await releaseHold(order, session);
+      }
+      
+      return order;
+    });
     
-    // If delivery is completed, release payment
-    if (status === 'delivered' && order.paymentStatus === 'paid') {
-      // Process payment distribution
-      await distributePayment(order);
-    }
+    emitToOrder(order._id, 'orderUpdated', order.toEventPayload());
     
     res.json(order);
   } catch (err) {
     console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ msg: 'Order not found' });
     }
@@ -363,175 +412,4 @@ router.put('/:id/delivery-status', auth, checkRole(['delivery']), [
   }
 });
 
-// Helper function to distribute payment to seller and delivery agent
-async function distributePayment(order) {
-  try {
-    // Get product sellers
-    const productIds = order.items.map(item => item.product);
-    const products = await Product.find({ _id: { $in: productIds } });
-    
-    // Group items by seller
-    const sellerItems = {};
-    for (const item of order.items) {
-      const product = products.find(p => p._id.toString() === item.product.toString());
-      if (product) {
-        const sellerId = product.seller.toString();
-        if (!sellerItems[sellerId]) {
-          sellerItems[sellerId] = [];
-        }
-        sellerItems[sellerId].push(item);
-      }
-    }
-    
-    // Distribute product price to sellers
-    for (const sellerId in sellerItems) {
-      const sellerTotal = sellerItems[sellerId].reduce((total, item) => total + item.subtotal, 0);
-      
-      // Find seller wallet
-      const sellerWallet = await Wallet.findOne({ 
-        owner: sellerId,
-        walletType: 'seller'
-      });
-      
-      if (sellerWallet) {
-        // Generate unique reference
-        const reference = crypto.randomBytes(10).toString('hex');
-        
-        // Create transaction
-        const transaction = {
-          type: 'deposit',
-          amount: sellerTotal,
-          description: `Payment for order #${order._id}`,
-          status: 'completed',
-          reference,
-          relatedOrder: order._id,
-          paymentMethod: 'internal',
-          paymentDetails: {
-            transactionId: reference,
-            provider: 'internal'
-          },
-          createdAt: new Date()
-        };
-        
-        // Add transaction to wallet
-        await sellerWallet.addTransaction(transaction);
-      }
-    }
-    
-    // Distribute delivery fee to delivery agent
-    if (order.deliveryAgent) {
-      const deliveryWallet = await Wallet.findOne({ 
-        owner: order.deliveryAgent,
-        walletType: 'delivery'
-      });
-      
-      if (deliveryWallet) {
-        // Generate unique reference
-        const reference = crypto.randomBytes(10).toString('hex');
-        
-        // Create transaction
-        const transaction = {
-          type: 'commission',
-          amount: order.deliveryFee,
-          description: `Delivery fee for order #${order._id}`,
-          status: 'completed',
-          reference,
-          relatedOrder: order._id,
-          paymentMethod: 'internal',
-          paymentDetails: {
-            transactionId: reference,
-            provider: 'internal'
-          },
-          createdAt: new Date()
-        };
-        
-        // Add transaction to wallet
-        await deliveryWallet.addTransaction(transaction);
-      }
-    }
-    
-    // Distribute admin fee to admin wallet
-    const adminUser = await User.findOne({ roles: 'admin' });
-    if (adminUser) {
-      const adminWallet = await Wallet.findOne({ 
-        owner: adminUser._id,
-        walletType: 'admin'
-      });
-      
-      if (adminWallet) {
-        // Generate unique reference
-        const reference = crypto.randomBytes(10).toString('hex');
-        
-        // Create transaction
-        const transaction = {
-          type: 'fee',
-          amount: order.adminFee,
-          description: `Admin fee for order #${order._id}`,
-          status: 'completed',
-          reference,
-          relatedOrder: order._id,
-          paymentMethod: 'internal',
-          paymentDetails: {
-            transactionId: reference,
-            provider: 'internal'
-          },
-          createdAt: new Date()
-        };
-        
-        // Add transaction to wallet
-        await adminWallet.addTransaction(transaction);
-      }
-    }
-    
-    // Update order payment status
-    order.paymentStatus = 'released';
-    await order.save();
-  } catch (err) {
-    console.error('Error distributing payment:', err);
-    throw err;
-  }
-}
-
-// Helper function to process refund
-async function processRefund(order) {
-  try {
-    // Find buyer wallet
-    const buyerWallet = await Wallet.findOne({ 
-      owner: order.buyer,
-      walletType: 'buyer'
-    });
-    
-    if (buyerWallet) {
-      // Generate unique reference
-      const reference = crypto.randomBytes(10).toString('hex');
-      
-      // Create transaction
-      const transaction = {
-        type: 'refund',
-        amount: order.totalAmount,
-        description: `Refund for cancelled order #${order._id}`,
-        status: 'completed',
-        reference,
-        relatedOrder: order._id,
-        paymentMethod: 'internal',
-        paymentDetails: {
-          transactionId: reference,
-          provider: 'internal'
-        },
-        createdAt: new Date()
-      };
-      
-      // Add transaction to wallet
-      await buyerWallet.addTransaction(transaction);
-      
-      // Update order payment status
-      order.paymentStatus = 'refunded';
-      await order.save();
-    }
-  } catch (err) {
-    console.error('Error processing refund:', err);
-    throw err;
-  }
-}
-
 module.exports = router;
\ No newline at end of file
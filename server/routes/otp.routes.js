@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/user.model');
+const { check, validationResult } = require('express-validator');
+const { sendSms } = require('../services/notification.service');
+const { getThrottleStore } = require('../services/throttleStore.service');
+const { PRIVILEGED_ROLES } = require('../services/role.service');
+const { beginLogin } = require('../services/token.service');
+const {
+  LoginBlockedError,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../services/loginGuard.service');
+
+// Codes expire after 5 minutes and allow 5 attempts
+const OTP_EXPIRY_MINUTES = 5;
+const OTP_MAX_ATTEMPTS = 5;
+// Minimum delay between two codes for the same phone
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
+// Codes that may be requested per hour, per phone and per IP
+const OTP_HOURLY_LIMIT_PER_PHONE = 5;
+const OTP_HOURLY_LIMIT_PER_IP = 20;
+const HOUR_MS = 60 * 60 * 1000;
+
+const validateRequest = [
+  check('phone', 'Phone number is required').trim().not().isEmpty()
+];
+
+const validateVerify = [
+  check('phone', 'Phone number is required').trim().not().isEmpty(),
+  check('code', 'A 6-digit code is required').isLength({ min: 6, max: 6 }).isNumeric()
+];
+
+// Generic answer so the endpoint does not reveal which phones have accounts
+const requestResponse = { msg: 'If this phone number has an account, a code has been sent' };
+
+// Send a throttled login as 429, anything else as 500
+const handleError = (res, err) => {
+  if (err instanceof LoginBlockedError) {
+    res.set('Retry-After', String(err.retryAfter));
+    return res.status(429).json({ msg: err.message, retryAfter: err.retryAfter });
+  }
+  console.error(err.message);
+  res.status(500).send('Server error');
+};
+
+// Phone login is for buyers, sellers and delivery agents, not staff accounts
+const canUseOtpLogin = (user) => !user.roles.some(role => PRIVILEGED_ROLES.includes(role));
+
+// @route   POST api/auth/otp/request
+// @desc    Send a one-time login code by SMS
+// @access  Public
+router.post('/request', validateRequest, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { phone } = req.body;
+
+  try {
+    // Hourly caps on sending, counted whether or not the phone exists
+    const store = getThrottleStore();
+    const phoneCount = await store.increment(`otp:phone:${phone}`, HOUR_MS);
+    const ipCount = await store.increment(`otp:ip:${req.ip}`, HOUR_MS);
+    if (phoneCount.failures > OTP_HOURLY_LIMIT_PER_PHONE || ipCount.failures > OTP_HOURLY_LIMIT_PER_IP) {
+      return res.status(429).json({ msg: 'Too many codes requested. Please try again later' });
+    }
+
+    const user = await User.findOne({ phone });
+    if (!user || !canUseOtpLogin(user)) {
+      return res.json(requestResponse);
+    }
+
+    if (user.loginOtp?.sentAt) {
+      const elapsed = (Date.now() - user.loginOtp.sentAt.getTime()) / 1000;
+      if (elapsed < OTP_RESEND_COOLDOWN_SECONDS) {
+        return res.status(429).json({
+          msg: `Please wait ${Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed)} seconds before requesting a new code`
+        });
+      }
+    }
+
+    const code = user.createLoginOtp(OTP_EXPIRY_MINUTES);
+    await user.save();
+
+    await sendSms(user.phone, `Your Super~Up login code is ${code}. It expires in ${OTP_EXPIRY_MINUTES} minutes.`);
+
+    res.json(requestResponse);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST api/auth/otp/verify
+// @desc    Exchange a one-time login code for tokens
+// @access  Public
+router.post('/verify', validateVerify, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { phone, code } = req.body;
+  const attempt = { account: phone, ip: req.ip };
+
+  try {
+    // Refuse attempts while the phone or IP is throttled
+    await assertLoginAllowed(attempt);
+
+    const user = await User.findOne({ phone });
+    const otp = user && canUseOtpLogin(user) ? user.loginOtp : null;
+
+    if (!otp || !otp.codeHash || !otp.expiresAt || otp.expiresAt < new Date()) {
+      await recordLoginFailure(attempt);
+      return res.status(400).json({ msg: 'Code is invalid or has expired' });
+    }
+
+    if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+      return res.status(429).json({ msg: 'Too many attempts. Please request a new code' });
+    }
+
+    if (!user.matchesLoginOtp(code)) {
+      user.loginOtp.attempts += 1;
+      await user.save();
+      await recordLoginFailure(attempt);
+      return res.status(400).json({ msg: 'Code is invalid or has expired' });
+    }
+
+    // The code is single-use, and receiving it proves the phone number
+    user.loginOtp = undefined;
+    user.isPhoneVerified = true;
+    user.isVerified = true;
+    await user.save();
+    await recordLoginSuccess(attempt);
+
+    // Return tokens, or a challenge for two-factor accounts
+    res.json(await beginLogin(user, req));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const Deposit = require('../models/deposit.model');
+const { auth } = require('../middleware/auth.middleware');
+const { check, validationResult } = require('express-validator');
+const { getProvider, listEnabledProviders } = require('../services/paymentProvider.service');
+const { handleWebhook } = require('../services/deposit.service');
+const { TransactionAbort } = require('../services/dbTransaction.service');
+const { CURRENCIES, BASE_CURRENCY, getRateSnapshot } = require('../services/currency.service');
+
+// @route   GET api/payments/providers
+// @desc    Get the mobile money providers deposits can be made with
+// @access  Private
+router.get('/providers', auth, (req, res) => {
+  res.json(listEnabledProviders());
+});
+
+// @route   GET api/payments/currencies
+// @desc    Get the supported currencies with their locale and current exchange rate
+// @access  Public
+router.get('/currencies', async (req, res) => {
+  try {
+    const { rates, capturedAt } = await getRateSnapshot();
+    
+    res.json({
+      base: BASE_CURRENCY,
+      currencies: Object.keys(CURRENCIES).map(code => ({
+        code,
+        locale: CURRENCIES[code].locale,
+        decimals: CURRENCIES[code].decimals,
+        rate: rates[code] || null
+      })),
+      asOf: capturedAt
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/payments/webhooks/:provider
+// @desc    Receive a signed deposit callback from a payment provider
+// @access  Public (verified by signature)
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const deposit = await handleWebhook(req.params.provider, req);
+    
+    res.json({ received: true, reference: deposit.reference, status: deposit.status });
+  } catch (err) {
+    console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/payments/simulated/:reference
+// @desc    Confirm or fail a deposit made with the simulated provider
+// @access  Private
+router.post('/simulated/:reference', auth, [
+  check('outcome', 'Outcome must be success or failure').isIn(['success', 'failure'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const simulated = getProvider('simulated');
+  
+  if (!simulated.isEnabled()) {
+    return res.status(404).json({ msg: 'Simulated provider is not enabled' });
+  }
+
+  try {
+    const deposit = await Deposit.findOne({
+      reference: req.params.reference,
+      user: req.user.id,
+      provider: 'simulated'
+    });
+    
+    if (!deposit) {
+      return res.status(404).json({ msg: 'Deposit not found' });
+    }
+    
+    // Go through the same signed callback path as a real provider
+    const updated = await handleWebhook('simulated', simulated.buildCallback(deposit, req.body.outcome));
+    
+    res.json(updated);
+  } catch (err) {
+    console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -3,18 +3,20 @@ const router = express.Router();
 const Product = require('../models/product.model');
 const User = require('../models/user.model');
 const Subscription = require('../models/subscription.model');
-const { auth, checkRole } = require('../middleware/auth.middleware');
+const { auth, checkRole, requireVerified } = require('../middleware/auth.middleware');
 const { check, validationResult } = require('express-validator');
+const { SUPPORTED_CURRENCIES } = require('../services/currency.service');
 
 // @route   POST api/products
 // @desc    Create a product
 // @access  Private/Seller
-router.post('/', auth, checkRole(['seller']), [
+router.post('/', auth, checkRole(['seller']), requireVerified, [
   check('name', 'Name is required').not().isEmpty(),
   check('description', 'Description is required').not().isEmpty(),
   check('price', 'Price is required and must be a positive number').isFloat({ min: 0 }),
   check('category', 'Category is required').not().isEmpty(),
-  check('stock', 'Stock is required and must be a positive number').isInt({ min: 0 })
+  check('stock', 'Stock is required and must be a positive number').isInt({ min: 0 }),
+  check('currency', `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`).optional().isIn(SUPPORTED_CURRENCIES)
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -42,7 +44,7 @@ router.post('/', auth, checkRole(['seller']), [
       name,
       description,
       price,
-      currency = 'XOF',
+      currency = user.currency,
       images,
       category,
       subcategory,
@@ -229,7 +231,14 @@ router.get('/:id', async (req, res) => {
 // @route   PUT api/products/:id
 // @desc    Update a product
 // @access  Private/Seller
-router.put('/:id', auth, checkRole(['seller']), async (req, res) => {
+router.put('/:id', auth, checkRole(['seller']), [
+  check('currency', `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`).optional().isIn(SUPPORTED_CURRENCIES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const product = await Product.findById(req.params.id);
     
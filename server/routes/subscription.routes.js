@@ -4,8 +4,13 @@ const Subscription = require('../models/subscription.model');
 const User = require('../models/user.model');
 const Wallet = require('../models/wallet.model');
 const { auth, checkRole } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 const { check, validationResult } = require('express-validator');
-const crypto = require('crypto');
+const { debit, credit, postEntry, platformFeeAccount } = require('../services/ledger.service');
+const { TransactionAbort, runInTransaction } = require('../services/dbTransaction.service');
+const { pinFromRequest, authorizeWalletOperation } = require('../services/walletPin.service');
+const { requestContext, screenOperation } = require('../services/fraud.service');
+const { BASE_CURRENCY, getRateSnapshot, convertAmount, formatAmount } = require('../services/currency.service');
 
 // @route   GET api/subscription
 // @desc    Get current seller's subscription
@@ -28,7 +33,7 @@ router.get('/', auth, checkRole(['seller']), async (req, res) => {
 // @route   POST api/subscription
 // @desc    Create or update subscription
 // @access  Private/Seller
-router.post('/', auth, checkRole(['seller']), [
+router.post('/', auth, checkRole(['seller']), idempotent, [
   check('plan', 'Plan is required').isIn(['free_trial', 'weekly', 'monthly', 'yearly']),
   check('paymentMethod', 'Payment method is required').not().isEmpty()
 ], async (req, res) => {
@@ -74,61 +79,64 @@ router.post('/', auth, checkRole(['seller']), [
       
       // Process payment if using wallet
       if (paymentMethod === 'wallet') {
-        const sellerWallet = await Wallet.findOne({ 
-          owner: req.user.id,
-          walletType: 'seller'
-        });
+        const sellerWallet = await Wallet.findByOwnerAndType(req.user.id, 'seller', req.body.currency);
         
         if (!sellerWallet) {
           return res.status(404).json({ msg: 'Seller wallet not found' });
         }
         
-        if (!sellerWallet.hasSufficientBalance(subscription.price)) {
+        const charge = await chargeFor(subscription.price, subscription.currency, sellerWallet);
+        
+        if (!sellerWallet.hasSufficientBalance(charge)) {
           return res.status(400).json({ 
-            msg: `Insufficient balance. Required: ${subscription.price} XOF, Available: ${sellerWallet.balance} XOF` 
+            msg: insufficientBalanceMessage(charge, sellerWallet) 
           });
         }
         
-        // Generate unique reference
-        const reference = crypto.randomBytes(10).toString('hex');
+        await authorizeWalletOperation(req.user.id, 'payment', charge, pinFromRequest(req), sellerWallet.currency);
+        await screenOperation({
+          userId: req.user.id,
+          operation: 'subscription_payment',
+          amount: charge,
+          currency: sellerWallet.currency,
+          context: requestContext(req)
+        });
         
-        // Create transaction
-        const transaction = {
-          type: 'payment',
-          amount: subscription.price,
-          description: `Payment for ${plan} subscription`,
-          status: 'completed',
-          reference,
-          paymentMethod: 'wallet',
-          paymentDetails: {
+        // Subscription fees go to the platform; the payment and the
+        // subscription update commit together
+        await runInTransaction(async (session) => {
+          const { reference } = await postEntry({
+            kind: 'subscription_payment',
+            description: `Payment for ${plan} subscription`,
+            relatedUser: req.user.id,
+            lines: [
+              debit(sellerWallet, charge, { type: 'payment' }),
+              credit(await platformFeeAccount(sellerWallet.currency), charge)
+            ]
+          }, session);
+          
+          // Update subscription payment details
+          subscription.paymentDetails = {
             transactionId: reference,
-            provider: 'internal'
-          },
-          createdAt: new Date()
-        };
-        
-        // Add transaction to wallet
-        await sellerWallet.addTransaction(transaction);
-        
-        // Update subscription payment details
-        subscription.paymentDetails = {
-          transactionId: reference,
-          paymentDate: new Date(),
-          provider: 'wallet'
-        };
-        
-        // Update user's seller info
-        user.sellerInfo = user.sellerInfo || {};
-        user.sellerInfo.subscriptionStatus = 'active';
-        user.sellerInfo.subscriptionType = plan;
-        user.sellerInfo.subscriptionStartDate = subscription.startDate;
-        user.sellerInfo.subscriptionEndDate = subscription.endDate;
-        
-        await user.save();
+            paymentDate: new Date(),
+            provider: 'wallet'
+          };
+          
+          // Update user's seller info
+          user.sellerInfo = user.sellerInfo || {};
+          user.sellerInfo.subscriptionStatus = 'active';
+          user.sellerInfo.subscriptionType = plan;
+          user.sellerInfo.subscriptionStartDate = subscription.startDate;
+          user.sellerInfo.subscriptionEndDate = subscription.endDate;
+          
+          await user.save({ session });
+          await subscription.save({ session });
+        });
       } else {
         // For other payment methods, we would integrate with external payment providers
         // For now, we'll just update the status
         subscription.status = 'pending';
+        await subscription.save();
       }
     } else {
       // Free trial
@@ -139,16 +147,18 @@ router.post('/', auth, checkRole(['seller']), [
       user.sellerInfo.subscriptionEndDate = subscription.endDate;
       
       await user.save();
+      await subscription.save();
     }
     
-    await subscription.save();
-    
     res.json({
       subscription,
       isNew
     });
   } catch (err) {
     console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     res.status(500).send('Server error');
   }
 });
@@ -156,7 +166,7 @@ router.post('/', auth, checkRole(['seller']), [
 // @route   PUT api/subscription/renew
 // @desc    Renew subscription
 // @access  Private/Seller
-router.put('/renew', auth, checkRole(['seller']), [
+router.put('/renew', auth, checkRole(['seller']), idempotent, [
   check('paymentMethod', 'Payment method is required').not().isEmpty()
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -176,64 +186,66 @@ router.put('/renew', auth, checkRole(['seller']), [
     
     // Process payment if using wallet
     if (paymentMethod === 'wallet') {
-      const sellerWallet = await Wallet.findOne({ 
-        owner: req.user.id,
-        walletType: 'seller'
-      });
+      const sellerWallet = await Wallet.findByOwnerAndType(req.user.id, 'seller', req.body.currency);
       
       if (!sellerWallet) {
         return res.status(404).json({ msg: 'Seller wallet not found' });
       }
       
-      if (!sellerWallet.hasSufficientBalance(subscription.price)) {
+      const charge = await chargeFor(subscription.price, subscription.currency, sellerWallet);
+      
+      if (!sellerWallet.hasSufficientBalance(charge)) {
         return res.status(400).json({ 
-          msg: `Insufficient balance. Required: ${subscription.price} XOF, Available: ${sellerWallet.balance} XOF` 
+          msg: insufficientBalanceMessage(charge, sellerWallet) 
         });
       }
       
-      // Generate unique reference
-      const reference = crypto.randomBytes(10).toString('hex');
+      await authorizeWalletOperation(req.user.id, 'payment', charge, pinFromRequest(req), sellerWallet.currency);
+      await screenOperation({
+        userId: req.user.id,
+        operation: 'subscription_payment',
+        amount: charge,
+        currency: sellerWallet.currency,
+        context: requestContext(req)
+      });
       
-      // Create transaction
-      const transaction = {
-        type: 'payment',
-        amount: subscription.price,
-        description: `Renewal payment for ${subscription.plan} subscription`,
-        status: 'completed',
-        reference,
-        paymentMethod: 'wallet',
-        paymentDetails: {
+      // Subscription fees go to the platform; the payment and the
+      // subscription update commit together
+      await runInTransaction(async (session) => {
+        subscription.$session(session);
+        const { reference } = await postEntry({
+          kind: 'subscription_payment',
+          description: `Renewal payment for ${subscription.plan} subscription`,
+          relatedUser: req.user.id,
+          lines: [
+            debit(sellerWallet, charge, { type: 'payment' }),
+            credit(await platformFeeAccount(sellerWallet.currency), charge)
+          ]
+        }, session);
+        
+        // Update payment details for renewal
+        const renewalPaymentDetails = {
           transactionId: reference,
-          provider: 'internal'
-        },
-        createdAt: new Date()
-      };
-      
-      // Add transaction to wallet
-      await sellerWallet.addTransaction(transaction);
-      
-      // Update payment details for renewal
-      const renewalPaymentDetails = {
-        transactionId: reference,
-        paymentDate: new Date(),
-        provider: 'wallet'
-      };
-      
-      // Renew subscription
-      await subscription.renew({
-        paymentMethod,
-        ...renewalPaymentDetails
+          paymentDate: new Date(),
+          provider: 'wallet'
+        };
+        
+        // Renew subscription
+        await subscription.renew({
+          paymentMethod,
+          ...renewalPaymentDetails
+        });
+        
+        // Update user's seller info
+        const user = await User.findById(req.user.id).session(session);
+        user.sellerInfo = user.sellerInfo || {};
+        user.sellerInfo.subscriptionStatus = 'active';
+        user.sellerInfo.subscriptionType = subscription.plan;
+        user.sellerInfo.subscriptionStartDate = subscription.startDate;
+        user.sellerInfo.subscriptionEndDate = subscription.endDate;
+        
+        await user.save({ session });
       });
-      
-      // Update user's seller info
-      const user = await User.findById(req.user.id);
-      user.sellerInfo = user.sellerInfo || {};
-      user.sellerInfo.subscriptionStatus = 'active';
-      user.sellerInfo.subscriptionType = subscription.plan;
-      user.sellerInfo.subscriptionStartDate = subscription.startDate;
-      user.sellerInfo.subscriptionEndDate = subscription.endDate;
-      
-      await user.save();
     } else {
       // For other payment methods, we would integrate with external payment providers
       // For now, we'll just update the status
@@ -244,6 +256,9 @@ router.put('/renew', auth, checkRole(['seller']), [
     res.json(subscription);
   } catch (err) {
     console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     res.status(500).send('Server error');
   }
 });
@@ -251,7 +266,7 @@ router.put('/renew', auth, checkRole(['seller']), [
 // @route   PUT api/subscription/change-plan
 // @desc    Change subscription plan
 // @access  Private/Seller
-router.put('/change-plan', auth, checkRole(['seller']), [
+router.put('/change-plan', auth, checkRole(['seller']), idempotent, [
   check('plan', 'Plan is required').isIn(['weekly', 'monthly', 'yearly']),
   check('paymentMethod', 'Payment method is required').not().isEmpty()
 ], async (req, res) => {
@@ -272,81 +287,67 @@ router.put('/change-plan', auth, checkRole(['seller']), [
     
     // Process payment if using wallet
     if (paymentMethod === 'wallet') {
-      // Calculate new price based on plan
-      let price;
-      switch (plan) {
-        case 'weekly':
-          price = 2000; // Example price in XOF
-          break;
-        case 'monthly':
-          price = 7500; // Example price in XOF
-          break;
-        case 'yearly':
-          price = 75000; // Example price in XOF
-          break;
-        default:
-          price = 0;
-          break;
-      }
-      
-      const sellerWallet = await Wallet.findOne({ 
-        owner: req.user.id,
-        walletType: 'seller'
-      });
+      const sellerWallet = await Wallet.findByOwnerAndType(req.user.id, 'seller', req.body.currency);
       
       if (!sellerWallet) {
         return res.status(404).json({ msg: 'Seller wallet not found' });
       }
       
-      if (!sellerWallet.hasSufficientBalance(price)) {
+      // Price of the new plan, in the base currency
+      const charge = await chargeFor(Subscription.PLAN_PRICES[plan], BASE_CURRENCY, sellerWallet);
+      
+      if (!sellerWallet.hasSufficientBalance(charge)) {
         return res.status(400).json({ 
-          msg: `Insufficient balance. Required: ${price} XOF, Available: ${sellerWallet.balance} XOF` 
+          msg: insufficientBalanceMessage(charge, sellerWallet) 
         });
       }
       
-      // Generate unique reference
-      const reference = crypto.randomBytes(10).toString('hex');
+      await authorizeWalletOperation(req.user.id, 'payment', charge, pinFromRequest(req), sellerWallet.currency);
+      await screenOperation({
+        userId: req.user.id,
+        operation: 'subscription_payment',
+        amount: charge,
+        currency: sellerWallet.currency,
+        context: requestContext(req)
+      });
       
-      // Create transaction
-      const transaction = {
-        type: 'payment',
-        amount: price,
-        description: `Payment for changing to ${plan} subscription`,
-        status: 'completed',
-        reference,
-        paymentMethod: 'wallet',
-        paymentDetails: {
+      // Subscription fees go to the platform; the payment and the
+      // subscription update commit together
+      await runInTransaction(async (session) => {
+        subscription.$session(session);
+        const { reference } = await postEntry({
+          kind: 'subscription_payment',
+          description: `Payment for changing to ${plan} subscription`,
+          relatedUser: req.user.id,
+          lines: [
+            debit(sellerWallet, charge, { type: 'payment' }),
+            credit(await platformFeeAccount(sellerWallet.currency), charge)
+          ]
+        }, session);
+        
+        // Update payment details for plan change
+        const changePlanPaymentDetails = {
           transactionId: reference,
-          provider: 'internal'
-        },
-        createdAt: new Date()
-      };
-      
-      // Add transaction to wallet
-      await sellerWallet.addTransaction(transaction);
-      
-      // Update payment details for plan change
-      const changePlanPaymentDetails = {
-        transactionId: reference,
-        paymentDate: new Date(),
-        provider: 'wallet'
-      };
-      
-      // Change subscription plan
-      await subscription.changePlan(plan, {
-        paymentMethod,
-        ...changePlanPaymentDetails
+          paymentDate: new Date(),
+          provider: 'wallet'
+        };
+        
+        // Change subscription plan
+        await subscription.changePlan(plan, {
+          paymentMethod,
+          ...changePlanPaymentDetails
+        });
+        
+        // Update user's seller info
+        const user = await User.findById(req.user.id).session(session);
+        user.sellerInfo = user.sellerInfo || {};
+        user.sellerInfo.subscriptionStatus = 'active';
+        user.sellerInfo.subscriptionType = plan;
+        user.sellerInfo.subscriptionStartDate = subscription.startDate;
+        user.sellerInfo.subscriptionEndDate = subscription.endDate;
+        
+        await user.save({ session });
       });
-      
-      // Update user's seller info
-      const user = await User.findById(req.user.id);
-      user.sellerInfo = user.sellerInfo || {};
-      user.sellerInfo.subscriptionStatus = 'active';
-      user.sellerInfo.subscriptionType = plan;
-      user.sellerInfo.subscriptionStartDate = subscription.startDate;
-      user.sellerInfo.subscriptionEndDate = subscription.endDate;
-      
-      await user.save();
     } else {
       // For other payment methods, we would integrate with external payment providers
       // For now, we'll just update the status
@@ -357,6 +358,9 @@ router.put('/change-plan', auth, checkRole(['seller']), [
     res.json(subscription);
   } catch (err) {
     console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     res.status(500).send('Server error');
   }
 });
@@ -420,4 +424,14 @@ router.get('/admin/expired', auth, checkRole(['admin']), async (req, res) => {
   }
 });
 
+// Helper function to convert a subscription price to the currency of the paying wallet
+async function chargeFor(price, currency, wallet) {
+  return convertAmount(price, currency, wallet.currency, await getRateSnapshot());
+}
+
+// Helper function to describe a balance too low for a payment
+function insufficientBalanceMessage(amount, wallet) {
+  return `Insufficient balance. Required: ${formatAmount(amount, wallet.currency)}, Available: ${formatAmount(wallet.balance, wallet.currency)}`;
+}
+
 module.exports = router;
\ No newline at end of file
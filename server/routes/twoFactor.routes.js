@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/user.model');
+const AuditLog = require('../models/audit.model');
+const { auth } = require('../middleware/auth.middleware');
+const { check, validationResult } = require('express-validator');
+const {
+  isTwoFactorRequired,
+  beginSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable
+} = require('../services/twoFactor.service');
+const { TokenError, issueTokens, verifyChallengeToken } = require('../services/token.service');
+const {
+  LoginBlockedError,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../services/loginGuard.service');
+
+const validateCode = [
+  check('code', 'A 6-digit code is required').isLength({ min: 6, max: 6 }).isNumeric()
+];
+
+const validateChallenge = [
+  check('challengeToken', 'Login challenge is required').not().isEmpty()
+];
+
+const validateSecondFactor = [
+  ...validateChallenge,
+  check('code').optional().isLength({ min: 6, max: 6 }).isNumeric(),
+  check('recoveryCode').optional().isString(),
+  check().custom((value, { req }) => {
+    if (!req.body.code && !req.body.recoveryCode) {
+      throw new Error('A code or a recovery code is required');
+    }
+    return true;
+  })
+];
+
+// Send a challenge error as 401, a throttled login as 429, anything else as 500
+const handleError = (res, err) => {
+  if (err instanceof TokenError) {
+    return res.status(401).json({ msg: err.message });
+  }
+  if (err instanceof LoginBlockedError) {
+    res.set('Retry-After', String(err.retryAfter));
+    return res.status(429).json({ msg: err.message, retryAfter: err.retryAfter });
+  }
+  console.error(err.message);
+  res.status(500).send('Server error');
+};
+
+// @route   GET api/auth/2fa
+// @desc    Get two-factor status for current user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    res.json({
+      enabled: !!user.twoFactor?.enabled,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get the authenticator secret
+// @access  Private
+router.post('/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    }
+
+    const setup = await beginSetup(user);
+    await user.save();
+
+    res.json(setup);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and get recovery codes
+// @access  Private
+router.post('/enable', auth, validateCode, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const recoveryCodes = confirmSetup(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ msg: 'Invalid code. Start the setup again if the problem persists' });
+    }
+
+    await user.save();
+    await AuditLog.record('two_factor.enabled', { req, targetUser: user._id });
+
+    res.json({ enabled: true, recoveryCodes });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST api/auth/2fa/disable
+// @desc    Turn two-factor off (not allowed where it is mandatory)
+// @access  Private
+router.post('/disable', auth, [
+  check('password', 'Password is required').exists(),
+  ...validateCode
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ msg: 'Two-factor authentication is mandatory for your account' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ msg: 'Invalid password or code' });
+    }
+
+    disable(user);
+    await user.save();
+    await AuditLog.record('two_factor.disabled', { req, targetUser: user._id });
+
+    res.json({ enabled: false });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes
+// @access  Private
+router.post('/recovery-codes', auth, validateCode, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ msg: 'Invalid code' });
+    }
+
+    const recoveryCodes = regenerateRecoveryCodes(user);
+    await user.save();
+    await AuditLog.record('two_factor.recovery_codes_regenerated', { req, targetUser: user._id });
+
+    res.json({ recoveryCodes });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST api/auth/2fa/login
+// @desc    Complete login with a TOTP code or a recovery code
+// @access  Public
+router.post('/login', validateSecondFactor, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  try {
+    const user = await verifyChallengeToken(challengeToken, 'two_factor');
+    const attempt = { account: user.email, ip: req.ip };
+    await assertLoginAllowed(attempt);
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await recordLoginFailure(attempt);
+      return res.status(400).json({ msg: 'Invalid two-factor code' });
+    }
+
+    await user.save();
+    await recordLoginSuccess(attempt);
+
+    if (recoveryCode) {
+      await AuditLog.record('two_factor.recovery_code_used', {
+        req,
+        actor: user._id,
+        targetUser: user._id,
+        details: { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length }
+      });
+    }
+
+    const tokens = await issueTokens(user, req);
+    res.json(tokens);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST api/auth/2fa/login/setup
+// @desc    Start mandatory enrollment during login
+// @access  Public
+router.post('/login/setup', validateChallenge, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await verifyChallengeToken(req.body.challengeToken, 'two_factor_setup');
+
+    const setup = await beginSetup(user);
+    await user.save();
+
+    res.json(setup);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// @route   POST api/auth/2fa/login/enable
+// @desc    Confirm mandatory enrollment and complete login
+// @access  Public
+router.post('/login/enable', [...validateChallenge, ...validateCode], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await verifyChallengeToken(req.body.challengeToken, 'two_factor_setup');
+
+    const recoveryCodes = confirmSetup(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ msg: 'Invalid code' });
+    }
+
+    await user.save();
+    await AuditLog.record('two_factor.enabled', { req, actor: user._id, targetUser: user._id });
+
+    const tokens = await issueTokens(user, req);
+    res.json({ ...tokens, recoveryCodes });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+module.exports = router;
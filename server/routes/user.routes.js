@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/user.model');
-const Wallet = require('../models/wallet.model');
-const Subscription = require('../models/subscription.model');
+const AuditLog = require('../models/audit.model');
 const { auth, checkRole } = require('../middleware/auth.middleware');
 const { check, validationResult } = require('express-validator');
+const { ALL_ROLES, APPLICATION_ROLES, startApplication, grantRole } = require('../services/role.service');
+const { revokeUserSessions } = require('../services/token.service');
 
 // @route   GET api/users
 // @desc    Get all users (admin only)
@@ -65,7 +66,13 @@ router.put('/profile', auth, [
 
     // Update user profile
     user.name = name || user.name;
-    user.phone = phone || user.phone;
+    if (phone && phone !== user.phone) {
+      // A new phone number has to be verified again; until then the account
+      // is verified only through its email
+      user.phone = phone;
+      user.isPhoneVerified = false;
+      user.isVerified = user.isEmailVerified;
+    }
     if (address) user.address = address;
     if (profileImage) user.profileImage = profileImage;
 
@@ -163,6 +170,49 @@ router.put('/delivery-profile', auth, checkRole(['delivery']), [
   }
 });
 
+// @route   POST api/users/apply-role
+// @desc    Apply for the seller or delivery role
+// @access  Private
+router.post('/apply-role', auth, [
+  check('role', 'Role must be seller or delivery').isIn(APPLICATION_ROLES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { role, ...details } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (user.roles.includes(role)) {
+      return res.status(400).json({ msg: `You already have the ${role} role` });
+    }
+
+    if (user[`${role}Info`]?.applicationStatus === 'pending') {
+      return res.status(400).json({ msg: `Your ${role} application is already under review` });
+    }
+
+    startApplication(user, role, details);
+    await user.save();
+
+    await AuditLog.record('role.application_submitted', {
+      req,
+      targetUser: user._id,
+      details: { role }
+    });
+
+    res.json(user[`${role}Info`]);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   PUT api/users/add-role
 // @desc    Add a role to user
 // @access  Private/Admin
@@ -183,7 +233,7 @@ router.put('/add-role/:id', auth, checkRole(['admin']), [
     }
 
     // Check if role is valid
-    if (!['buyer', 'seller', 'delivery', 'admin', 'customer_service'].includes(role)) {
+    if (!ALL_ROLES.includes(role)) {
       return res.status(400).json({ msg: 'Invalid role' });
     }
 
@@ -192,40 +242,27 @@ router.put('/add-role/:id', auth, checkRole(['admin']), [
       return res.status(400).json({ msg: `User already has ${role} role` });
     }
 
-    // Add role to user
-    user.roles.push(role);
-
-    // If adding seller role, create a free trial subscription
-    if (role === 'seller') {
-      // Check if subscription already exists
-      let subscription = await Subscription.findOne({ seller: user._id });
-      if (!subscription) {
-        subscription = new Subscription({
-          seller: user._id,
-          plan: 'free_trial',
-          status: 'active',
-          price: 0
-        });
-        await subscription.save();
-      }
-    }
+    // Add role to user with its subscription and wallet
+    await grantRole(user, role);
 
-    // If adding a role that needs a wallet, create one
-    if (['buyer', 'seller', 'delivery', 'admin'].includes(role)) {
-      // Check if wallet already exists
-      const wallet = await Wallet.findOne({ owner: user._id, walletType: role });
-      if (!wallet) {
-        const newWallet = new Wallet({
-          owner: user._id,
-          walletType: role,
-          balance: 0,
-          currency: 'XOF'
-        });
-        await newWallet.save();
-      }
+    // Granting a role closes any pending application for it
+    if (APPLICATION_ROLES.includes(role) && user[`${role}Info`]) {
+      user[`${role}Info`].applicationStatus = 'approved';
+      user[`${role}Info`].reviewedAt = new Date();
+      user[`${role}Info`].reviewedBy = req.user.id;
     }
 
     await user.save();
+
+    // Tokens carry the roles, so force the user to sign in again
+    await revokeUserSessions(user._id, 'role_change');
+
+    await AuditLog.record('role.granted', {
+      req,
+      targetUser: user._id,
+      details: { role }
+    });
+
     res.json(user);
   } catch (err) {
     console.error(err.message);
@@ -253,7 +290,7 @@ router.put('/remove-role/:id', auth, checkRole(['admin']), [
     }
 
     // Check if role is valid
-    if (!['buyer', 'seller', 'delivery', 'admin', 'customer_service'].includes(role)) {
+    if (!ALL_ROLES.includes(role)) {
       return res.status(400).json({ msg: 'Invalid role' });
     }
 
@@ -271,6 +308,16 @@ router.put('/remove-role/:id', auth, checkRole(['admin']), [
     user.roles = user.roles.filter(r => r !== role);
 
     await user.save();
+
+    // Tokens carry the roles, so force the user to sign in again
+    await revokeUserSessions(user._id, 'role_change');
+
+    await AuditLog.record('role.removed', {
+      req,
+      targetUser: user._id,
+      details: { role }
+    });
+
     res.json(user);
   } catch (err) {
     console.error(err.message);
@@ -2,9 +2,28 @@ const express = require('express');
 const router = express.Router();
 const Wallet = require('../models/wallet.model');
 const User = require('../models/user.model');
-const { auth, checkRole } = require('../middleware/auth.middleware');
+const { auth, checkRole, requireVerified } = require('../middleware/auth.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 const { check, validationResult } = require('express-validator');
-const crypto = require('crypto');
+const { debit, credit, postEntry } = require('../services/ledger.service');
+const { TransactionAbort, runInTransaction } = require('../services/dbTransaction.service');
+const EscrowHold = require('../models/escrow.model');
+const { pendingBalances } = require('../services/escrow.service');
+const Deposit = require('../models/deposit.model');
+const { startDeposit } = require('../services/deposit.service');
+const PayoutAccount = require('../models/payoutAccount.model');
+const Withdrawal = require('../models/withdrawal.model');
+const { getProvider } = require('../services/paymentProvider.service');
+const { WITHDRAWABLE_WALLET_TYPES, requestWithdrawal, cancelWithdrawal } = require('../services/withdrawal.service');
+const Transfer = require('../models/transfer.model');
+const { dailyUsage, quoteTransfer, confirmTransfer, cancelTransfer } = require('../services/transfer.service');
+const AuditLog = require('../models/audit.model');
+const { pinFromRequest, verifyPin, authorizeWalletOperation, pinStatus } = require('../services/walletPin.service');
+const { requestContext, screenOperation } = require('../services/fraud.service');
+const { listTransactions, buildStatement, statementCsv, writeStatementPdf } = require('../services/transactionHistory.service');
+const Transaction = require('../models/transaction.model');
+const PromoGrant = require('../models/promoGrant.model');
+const { SUPPORTED_CURRENCIES, isSupportedCurrency, formatAmount } = require('../services/currency.service');
 
 // @route   GET api/wallet
 // @desc    Get all wallets for current user
@@ -12,7 +31,267 @@ const crypto = require('crypto');
 router.get('/', auth, async (req, res) => {
   try {
     const wallets = await Wallet.find({ owner: req.user.id });
-    res.json(wallets);
+    const pending = await pendingBalances(req.user.id);
+    res.json(wallets.map(wallet => withPending(wallet, pending)));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/wallet/holds
+// @desc    Get escrow holds on orders the current user paid for or sells in
+// @access  Private
+router.get('/holds', auth, async (req, res) => {
+  const { status } = req.query;
+  
+  try {
+    const filter = { $or: [{ buyer: req.user.id }, { 'sellers.seller': req.user.id }] };
+    if (status) filter.status = status;
+    
+    const holds = await EscrowHold.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('order', 'status deliveryStatus totalAmount createdAt');
+    
+    res.json(holds);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/wallet/promo-credit
+// @desc    Get the current user's promo credit grants, soonest to expire first
+// @access  Private
+router.get('/promo-credit', auth, async (req, res) => {
+  const { status = 'active' } = req.query;
+  
+  try {
+    const grants = await PromoGrant.find(status === 'all' ? { owner: req.user.id } : { owner: req.user.id, status })
+      .sort(status === 'active' ? { expiresAt: 1 } : { createdAt: -1 })
+      .limit(100)
+      .populate('campaign', 'name category percent');
+    
+    res.json(grants);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/wallet/deposits
+// @desc    Get deposits of the current user
+// @access  Private
+router.get('/deposits', auth, async (req, res) => {
+  const { status } = req.query;
+  
+  try {
+    const filter = { user: req.user.id };
+    if (status) filter.status = status;
+    
+    const deposits = await Deposit.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100);
+    
+    res.json(deposits);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/wallet/deposits/:id
+// @desc    Get a deposit of the current user
+// @access  Private
+router.get('/deposits/:id', auth, async (req, res) => {
+  try {
+    const deposit = await Deposit.findOne({ _id: req.params.id, user: req.user.id });
+    
+    if (!deposit) {
+      return res.status(404).json({ msg: 'Deposit not found' });
+    }
+    
+    res.json(deposit);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Deposit not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/wallet/payout-accounts
+// @desc    Get the saved payout accounts of the current user
+// @access  Private
+router.get('/payout-accounts', auth, async (req, res) => {
+  try {
+    const accounts = await PayoutAccount.find({ user: req.user.id, isActive: true })
+      .sort({ isDefault: -1, createdAt: -1 });
+    
+    res.json(accounts);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/wallet/payout-accounts
+// @desc    Save a mobile money or bank account to receive withdrawals
+// @access  Private
+router.post('/payout-accounts', auth, [
+  check('type', 'Type must be mobile_money or bank').isIn(['mobile_money', 'bank']),
+  check('provider', 'Mobile money provider is required')
+    .if(check('type').equals('mobile_money'))
+    .custom(value => Boolean(getProvider(value))),
+  check('phone', 'Mobile money phone number is required')
+    .if(check('type').equals('mobile_money'))
+    .not().isEmpty(),
+  check('bankName', 'Bank name is required').if(check('type').equals('bank')).not().isEmpty(),
+  check('accountName', 'Account holder name is required').if(check('type').equals('bank')).not().isEmpty(),
+  check('accountNumber', 'Account number is required').if(check('type').equals('bank')).not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { type, label, provider, phone, bankName, accountName, accountNumber } = req.body;
+
+  try {
+    const hasAccounts = await PayoutAccount.exists({ user: req.user.id, isActive: true });
+    const isDefault = Boolean(req.body.isDefault) || !hasAccounts;
+    
+    // Only one default account per user
+    if (isDefault) {
+      await PayoutAccount.updateMany({ user: req.user.id }, { isDefault: false });
+    }
+    
+    const account = await PayoutAccount.create({
+      user: req.user.id,
+      type,
+      label,
+      ...(type === 'mobile_money'
+        ? { provider, phone }
+        : { bankName, accountName, accountNumber }),
+      isDefault
+    });
+    
+    res.status(201).json(account);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/wallet/payout-accounts/:id
+// @desc    Remove a saved payout account
+// @access  Private
+router.delete('/payout-accounts/:id', auth, async (req, res) => {
+  try {
+    const account = await PayoutAccount.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, isActive: true },
+      { isActive: false, isDefault: false },
+      { new: true }
+    );
+    
+    if (!account) {
+      return res.status(404).json({ msg: 'Payout account not found' });
+    }
+    
+    res.json({ msg: 'Payout account removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Payout account not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/wallet/withdrawals
+// @desc    Get withdrawal requests of the current user
+// @access  Private
+router.get('/withdrawals', auth, async (req, res) => {
+  const { status } = req.query;
+  
+  try {
+    const filter = { user: req.user.id };
+    if (status) filter.status = status;
+    
+    const withdrawals = await Withdrawal.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100);
+    
+    res.json(withdrawals);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/wallet/withdrawals/:id
+// @desc    Cancel a withdrawal awaiting review and return the funds
+// @access  Private
+router.delete('/withdrawals/:id', auth, async (req, res) => {
+  try {
+    const withdrawal = await Withdrawal.findOne({ _id: req.params.id, user: req.user.id });
+    
+    if (!withdrawal) {
+      return res.status(404).json({ msg: 'Withdrawal not found' });
+    }
+    
+    if (withdrawal.status !== 'pending_review') {
+      return res.status(400).json({ msg: 'Only withdrawals awaiting review can be cancelled' });
+    }
+    
+    res.json(await cancelWithdrawal(withdrawal));
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Withdrawal not found' });
+    }
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/wallet/transfers
+// @desc    Get transfers the current user sent or received, with today's remaining limits
+// @access  Private
+router.get('/transfers', auth, async (req, res) => {
+  try {
+    const transfers = await Transfer.find({
+      $or: [
+        { sender: req.user.id, status: { $ne: 'pending_confirmation' } },
+        { recipient: req.user.id, status: 'completed' }
+      ]
+    })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('sender', 'name')
+      .populate('recipient', 'name');
+    
+    res.json({
+      transfers,
+      limits: await dailyUsage(req.user.id, isSupportedCurrency(req.query.currency) ? req.query.currency : undefined)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/wallet/pin
+// @desc    Get whether a wallet PIN is set, whether the wallet is locked and which operations need the PIN
+// @access  Private
+router.get('/pin', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    res.json(pinStatus(user));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -31,153 +310,185 @@ router.get('/:type', auth, async (req, res) => {
   }
   
   try {
-    const wallet = await Wallet.findOne({ 
-      owner: req.user.id,
-      walletType: type
-    });
+    const wallet = await Wallet.findByOwnerAndType(req.user.id, type, req.query.currency);
     
     if (!wallet) {
       return res.status(404).json({ msg: 'Wallet not found' });
     }
     
-    res.json(wallet);
+    res.json(withPending(wallet, await pendingBalances(req.user.id)));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
   }
 });
 
+// @route   POST api/wallet/open
+// @desc    Open a wallet in another currency for a wallet type the user already has
+// @access  Private
+router.post('/open', auth, [
+  check('walletType', 'Invalid wallet type').isIn(['buyer', 'seller', 'delivery', 'admin']),
+  check('currency', `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`).isIn(SUPPORTED_CURRENCIES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { walletType, currency } = req.body;
+
+  try {
+    // The role's first wallet shows the user holds it
+    if (!await Wallet.findByOwnerAndType(req.user.id, walletType)) {
+      return res.status(404).json({ msg: 'Wallet not found' });
+    }
+    
+    if (await Wallet.findByOwnerAndType(req.user.id, walletType, currency)) {
+      return res.status(400).json({ msg: `You already have a ${currency} ${walletType} wallet` });
+    }
+    
+    const wallet = await Wallet.create({
+      owner: req.user.id,
+      walletType,
+      balance: 0,
+      currency
+    });
+    
+    res.status(201).json(withPending(wallet, await pendingBalances(req.user.id)));
+  } catch (err) {
+    console.error(err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ msg: `You already have a ${currency} ${walletType} wallet` });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   POST api/wallet/deposit
-// @desc    Add funds to wallet
+// @desc    Start a mobile money deposit; the wallet is credited once the provider confirms it
 // @access  Private
-router.post('/deposit', auth, [
+router.post('/deposit', auth, idempotent, [
   check('amount', 'Amount is required and must be a positive number').isFloat({ min: 0.01 }),
   check('walletType', 'Wallet type is required').not().isEmpty(),
-  check('paymentMethod', 'Payment method is required').not().isEmpty()
+  check('provider', 'Payment provider is required').not().isEmpty()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { amount, walletType, paymentMethod, paymentDetails } = req.body;
+  const { amount, walletType, provider } = req.body;
 
   // Validate wallet type
   if (!['buyer', 'seller', 'delivery', 'admin'].includes(walletType)) {
     return res.status(400).json({ msg: 'Invalid wallet type' });
   }
 
+  // Earnings wallets are paid out, so deposited money only goes to the buyer wallet
+  if (walletType !== 'buyer') {
+    return res.status(400).json({ msg: 'Deposits can only be made to buyer wallets' });
+  }
+
   try {
     // Find wallet
-    let wallet = await Wallet.findOne({ 
-      owner: req.user.id,
-      walletType
-    });
+    let wallet = await Wallet.findByOwnerAndType(req.user.id, walletType, req.body.currency);
     
     if (!wallet) {
       return res.status(404).json({ msg: 'Wallet not found' });
     }
+
+    if (!wallet.isActive) {
+      return res.status(400).json({ msg: 'Wallet is not active' });
+    }
     
-    // Generate unique reference
-    const reference = crypto.randomBytes(10).toString('hex');
+    const user = await User.findById(req.user.id);
+    const phone = req.body.phone || user.phone;
+    
+    if (!phone) {
+      return res.status(400).json({ msg: 'A phone number is required for mobile money deposits' });
+    }
     
-    // Create transaction
-    const transaction = {
-      type: 'deposit',
+    const deposit = await startDeposit({
+      user,
+      wallet,
       amount: parseFloat(amount),
-      description: `Deposit to ${walletType} wallet`,
-      status: 'completed', // In a real app, this would be 'pending' until payment confirmation
-      reference,
-      relatedUser: req.user.id,
-      paymentMethod,
-      paymentDetails: {
-        ...paymentDetails,
-        transactionId: paymentDetails?.transactionId || reference,
-        provider: paymentDetails?.provider || paymentMethod
-      },
-      createdAt: new Date()
-    };
-    
-    // Add transaction to wallet
-    await wallet.addTransaction(transaction);
-    
-    res.json(wallet);
+      providerName: provider,
+      phone,
+      context: requestContext(req)
+    });
+    
+    res.status(202).json(deposit);
   } catch (err) {
     console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     res.status(500).send('Server error');
   }
 });
 
 // @route   POST api/wallet/withdraw
-// @desc    Withdraw funds from wallet
+// @desc    Request a withdrawal to a saved payout account; the amount is reserved until an admin reviews it
 // @access  Private
-router.post('/withdraw', auth, [
+router.post('/withdraw', auth, requireVerified, idempotent, [
   check('amount', 'Amount is required and must be a positive number').isFloat({ min: 0.01 }),
   check('walletType', 'Wallet type is required').not().isEmpty(),
-  check('paymentMethod', 'Payment method is required').not().isEmpty()
+  check('payoutAccount', 'Payout account is required').isMongoId()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { amount, walletType, paymentMethod, paymentDetails } = req.body;
+  const { amount, walletType } = req.body;
 
-  // Validate wallet type
-  if (!['buyer', 'seller', 'delivery', 'admin'].includes(walletType)) {
-    return res.status(400).json({ msg: 'Invalid wallet type' });
+  // Only earnings can be paid out
+  if (!WITHDRAWABLE_WALLET_TYPES.includes(walletType)) {
+    return res.status(400).json({ msg: `Withdrawals can only be made from ${WITHDRAWABLE_WALLET_TYPES.join(' or ')} wallets` });
   }
 
   try {
     // Find wallet
-    let wallet = await Wallet.findOne({ 
-      owner: req.user.id,
-      walletType
-    });
+    let wallet = await Wallet.findByOwnerAndType(req.user.id, walletType, req.body.currency);
     
     if (!wallet) {
       return res.status(404).json({ msg: 'Wallet not found' });
     }
     
-    // Check if wallet has sufficient balance
-    if (!wallet.hasSufficientBalance(parseFloat(amount))) {
-      return res.status(400).json({ msg: 'Insufficient balance' });
+    const payoutAccount = await PayoutAccount.findOne({
+      _id: req.body.payoutAccount,
+      user: req.user.id,
+      isActive: true
+    });
+    
+    if (!payoutAccount) {
+      return res.status(404).json({ msg: 'Payout account not found' });
     }
     
-    // Generate unique reference
-    const reference = crypto.randomBytes(10).toString('hex');
+    await authorizeWalletOperation(req.user.id, 'withdrawal', parseFloat(amount), pinFromRequest(req), wallet.currency);
     
-    // Create transaction
-    const transaction = {
-      type: 'withdrawal',
+    const withdrawal = await requestWithdrawal({
+      userId: req.user.id,
+      wallet,
       amount: parseFloat(amount),
-      description: `Withdrawal from ${walletType} wallet`,
-      status: 'completed', // In a real app, this might be 'pending' until processed
-      reference,
-      relatedUser: req.user.id,
-      paymentMethod,
-      paymentDetails: {
-        ...paymentDetails,
-        transactionId: paymentDetails?.transactionId || reference,
-        provider: paymentDetails?.provider || paymentMethod
-      },
-      createdAt: new Date()
-    };
-    
-    // Add transaction to wallet
-    await wallet.addTransaction(transaction);
-    
-    res.json(wallet);
+      payoutAccount,
+      context: requestContext(req)
+    });
+    
+    res.status(202).json(withdrawal);
   } catch (err) {
     console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
     res.status(500).send('Server error');
   }
 });
 
 // @route   POST api/wallet/transfer
-// @desc    Transfer funds between wallets
+// @desc    Transfer funds between the current user's own wallets
 // @access  Private
-router.post('/transfer', auth, [
+router.post('/transfer', auth, requireVerified, idempotent, [
   check('amount', 'Amount is required and must be a positive number').isFloat({ min: 0.01 }),
   check('fromWalletType', 'Source wallet type is required').not().isEmpty(),
   check('toWalletType', 'Destination wallet type is required').not().isEmpty()
@@ -195,112 +506,358 @@ router.post('/transfer', auth, [
     return res.status(400).json({ msg: 'Invalid wallet type' });
   }
 
-  // Prevent transfer to same wallet
-  if (fromWalletType === toWalletType) {
-    return res.status(400).json({ msg: 'Cannot transfer to the same wallet' });
+  // Only earnings can be paid out, so other funds cannot move into a withdrawable wallet
+  if (WITHDRAWABLE_WALLET_TYPES.includes(toWalletType) && !WITHDRAWABLE_WALLET_TYPES.includes(fromWalletType)) {
+    return res.status(400).json({ msg: `Funds from a ${fromWalletType} wallet cannot be moved to a ${toWalletType} wallet` });
   }
 
   try {
     // Find source wallet
-    let fromWallet = await Wallet.findOne({ 
-      owner: req.user.id,
-      walletType: fromWalletType
-    });
+    let fromWallet = await Wallet.findByOwnerAndType(req.user.id, fromWalletType, req.body.fromCurrency);
     
     if (!fromWallet) {
       return res.status(404).json({ msg: 'Source wallet not found' });
     }
     
     // Find destination wallet
-    let toWallet = await Wallet.findOne({ 
-      owner: req.user.id,
-      walletType: toWalletType
-    });
+    let toWallet = await Wallet.findByOwnerAndType(req.user.id, toWalletType, req.body.toCurrency);
     
     if (!toWallet) {
       return res.status(404).json({ msg: 'Destination wallet not found' });
     }
     
+    // Prevent transfer to same wallet
+    if (fromWallet._id.equals(toWallet._id)) {
+      return res.status(400).json({ msg: 'Cannot transfer to the same wallet' });
+    }
+    
     // Check if source wallet has sufficient balance
     if (!fromWallet.hasSufficientBalance(parseFloat(amount))) {
       return res.status(400).json({ msg: 'Insufficient balance' });
     }
     
-    // Generate unique reference
-    const reference = crypto.randomBytes(10).toString('hex');
+    await authorizeWalletOperation(req.user.id, 'transfer', parseFloat(amount), pinFromRequest(req), fromWallet.currency);
     
-    // Create withdrawal transaction
-    const withdrawalTransaction = {
-      type: 'withdrawal',
-      amount: parseFloat(amount),
-      description: `Transfer to ${toWalletType} wallet`,
-      status: 'completed',
-      reference,
-      relatedUser: req.user.id,
-      paymentMethod: 'internal',
-      paymentDetails: {
-        transactionId: reference,
-        provider: 'internal'
-      },
-      createdAt: new Date()
-    };
-    
-    // Create deposit transaction
-    const depositTransaction = {
-      type: 'deposit',
+    await screenOperation({
+      userId: req.user.id,
+      operation: 'wallet_transfer',
       amount: parseFloat(amount),
-      description: `Transfer from ${fromWalletType} wallet`,
-      status: 'completed',
-      reference,
+      currency: fromWallet.currency,
+      context: requestContext(req)
+    });
+    
+    // One entry moves the funds between the two wallets, converted at the
+    // current rates when their currencies differ
+    // Both sides commit together or not at all
+    await runInTransaction(session => postEntry({
+      kind: 'transfer',
+      description: `Transfer from ${fromWalletType} to ${toWalletType} wallet`,
       relatedUser: req.user.id,
-      paymentMethod: 'internal',
-      paymentDetails: {
-        transactionId: reference,
-        provider: 'internal'
-      },
-      createdAt: new Date()
-    };
-    
-    // Add transactions to wallets
-    await fromWallet.addTransaction(withdrawalTransaction);
-    await toWallet.addTransaction(depositTransaction);
+      lines: [
+        debit(fromWallet, parseFloat(amount), {
+          type: 'withdrawal',
+          description: `Transfer to ${toWalletType} wallet`
+        }),
+        credit(toWallet, parseFloat(amount), {
+          type: 'deposit',
+          description: `Transfer from ${fromWalletType} wallet`
+        })
+      ]
+    }, session));
     
     res.json({
+      fromWallet: await Wallet.findById(fromWallet._id),
+      toWallet: await Wallet.findById(toWallet._id)
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/wallet/pin
+// @desc    Set the wallet PIN used to authorize payments, withdrawals and transfers
+// @access  Private
+router.post('/pin', auth, [
+  check('pin', 'PIN must be 4 to 6 digits').matches(/^\d{4,6}$/),
+  check('password', 'Password is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (user.walletPin?.hash) {
+      return res.status(400).json({ msg: 'Wallet PIN is already set' });
+    }
+    
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ msg: 'Invalid password' });
+    }
+    
+    await user.setWalletPin(req.body.pin);
+    await user.save();
+    
+    res.json({ msg: 'Wallet PIN set' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/wallet/pin
+// @desc    Change the wallet PIN
+// @access  Private
+router.put('/pin', auth, [
+  check('currentPin', 'Current PIN is required').not().isEmpty(),
+  check('newPin', 'PIN must be 4 to 6 digits').matches(/^\d{4,6}$/)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    
+    // Wrong current PINs count towards the lock like any other attempt
+    await verifyPin(user, req.body.currentPin);
+    
+    await user.setWalletPin(req.body.newPin);
+    await user.save();
+    
+    await AuditLog.record('wallet_pin.changed', {
+      req,
+      targetUser: user._id
+    });
+    
+    res.json({ msg: 'Wallet PIN changed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/wallet/transfers
+// @desc    Prepare a transfer to another user by phone number or email
+// @access  Private
+router.post('/transfers', auth, requireVerified, idempotent, [
+  check('recipient', 'Recipient phone number or email is required').not().isEmpty(),
+  check('amount', 'Amount is required and must be a positive number').isFloat({ min: 0.01 }),
+  check('fromWalletType', 'Invalid wallet type').optional().isIn(['buyer', 'seller', 'delivery']),
+  check('note', 'Note must be at most 140 characters').optional().isLength({ max: 140 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { recipient, amount, fromWalletType = 'buyer', note } = req.body;
+
+  try {
+    const fromWallet = await Wallet.findByOwnerAndType(req.user.id, fromWalletType, req.body.currency);
+    
+    if (!fromWallet || !fromWallet.isActive) {
+      return res.status(404).json({ msg: 'Source wallet not found' });
+    }
+    
+    const quote = await quoteTransfer({
+      senderId: req.user.id,
       fromWallet,
-      toWallet
+      recipientIdentifier: recipient,
+      amount: parseFloat(amount),
+      note
+    });
+    
+    // The sender checks the name before confirming with their PIN
+    res.status(201).json({
+      transferId: quote.transfer._id,
+      recipient: { name: quote.recipient.name },
+      amount: quote.transfer.amount,
+      fee: quote.transfer.fee,
+      total: quote.transfer.amount + quote.transfer.fee,
+      currency: quote.transfer.currency,
+      expiresAt: quote.transfer.confirmationExpiresAt,
+      limits: quote.usage
     });
   } catch (err) {
     console.error(err.message);
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/wallet/transfers/:id/confirm
+// @desc    Confirm a prepared transfer with the wallet PIN; it may be held for review
+// @access  Private
+router.post('/transfers/:id/confirm', auth, requireVerified, idempotent, async (req, res) => {
+  try {
+    const transfer = await Transfer.findOne({ _id: req.params.id, sender: req.user.id });
+    
+    if (!transfer) {
+      return res.status(404).json({ msg: 'Transfer not found' });
+    }
+    
+    await authorizeWalletOperation(req.user.id, 'transfer', transfer.amount + transfer.fee, pinFromRequest(req), transfer.currency);
+    
+    const confirmed = await confirmTransfer(transfer, requestContext(req));
+    
+    // A transfer held for fraud review is accepted but has not moved yet
+    res.status(confirmed.status === 'held' ? 202 : 200).json(confirmed);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Transfer not found' });
+    }
+    if (err instanceof TransactionAbort) {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE api/wallet/transfers/:id
+// @desc    Cancel a transfer that has not been confirmed
+// @access  Private
+router.delete('/transfers/:id', auth, async (req, res) => {
+  try {
+    const transfer = await Transfer.findOne({ _id: req.params.id, sender: req.user.id });
+    
+    if (!transfer) {
+      return res.status(404).json({ msg: 'Transfer not found' });
+    }
+    
+    const cancelled = await cancelTransfer(transfer);
+    
+    if (!cancelled) {
+      return res.status(400).json({ msg: 'Only unconfirmed transfers can be cancelled' });
+    }
+    
+    res.json(cancelled);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Transfer not found' });
+    }
     res.status(500).send('Server error');
   }
 });
 
 // @route   GET api/wallet/transactions/:walletType
-// @desc    Get transactions for a specific wallet
+// @desc    Get a page of transactions for a specific wallet, newest first
+// @access  Private
+router.get('/transactions/:walletType', auth, [
+  check('type', 'Invalid transaction type').optional().isIn(Transaction.TYPES),
+  check('balanceType', 'Balance type must be cash or promo').optional().isIn(['cash', 'promo']),
+  check('status', 'Invalid transaction status').optional().isIn(['pending', 'completed', 'failed', 'cancelled']),
+  check('from', 'From must be a date').optional().isISO8601(),
+  check('to', 'To must be a date').optional().isISO8601(),
+  check('order', 'Invalid order ID').optional().isMongoId(),
+  check('cursor', 'Invalid cursor').optional().isInt(),
+  check('limit', 'Limit must be between 1 and 200').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { walletType } = req.params;
+  
+  // Validate wallet type
+  if (!['buyer', 'seller', 'delivery', 'admin'].includes(walletType)) {
+    return res.status(400).json({ msg: 'Invalid wallet type' });
+  }
+  
+  try {
+    const wallet = await Wallet.findByOwnerAndType(req.user.id, walletType, req.query.currency);
+    
+    if (!wallet) {
+      return res.status(404).json({ msg: 'Wallet not found' });
+    }
+    
+    res.json(await listTransactions(wallet, req.query));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/wallet/statements/:walletType
+// @desc    Get the monthly statement of a wallet as JSON, CSV or PDF
 // @access  Private
-router.get('/transactions/:walletType', auth, async (req, res) => {
+router.get('/statements/:walletType', auth, [
+  check('month', 'Month must be in YYYY-MM format').matches(/^\d{4}-(0[1-9]|1[0-2])$/),
+  check('format', 'Format must be json, csv or pdf').optional().isIn(['json', 'csv', 'pdf'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   const { walletType } = req.params;
+  const { month, format = 'json' } = req.query;
   
   // Validate wallet type
   if (!['buyer', 'seller', 'delivery', 'admin'].includes(walletType)) {
     return res.status(400).json({ msg: 'Invalid wallet type' });
   }
   
+  if (month > new Date().toISOString().slice(0, 7)) {
+    return res.status(400).json({ msg: 'Statements are not available for future months' });
+  }
+  
   try {
-    const wallet = await Wallet.findOne({ 
-      owner: req.user.id,
-      walletType
-    });
+    const wallet = await Wallet.findByOwnerAndType(req.user.id, walletType, req.query.currency);
     
     if (!wallet) {
       return res.status(404).json({ msg: 'Wallet not found' });
     }
     
-    res.json(wallet.transactions);
+    const user = await User.findById(req.user.id).select('name email phone');
+    const statement = await buildStatement(wallet, month, user);
+    const filename = `statement-${walletType}-${month}`;
+    
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(statementCsv(statement));
+    }
+    
+    if (format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return writeStatementPdf(statement, res);
+    }
+    
+    res.json(statement);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
   }
 });
 
+// Helper function to show escrowed funds next to the available balance
+function withPending(wallet, pending) {
+  const pendingBalance = (pending[wallet.walletType] || {})[wallet.currency] || 0;
+  return {
+    ...wallet.toJSON(),
+    availableBalance: wallet.balance,
+    pendingBalance,
+    formattedBalance: formatAmount(wallet.balance, wallet.currency),
+    formattedPendingBalance: formatAmount(pendingBalance, wallet.currency),
+    formattedPromoBalance: formatAmount(wallet.promoBalance || 0, wallet.currency)
+  };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,12 @@ const cors = require('cors');
 const mongoose = require('mongoose');
 const http = require('http');
 const socketIo = require('socket.io');
+const Order = require('./models/order.model');
+const { initSocket, orderRoom } = require('./services/socket.service');
+const { buildTrackingSnapshot } = require('./services/tracking.service');
+const { expireStaleDeposits } = require('./services/deposit.service');
+const { expirePromoCredit } = require('./services/promo.service');
+const { scheduleNightlyReconciliation } = require('./services/reconciliation.service');
 
 // Initialize Express app
 const app = express();
@@ -17,7 +23,14 @@ const io = socketIo(server, {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Identity document uploads carry base64 files, so they get a larger body limit
+app.use('/api/kyc', express.json({ limit: process.env.KYC_UPLOAD_LIMIT || '25mb' }));
+// Keep the raw body so payment provider webhook signatures can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Database connection
@@ -30,6 +43,8 @@ mongoose.connect(MONGODB_URI, {
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
+app.use('/api/auth/2fa', require('./routes/twoFactor.routes'));
+app.use('/api/auth/otp', require('./routes/otp.routes'));
 app.use('/api/auth', require('./routes/auth.routes'));
 app.use('/api/users', require('./routes/user.routes'));
 app.use('/api/products', require('./routes/product.routes'));
@@ -38,19 +53,58 @@ app.use('/api/wallet', require('./routes/wallet.routes'));
 app.use('/api/delivery', require('./routes/delivery.routes'));
 app.use('/api/admin', require('./routes/admin.routes'));
 app.use('/api/subscription', require('./routes/subscription.routes'));
+app.use('/api/payments', require('./routes/payment.routes'));
+app.use('/api/kyc', require('./routes/kyc.routes'));
 
 // Socket.io connection
-io.on('connection', (socket) => {
-  console.log('New client connected');
-  
+initSocket(io, (socket) => {
   // Handle real-time delivery tracking
-  socket.on('trackDelivery', (orderId) => {
-    // Logic for tracking delivery
+  // Same access rule as GET /api/orders/:id; replies with the current snapshot
+  socket.on('trackDelivery', async (orderId, callback = () => {}) => {
+    try {
+      const order = await Order.findById(orderId);
+
+      if (!order) {
+        return callback({ error: 'Order not found' });
+      }
+
+      if (!(await order.isAccessibleBy(socket.user))) {
+        return callback({ error: 'Not authorized to view this order' });
+      }
+
+      socket.join(orderRoom(order._id));
+      callback({ success: true, tracking: await buildTrackingSnapshot(order) });
+    } catch (err) {
+      console.error(err.message);
+      callback({ error: err.kind === 'ObjectId' ? 'Order not found' : 'Server error' });
+    }
+  });
+
+  socket.on('untrackDelivery', (orderId) => {
+    socket.leave(orderRoom(orderId));
   });
   
-  // Handle real-time chat
-  socket.on('sendMessage', (message) => {
-    // Logic for handling messages
+  // Handle real-time chat between the participants of an order
+  socket.on('sendMessage', (message, callback = () => {}) => {
+    const { orderId, text } = message || {};
+
+    if (!orderId || typeof text !== 'string' || !text.trim()) {
+      return callback({ error: 'Order and message text are required' });
+    }
+
+    if (!socket.rooms.has(orderRoom(orderId))) {
+      return callback({ error: 'Not authorized to message on this order' });
+    }
+
+    const payload = {
+      orderId,
+      from: socket.user.id,
+      text: text.trim().slice(0, 1000),
+      sentAt: new Date()
+    };
+
+    socket.to(orderRoom(orderId)).emit('message', payload);
+    callback({ success: true, message: payload });
   });
   
   socket.on('disconnect', () => {
@@ -58,6 +112,25 @@ io.on('connection', (socket) => {
   });
 });
 
+// Expire mobile money deposits nobody confirmed in time
+const DEPOSIT_EXPIRY_SWEEP_MS = 5 * 60 * 1000;
+setInterval(() => {
+  expireStaleDeposits()
+    .then(count => count && console.log(`Expired ${count} pending deposits`))
+    .catch(err => console.error('Error expiring deposits:', err.message));
+}, DEPOSIT_EXPIRY_SWEEP_MS).unref();
+
+// Expire promo credit past its expiry date
+const PROMO_EXPIRY_SWEEP_MS = 5 * 60 * 1000;
+setInterval(() => {
+  expirePromoCredit()
+    .then(count => count && console.log(`Expired ${count} promo credit grants`))
+    .catch(err => console.error('Error expiring promo credit:', err.message));
+}, PROMO_EXPIRY_SWEEP_MS).unref();
+
+// Reconcile wallets against their transactions every night
+scheduleNightlyReconciliation();
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -0,0 +1,181 @@
+// Manual wallet adjustments
+// Support staff correct a wrong balance by requesting a credit or debit on a
+// wallet with a reason and the ticket it was raised from. A second admin has
+// to approve it before anything is posted (maker-checker): approval posts a
+// manual_adjustment ledger entry between the wallet and system:adjustments in
+// the same transaction that marks the adjustment posted and writes its audit
+// entry, so it posts exactly once and never without a record of who approved
+// it. A debit the wallet can no longer cover fails and stays pending.
+const Wallet = require('../models/wallet.model');
+const AuditLog = require('../models/audit.model');
+const WalletAdjustment = require('../models/walletAdjustment.model');
+const { SYSTEM_ACCOUNTS, debit, credit, postEntry } = require('./ledger.service');
+const { TransactionAbort, runInTransaction } = require('./dbTransaction.service');
+const { emitToUser, emitToRole } = require('./socket.service');
+const { formatAmount, roundAmount } = require('./currency.service');
+
+const notify = (adjustment, wallet) => {
+  emitToUser(adjustment.owner, 'walletAdjusted', {
+    adjustmentId: adjustment._id,
+    walletId: wallet._id,
+    direction: adjustment.direction,
+    amount: adjustment.amount,
+    reason: adjustment.reason,
+    balance: wallet.balance,
+    currency: wallet.currency
+  });
+};
+
+// Error for a review that did not apply
+const unreviewable = async (id) => (
+  await WalletAdjustment.exists({ _id: id })
+    ? new TransactionAbort('This adjustment has already been reviewed')
+    : new TransactionAbort('Adjustment not found', 404)
+);
+
+// Open an adjustment for a second admin to approve
+// The wallet is given by walletId, or by its owner, type and currency; an
+// admin cannot request an adjustment to their own wallet
+const requestAdjustment = async ({ walletId, userId, walletType, currency, direction, amount, reason, ticketReference, adminId }) => {
+  const wallet = walletId
+    ? await Wallet.findById(walletId)
+    : await Wallet.findByOwnerAndType(userId, walletType, currency);
+  if (!wallet) {
+    throw new TransactionAbort('Wallet not found', 404);
+  }
+  if (wallet.owner.toString() === adminId.toString()) {
+    throw new TransactionAbort('Admins cannot adjust their own wallets', 403);
+  }
+
+  const rounded = roundAmount(amount, wallet.currency);
+  if (rounded <= 0) {
+    throw new TransactionAbort(`Amount must be at least ${formatAmount(0.01, wallet.currency)}`);
+  }
+  if (direction === 'debit' && rounded > wallet.balance) {
+    throw new TransactionAbort(
+      `Cannot debit ${formatAmount(rounded, wallet.currency)}, the wallet balance is ${formatAmount(wallet.balance, wallet.currency)}`
+    );
+  }
+
+  const adjustment = await WalletAdjustment.create({
+    wallet: wallet._id,
+    owner: wallet.owner,
+    walletType: wallet.walletType,
+    currency: wallet.currency,
+    direction,
+    amount: rounded,
+    reason,
+    ticketReference,
+    requestedBy: adminId
+  });
+
+  emitToRole('admin', 'walletAdjustmentRequested', {
+    adjustmentId: adjustment._id,
+    owner: adjustment.owner,
+    direction,
+    amount: adjustment.amount,
+    currency: adjustment.currency,
+    ticketReference
+  });
+
+  return adjustment;
+};
+
+// Approve a pending adjustment and post it to the wallet
+// The approver must be a different admin from the one who requested it and
+// must not own the wallet; req is the approval request, for the audit entry
+const approveAdjustment = async (id, adminId, req) => {
+  const pending = await WalletAdjustment.findOne({ _id: id, status: 'pending_approval' });
+  if (!pending) {
+    throw await unreviewable(id);
+  }
+  if (pending.requestedBy.toString() === adminId.toString()) {
+    throw new TransactionAbort('An adjustment must be approved by a different admin', 403);
+  }
+  if (pending.owner.toString() === adminId.toString()) {
+    throw new TransactionAbort('Admins cannot approve adjustments to their own wallets', 403);
+  }
+
+  // The review time identifies this approval's claim, so a failure only
+  // reopens its own claim and never one another approver is posting
+  const reviewedAt = new Date();
+  let adjustment;
+  try {
+    adjustment = await runInTransaction(async session => {
+      const claimed = await WalletAdjustment.review(id, { status: 'posted', reviewedBy: adminId, reviewedAt }, session);
+      if (!claimed) {
+        throw await unreviewable(id);
+      }
+
+      const wallet = await Wallet.findById(claimed.wallet).session(session);
+      if (!wallet) {
+        throw new TransactionAbort('Wallet not found', 404);
+      }
+
+      const description = `Manual adjustment (${claimed.ticketReference}): ${claimed.reason}`;
+      const walletLine = { type: 'adjustment', description };
+      const entry = await postEntry({
+        kind: 'manual_adjustment',
+        description,
+        relatedUser: claimed.owner,
+        lines: claimed.direction === 'credit'
+          ? [debit(SYSTEM_ACCOUNTS.ADJUSTMENTS, claimed.amount), credit(wallet, claimed.amount, walletLine)]
+          : [debit(wallet, claimed.amount, walletLine), credit(SYSTEM_ACCOUNTS.ADJUSTMENTS, claimed.amount)]
+      }, session);
+
+      claimed.ledgerEntry = entry._id;
+      claimed.postedAt = entry.createdAt;
+      await claimed.save({ session });
+
+      await AuditLog.record('wallet_adjustment.approved', {
+        req,
+        actor: adminId,
+        targetUser: claimed.owner,
+        details: {
+          adjustment: claimed._id,
+          wallet: claimed.wallet,
+          direction: claimed.direction,
+          amount: claimed.amount,
+          currency: claimed.currency,
+          reason: claimed.reason,
+          ticketReference: claimed.ticketReference,
+          requestedBy: claimed.requestedBy,
+          ledgerEntry: claimed.ledgerEntry
+        },
+        session
+      });
+      return claimed;
+    });
+  } catch (err) {
+    // Without database transactions the claim outlives a failed posting;
+    // reopen it so it can be approved again or rejected
+    await WalletAdjustment.updateOne(
+      { _id: id, status: 'posted', reviewedBy: adminId, reviewedAt, ledgerEntry: { $exists: false } },
+      { status: 'pending_approval', $unset: { reviewedBy: 1, reviewedAt: 1 } }
+    );
+    throw err;
+  }
+
+  notify(adjustment, await Wallet.findById(adjustment.wallet));
+  return adjustment;
+};
+
+// Reject a pending adjustment; nothing is posted
+// The requester may reject their own adjustment to withdraw it
+const rejectAdjustment = async (id, adminId, reason) => {
+  const adjustment = await WalletAdjustment.review(id, {
+    status: 'rejected',
+    reviewedBy: adminId,
+    rejectionReason: reason
+  });
+  if (!adjustment) {
+    throw await unreviewable(id);
+  }
+  return adjustment;
+};
+
+module.exports = {
+  requestAdjustment,
+  approveAdjustment,
+  rejectAdjustment
+};
@@ -0,0 +1,74 @@
+// Currencies, exchange rates and amount formatting
+// Rates are kept by admins against BASE_CURRENCY (env, default XOF). A
+// checkout takes one snapshot of the rate table and stores it on the order,
+// so every later conversion for that order (seller payouts, fees, refunds)
+// uses the rates the buyer was shown.
+const ExchangeRate = require('../models/exchangeRate.model');
+const { TransactionAbort } = require('./dbTransaction.service');
+
+// Markets we sell in, with the locale their amounts are shown in
+const CURRENCIES = {
+  XOF: { locale: 'fr-SN', decimals: 0 },
+  XAF: { locale: 'fr-CM', decimals: 0 },
+  GHS: { locale: 'en-GH', decimals: 2 },
+  NGN: { locale: 'en-NG', decimals: 2 }
+};
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+const BASE_CURRENCY = SUPPORTED_CURRENCIES.includes(process.env.BASE_CURRENCY) ? process.env.BASE_CURRENCY : 'XOF';
+
+const isSupportedCurrency = (currency) => SUPPORTED_CURRENCIES.includes(currency);
+
+// Round an amount to the smallest unit of its currency
+const roundAmount = (amount, currency) => {
+  const factor = 10 ** (CURRENCIES[currency]?.decimals ?? 2);
+  return Math.round(amount * factor) / factor;
+};
+
+// Format an amount for display, in the currency's own locale by default
+// currencyDisplay 'code' shows "XOF" instead of the symbol
+const formatAmount = (amount, currency, { locale, currencyDisplay = 'symbol' } = {}) => new Intl.NumberFormat(locale || CURRENCIES[currency]?.locale || 'en', {
+  style: 'currency',
+  currency,
+  currencyDisplay,
+  maximumFractionDigits: CURRENCIES[currency]?.decimals ?? 2
+}).format(amount);
+
+// Take a snapshot of the current rate table
+const getRateSnapshot = async () => {
+  const rates = { [BASE_CURRENCY]: 1 };
+  for (const exchangeRate of await ExchangeRate.find({ currency: { $in: SUPPORTED_CURRENCIES } })) {
+    rates[exchangeRate.currency] = exchangeRate.rate;
+  }
+  return { base: BASE_CURRENCY, rates, capturedAt: new Date() };
+};
+
+const rateOf = (snapshot, currency) => {
+  const rates = snapshot.rates instanceof Map ? Object.fromEntries(snapshot.rates) : snapshot.rates;
+  if (!rates[currency]) {
+    throw new TransactionAbort(`No exchange rate is set for ${currency}`);
+  }
+  return rates[currency];
+};
+
+// Convert an amount between currencies with a rate snapshot
+const convertAmount = (amount, from, to, snapshot) => {
+  if (from === to) {
+    return amount;
+  }
+  return roundAmount(amount / rateOf(snapshot, from) * rateOf(snapshot, to), to);
+};
+
+// Rate to multiply an amount in one currency by to get the other
+const exchangeRate = (from, to, snapshot) => (from === to ? 1 : rateOf(snapshot, to) / rateOf(snapshot, from));
+
+module.exports = {
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  BASE_CURRENCY,
+  isSupportedCurrency,
+  roundAmount,
+  formatAmount,
+  getRateSnapshot,
+  convertAmount,
+  exchangeRate
+};
@@ -0,0 +1,43 @@
+// MongoDB transactions for multi-document money operations
+// Orders, stock, ledger entries and wallets are written inside one transaction
+// so a failure at any step leaves none of them changed. Transactions need a
+// replica set; on a standalone server (local development) set
+// MONGODB_TRANSACTIONS=false to run the same code without one. Wallet debits
+// and stock reservations are conditional updates, so balances and stock still
+// cannot go negative, but a failure halfway is then not rolled back.
+const mongoose = require('mongoose');
+
+const TRANSACTIONS_ENABLED = process.env.MONGODB_TRANSACTIONS !== 'false';
+
+// Error that aborts a transaction with a message safe to show the client
+class TransactionAbort extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TransactionAbort';
+    this.status = status;
+  }
+}
+
+// Run work(session) inside a transaction and return its result
+// Transient errors (write conflicts between concurrent requests) are retried
+const runInTransaction = async (work) => {
+  if (!TRANSACTIONS_ENABLED) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  TransactionAbort,
+  runInTransaction
+};
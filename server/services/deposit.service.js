@@ -0,0 +1,242 @@
+// Mobile money deposits
+// A deposit starts pending while the payer approves it with their provider.
+// The provider's signed callback then confirms or fails it; only a confirmed
+// deposit credits the wallet. Moving a deposit out of pending is a
+// conditional update, so a callback delivered twice credits the wallet once.
+// Deposits nobody confirms before expiresAt are marked expired; a late
+// confirmation of an expired deposit is still honoured, since the payer has
+// been charged.
+// A deposit the fraud rules hold is marked held when confirmed and only
+// credits the wallet once a reviewer releases it.
+const crypto = require('crypto');
+const Deposit = require('../models/deposit.model');
+const Wallet = require('../models/wallet.model');
+const { SYSTEM_ACCOUNTS, debit, credit, postEntry } = require('./ledger.service');
+const { TransactionAbort, runInTransaction } = require('./dbTransaction.service');
+const { getProvider } = require('./paymentProvider.service');
+const { emitToUser } = require('./socket.service');
+const { assertWithinLimits } = require('./kyc.service');
+const { onHoldReviewed, screenOperation, attachSubject } = require('./fraud.service');
+
+// How long a payer has to approve a deposit
+const DEPOSIT_EXPIRY_MINUTES = parseInt(process.env.DEPOSIT_EXPIRY_MINUTES, 10) || 30;
+
+const newReference = () => `dep_${crypto.randomBytes(10).toString('hex')}`;
+
+const notify = (deposit) => {
+  emitToUser(deposit.user, 'depositUpdated', {
+    depositId: deposit._id,
+    reference: deposit.reference,
+    status: deposit.status,
+    amount: deposit.amount,
+    failureReason: deposit.failureReason
+  });
+};
+
+// Start a deposit with a provider and return it pending
+// Throws when the amount is over the user's deposit limits or the fraud rules block it
+const startDeposit = async ({ user, wallet, amount, providerName, phone, context }) => {
+  const provider = getProvider(providerName);
+  if (!provider || !provider.isEnabled()) {
+    throw new TransactionAbort('Payment provider is not available');
+  }
+
+  await assertWithinLimits(user, 'deposit', amount, wallet.currency);
+  const fraudCheck = await screenOperation({
+    userId: user._id || user.id,
+    operation: 'deposit',
+    amount,
+    currency: wallet.currency,
+    context
+  });
+
+  const deposit = await Deposit.create({
+    user: user._id || user.id,
+    wallet: wallet._id,
+    walletType: wallet.walletType,
+    amount,
+    currency: wallet.currency,
+    provider: provider.name,
+    phone,
+    reference: newReference(),
+    fraudHold: fraudCheck.decision === 'hold',
+    expiresAt: new Date(Date.now() + DEPOSIT_EXPIRY_MINUTES * 60 * 1000)
+  });
+  await attachSubject(fraudCheck, 'Deposit', deposit._id);
+
+  try {
+    const started = await provider.initiateDeposit({
+      reference: deposit.reference,
+      amount: deposit.amount,
+      currency: deposit.currency,
+      phone
+    });
+
+    deposit.providerReference = started.providerReference;
+    deposit.redirectUrl = started.redirectUrl;
+    deposit.instructions = started.instructions;
+    await deposit.save();
+  } catch (err) {
+    console.error(`Error starting ${provider.name} deposit:`, err.message);
+    deposit.status = 'failed';
+    deposit.failureReason = 'Provider could not start the payment';
+    await deposit.save();
+    throw new TransactionAbort(`${provider.label} could not start the payment, please try again`, 502);
+  }
+
+  return deposit;
+};
+
+// Credit the wallet for a deposit claimed by filter
+// Returns null when no deposit matched
+const creditDeposit = async (filter, providerReference) => {
+  const deposit = await runInTransaction(async session => {
+    const claimed = await Deposit.findOneAndUpdate(
+      filter,
+      { status: 'completed', completedAt: new Date() },
+      { new: true, session }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    const wallet = await Wallet.findById(claimed.wallet).session(session);
+    if (!wallet) {
+      throw new TransactionAbort('Wallet not found', 404);
+    }
+
+    // Money enters the platform from the payment provider
+    const entry = await postEntry({
+      kind: 'deposit',
+      description: `Deposit to ${claimed.walletType} wallet`,
+      reference: claimed.reference,
+      relatedUser: claimed.user,
+      lines: [
+        debit(SYSTEM_ACCOUNTS.EXTERNAL, claimed.amount),
+        credit(wallet, claimed.amount, {
+          type: 'deposit',
+          paymentMethod: 'mobile_money',
+          paymentDetails: {
+            provider: claimed.provider,
+            accountNumber: claimed.phone,
+            transactionId: providerReference || claimed.providerReference
+          }
+        })
+      ]
+    }, session);
+
+    claimed.ledgerEntry = entry._id;
+    if (providerReference) {
+      claimed.providerReference = providerReference;
+    }
+    return claimed.save({ session });
+  });
+
+  if (deposit) {
+    notify(deposit);
+  }
+  return deposit;
+};
+
+// Credit the wallet for a confirmed deposit, or hold it for fraud review
+// Returns null when the deposit was already completed or failed
+const completeDeposit = async (reference, providerReference) => {
+  const held = await Deposit.findOneAndUpdate(
+    { reference, status: { $in: ['pending', 'expired'] }, fraudHold: true },
+    { status: 'held', ...(providerReference && { providerReference }) },
+    { new: true }
+  );
+  if (held) {
+    notify(held);
+    return held;
+  }
+
+  return creditDeposit({ reference, status: { $in: ['pending', 'expired'] }, fraudHold: { $ne: true } }, providerReference);
+};
+
+// Mark a pending deposit failed
+// Returns null when the deposit had already left the pending state
+const failDeposit = async (reference, reason) => {
+  const deposit = await Deposit.findOneAndUpdate(
+    { reference, status: 'pending' },
+    { status: 'failed', failureReason: reason || 'Payment was declined' },
+    { new: true }
+  );
+
+  if (deposit) {
+    notify(deposit);
+  }
+  return deposit;
+};
+
+// Apply a provider callback
+// Throws TransactionAbort 401 when the signature does not verify
+const handleWebhook = async (providerName, request) => {
+  const provider = getProvider(providerName);
+  if (!provider || !provider.isEnabled()) {
+    throw new TransactionAbort('Unknown payment provider', 404);
+  }
+
+  const event = provider.parseWebhook(request);
+  if (!event) {
+    throw new TransactionAbort('Invalid signature', 401);
+  }
+
+  const deposit = await Deposit.findOne({ reference: event.reference, provider: provider.name });
+  if (!deposit) {
+    throw new TransactionAbort('Deposit not found', 404);
+  }
+
+  if (event.status === 'completed') {
+    // Never credit more or less than was requested
+    if (event.amount !== undefined && Math.round(event.amount * 100) !== Math.round(deposit.amount * 100)) {
+      return (await failDeposit(deposit.reference, `Amount mismatch: expected ${deposit.amount}, received ${event.amount}`)) || deposit;
+    }
+    return (await completeDeposit(deposit.reference, event.providerReference)) || deposit;
+  }
+
+  if (event.status === 'failed') {
+    return (await failDeposit(deposit.reference, event.reason)) || deposit;
+  }
+
+  return deposit;
+};
+
+// Expire deposits left pending past their deadline
+const expireStaleDeposits = async () => {
+  const result = await Deposit.updateMany(
+    { status: 'pending', expiresAt: { $lt: new Date() } },
+    { status: 'expired', failureReason: 'Deposit was not confirmed in time' }
+  );
+  return result.modifiedCount;
+};
+
+// A released deposit credits the wallet if it was already confirmed, or once
+// it is; a rejected one fails without crediting the wallet
+onHoldReviewed('deposit', {
+  release: async (check) => {
+    const deposit = await creditDeposit({ _id: check.subject, status: 'held' });
+    if (!deposit) {
+      await Deposit.updateOne({ _id: check.subject, status: { $in: ['pending', 'expired'] } }, { fraudHold: false });
+    }
+  },
+  reject: async (check) => {
+    const deposit = await Deposit.findOneAndUpdate(
+      { _id: check.subject, status: { $in: ['pending', 'held', 'expired'] } },
+      { status: 'failed', fraudHold: false, failureReason: 'Rejected after review' },
+      { new: true }
+    );
+    if (deposit) {
+      notify(deposit);
+    }
+  }
+});
+
+module.exports = {
+  DEPOSIT_EXPIRY_MINUTES,
+  startDeposit,
+  completeDeposit,
+  failDeposit,
+  handleWebhook,
+  expireStaleDeposits
+};
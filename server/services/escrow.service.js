@@ -0,0 +1,354 @@
+// Escrow holds between checkout and delivery
+// At checkout the buyer's payment moves into the system:escrow ledger account
+// and an EscrowHold records, per order, who the money is owed to. Confirmed
+// delivery releases the hold to the sellers, the delivery agent and the
+// platform; cancellation returns it to the buyer. The move out of "held" is a
+// conditional update, so a hold settles exactly once even when status changes
+// race or a transaction is retried.
+// Holds are in the order's currency. A payee without a wallet in that
+// currency is paid into their default wallet, converted at the rates the
+// order captured at checkout.
+// Promo credit in the buyer wallet pays before the cash balance; a refund
+// returns each part to where it came from. Cashback the order earned is
+// credited to the buyer on release.
+// An order the fraud rules hold at checkout is created unpaid; releasing it
+// takes the stock and the payment, rejecting it cancels the order.
+const mongoose = require('mongoose');
+const EscrowHold = require('../models/escrow.model');
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const Wallet = require('../models/wallet.model');
+const { SYSTEM_ACCOUNTS, debit, credit, promoAccount, postEntry, platformFeeAccount } = require('./ledger.service');
+const { TransactionAbort, runInTransaction } = require('./dbTransaction.service');
+const { emitToOrder } = require('./socket.service');
+const { onHoldReviewed } = require('./fraud.service');
+const { promoCreditFor, consumePromoCredit, restorePromoCredit, creditCashback } = require('./promo.service');
+const { convertAmount, roundAmount } = require('./currency.service');
+
+// Group item subtotals by seller
+const sellerShares = async (items, session = null) => {
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } }).session(session);
+  const totals = {};
+
+  for (const item of items) {
+    const product = products.find(p => p._id.toString() === item.product.toString());
+    if (product) {
+      const sellerId = product.seller.toString();
+      totals[sellerId] = (totals[sellerId] || 0) + item.subtotal;
+    }
+  }
+
+  return Object.keys(totals).map(seller => ({ seller, amount: totals[seller] }));
+};
+
+// Find a wallet that must exist for a payout
+// The owner's wallet in currency, or else their default wallet of the type
+const payoutWallet = async (owner, walletType, currency, session) => {
+  const wallet = await Wallet.findByOwnerAndType(owner, walletType, currency).session(session)
+    || await Wallet.findByOwnerAndType(owner, walletType).session(session);
+  if (!wallet) {
+    throw new Error(`No ${walletType} wallet for user ${owner}`);
+  }
+  return wallet;
+};
+
+// Rates the order captured at checkout; older orders convert at current rates
+const capturedRates = (order) => (order.exchangeRates && order.exchangeRates.capturedAt ? order.exchangeRates : undefined);
+
+// Take the buyer's payment into escrow and open a hold for the order
+// Promo credit in the order currency pays first, the cash balance the rest
+const holdPayment = async (order, buyerWallet, session = null) => {
+  const wallet = await Wallet.findById(buyerWallet._id).session(session) || buyerWallet;
+  const promoAmount = wallet.currency === order.currency ? await promoCreditFor(wallet, order.totalAmount, session) : 0;
+  if (promoAmount > 0) {
+    await consumePromoCredit(wallet, promoAmount, session);
+  }
+
+  const entry = await postEntry({
+    kind: 'order_payment',
+    description: `Payment for order #${order._id}`,
+    currency: order.currency,
+    rates: capturedRates(order),
+    relatedOrder: order._id,
+    relatedUser: order.buyer,
+    lines: [
+      debit(promoAccount(wallet), promoAmount, { type: 'promo_spend' }),
+      debit(wallet, roundAmount(order.totalAmount - promoAmount, order.currency), { type: 'payment' }),
+      credit(SYSTEM_ACCOUNTS.ESCROW, order.totalAmount)
+    ].filter(line => line.amount > 0)
+  }, session);
+
+  const [hold] = await EscrowHold.create([{
+    order: order._id,
+    buyer: order.buyer,
+    amount: order.totalAmount,
+    promoAmount,
+    currency: order.currency,
+    sellers: await sellerShares(order.items, session),
+    deliveryFee: order.deliveryFee,
+    adminFee: order.adminFee,
+    holdEntry: entry._id
+  }], { session });
+
+  return { entry, hold };
+};
+
+// Take the stock of a wallet-paid order and its payment into escrow
+const payOrder = async (order, buyerWallet, session = null) => {
+  for (const item of order.items) {
+    const reserved = await Product.reserveStock(item.product, item.quantity, session);
+    if (!reserved) {
+      const product = await Product.findById(item.product).select('name').session(session);
+      throw new TransactionAbort(`Insufficient stock for ${product ? product.name : item.product}`);
+    }
+  }
+
+  // Move the payment from the buyer wallet into an escrow hold
+  const { entry, hold } = await holdPayment(order, buyerWallet, session);
+
+  order.paymentStatus = 'paid';
+  order.status = 'processing';
+  order.promoCreditUsed = hold.promoAmount;
+  order.paymentDetails = {
+    transactionId: entry.reference,
+    paymentDate: new Date(),
+    provider: 'wallet'
+  };
+
+  return order.save({ session });
+};
+
+// Claim the hold of an order
+// Orders paid before escrow holds existed get a hold built from the order.
+// Their payment never reached system:escrow, so it is opened there from
+// system:opening before the hold is settled out of it.
+const claimHold = async (order, status, session) => {
+  const hold = await EscrowHold.claim(order._id, status, session);
+  if (hold || await EscrowHold.exists({ order: order._id }).session(session)) {
+    return hold;
+  }
+
+  const [legacyHold] = await EscrowHold.create([{
+    order: order._id,
+    buyer: order.buyer,
+    amount: order.totalAmount,
+    currency: order.currency,
+    sellers: await sellerShares(order.items, session),
+    deliveryFee: order.deliveryFee,
+    adminFee: order.adminFee,
+    status,
+    settledAt: new Date()
+  }], { session });
+
+  await postEntry({
+    kind: 'opening_balance',
+    description: `Opening escrow of order #${order._id}, paid before escrow holds`,
+    currency: legacyHold.currency,
+    relatedOrder: order._id,
+    lines: [
+      debit(SYSTEM_ACCOUNTS.OPENING, legacyHold.amount),
+      credit(SYSTEM_ACCOUNTS.ESCROW, legacyHold.amount)
+    ]
+  }, session);
+
+  return legacyHold;
+};
+
+// Release the hold of a delivered order to sellers, delivery agent and platform
+// Returns null when the hold was already settled
+const releaseHold = async (order, session = null) => {
+  const hold = await claimHold(order, 'released', session);
+  if (!hold) {
+    return null;
+  }
+
+  const lines = [];
+
+  for (const share of hold.sellers) {
+    lines.push(credit(await payoutWallet(share.seller, 'seller', hold.currency, session), share.amount, { type: 'deposit' }));
+  }
+
+  const feeAccount = await platformFeeAccount(hold.currency);
+
+  // Without an assigned agent the platform handled delivery and keeps the fee
+  if (order.deliveryAgent) {
+    lines.push(credit(await payoutWallet(order.deliveryAgent, 'delivery', hold.currency, session), hold.deliveryFee, {
+      type: 'commission',
+      description: `Delivery fee for order #${order._id}`
+    }));
+  } else {
+    lines.push(credit(feeAccount, hold.deliveryFee, {
+      type: 'fee',
+      description: `Unassigned delivery fee for order #${order._id}`
+    }));
+  }
+
+  lines.push(credit(feeAccount, hold.adminFee, {
+    type: 'fee',
+    description: `Admin fee for order #${order._id}`
+  }));
+
+  const entry = await postEntry({
+    kind: 'order_release',
+    description: `Payment for order #${order._id}`,
+    currency: hold.currency,
+    rates: capturedRates(order),
+    relatedOrder: order._id,
+    lines: [debit(SYSTEM_ACCOUNTS.ESCROW, hold.amount), ...lines.filter(line => line.amount > 0)]
+  }, session);
+
+  hold.settlementEntry = entry._id;
+  await hold.save({ session });
+
+  await creditCashback(order, session);
+
+  order.paymentStatus = 'released';
+  await order.save({ session });
+
+  return hold;
+};
+
+// Return the hold of a cancelled order to the buyer
+// Returns null when the hold was already settled
+const refundHold = async (order, session = null) => {
+  const hold = await claimHold(order, 'refunded', session);
+  if (!hold) {
+    return null;
+  }
+
+  const buyerWallet = await payoutWallet(order.buyer, 'buyer', hold.currency, session);
+  const promoAmount = hold.promoAmount || 0;
+  const entry = await postEntry({
+    kind: 'order_refund',
+    description: `Refund for cancelled order #${order._id}`,
+    currency: hold.currency,
+    rates: capturedRates(order),
+    relatedOrder: order._id,
+    relatedUser: order.buyer,
+    lines: [
+      debit(SYSTEM_ACCOUNTS.ESCROW, hold.amount),
+      credit(buyerWallet, roundAmount(hold.amount - promoAmount, hold.currency), { type: 'refund' }),
+      credit(promoAccount(buyerWallet), promoAmount, { type: 'promo_refund' })
+    ].filter(line => line.amount > 0)
+  }, session);
+
+  // Promo credit spent on the order comes back as a new grant
+  if (promoAmount > 0) {
+    await restorePromoCredit({
+      wallet: buyerWallet,
+      amount: buyerWallet.currency === hold.currency
+        ? promoAmount
+        : convertAmount(promoAmount, hold.currency, buyerWallet.currency, capturedRates(order)),
+      order,
+      ledgerEntry: entry._id
+    }, session);
+  }
+
+  hold.settlementEntry = entry._id;
+  await hold.save({ session });
+
+  order.paymentStatus = 'refunded';
+  await order.save({ session });
+
+  return hold;
+};
+
+// Change the status of an order, settling its hold as the status requires:
+// delivery releases it, cancellation or refund returns it to the buyer.
+// The status change and the settlement commit together.
+const updateOrderStatus = async (orderId, status) => runInTransaction(async (session) => {
+  const order = await Order.findById(orderId).session(session);
+  if (!order) {
+    throw new TransactionAbort('Order not found', 404);
+  }
+
+  // Payment state before the status change moves it along
+  const wasPaid = order.paymentStatus === 'paid';
+
+  await order.updateStatus(status);
+
+  if (wasPaid && status === 'delivered') {
+    await releaseHold(order, session);
+  }
+  if (wasPaid && (status === 'cancelled' || status === 'refunded')) {
+    await refundHold(order, session);
+  }
+
+  return order;
+});
+
+const sumOf = async (pipeline) => {
+  const results = await EscrowHold.aggregate([...pipeline, { $group: { _id: '$currency', total: { $sum: '$amount' } } }]);
+  return results.reduce((totals, result) => ({ ...totals, [result._id]: result.total }), {});
+};
+
+// Amounts held in escrow for a user, by wallet type and currency
+// buyer: paid for orders not yet delivered; seller and delivery: owed on delivery
+const pendingBalances = async (userId) => {
+  const owner = new mongoose.Types.ObjectId(userId);
+  const deliveringOrders = await Order.find({ deliveryAgent: owner, paymentStatus: 'paid' }).distinct('_id');
+
+  const [buyer, seller, delivery] = await Promise.all([
+    sumOf([{ $match: { buyer: owner, status: 'held' } }]),
+    sumOf([
+      { $match: { 'sellers.seller': owner, status: 'held' } },
+      { $unwind: '$sellers' },
+      { $match: { 'sellers.seller': owner } },
+      { $project: { currency: 1, amount: '$sellers.amount' } }
+    ]),
+    sumOf([
+      { $match: { order: { $in: deliveringOrders }, status: 'held' } },
+      { $project: { currency: 1, amount: '$deliveryFee' } }
+    ])
+  ]);
+
+  return { buyer, seller, delivery, admin: {} };
+};
+
+// A released order is paid from the buyer wallet if it was a wallet order;
+// a rejected one is cancelled. Orders the buyer cancelled meanwhile are left alone.
+onHoldReviewed('order_payment', {
+  release: async (check) => {
+    const order = await runInTransaction(async session => {
+      const held = await Order.findOneAndUpdate(
+        { _id: check.subject, status: 'pending', paymentStatus: 'pending', fraudHold: true },
+        { fraudHold: false },
+        { new: true, session }
+      );
+      if (!held || held.paymentMethod !== 'wallet') {
+        return held;
+      }
+
+      const buyerWallet = await Wallet.findByOwnerAndType(held.buyer, 'buyer', held.currency).session(session);
+      if (!buyerWallet) {
+        throw new TransactionAbort('Buyer wallet not found', 404);
+      }
+      return payOrder(held, buyerWallet, session);
+    });
+
+    if (order) {
+      emitToOrder(order._id, 'orderUpdated', order.toEventPayload());
+    }
+  },
+  reject: async (check) => {
+    const order = await Order.findOneAndUpdate(
+      { _id: check.subject, status: 'pending', paymentStatus: 'pending', fraudHold: true },
+      { status: 'cancelled', paymentStatus: 'failed', fraudHold: false },
+      { new: true }
+    );
+
+    if (order) {
+      emitToOrder(order._id, 'orderUpdated', order.toEventPayload());
+    }
+  }
+});
+
+module.exports = {
+  sellerShares,
+  holdPayment,
+  payOrder,
+  releaseHold,
+  refundHold,
+  updateOrderStatus,
+  pendingBalances
+};
@@ -0,0 +1,291 @@
+// Fraud and velocity rules
+// Every wallet and order payment is screened against the active FraudRules
+// before money moves. Each matching rule names an action and the strictest
+// one decides the payment:
+// - flag   the payment goes ahead and waits on the admin fraud queue
+// - hold   the payment is recorded but does not move money until a reviewer
+//          releases it; a rejected hold is cancelled
+// - block  the payment is refused
+// Every screening is kept as a FraudCheck with the outcome of each rule.
+// Operations that cannot wait for a reviewer (own-wallet transfers and
+// subscription payments) are blocked instead of held.
+// The services owning held payments register what releasing and rejecting
+// them does with onHoldReviewed.
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const FraudRule = require('../models/fraudRule.model');
+const FraudCheck = require('../models/fraudCheck.model');
+const { TransactionAbort } = require('./dbTransaction.service');
+const { BASE_CURRENCY, getRateSnapshot, convertAmount, formatAmount } = require('./currency.service');
+const { emitToRole } = require('./socket.service');
+
+const OPERATIONS = ['deposit', 'withdrawal', 'transfer', 'wallet_transfer', 'order_payment', 'subscription_payment'];
+const HOLDABLE_OPERATIONS = ['deposit', 'withdrawal', 'transfer', 'order_payment'];
+const ACTIONS = ['flag', 'hold', 'block'];
+
+// Rules created the first time payments are screened; admins tune them afterwards
+const DEFAULT_RULES = [
+  {
+    name: 'Withdrawal burst',
+    description: 'More than 3 withdrawals within an hour',
+    type: 'velocity',
+    operations: ['withdrawal'],
+    maxCount: 3,
+    windowMinutes: 60,
+    action: 'hold'
+  },
+  {
+    name: 'Deposit burst',
+    description: 'More than 5 deposits within an hour',
+    type: 'velocity',
+    operations: ['deposit'],
+    maxCount: 5,
+    windowMinutes: 60,
+    action: 'flag'
+  },
+  {
+    name: 'Payout after password change',
+    description: 'Withdrawal or transfer within 24 hours of a password change',
+    type: 'password_change',
+    operations: ['withdrawal', 'transfer'],
+    windowMinutes: 24 * 60,
+    action: 'hold'
+  },
+  {
+    name: 'Large transfer from new device',
+    description: 'Transfer or withdrawal of 100000 or more from a device first seen in the last 24 hours',
+    type: 'new_device',
+    operations: ['transfer', 'withdrawal'],
+    windowMinutes: 24 * 60,
+    minAmount: 100000,
+    action: 'hold'
+  },
+  {
+    name: 'Very large payment',
+    description: 'Order payment or transfer of 2000000 or more',
+    type: 'amount',
+    operations: ['order_payment', 'transfer'],
+    minAmount: 2000000,
+    action: 'flag'
+  }
+];
+
+const BLOCKED_MESSAGE = 'This payment was blocked by our security checks. Contact support if you believe this is a mistake';
+
+// Error refusing a blocked payment
+class FraudBlockedError extends TransactionAbort {
+  constructor(check) {
+    super(BLOCKED_MESSAGE, 403);
+    this.name = 'FraudBlockedError';
+    this.check = check;
+  }
+}
+
+const holdHandlers = {};
+
+// Register what releasing and rejecting a held operation does
+// handlers: { release(check, adminId), reject(check, adminId, reason) }
+const onHoldReviewed = (operation, handlers) => {
+  holdHandlers[operation] = handlers;
+};
+
+// Device details of the request a payment is made from
+const requestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  sessionId: req.sessionId
+});
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// Whether the session is on a device the user first signed in from within
+// the window: a recent session with no earlier session from the same browser
+const isNewDevice = async (userId, sessionId, windowMinutes) => {
+  const session = sessionId && await Session.findById(sessionId).select('userAgent createdAt');
+  if (!session || session.createdAt < minutesAgo(windowMinutes)) {
+    return false;
+  }
+
+  return !(await Session.exists({
+    user: userId,
+    _id: { $ne: session._id },
+    userAgent: session.userAgent,
+    createdAt: { $lt: session.createdAt }
+  }));
+};
+
+// Evaluators by rule type; each returns whether the rule matched and why
+const RULE_TYPES = {
+  velocity: async (rule, payment) => {
+    const count = await FraudCheck.countSince(payment.user._id, payment.operation, minutesAgo(rule.windowMinutes));
+    return {
+      matched: count >= rule.maxCount,
+      reason: `${count} earlier ${payment.operation.replace('_', ' ')}s in ${rule.windowMinutes} minutes (limit ${rule.maxCount})`
+    };
+  },
+  password_change: async (rule, payment) => {
+    const changedAt = payment.user.passwordChangedAt;
+    return {
+      matched: Boolean(changedAt) && changedAt >= minutesAgo(rule.windowMinutes),
+      reason: changedAt ? `Password changed at ${changedAt.toISOString()}` : 'Password never changed'
+    };
+  },
+  new_device: async (rule, payment) => {
+    const newDevice = await isNewDevice(payment.user._id, payment.context.sessionId, rule.windowMinutes);
+    return {
+      matched: newDevice && payment.baseAmount >= rule.minAmount,
+      reason: `${newDevice ? 'New' : 'Known'} device, ${formatAmount(payment.baseAmount, BASE_CURRENCY)} ` +
+        `(threshold ${formatAmount(rule.minAmount, BASE_CURRENCY)})`
+    };
+  },
+  amount: async (rule, payment) => ({
+    matched: payment.baseAmount >= rule.minAmount,
+    reason: `${formatAmount(payment.baseAmount, BASE_CURRENCY)} (threshold ${formatAmount(rule.minAmount, BASE_CURRENCY)})`
+  })
+};
+
+// Create the default rules when none exist yet
+const ensureDefaultRules = async () => {
+  if (await FraudRule.estimatedDocumentCount() > 0) {
+    return;
+  }
+  try {
+    await FraudRule.insertMany(DEFAULT_RULES, { ordered: false });
+  } catch (err) {
+    // Another request created them first
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+};
+
+// Screen a payment against the active rules and record the decision
+// Throws FraudBlockedError when the payment is blocked; otherwise returns the
+// FraudCheck, whose decision tells the caller whether to hold the payment
+const screenOperation = async ({ userId, operation, amount, currency = BASE_CURRENCY, context = {}, subjectModel, subject }) => {
+  await ensureDefaultRules();
+
+  const [user, rules, rates] = await Promise.all([
+    User.findById(userId).select('passwordChangedAt'),
+    FraudRule.find({ isActive: true, operations: operation }).sort({ createdAt: 1 }),
+    getRateSnapshot()
+  ]);
+  if (!user) {
+    throw new TransactionAbort('User not found', 404);
+  }
+
+  const payment = {
+    user,
+    operation,
+    context,
+    baseAmount: convertAmount(amount, currency, BASE_CURRENCY, rates)
+  };
+
+  const results = [];
+  for (const rule of rules) {
+    const { matched, reason } = await RULE_TYPES[rule.type](rule, payment);
+    results.push({ rule: rule._id, name: rule.name, type: rule.type, action: rule.action, matched, reason });
+  }
+
+  // The strictest matching action decides
+  let decision = results
+    .filter(result => result.matched)
+    .reduce((strictest, result) => (ACTIONS.indexOf(result.action) > ACTIONS.indexOf(strictest) ? result.action : strictest), 'allow');
+  if (decision === 'hold' && !HOLDABLE_OPERATIONS.includes(operation)) {
+    decision = 'block';
+  }
+
+  const check = await FraudCheck.create({
+    user: user._id,
+    operation,
+    amount,
+    currency,
+    baseAmount: payment.baseAmount,
+    subjectModel,
+    subject,
+    ip: context.ip,
+    userAgent: context.userAgent,
+    session: context.sessionId,
+    results,
+    decision,
+    status: ['flag', 'hold'].includes(decision) ? 'open' : 'closed'
+  });
+
+  if (decision !== 'allow') {
+    emitToRole('admin', 'fraudAlert', {
+      checkId: check._id,
+      user: check.user,
+      operation,
+      amount,
+      currency,
+      decision,
+      rules: results.filter(result => result.matched).map(result => result.name)
+    });
+  }
+
+  if (decision === 'block') {
+    throw new FraudBlockedError(check);
+  }
+  return check;
+};
+
+// Link a check to the deposit, withdrawal, transfer or order it screened
+const attachSubject = (check, subjectModel, subject) => FraudCheck.updateOne({ _id: check._id }, { subjectModel, subject });
+
+// Error for a review that did not apply
+const unreviewable = async (id) => (
+  await FraudCheck.exists({ _id: id })
+    ? new TransactionAbort('This check has already been reviewed')
+    : new TransactionAbort('Fraud check not found', 404)
+);
+
+// Release an open check; a held payment goes ahead
+// The held payment moves first so a failure (e.g. the balance was spent
+// meanwhile) leaves the check open for another decision
+const releaseCheck = async (id, adminId, note) => {
+  const check = await FraudCheck.findOne({ _id: id, status: 'open' });
+  if (!check) {
+    throw await unreviewable(id);
+  }
+
+  if (check.decision === 'hold' && check.subject && holdHandlers[check.operation]) {
+    await holdHandlers[check.operation].release(check, adminId);
+  }
+
+  const reviewed = await FraudCheck.review(id, { status: 'released', reviewedBy: adminId, reviewNote: note });
+  if (!reviewed) {
+    throw await unreviewable(id);
+  }
+  return reviewed;
+};
+
+// Reject an open check; a held payment is cancelled
+// A flagged payment has already gone ahead: rejecting it records the finding
+const rejectCheck = async (id, adminId, reason) => {
+  const check = await FraudCheck.findOne({ _id: id, status: 'open' });
+  if (!check) {
+    throw await unreviewable(id);
+  }
+
+  if (check.decision === 'hold' && check.subject && holdHandlers[check.operation]) {
+    await holdHandlers[check.operation].reject(check, adminId, reason);
+  }
+
+  const reviewed = await FraudCheck.review(id, { status: 'rejected', reviewedBy: adminId, reviewNote: reason });
+  if (!reviewed) {
+    throw await unreviewable(id);
+  }
+  return reviewed;
+};
+
+module.exports = {
+  OPERATIONS,
+  ACTIONS,
+  FraudBlockedError,
+  onHoldReviewed,
+  requestContext,
+  screenOperation,
+  attachSubject,
+  releaseCheck,
+  rejectCheck
+};
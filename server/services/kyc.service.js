@@ -0,0 +1,258 @@
+// KYC tiers and wallet limits
+// A user's tier caps how much they may deposit, withdraw and transfer per day
+// and per calendar month, across all their wallets:
+// - unverified      no verified phone number
+// - phone_verified  phone number confirmed by SMS code
+// - id_verified     identity document approved by an admin
+// Limits are in the base currency; usage in other currencies is converted at
+// the current rates. Each limit can be overridden through the environment as
+// KYC_LIMIT_<TIER>_<OPERATION>_<PERIOD>, e.g. KYC_LIMIT_PHONE_VERIFIED_DEPOSIT_DAILY.
+// Users move up to id_verified by submitting an identity document, which an
+// admin approves or rejects.
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Deposit = require('../models/deposit.model');
+const Withdrawal = require('../models/withdrawal.model');
+const Transfer = require('../models/transfer.model');
+const KycSubmission = require('../models/kycSubmission.model');
+const { TransactionAbort } = require('./dbTransaction.service');
+const { BASE_CURRENCY, getRateSnapshot, convertAmount, roundAmount, formatAmount } = require('./currency.service');
+const { notifyUser } = require('./notification.service');
+
+const TIERS = ['unverified', 'phone_verified', 'id_verified'];
+const OPERATIONS = ['deposit', 'withdrawal', 'transfer'];
+const PERIODS = ['daily', 'monthly'];
+
+const DEFAULT_LIMITS = {
+  unverified: {
+    deposit: { daily: 50000, monthly: 200000 },
+    withdrawal: { daily: 0, monthly: 0 },
+    transfer: { daily: 25000, monthly: 100000 }
+  },
+  phone_verified: {
+    deposit: { daily: 500000, monthly: 2000000 },
+    withdrawal: { daily: 300000, monthly: 1000000 },
+    transfer: { daily: 200000, monthly: 1000000 }
+  },
+  id_verified: {
+    deposit: { daily: 5000000, monthly: 20000000 },
+    withdrawal: { daily: 3000000, monthly: 10000000 },
+    transfer: { daily: 2000000, monthly: 10000000 }
+  }
+};
+
+const limitFromEnv = (tier, operation, period) => {
+  const value = parseFloat(process.env[`KYC_LIMIT_${tier}_${operation}_${period}`.toUpperCase()]);
+  return Number.isNaN(value) ? DEFAULT_LIMITS[tier][operation][period] : value;
+};
+
+const LIMITS = TIERS.reduce((tiers, tier) => ({
+  ...tiers,
+  [tier]: OPERATIONS.reduce((operations, operation) => ({
+    ...operations,
+    [operation]: PERIODS.reduce((periods, period) => ({ ...periods, [period]: limitFromEnv(tier, operation, period) }), {})
+  }), {})
+}), {});
+
+const TIER_LABELS = {
+  unverified: 'unverified',
+  phone_verified: 'phone-verified',
+  id_verified: 'ID-verified'
+};
+
+const OPERATION_VERBS = {
+  deposit: 'deposit',
+  withdrawal: 'withdraw',
+  transfer: 'send'
+};
+
+// Amounts that count towards a limit: what each operation has committed
+// Each source filters the records of a user counted since a date
+const USAGE_SOURCES = {
+  deposit: {
+    Model: Deposit,
+    filter: (userId, since) => ({ user: userId, status: { $in: ['pending', 'held', 'completed'] }, createdAt: { $gte: since } })
+  },
+  withdrawal: {
+    Model: Withdrawal,
+    filter: (userId, since) => ({ user: userId, status: { $nin: ['rejected', 'cancelled', 'failed'] }, createdAt: { $gte: since } })
+  },
+  transfer: {
+    Model: Transfer,
+    filter: (userId, since) => Transfer.sentFilter(userId, since)
+  }
+};
+
+// Error refusing an operation over the user's limit
+class LimitExceededError extends TransactionAbort {
+  constructor(message, allowance) {
+    super(message, 403);
+    this.name = 'LimitExceededError';
+    this.allowance = allowance;
+  }
+}
+
+// Tier of a user, from their verification state
+const tierOf = (user) => {
+  if (user.kyc && user.kyc.status === 'approved') {
+    return 'id_verified';
+  }
+  return user.isPhoneVerified ? 'phone_verified' : 'unverified';
+};
+
+const periodStarts = (now = new Date()) => ({
+  daily: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+  monthly: new Date(now.getFullYear(), now.getMonth(), 1)
+});
+
+// Total of one operation since a date, in currency
+// exclude leaves one record out; session reads inside a transaction
+const usageSince = async (userId, operation, since, currency, rates, { exclude, session = null } = {}) => {
+  const { Model, filter } = USAGE_SOURCES[operation];
+  const match = filter(new mongoose.Types.ObjectId(userId), since);
+  if (exclude) {
+    match._id = { $ne: exclude };
+  }
+
+  const totals = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: '$currency', total: { $sum: '$amount' } } }
+  ]).session(session);
+
+  return roundAmount(totals.reduce((sum, total) =>
+    sum + convertAmount(total.total, total._id || BASE_CURRENCY, currency, rates), 0), currency);
+};
+
+// Limits, usage and remaining allowance of one operation, in currency
+const allowanceFor = async (user, operation, currency = BASE_CURRENCY, rates, options) => {
+  const snapshot = rates || await getRateSnapshot();
+  const tier = tierOf(user);
+  const starts = periodStarts();
+  const allowance = { operation, currency };
+
+  for (const period of PERIODS) {
+    const limit = convertAmount(LIMITS[tier][operation][period], BASE_CURRENCY, currency, snapshot);
+    const used = await usageSince(user._id, operation, starts[period], currency, snapshot, options);
+    allowance[period] = { limit, used, remaining: Math.max(roundAmount(limit - used, currency), 0) };
+  }
+
+  return allowance;
+};
+
+// Tier and allowances of a user for every operation
+const limitsFor = async (user, currency = BASE_CURRENCY) => {
+  const rates = await getRateSnapshot();
+  const allowances = {};
+  for (const operation of OPERATIONS) {
+    allowances[operation] = await allowanceFor(user, operation, currency, rates);
+  }
+  return { tier: tierOf(user), currency, allowances };
+};
+
+// Throw when an operation would take a user over their daily or monthly limit
+// The error message names the remaining allowance in the operation's currency.
+// Callers moving money pass the session of their transaction, so the check
+// and the move commit together; exclude leaves out the record being settled.
+const assertWithinLimits = async (userOrId, operation, amount, currency = BASE_CURRENCY, { exclude, session = null } = {}) => {
+  const user = userOrId instanceof User
+    ? userOrId
+    : await User.findById(userOrId).select('isPhoneVerified kyc').session(session);
+  if (!user) {
+    throw new TransactionAbort('User not found', 404);
+  }
+
+  const tier = tierOf(user);
+  const allowance = await allowanceFor(user, operation, currency, undefined, { exclude, session });
+
+  for (const period of PERIODS) {
+    if (amount > allowance[period].remaining) {
+      const when = period === 'daily' ? 'today' : 'this month';
+      const upgrade = tier === 'id_verified' ? '' : '. Verify your account to raise your limits';
+      throw new LimitExceededError(
+        `${period === 'daily' ? 'Daily' : 'Monthly'} ${operation} limit for ${TIER_LABELS[tier]} accounts exceeded. ` +
+        `You can ${OPERATION_VERBS[operation]} ${formatAmount(allowance[period].remaining, currency)} more ${when}${upgrade}`,
+        allowance
+      );
+    }
+  }
+
+  return allowance;
+};
+
+// Submit an identity document for review
+// Only one submission can wait for review at a time
+const submitDocuments = async (user, { documentType, documentNumber, files }) => {
+  if (tierOf(user) === 'id_verified') {
+    throw new TransactionAbort('Your identity is already verified');
+  }
+  if (await KycSubmission.exists({ user: user._id, status: 'pending' })) {
+    throw new TransactionAbort('You already have a document waiting for review');
+  }
+
+  const submission = await KycSubmission.create({ user: user._id, documentType, documentNumber, files });
+
+  user.kyc = { status: 'pending', submission: submission._id };
+  await user.save();
+
+  return submission;
+};
+
+const notifyReview = (user, subject, text) => {
+  if (user) {
+    notifyUser(user, { subject, text }).catch(err => console.error('Error sending KYC notification:', err.message));
+  }
+};
+
+// Error for a review that did not apply
+const unreviewable = async (id) => (
+  await KycSubmission.exists({ _id: id })
+    ? new TransactionAbort('This submission has already been reviewed')
+    : new TransactionAbort('Submission not found', 404)
+);
+
+// Approve a pending submission and move its user to id_verified
+const approveSubmission = async (id, adminId) => {
+  const submission = await KycSubmission.review(id, { status: 'approved', reviewedBy: adminId });
+  if (!submission) {
+    throw await unreviewable(id);
+  }
+
+  const user = await User.findByIdAndUpdate(submission.user, {
+    kyc: { status: 'approved', submission: submission._id, verifiedAt: submission.reviewedAt }
+  }, { new: true });
+
+  notifyReview(user, 'Your identity has been verified',
+    'Your identity document was approved. Your wallet limits have been raised.');
+
+  return submission;
+};
+
+// Reject a pending submission; the user can submit a new document
+const rejectSubmission = async (id, adminId, reason) => {
+  const submission = await KycSubmission.review(id, { status: 'rejected', reviewedBy: adminId, rejectionReason: reason });
+  if (!submission) {
+    throw await unreviewable(id);
+  }
+
+  const user = await User.findByIdAndUpdate(submission.user, {
+    kyc: { status: 'rejected', submission: submission._id }
+  }, { new: true });
+
+  notifyReview(user, 'Your identity document was not accepted',
+    `Your identity document was not accepted: ${reason}. You can submit a new one from your wallet settings.`);
+
+  return submission;
+};
+
+module.exports = {
+  TIERS,
+  OPERATIONS,
+  LIMITS,
+  LimitExceededError,
+  tierOf,
+  limitsFor,
+  assertWithinLimits,
+  submitDocuments,
+  approveSubmission,
+  rejectSubmission
+};
@@ -0,0 +1,361 @@
+// Double-entry ledger
+// Every money movement is posted as one LedgerEntry whose debit and credit
+// lines balance. Wallets are accounts named "wallet:<walletId>": a credit
+// increases what the platform owes the owner, a debit reduces it. The promo
+// credit of a wallet is a separate account, "promo:<walletId>".
+// Platform accounts:
+// - system:escrow    buyer payments held until delivery or cancellation
+// - system:payouts   withdrawals reserved until they are paid out or returned
+// - system:external  money entering or leaving through payment providers
+// - system:revenue   platform income that has no admin wallet to land in
+// - system:opening   balances that existed before the ledger was introduced
+// - system:fx        currency conversion between entries in different currencies
+// - system:promotions promo credit and cashback the platform has granted
+// - system:adjustments manual balance corrections approved by admins
+// Each entry is in one currency; system accounts are balanced per currency.
+// Wallet.balance and Wallet.promoBalance stay as running totals for fast
+// reads; the trial balance recomputes them from the ledger and reports any drift.
+// Pass the session of runInTransaction so the entry and its wallet updates
+// commit or roll back together with the caller's other writes.
+const crypto = require('crypto');
+const LedgerEntry = require('../models/ledger.model');
+const Wallet = require('../models/wallet.model');
+const User = require('../models/user.model');
+const EscrowHold = require('../models/escrow.model');
+const Withdrawal = require('../models/withdrawal.model');
+const { TransactionAbort } = require('./dbTransaction.service');
+const { BASE_CURRENCY, getRateSnapshot, convertAmount, exchangeRate, formatAmount } = require('./currency.service');
+
+const SYSTEM_ACCOUNTS = {
+  ESCROW: 'system:escrow',
+  PAYOUTS: 'system:payouts',
+  EXTERNAL: 'system:external',
+  REVENUE: 'system:revenue',
+  OPENING: 'system:opening',
+  FX: 'system:fx',
+  PROMOTIONS: 'system:promotions',
+  ADJUSTMENTS: 'system:adjustments'
+};
+
+class InsufficientFundsError extends TransactionAbort {
+  constructor(wallet, amount) {
+    super(`Insufficient balance. Required: ${formatAmount(amount, wallet.currency)}, Available: ${formatAmount(wallet.balance, wallet.currency)}`);
+    this.name = 'InsufficientFundsError';
+    this.wallet = wallet._id;
+  }
+}
+
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+const newReference = () => crypto.randomBytes(10).toString('hex');
+
+// Build ledger lines
+// target is a Wallet document or a system account code; transaction holds the
+// wallet transaction fields (type, description, status, reference,
+// paymentMethod, paymentDetails)
+const debit = (target, amount, transaction = {}) => ({ target, direction: 'debit', amount, transaction });
+const credit = (target, amount, transaction = {}) => ({ target, direction: 'credit', amount, transaction });
+
+// Ledger target for the promo credit of a wallet
+const promoAccount = (wallet) => ({
+  _id: wallet._id,
+  currency: wallet.currency,
+  promo: true,
+  accountCode: () => `promo:${wallet._id}`
+});
+
+const isWallet = (target) => typeof target !== 'string';
+
+const opposite = (direction) => (direction === 'debit' ? 'credit' : 'debit');
+
+// Write one single-currency entry and apply its wallet lines
+const writeEntry = async ({ kind, description, reference, currency, relatedOrder, relatedUser, lines }, session) => {
+  const [entry] = await LedgerEntry.create([{
+    reference,
+    kind,
+    description,
+    currency,
+    relatedOrder,
+    relatedUser,
+    lines: lines.map(line => ({
+      account: isWallet(line.target) ? line.target.accountCode() : line.target,
+      wallet: isWallet(line.target) ? line.target._id : undefined,
+      direction: line.direction,
+      amount: line.amount
+    }))
+  }], { session });
+
+  for (const line of lines.filter(line => isWallet(line.target))) {
+    const { transaction } = line;
+
+    const updated = await Wallet.applyTransaction(line.target._id, {
+      type: transaction.type,
+      balanceType: line.target.promo ? 'promo' : 'cash',
+      amount: line.amount,
+      direction: line.direction,
+      description: transaction.description || description,
+      status: transaction.status || 'completed',
+      reference: transaction.reference || newReference(),
+      relatedOrder,
+      relatedUser: transaction.relatedUser || relatedUser,
+      ledgerEntry: entry._id,
+      paymentMethod: transaction.paymentMethod || 'internal',
+      paymentDetails: {
+        provider: 'internal',
+        ...transaction.paymentDetails,
+        transactionId: transaction.paymentDetails?.transactionId || reference
+      },
+      createdAt: entry.createdAt
+    }, session);
+
+    if (!updated) {
+      if (line.direction === 'debit') {
+        const current = await Wallet.findById(line.target._id).session(session);
+        if (current && !current.isActive) {
+          throw new TransactionAbort('Wallet is not active');
+        }
+        if (line.target.promo) {
+          throw new TransactionAbort('Promo credit has changed, please try again');
+        }
+        throw new InsufficientFundsError(current || line.target, line.amount);
+      }
+      throw new TransactionAbort('Wallet not found', 404);
+    }
+  }
+
+  return entry;
+};
+
+// Move a wallet line in another currency through system:fx
+// Posts a currency_conversion entry in the wallet's currency for the converted
+// amount; the wallet transaction keeps the reference of the original entry
+const convertLine = async (line, { description, reference, currency, rates, relatedOrder, relatedUser }, session) => {
+  const walletCurrency = line.target.currency;
+  const amount = convertAmount(line.amount, currency, walletCurrency, rates);
+  if (amount <= 0) {
+    return null;
+  }
+
+  const rate = exchangeRate(currency, walletCurrency, rates);
+  return writeEntry({
+    kind: 'currency_conversion',
+    description: `${line.transaction.description || description} (${formatAmount(line.amount, currency)} at ${rate})`,
+    reference: newReference(),
+    currency: walletCurrency,
+    relatedOrder,
+    relatedUser,
+    lines: [
+      {
+        ...line,
+        amount,
+        transaction: {
+          ...line.transaction,
+          paymentDetails: { ...line.transaction.paymentDetails, transactionId: line.transaction.paymentDetails?.transactionId || reference }
+        }
+      },
+      { target: SYSTEM_ACCOUNTS.FX, direction: opposite(line.direction), amount, transaction: {} }
+    ]
+  }, session);
+};
+
+// Post a balanced entry and record each wallet line on its wallet
+// The entry is in currency, or else in the currency of its first wallet line.
+// Wallet lines in another currency are booked against system:fx and converted
+// with the rates snapshot (the current rates when none is given).
+// Throws InsufficientFundsError when a wallet cannot cover its debit
+const postEntry = async ({ kind, description, reference = newReference(), currency, rates, relatedOrder, relatedUser, lines }, session = null) => {
+  const firstWallet = lines.find(line => isWallet(line.target));
+  const entryCurrency = currency || (firstWallet ? firstWallet.target.currency : BASE_CURRENCY);
+  const foreign = lines.filter(line => isWallet(line.target) && line.target.currency !== entryCurrency);
+  const snapshot = foreign.length ? rates || await getRateSnapshot() : null;
+  const conversion = { description, reference, currency: entryCurrency, rates: snapshot, relatedOrder, relatedUser };
+
+  // Foreign debits are taken before the entry so a short balance aborts it
+  for (const line of foreign.filter(line => line.direction === 'debit')) {
+    await convertLine(line, conversion, session);
+  }
+
+  const entry = await writeEntry({
+    kind,
+    description,
+    reference,
+    currency: entryCurrency,
+    relatedOrder,
+    relatedUser,
+    lines: lines.map(line => (foreign.includes(line) ? { ...line, target: SYSTEM_ACCOUNTS.FX } : line))
+  }, session);
+
+  for (const line of foreign.filter(line => line.direction === 'credit')) {
+    await convertLine(line, conversion, session);
+  }
+
+  return entry;
+};
+
+// Find the account that collects platform fees
+// The admin wallet of the first admin, in currency when it has one, or
+// system:revenue when there is none
+const platformFeeAccount = async (currency) => {
+  const adminUser = await User.findOne({ roles: 'admin' }).sort({ createdAt: 1 });
+  if (adminUser) {
+    const adminWallet = (currency && await Wallet.findByOwnerAndType(adminUser._id, 'admin', currency))
+      || await Wallet.findByOwnerAndType(adminUser._id, 'admin');
+    if (adminWallet) {
+      return adminWallet;
+    }
+  }
+  return SYSTEM_ACCOUNTS.REVENUE;
+};
+
+// Balance of a wallet as derived from the ledger
+const ledgerBalance = async (wallet) => {
+  const [totals] = await LedgerEntry.accountTotals({ account: wallet.accountCode() });
+  return totals ? fromCents(toCents(totals.credits) - toCents(totals.debits)) : 0;
+};
+
+const accountKey = (account, currency) => `${account}|${currency}`;
+
+// Compare a system account with what open records say it should hold, per currency
+const systemDrift = (balances, account, expected) => {
+  const currencies = new Set([
+    ...Object.keys(expected),
+    ...Object.keys(balances).filter(key => key.startsWith(`${account}|`)).map(key => key.split('|')[1])
+  ]);
+
+  return [...currencies].sort().map(currency => {
+    const ledgerCents = balances[accountKey(account, currency)] || 0;
+    const expectedCents = expected[currency] || 0;
+    return { currency, ledgerCents, expectedCents, drift: fromCents(ledgerCents - expectedCents) };
+  });
+};
+
+const totalsByCurrency = async (Model, match) => {
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: { $ifNull: ['$currency', BASE_CURRENCY] }, total: { $sum: '$amount' } } }
+  ]);
+  return rows.reduce((totals, row) => ({ ...totals, [row._id]: toCents(row.total) }), {});
+};
+
+// Trial balance across all accounts
+// Flags an unbalanced ledger, every wallet whose stored balance differs from
+// the balance derived from its ledger lines, and escrow or payout accounts
+// that do not match the open holds and withdrawals. Entries balance within
+// their currency, so totals and system accounts are reported per currency.
+const trialBalance = async () => {
+  const totals = await LedgerEntry.accountTotals();
+
+  const currencyTotals = {};
+  const balances = {};
+
+  const accounts = totals.map(account => {
+    const sums = currencyTotals[account.currency] || (currencyTotals[account.currency] = { debits: 0, credits: 0 });
+    sums.debits += toCents(account.debits);
+    sums.credits += toCents(account.credits);
+    balances[accountKey(account._id, account.currency)] = toCents(account.credits) - toCents(account.debits);
+
+    return {
+      account: account._id,
+      currency: account.currency,
+      wallet: account.wallet,
+      entries: account.entries,
+      debits: account.debits,
+      credits: account.credits,
+      balance: fromCents(balances[accountKey(account._id, account.currency)])
+    };
+  });
+
+  const walletBalance = (wallet) => balances[accountKey(wallet.accountCode(), wallet.currency)] || 0;
+  const promoBalance = (wallet) => balances[accountKey(promoAccount(wallet).accountCode(), wallet.currency)] || 0;
+  const wallets = await Wallet.find().select('owner walletType balance promoBalance currency');
+  const drift = wallets
+    .filter(wallet => toCents(wallet.balance) !== walletBalance(wallet))
+    .map(wallet => ({
+      wallet: wallet._id,
+      owner: wallet.owner,
+      walletType: wallet.walletType,
+      currency: wallet.currency,
+      balance: wallet.balance,
+      ledgerBalance: fromCents(walletBalance(wallet)),
+      drift: fromCents(toCents(wallet.balance) - walletBalance(wallet))
+    }));
+  const promoDrift = wallets
+    .filter(wallet => toCents(wallet.promoBalance || 0) !== promoBalance(wallet))
+    .map(wallet => ({
+      wallet: wallet._id,
+      owner: wallet.owner,
+      currency: wallet.currency,
+      promoBalance: wallet.promoBalance || 0,
+      ledgerBalance: fromCents(promoBalance(wallet)),
+      drift: fromCents(toCents(wallet.promoBalance || 0) - promoBalance(wallet))
+    }));
+
+  const held = await totalsByCurrency(EscrowHold, { status: 'held' });
+  const reserved = await totalsByCurrency(Withdrawal, { status: { $in: Withdrawal.OPEN_STATUSES } });
+
+  return {
+    generatedAt: new Date(),
+    accounts,
+    totals: Object.keys(currencyTotals).sort().map(currency => ({
+      currency,
+      totalDebits: fromCents(currencyTotals[currency].debits),
+      totalCredits: fromCents(currencyTotals[currency].credits)
+    })),
+    balanced: Object.values(currencyTotals).every(sums => sums.debits === sums.credits),
+    drift,
+    promoDrift,
+    escrow: systemDrift(balances, SYSTEM_ACCOUNTS.ESCROW, held).map(row => ({
+      currency: row.currency,
+      ledgerBalance: fromCents(row.ledgerCents),
+      openHolds: fromCents(row.expectedCents),
+      drift: row.drift
+    })),
+    payouts: systemDrift(balances, SYSTEM_ACCOUNTS.PAYOUTS, reserved).map(row => ({
+      currency: row.currency,
+      ledgerBalance: fromCents(row.ledgerCents),
+      openWithdrawals: fromCents(row.expectedCents),
+      drift: row.drift
+    }))
+  };
+};
+
+// Record balances of wallets that have no ledger history yet
+// Posts to the ledger only: the wallet balances already include these amounts
+const postOpeningBalances = async () => {
+  const known = new Set((await LedgerEntry.accountTotals()).map(account => account._id));
+  const wallets = await Wallet.find({ balance: { $ne: 0 } });
+  const entries = [];
+
+  for (const wallet of wallets.filter(wallet => !known.has(wallet.accountCode()))) {
+    const amount = Math.abs(wallet.balance);
+    const [walletSide, openingSide] = wallet.balance > 0 ? ['credit', 'debit'] : ['debit', 'credit'];
+
+    entries.push(await LedgerEntry.create({
+      reference: newReference(),
+      kind: 'opening_balance',
+      description: `Opening balance of ${wallet.walletType} wallet`,
+      currency: wallet.currency,
+      relatedUser: wallet.owner,
+      lines: [
+        { account: wallet.accountCode(), wallet: wallet._id, direction: walletSide, amount },
+        { account: SYSTEM_ACCOUNTS.OPENING, direction: openingSide, amount }
+      ]
+    }));
+  }
+
+  return entries;
+};
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  InsufficientFundsError,
+  debit,
+  credit,
+  promoAccount,
+  postEntry,
+  platformFeeAccount,
+  ledgerBalance,
+  trialBalance,
+  postOpeningBalances
+};
@@ -0,0 +1,133 @@
+// Brute-force protection for logins
+// Failed attempts are counted per account and per IP. After a few free
+// attempts each failure adds a growing delay before the next attempt is
+// accepted, and too many failures lock the account or IP for a while.
+const User = require('../models/user.model');
+const { getThrottleStore } = require('./throttleStore.service');
+const { notifyUser } = require('./notification.service');
+
+const MINUTE = 60 * 1000;
+
+const LIMITS = {
+  account: {
+    freeAttempts: 3,
+    lockAfter: parseInt(process.env.LOGIN_ACCOUNT_LOCK_AFTER || '10', 10),
+    lockMs: parseInt(process.env.LOGIN_LOCK_MINUTES || '30', 10) * MINUTE
+  },
+  ip: {
+    freeAttempts: 10,
+    lockAfter: parseInt(process.env.LOGIN_IP_LOCK_AFTER || '50', 10),
+    lockMs: parseInt(process.env.LOGIN_LOCK_MINUTES || '30', 10) * MINUTE
+  }
+};
+// Failures older than this are forgotten
+const WINDOW_MS = 60 * MINUTE;
+const MAX_DELAY_MS = 5 * MINUTE;
+
+// Error raised when an attempt is made while blocked
+class LoginBlockedError extends Error {
+  constructor(retryAfter, locked) {
+    super(locked
+      ? `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes`
+      : `Too many failed attempts. Try again in ${retryAfter} seconds`);
+    this.name = 'LoginBlockedError';
+    this.retryAfter = retryAfter;
+    this.locked = locked;
+  }
+}
+
+const accountKey = (identifier) => `account:${String(identifier).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const keysFor = ({ account, ip }) => [
+  account && { key: accountKey(account), limits: LIMITS.account },
+  ip && { key: ipKey(ip), limits: LIMITS.ip }
+].filter(Boolean);
+
+// Delay to wait after a number of consecutive failures
+const delayFor = (failures, limits) => {
+  if (failures >= limits.lockAfter) return limits.lockMs;
+  if (failures <= limits.freeAttempts) return 0;
+  return Math.min(1000 * 2 ** (failures - limits.freeAttempts - 1), MAX_DELAY_MS);
+};
+
+// Throw LoginBlockedError if the account or IP may not try yet
+const assertLoginAllowed = async ({ account, ip }) => {
+  const store = getThrottleStore();
+  for (const { key } of keysFor({ account, ip })) {
+    const record = await store.get(key);
+    if (record && record.blockedUntil && new Date(record.blockedUntil) > new Date()) {
+      const retryAfter = Math.ceil((new Date(record.blockedUntil) - Date.now()) / 1000);
+      throw new LoginBlockedError(retryAfter, record.locked);
+    }
+  }
+};
+
+// Count a failed attempt; notifies the user when their account gets locked
+const recordLoginFailure = async ({ account, ip }) => {
+  const store = getThrottleStore();
+  for (const { key, limits } of keysFor({ account, ip })) {
+    const record = await store.increment(key, WINDOW_MS);
+    const delay = delayFor(record.failures, limits);
+    if (delay > 0) {
+      const locked = record.failures >= limits.lockAfter;
+      await store.block(key, new Date(Date.now() + delay), locked);
+
+      if (locked && !record.locked && key.startsWith('account:')) {
+        await notifyLockout(account, limits.lockMs);
+      }
+    }
+  }
+};
+
+// Clear the account counter after a successful login
+const recordLoginSuccess = async ({ account }) => {
+  if (account) {
+    await getThrottleStore().reset(accountKey(account));
+  }
+};
+
+const notifyLockout = async (identifier, lockMs) => {
+  try {
+    const user = await User.findOne({ $or: [{ email: String(identifier).toLowerCase() }, { phone: identifier }] });
+    if (user) {
+      await notifyUser(user, {
+        subject: 'Your Super~Up account has been locked',
+        text: `We locked your account for ${Math.round(lockMs / MINUTE)} minutes after several failed sign-in attempts. ` +
+          'If this was not you, reset your password once the lock expires.'
+      });
+    }
+  } catch (err) {
+    console.error('Error sending lockout notification:', err.message);
+  }
+};
+
+// List blocked accounts and IPs for admins
+const listLockouts = async () => {
+  const records = await getThrottleStore().listBlocked();
+  return records.map(record => {
+    const [type, ...rest] = record.key.split(':');
+    return {
+      type,
+      id: rest.join(':'),
+      failures: record.failures,
+      locked: record.locked,
+      blockedUntil: record.blockedUntil,
+      lastFailureAt: record.lastFailureAt
+    };
+  });
+};
+
+// Clear the counter of an account or IP
+const clearLockout = (type, id) => {
+  return getThrottleStore().reset(type === 'ip' ? ipKey(id) : accountKey(id));
+};
+
+module.exports = {
+  LoginBlockedError,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  listLockouts,
+  clearLockout
+};
@@ -0,0 +1,124 @@
+// Outbound notifications (email and SMS) go through pluggable transports so
+// that real providers can be swapped in without touching the routes.
+// The transport of each channel is chosen with EMAIL_TRANSPORT and
+// SMS_TRANSPORT:
+// - sendgrid  email through the SendGrid API (SENDGRID_API_KEY, EMAIL_FROM)
+// - twilio    SMS through the Twilio API (TWILIO_ACCOUNT_SID,
+//             TWILIO_AUTH_TOKEN, TWILIO_FROM)
+// - console   writes messages to the console, codes and links included so
+//             local sign-in flows can be completed; the default outside
+//             production and refused there
+// Messages carry login codes and reset links, so a channel with no usable
+// transport fails rather than dropping them silently.
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+const consoleTransport = (channel) => async (message) => {
+  if (isProduction()) {
+    throw new Error(`No ${channel} transport configured; the console transport is disabled in production`);
+  }
+  console.log(`[${channel}] to ${message.to}: ${message.subject ? `${message.subject} - ` : ''}${message.text}`);
+  return { delivered: true, channel };
+};
+
+const sendgridTransport = async ({ to, subject, text }) => {
+  const response = await fetch(process.env.SENDGRID_API_URL || 'https://api.sendgrid.com/v3/mail/send', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      personalizations: [{ to: [{ email: to }] }],
+      from: { email: process.env.EMAIL_FROM },
+      subject,
+      content: [{ type: 'text/plain', value: text }]
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Email delivery failed with ${response.status}`);
+  }
+  return { delivered: true, channel: 'email' };
+};
+
+const twilioTransport = async ({ to, text }) => {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const credentials = Buffer.from(`${sid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+  const response = await fetch(`${process.env.TWILIO_API_URL || 'https://api.twilio.com'}/2010-04-01/Accounts/${sid}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM, Body: text }).toString()
+  });
+
+  if (!response.ok) {
+    throw new Error(`SMS delivery failed with ${response.status}`);
+  }
+  return { delivered: true, channel: 'sms' };
+};
+
+// Transports by channel, with the settings each one needs
+const CONFIGURABLE_TRANSPORTS = {
+  email: {
+    console: { transport: consoleTransport('email'), settings: [] },
+    sendgrid: { transport: sendgridTransport, settings: ['SENDGRID_API_KEY', 'EMAIL_FROM'] }
+  },
+  sms: {
+    console: { transport: consoleTransport('sms'), settings: [] },
+    twilio: { transport: twilioTransport, settings: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM'] }
+  }
+};
+
+// Transports set in code with setTransport, used instead of the configured ones
+const overrides = {};
+
+// The transport configured for a channel
+// Throws when it is unknown or its settings are missing
+const configuredTransport = (channel) => {
+  const variable = `${channel.toUpperCase()}_TRANSPORT`;
+  const name = process.env[variable] || 'console';
+  const configured = CONFIGURABLE_TRANSPORTS[channel][name];
+  if (!configured) {
+    throw new Error(`Unknown ${variable}: ${name}`);
+  }
+
+  const missing = configured.settings.filter(setting => !process.env[setting]);
+  if (missing.length) {
+    throw new Error(`${variable}=${name} needs ${missing.join(', ')}`);
+  }
+  return configured.transport;
+};
+
+const transportFor = (channel) => overrides[channel] || configuredTransport(channel);
+
+// Replace the transport used for a channel ('email' or 'sms').
+// A transport is an async function receiving { to, subject, text }.
+const setTransport = (channel, transport) => {
+  if (!CONFIGURABLE_TRANSPORTS[channel]) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  overrides[channel] = transport;
+};
+
+// Send an email through the configured transport
+const sendEmail = async (to, subject, text) => {
+  return transportFor('email')({ to, subject, text });
+};
+
+// Send an SMS through the configured transport
+const sendSms = async (to, text) => {
+  return transportFor('sms')({ to, text });
+};
+
+// Send a message to a user on the requested channel
+const notifyUser = (user, { channel = 'email', subject, text }) => {
+  if (channel === 'sms') {
+    return sendSms(user.phone, text);
+  }
+  return sendEmail(user.email, subject, text);
+};
+
+module.exports = { setTransport, sendEmail, sendSms, notifyUser };
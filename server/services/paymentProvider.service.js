@@ -0,0 +1,30 @@
+// Registry of the mobile money providers deposits can be collected through
+// Each adapter exposes:
+// - name, label
+// - isEnabled()                 whether its credentials are configured
+// - initiateDeposit(request)    starts a collection for
+//                               { reference, amount, currency, phone }; returns
+//                               { providerReference, redirectUrl?, instructions? }
+// - parseWebhook(request)       verifies the signature of a callback
+//                               { headers, body, rawBody } and returns
+//                               { reference, providerReference, status, amount, reason },
+//                               or null when the signature does not match
+const providers = [
+  require('./providers/orangeMoney.provider'),
+  require('./providers/mtnMomo.provider'),
+  require('./providers/wave.provider'),
+  require('./providers/simulated.provider')
+];
+
+// Find an adapter by name, enabled or not
+const getProvider = (name) => providers.find(provider => provider.name === name) || null;
+
+// Providers deposits can currently be made with
+const listEnabledProviders = () => providers
+  .filter(provider => provider.isEnabled())
+  .map(({ name, label }) => ({ name, label }));
+
+module.exports = {
+  getProvider,
+  listEnabledProviders
+};
@@ -0,0 +1,246 @@
+// Promo credit and cashback
+// Promo credit sits in a buyer wallet next to the cash balance (promoBalance)
+// and in its own ledger account. It can only be spent on orders, before the
+// cash balance, and is never withdrawn or transferred. Each grant expires:
+// - admin     credit granted by an admin, PROMO_EXPIRY_DAYS by default (30)
+// - cashback  earned on a delivered order from a cashback campaign
+// - refund    promo credit returned when an order paid with it is cancelled,
+//             valid PROMO_REFUND_EXPIRY_DAYS (default 30)
+// The platform funds promo credit from system:promotions; expired credit goes
+// back to it. Grants are spent soonest-expiring first and swept every few
+// minutes once they expire.
+const Wallet = require('../models/wallet.model');
+const PromoGrant = require('../models/promoGrant.model');
+const CashbackCampaign = require('../models/cashbackCampaign.model');
+const { SYSTEM_ACCOUNTS, debit, credit, promoAccount, postEntry } = require('./ledger.service');
+const { TransactionAbort, runInTransaction } = require('./dbTransaction.service');
+const { emitToUser } = require('./socket.service');
+const { BASE_CURRENCY, convertAmount, roundAmount } = require('./currency.service');
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const PROMO_EXPIRY_DAYS = numberFromEnv('PROMO_EXPIRY_DAYS', 30);
+const PROMO_REFUND_EXPIRY_DAYS = numberFromEnv('PROMO_REFUND_EXPIRY_DAYS', 30);
+
+const TRANSACTION_TYPES = {
+  admin: 'promo_credit',
+  cashback: 'cashback',
+  refund: 'promo_refund'
+};
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+const notify = (wallet) => {
+  emitToUser(wallet.owner, 'promoCreditUpdated', {
+    walletId: wallet._id,
+    promoBalance: wallet.promoBalance,
+    currency: wallet.currency
+  });
+};
+
+// Grant promo credit to a wallet
+// Pass the session of runInTransaction to grant together with other writes
+const grantPromoCredit = async ({ wallet, amount, source, expiresAt, campaign, order, description, grantedBy }, session = null) => {
+  if (wallet.walletType !== 'buyer') {
+    throw new TransactionAbort('Promo credit can only be granted to buyer wallets');
+  }
+
+  const entry = await postEntry({
+    kind: 'promo_credit',
+    description,
+    relatedOrder: order,
+    relatedUser: wallet.owner,
+    lines: [
+      debit(SYSTEM_ACCOUNTS.PROMOTIONS, amount),
+      credit(promoAccount(wallet), amount, { type: TRANSACTION_TYPES[source] })
+    ]
+  }, session);
+
+  return openGrant({ wallet, amount, source, expiresAt, campaign, order, description, grantedBy, ledgerEntry: entry._id }, session);
+};
+
+// Record a grant for promo credit already posted to a wallet
+const openGrant = async ({ wallet, amount, source, expiresAt, campaign, order, description, grantedBy, ledgerEntry }, session) => {
+  const [grant] = await PromoGrant.create([{
+    wallet: wallet._id,
+    owner: wallet.owner,
+    currency: wallet.currency,
+    amount,
+    remaining: amount,
+    source,
+    campaign,
+    order,
+    description,
+    expiresAt: expiresAt || daysFromNow(source === 'refund' ? PROMO_REFUND_EXPIRY_DAYS : PROMO_EXPIRY_DAYS),
+    grantedBy,
+    ledgerEntry
+  }], { session });
+
+  return grant;
+};
+
+// Record promo credit an order refund returned to a wallet
+// The refund entry, posted by the caller, credits promoAccount(wallet)
+const restorePromoCredit = ({ wallet, amount, order, ledgerEntry }, session = null) => openGrant({
+  wallet,
+  amount,
+  source: 'refund',
+  order: order._id,
+  description: `Promo credit returned for cancelled order #${order._id}`,
+  ledgerEntry
+}, session);
+
+// Grant promo credit from an admin to a user's buyer wallet
+const grantFromAdmin = async ({ userId, currency, amount, expiresAt, description, adminId }) => {
+  const wallet = await Wallet.findByOwnerAndType(userId, 'buyer', currency);
+  if (!wallet) {
+    throw new TransactionAbort('Buyer wallet not found', 404);
+  }
+
+  const grant = await runInTransaction(session => grantPromoCredit({
+    wallet,
+    amount: roundAmount(amount, wallet.currency),
+    source: 'admin',
+    expiresAt,
+    description: description || 'Promotional credit',
+    grantedBy: adminId
+  }, session));
+
+  notify(await Wallet.findById(wallet._id));
+  return grant;
+};
+
+// How much of an amount the wallet's spendable promo credit covers
+const promoCreditFor = async (wallet, amount, session = null) => (
+  wallet.walletType === 'buyer' ? Math.min(await PromoGrant.spendable(wallet._id, session), amount) : 0
+);
+
+// Take promo credit spent on an order out of the wallet's grants
+// The ledger line debiting promoAccount(wallet) is posted by the caller
+const consumePromoCredit = async (wallet, amount, session = null) => {
+  const uncovered = await PromoGrant.consume(wallet._id, amount, session);
+  if (uncovered > 0) {
+    throw new TransactionAbort('Promo credit has changed, please try again');
+  }
+};
+
+// Cashback an order earns from the campaigns running at checkout
+// categoryTotals maps each product category to what the order spends on it,
+// in currency. When several campaigns run for a category the most generous
+// applies.
+const cashbackFor = async (categoryTotals, currency, rates) => {
+  const campaigns = await CashbackCampaign.runningFor(Object.keys(categoryTotals));
+  const best = {};
+
+  for (const campaign of campaigns) {
+    let amount = roundAmount(categoryTotals[campaign.category] * campaign.percent / 100, currency);
+    if (campaign.maxAmount > 0) {
+      amount = Math.min(amount, convertAmount(campaign.maxAmount, BASE_CURRENCY, currency, rates));
+    }
+    if (amount > 0 && (!best[campaign.category] || amount > best[campaign.category].amount)) {
+      best[campaign.category] = {
+        campaign: campaign._id,
+        name: campaign.name,
+        category: campaign.category,
+        percent: campaign.percent,
+        creditExpiryDays: campaign.creditExpiryDays,
+        amount
+      };
+    }
+  }
+
+  return Object.values(best);
+};
+
+// Credit the cashback an order earned to the buyer, once it is delivered
+const creditCashback = async (order, session = null) => {
+  if (!order.cashback || !order.cashback.length) {
+    return null;
+  }
+
+  const wallet = await Wallet.findByOwnerAndType(order.buyer, 'buyer', order.currency).session(session)
+    || await Wallet.findByOwnerAndType(order.buyer, 'buyer').session(session);
+  if (!wallet) {
+    throw new Error(`No buyer wallet for user ${order.buyer}`);
+  }
+
+  for (const earned of order.cashback) {
+    await grantPromoCredit({
+      wallet,
+      amount: wallet.currency === order.currency
+        ? earned.amount
+        : convertAmount(earned.amount, order.currency, wallet.currency, order.exchangeRates),
+      source: 'cashback',
+      expiresAt: daysFromNow(earned.creditExpiryDays || PROMO_EXPIRY_DAYS),
+      campaign: earned.campaign,
+      order: order._id,
+      description: `${earned.percent}% cashback on ${earned.category} (${earned.name}) for order #${order._id}`
+    }, session);
+  }
+
+  return wallet;
+};
+
+// Expire the promo credit left on grants past their expiry
+// A grant that fails to expire is logged and retried on the next sweep
+// without holding up the others. Returns the number of grants expired
+const expirePromoCredit = async () => {
+  const due = await PromoGrant.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .sort({ expiresAt: 1 })
+    .select('_id')
+    .limit(500);
+  let expired = 0;
+
+  for (const { _id } of due) {
+    try {
+      const wallet = await runInTransaction(async session => {
+        const grant = await PromoGrant.findOneAndUpdate(
+          { _id, status: 'active' },
+          { status: 'expired', expiredAt: new Date() },
+          { session }
+        );
+        if (!grant) {
+          return null;
+        }
+
+        const expiredWallet = await Wallet.findById(grant.wallet).session(session);
+        if (grant.remaining > 0 && expiredWallet) {
+          await postEntry({
+            kind: 'promo_expiry',
+            description: `Expired promo credit: ${grant.description}`,
+            relatedUser: grant.owner,
+            lines: [
+              debit(promoAccount(expiredWallet), grant.remaining, { type: 'promo_expiry' }),
+              credit(SYSTEM_ACCOUNTS.PROMOTIONS, grant.remaining)
+            ]
+          }, session);
+        }
+        return expiredWallet;
+      });
+
+      if (wallet) {
+        expired++;
+        notify(await Wallet.findById(wallet._id));
+      }
+    } catch (err) {
+      console.error(`Error expiring promo grant ${_id}:`, err.message);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  PROMO_EXPIRY_DAYS,
+  grantPromoCredit,
+  grantFromAdmin,
+  restorePromoCredit,
+  promoCreditFor,
+  consumePromoCredit,
+  cashbackFor,
+  creditCashback,
+  expirePromoCredit
+};
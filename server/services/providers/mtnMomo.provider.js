@@ -0,0 +1,102 @@
+// MTN Mobile Money collections adapter
+// A request-to-pay prompt is pushed to the payer's phone; the result comes
+// back on our callback URL, signed with the shared webhook secret
+// (x-callback-signature header).
+const crypto = require('crypto');
+const { hmacSha256, signaturesMatch, rawBodyOf, callbackUrl } = require('./signing');
+
+const config = () => ({
+  apiUrl: process.env.MTN_MOMO_API_URL || 'https://sandbox.momodeveloper.mtn.com',
+  subscriptionKey: process.env.MTN_MOMO_SUBSCRIPTION_KEY,
+  apiUser: process.env.MTN_MOMO_API_USER,
+  apiKey: process.env.MTN_MOMO_API_KEY,
+  environment: process.env.MTN_MOMO_ENVIRONMENT || 'sandbox',
+  webhookSecret: process.env.MTN_MOMO_WEBHOOK_SECRET
+});
+
+const accessToken = async ({ apiUrl, subscriptionKey, apiUser, apiKey }) => {
+  const response = await fetch(`${apiUrl}/collection/token/`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${apiUser}:${apiKey}`).toString('base64')}`,
+      'Ocp-Apim-Subscription-Key': subscriptionKey
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`MTN MoMo authentication failed with ${response.status}`);
+  }
+  return (await response.json()).access_token;
+};
+
+const STATUS_MAP = {
+  SUCCESSFUL: 'completed',
+  FAILED: 'failed',
+  REJECTED: 'failed',
+  TIMEOUT: 'failed',
+  PENDING: 'pending'
+};
+
+module.exports = {
+  name: 'mtn_momo',
+  label: 'MTN Mobile Money',
+
+  isEnabled() {
+    const { subscriptionKey, apiUser, apiKey, webhookSecret } = config();
+    return Boolean(subscriptionKey && apiUser && apiKey && webhookSecret);
+  },
+
+  async initiateDeposit({ reference, amount, currency, phone }) {
+    const settings = config();
+    const token = await accessToken(settings);
+    const referenceId = crypto.randomUUID();
+
+    // Request-to-pay answers 202 with an empty body
+    const response = await fetch(`${settings.apiUrl}/collection/v1_0/requesttopay`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'X-Reference-Id': referenceId,
+        'X-Target-Environment': settings.environment,
+        'X-Callback-Url': callbackUrl('mtn_momo'),
+        'Ocp-Apim-Subscription-Key': settings.subscriptionKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        amount: String(amount),
+        currency,
+        externalId: reference,
+        payer: { partyIdType: 'MSISDN', partyId: phone.replace(/\D/g, '') },
+        payerMessage: 'Super~Up wallet deposit',
+        payeeNote: reference
+      })
+    });
+
+    if (response.status !== 202) {
+      throw new Error(`MTN MoMo request to pay failed with ${response.status}`);
+    }
+
+    return {
+      providerReference: referenceId,
+      instructions: 'Approve the payment prompt on your phone'
+    };
+  },
+
+  parseWebhook(request) {
+    const { webhookSecret } = config();
+    const signature = request.headers['x-callback-signature'];
+
+    if (!webhookSecret || !signaturesMatch(hmacSha256(webhookSecret, rawBodyOf(request)), signature)) {
+      return null;
+    }
+
+    const { externalId, financialTransactionId, status, amount, reason } = request.body;
+    return {
+      reference: externalId,
+      providerReference: financialTransactionId,
+      status: STATUS_MAP[status] || 'pending',
+      amount: amount !== undefined ? Number(amount) : undefined,
+      reason: reason && (reason.message || reason.code || reason)
+    };
+  }
+};
@@ -0,0 +1,88 @@
+// Orange Money web payment adapter
+// The buyer is sent to an Orange payment page; Orange then notifies us with
+// a callback signed with the shared webhook secret (x-signature header).
+const { hmacSha256, signaturesMatch, rawBodyOf, callbackUrl, postJson } = require('./signing');
+
+const config = () => ({
+  apiUrl: process.env.ORANGE_MONEY_API_URL || 'https://api.orange.com/orange-money-webpay/dev/v1',
+  tokenUrl: process.env.ORANGE_MONEY_TOKEN_URL || 'https://api.orange.com/oauth/v3/token',
+  clientId: process.env.ORANGE_MONEY_CLIENT_ID,
+  clientSecret: process.env.ORANGE_MONEY_CLIENT_SECRET,
+  merchantKey: process.env.ORANGE_MONEY_MERCHANT_KEY,
+  webhookSecret: process.env.ORANGE_MONEY_WEBHOOK_SECRET
+});
+
+const accessToken = async ({ tokenUrl, clientId, clientSecret }) => {
+  const response = await fetch(tokenUrl, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: 'grant_type=client_credentials'
+  });
+
+  if (!response.ok) {
+    throw new Error(`Orange Money authentication failed with ${response.status}`);
+  }
+  return (await response.json()).access_token;
+};
+
+const STATUS_MAP = {
+  SUCCESS: 'completed',
+  FAILED: 'failed',
+  EXPIRED: 'failed',
+  PENDING: 'pending',
+  INITIATED: 'pending'
+};
+
+module.exports = {
+  name: 'orange_money',
+  label: 'Orange Money',
+
+  isEnabled() {
+    const { clientId, clientSecret, merchantKey, webhookSecret } = config();
+    return Boolean(clientId && clientSecret && merchantKey && webhookSecret);
+  },
+
+  async initiateDeposit({ reference, amount, currency }) {
+    const settings = config();
+    const token = await accessToken(settings);
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+    const payment = await postJson(`${settings.apiUrl}/webpayment`, {
+      merchant_key: settings.merchantKey,
+      currency: currency === 'XOF' ? 'OUV' : currency,
+      order_id: reference,
+      amount,
+      return_url: `${clientUrl}/wallet?deposit=${reference}`,
+      cancel_url: `${clientUrl}/wallet?deposit=${reference}&cancelled=1`,
+      notif_url: callbackUrl('orange_money'),
+      lang: 'fr',
+      reference
+    }, { Authorization: `Bearer ${token}` });
+
+    return {
+      providerReference: payment.pay_token,
+      redirectUrl: payment.payment_url
+    };
+  },
+
+  parseWebhook(request) {
+    const { webhookSecret } = config();
+    const signature = request.headers['x-signature'];
+
+    if (!webhookSecret || !signaturesMatch(hmacSha256(webhookSecret, rawBodyOf(request)), signature)) {
+      return null;
+    }
+
+    const { order_id: reference, txnid, status, amount, message } = request.body;
+    return {
+      reference,
+      providerReference: txnid,
+      status: STATUS_MAP[status] || 'pending',
+      amount: amount !== undefined ? Number(amount) : undefined,
+      reason: message
+    };
+  }
+};
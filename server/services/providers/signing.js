@@ -0,0 +1,42 @@
+// Helpers shared by the mobile money provider adapters
+const crypto = require('crypto');
+
+// Hex HMAC-SHA256 of a payload
+const hmacSha256 = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Compare two signatures in constant time
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+// Raw request body as received, falling back to the parsed JSON
+const rawBodyOf = (request) => (request.rawBody ? request.rawBody.toString('utf8') : JSON.stringify(request.body || {}));
+
+// URL the provider calls back for a deposit
+const callbackUrl = (provider) => `${process.env.API_URL || 'http://localhost:5000'}/api/payments/webhooks/${provider}`;
+
+// POST JSON to a provider API and return the parsed response
+const postJson = async (url, body, headers = {}) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  const text = await response.text();
+
+  if (!response.ok) {
+    throw new Error(`Provider request failed with ${response.status}: ${text.slice(0, 200)}`);
+  }
+  return text ? JSON.parse(text) : {};
+};
+
+module.exports = {
+  hmacSha256,
+  signaturesMatch,
+  rawBodyOf,
+  callbackUrl,
+  postJson
+};
@@ -0,0 +1,53 @@
+// Simulated mobile money provider for local development and tests
+// Deposits stay pending until confirmed or failed through
+// POST /api/payments/simulated/:reference, which sends a callback signed the
+// same way a real provider would through the regular webhook path.
+// Anyone can confirm a simulated deposit, so it is only enabled with
+// SIMULATED_PROVIDER_ENABLED=true and a SIMULATED_PROVIDER_SECRET of its own.
+const crypto = require('crypto');
+const { hmacSha256, signaturesMatch, rawBodyOf } = require('./signing');
+
+const secret = () => process.env.SIMULATED_PROVIDER_SECRET;
+
+module.exports = {
+  name: 'simulated',
+  label: 'Simulated mobile money',
+
+  isEnabled() {
+    return process.env.SIMULATED_PROVIDER_ENABLED === 'true' && Boolean(secret());
+  },
+
+  async initiateDeposit({ reference }) {
+    return {
+      providerReference: `sim_${crypto.randomBytes(8).toString('hex')}`,
+      instructions: `Confirm or fail this deposit with POST /api/payments/simulated/${reference}`
+    };
+  },
+
+  // Build the signed callback the provider would send
+  buildCallback(deposit, outcome) {
+    const body = {
+      reference: deposit.reference,
+      providerReference: deposit.providerReference,
+      status: outcome === 'success' ? 'completed' : 'failed',
+      amount: deposit.amount,
+      reason: outcome === 'success' ? undefined : 'Declined by simulated provider'
+    };
+    const rawBody = JSON.stringify(body);
+
+    return {
+      headers: { 'x-simulated-signature': hmacSha256(secret(), rawBody) },
+      body,
+      rawBody: Buffer.from(rawBody)
+    };
+  },
+
+  parseWebhook(request) {
+    if (!signaturesMatch(hmacSha256(secret(), rawBodyOf(request)), request.headers['x-simulated-signature'])) {
+      return null;
+    }
+
+    const { reference, providerReference, status, amount, reason } = request.body;
+    return { reference, providerReference, status, amount, reason };
+  }
+};
@@ -0,0 +1,77 @@
+// Wave checkout adapter
+// The payer completes a Wave checkout session; Wave signs its webhooks with
+// a "t=<timestamp>,v1=<signature>" Wave-Signature header computed over the
+// timestamp followed by the raw body.
+const { hmacSha256, signaturesMatch, rawBodyOf, postJson } = require('./signing');
+
+// Reject webhooks signed too long ago to be replayed
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const config = () => ({
+  apiUrl: process.env.WAVE_API_URL || 'https://api.wave.com',
+  apiKey: process.env.WAVE_API_KEY,
+  webhookSecret: process.env.WAVE_WEBHOOK_SECRET
+});
+
+const parseSignatureHeader = (header = '') => header.split(',').reduce((parts, part) => {
+  const [key, value] = part.split('=');
+  if (key && value) {
+    parts[key.trim()] = value.trim();
+  }
+  return parts;
+}, {});
+
+module.exports = {
+  name: 'wave',
+  label: 'Wave',
+
+  isEnabled() {
+    const { apiKey, webhookSecret } = config();
+    return Boolean(apiKey && webhookSecret);
+  },
+
+  async initiateDeposit({ reference, amount, currency }) {
+    const settings = config();
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+    const session = await postJson(`${settings.apiUrl}/v1/checkout/sessions`, {
+      amount: String(amount),
+      currency,
+      client_reference: reference,
+      success_url: `${clientUrl}/wallet?deposit=${reference}`,
+      error_url: `${clientUrl}/wallet?deposit=${reference}&cancelled=1`
+    }, { Authorization: `Bearer ${settings.apiKey}` });
+
+    return {
+      providerReference: session.id,
+      redirectUrl: session.wave_launch_url
+    };
+  },
+
+  parseWebhook(request) {
+    const { webhookSecret } = config();
+    const { t: timestamp, v1: signature } = parseSignatureHeader(request.headers['wave-signature']);
+
+    if (!webhookSecret || !timestamp ||
+        Math.abs(Date.now() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS ||
+        !signaturesMatch(hmacSha256(webhookSecret, `${timestamp}${rawBodyOf(request)}`), signature)) {
+      return null;
+    }
+
+    const { type, data = {} } = request.body;
+    let status = 'pending';
+    if (type === 'checkout.session.completed' && data.payment_status === 'succeeded') {
+      status = 'completed';
+    } else if (type === 'checkout.session.payment_failed' || data.payment_status === 'cancelled') {
+      status = 'failed';
+    }
+
+    return {
+      reference: data.client_reference,
+      providerReference: data.transaction_id || data.id,
+      status,
+      amount: data.amount !== undefined ? Number(data.amount) : undefined,
+      reason: data.last_payment_error && data.last_payment_error.message
+    };
+  }
+};
@@ -0,0 +1,330 @@
+// Wallet reconciliation
+// Runs every night (RECONCILIATION_HOUR, server time, default 2) and on
+// demand, and writes a report of every discrepancy it finds:
+// - each wallet balance must equal its completed transactions plus the
+//   pending ones still holding funds (withdrawals awaiting payout), and its
+//   promo credit its completed promo transactions
+// - each delivered order paid by wallet must have exactly one credit per
+//   seller, one commission for its delivery agent and one admin fee
+// - each paid order that was cancelled must have exactly one refund
+// - pending transactions must belong to an open withdrawal; older ones that
+//   do not (RECONCILIATION_PENDING_GRACE_MINUTES, default 60) are orphaned
+// Orders updated within RECONCILIATION_ORDER_LOOKBACK_DAYS (default 30) are
+// checked. Admins resolve or ignore each discrepancy from the report.
+const ReconciliationReport = require('../models/reconciliation.model');
+const Transaction = require('../models/transaction.model');
+const Wallet = require('../models/wallet.model');
+const Order = require('../models/order.model');
+const EscrowHold = require('../models/escrow.model');
+const Withdrawal = require('../models/withdrawal.model');
+const { sellerShares } = require('./escrow.service');
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const RECONCILIATION_HOUR = numberFromEnv('RECONCILIATION_HOUR', 2);
+const ORDER_LOOKBACK_DAYS = numberFromEnv('RECONCILIATION_ORDER_LOOKBACK_DAYS', 30);
+const PENDING_GRACE_MINUTES = numberFromEnv('RECONCILIATION_PENDING_GRACE_MINUTES', 60);
+// Largest number of discrepancies kept in one report
+const MAX_DISCREPANCIES = 5000;
+const ORDER_BATCH_SIZE = 500;
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Collects discrepancies up to the report limit
+const createCollector = () => {
+  const discrepancies = [];
+  let truncated = false;
+  return {
+    discrepancies,
+    get truncated() {
+      return truncated;
+    },
+    add(discrepancy) {
+      if (discrepancies.length >= MAX_DISCREPANCIES) {
+        truncated = true;
+        return;
+      }
+      discrepancies.push(discrepancy);
+    }
+  };
+};
+
+const signedAmount = { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] };
+const isPromo = { $eq: ['$balanceType', 'promo'] };
+
+// Sum the transactions holding each wallet's funds, optionally for one wallet
+const transactionTotals = (walletId) => Transaction.aggregate([
+  { $match: { status: { $in: ['completed', 'pending'] }, ...(walletId ? { wallet: walletId } : {}) } },
+  {
+    $group: {
+      _id: '$wallet',
+      completed: {
+        $sum: { $cond: [{ $and: [{ $eq: ['$status', 'completed'] }, { $not: [isPromo] }] }, signedAmount, 0] }
+      },
+      pending: {
+        $sum: { $cond: [{ $and: [{ $eq: ['$status', 'pending'] }, { $not: [isPromo] }] }, signedAmount, 0] }
+      },
+      promo: {
+        $sum: { $cond: [{ $and: [{ $eq: ['$status', 'completed'] }, isPromo] }, signedAmount, 0] }
+      }
+    }
+  }
+]);
+
+const EMPTY_TOTALS = { completed: 0, pending: 0, promo: 0 };
+
+// The balance and promo credit mismatches of a wallet against its totals
+const mismatchesOf = (wallet, total) => {
+  const mismatches = [];
+  const expectedCents = toCents(total.completed) + toCents(total.pending);
+  if (expectedCents !== toCents(wallet.balance)) {
+    mismatches.push({
+      kind: 'balance_mismatch',
+      wallet: wallet._id,
+      user: wallet.owner,
+      expected: { completed: total.completed, pending: total.pending, balance: expectedCents / 100 },
+      actual: wallet.balance,
+      message: `${wallet.walletType} wallet balance is ${wallet.balance} but its transactions add up to ${expectedCents / 100}`
+    });
+  }
+
+  const promoBalance = wallet.promoBalance || 0;
+  if (toCents(total.promo || 0) !== toCents(promoBalance)) {
+    mismatches.push({
+      kind: 'promo_balance_mismatch',
+      wallet: wallet._id,
+      user: wallet.owner,
+      expected: { promoBalance: total.promo || 0 },
+      actual: promoBalance,
+      message: `${wallet.walletType} wallet promo credit is ${promoBalance} but its promo transactions add up to ${total.promo || 0}`
+    });
+  }
+  return mismatches;
+};
+
+const RECHECK_ATTEMPTS = 3;
+
+// Check one wallet again from a consistent read
+// The wallet is read before and after summing its transactions; the sum only
+// counts when no transaction was applied in between. A wallet that keeps
+// moving is compared on the last read.
+const recheckWallet = async (walletId) => {
+  let mismatches = [];
+  for (let attempt = 0; attempt < RECHECK_ATTEMPTS; attempt++) {
+    const before = await Wallet.findById(walletId).select('owner walletType balance promoBalance transactionCount');
+    if (!before) {
+      return [];
+    }
+    const [total] = await transactionTotals(before._id);
+    const after = await Wallet.findById(walletId).select('transactionCount');
+
+    mismatches = mismatchesOf(before, total || EMPTY_TOTALS);
+    if (after && after.transactionCount === before.transactionCount) {
+      break;
+    }
+  }
+  return mismatches;
+};
+
+// Compare every wallet balance with the sum of its transactions
+// The cash balance and the promo credit are each checked against their own
+// transactions. The totals and the wallets are read at different moments, so
+// a wallet that looks off is checked again on its own before it is reported.
+const checkBalances = async (collector) => {
+  const totals = await transactionTotals();
+  const byWallet = new Map(totals.map(total => [total._id.toString(), total]));
+
+  let checked = 0;
+  for await (const wallet of Wallet.find().select('owner walletType balance promoBalance').cursor()) {
+    checked++;
+    const total = byWallet.get(wallet._id.toString()) || EMPTY_TOTALS;
+    if (mismatchesOf(wallet, total).length) {
+      (await recheckWallet(wallet._id)).forEach(mismatch => collector.add(mismatch));
+    }
+  }
+  return checked;
+};
+
+// Flag a count of order credits that is not exactly the expected one
+const expectOne = (collector, order, count, kind, label, extra = {}) => {
+  if (count === 1) {
+    return;
+  }
+  collector.add({
+    kind: `${count === 0 ? 'missing' : 'duplicate'}_${kind}`,
+    order: order._id,
+    expected: 1,
+    actual: count,
+    message: `Order #${order._id} has ${count} ${label}`,
+    ...extra
+  });
+};
+
+// Check the credits recorded for a batch of settled orders
+const checkOrderBatch = async (collector, orders) => {
+  const ids = orders.map(order => order._id);
+  const [credits, holds] = await Promise.all([
+    Transaction.find({ relatedOrder: { $in: ids }, direction: 'credit' })
+      .select('relatedOrder walletType type owner description ledgerEntry'),
+    EscrowHold.find({ order: { $in: ids } }).select('order sellers')
+  ]);
+
+  const creditsByOrder = new Map();
+  for (const creditRow of credits) {
+    const key = creditRow.relatedOrder.toString();
+    if (!creditsByOrder.has(key)) {
+      creditsByOrder.set(key, []);
+    }
+    creditsByOrder.get(key).push(creditRow);
+  }
+  const holdsByOrder = new Map(holds.map(hold => [hold.order.toString(), hold]));
+  const hasAdminWallet = await Wallet.exists({ walletType: 'admin' });
+
+  for (const order of orders) {
+    const rows = creditsByOrder.get(order._id.toString()) || [];
+
+    if (order.status === 'delivered') {
+      const hold = holdsByOrder.get(order._id.toString());
+      const sellers = hold ? hold.sellers : await sellerShares(order.items);
+
+      for (const share of sellers) {
+        const count = rows.filter(row =>
+          row.walletType === 'seller' && row.type === 'deposit' && row.owner.toString() === share.seller.toString()
+        ).length;
+        expectOne(collector, order, count, 'seller_credit', 'seller credits', { user: share.seller });
+      }
+
+      if (order.deliveryAgent) {
+        const count = rows.filter(row => row.walletType === 'delivery' && row.type === 'commission').length;
+        expectOne(collector, order, count, 'agent_commission', 'delivery commissions', { user: order.deliveryAgent });
+      }
+
+      // Without an admin wallet the fee is kept in system:revenue, which has no transactions
+      if (hasAdminWallet && order.adminFee > 0) {
+        const count = rows.filter(row =>
+          row.walletType === 'admin' && row.type === 'fee' && row.description.startsWith('Admin fee')
+        ).length;
+        expectOne(collector, order, count, 'admin_fee', 'admin fees');
+      }
+    } else {
+      // A refund returns cash, promo credit or both in one entry
+      const count = new Set(rows
+        .filter(row => row.walletType === 'buyer' && ['refund', 'promo_refund'].includes(row.type))
+        .map(row => String(row.ledgerEntry || row._id))).size;
+      expectOne(collector, order, count, 'refund', 'refunds', { user: order.buyer });
+    }
+  }
+};
+
+// Check delivered and cancelled orders paid by wallet
+const checkOrders = async (collector) => {
+  const since = new Date(Date.now() - ORDER_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const cursor = Order.find({
+    paymentMethod: 'wallet',
+    updatedAt: { $gte: since },
+    $or: [
+      { status: 'delivered' },
+      { status: { $in: ['cancelled', 'refunded'] }, paymentStatus: { $in: ['paid', 'refunded'] } }
+    ]
+  }).select('status paymentStatus items buyer deliveryAgent adminFee').cursor();
+
+  let checked = 0;
+  let batch = [];
+  for await (const order of cursor) {
+    batch.push(order);
+    if (batch.length === ORDER_BATCH_SIZE) {
+      await checkOrderBatch(collector, batch);
+      checked += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    await checkOrderBatch(collector, batch);
+    checked += batch.length;
+  }
+  return checked;
+};
+
+// Find pending transactions no open operation accounts for
+const checkPendingTransactions = async (collector) => {
+  const before = new Date(Date.now() - PENDING_GRACE_MINUTES * 60 * 1000);
+  const pending = await Transaction.find({ status: 'pending', createdAt: { $lt: before } })
+    .select('wallet owner reference amount type createdAt');
+
+  const open = new Set(await Withdrawal.find({
+    reference: { $in: pending.map(transaction => transaction.reference) },
+    status: { $in: Withdrawal.OPEN_STATUSES }
+  }).distinct('reference'));
+
+  for (const transaction of pending.filter(transaction => !open.has(transaction.reference))) {
+    collector.add({
+      kind: 'orphaned_pending_transaction',
+      wallet: transaction.wallet,
+      transaction: transaction._id,
+      user: transaction.owner,
+      actual: { reference: transaction.reference, type: transaction.type, amount: transaction.amount },
+      message: `Pending ${transaction.type} ${transaction.reference} from ${transaction.createdAt.toISOString()} has no open operation`
+    });
+  }
+  return pending.length;
+};
+
+// Run a reconciliation and return its report
+// Returns null when the scheduled run of the day was already started
+const runReconciliation = async ({ trigger = 'manual', triggeredBy, runKey } = {}) => {
+  let report;
+  try {
+    report = await ReconciliationReport.create({ trigger, triggeredBy, runKey });
+  } catch (err) {
+    if (err.code === 11000) {
+      return null;
+    }
+    throw err;
+  }
+
+  const collector = createCollector();
+  try {
+    report.walletsChecked = await checkBalances(collector);
+    report.ordersChecked = await checkOrders(collector);
+    report.pendingChecked = await checkPendingTransactions(collector);
+    report.status = 'completed';
+  } catch (err) {
+    console.error('Reconciliation failed:', err.message);
+    report.status = 'failed';
+    report.error = err.message;
+  }
+
+  report.discrepancies = collector.discrepancies;
+  report.truncated = collector.truncated;
+  report.completedAt = new Date();
+  return report.save();
+};
+
+// Run the reconciliation every night at RECONCILIATION_HOUR
+const scheduleNightlyReconciliation = () => {
+  const next = new Date();
+  next.setHours(RECONCILIATION_HOUR, 0, 0, 0);
+  if (next <= new Date()) {
+    next.setDate(next.getDate() + 1);
+  }
+
+  setTimeout(async () => {
+    try {
+      await runReconciliation({
+        trigger: 'scheduled',
+        runKey: next.toISOString().slice(0, 10)
+      });
+    } catch (err) {
+      console.error('Error running reconciliation:', err.message);
+    }
+    scheduleNightlyReconciliation();
+  }, next - Date.now()).unref();
+};
+
+module.exports = {
+  runReconciliation,
+  scheduleNightlyReconciliation
+};
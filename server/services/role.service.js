@@ -0,0 +1,102 @@
+// Role onboarding policy
+// - buyer is granted on self-service signup
+// - seller and delivery are applications that wait for admin approval
+// - admin and customer_service are only granted by an admin through add-role
+const Wallet = require('../models/wallet.model');
+const Subscription = require('../models/subscription.model');
+
+const SELF_SERVICE_ROLES = ['buyer'];
+const APPLICATION_ROLES = ['seller', 'delivery'];
+const PRIVILEGED_ROLES = ['admin', 'customer_service'];
+const ALL_ROLES = [...SELF_SERVICE_ROLES, ...APPLICATION_ROLES, ...PRIVILEGED_ROLES];
+const WALLET_ROLES = ['buyer', 'seller', 'delivery', 'admin'];
+
+// Profile fields an applicant may submit with each application
+const APPLICATION_FIELDS = {
+  seller: ['businessName', 'businessDescription', 'businessLogo'],
+  delivery: ['vehicleType', 'vehiclePlate', 'idCardImage']
+};
+
+// Split the roles requested at signup into granted, pending and denied
+const resolveSignupRoles = (requestedRoles = []) => {
+  const requested = Array.isArray(requestedRoles) ? requestedRoles : [requestedRoles];
+  const decision = { granted: [...SELF_SERVICE_ROLES], pending: [], denied: [] };
+
+  requested.forEach(role => {
+    if (SELF_SERVICE_ROLES.includes(role)) return;
+    if (APPLICATION_ROLES.includes(role)) {
+      if (!decision.pending.includes(role)) decision.pending.push(role);
+    } else if (!decision.denied.includes(role)) {
+      decision.denied.push(role);
+    }
+  });
+
+  return decision;
+};
+
+// Get the profile object holding the application for a role
+const infoKey = (role) => `${role}Info`;
+
+// Mark a seller or delivery application as pending review
+const startApplication = (user, role, details = {}) => {
+  const key = infoKey(role);
+  if (!user[key]) {
+    user[key] = {};
+  }
+
+  APPLICATION_FIELDS[role].forEach(field => {
+    if (details[field] !== undefined) {
+      user[key][field] = details[field];
+    }
+  });
+
+  user[key].applicationStatus = 'pending';
+  user[key].appliedAt = new Date();
+  user[key].reviewedAt = undefined;
+  user[key].reviewedBy = undefined;
+  user[key].rejectionReason = undefined;
+};
+
+// Add a role to a user along with the resources it needs
+// (seller trial subscription, role wallet). The caller saves the user.
+const grantRole = async (user, role) => {
+  if (!user.roles.includes(role)) {
+    user.roles.push(role);
+  }
+
+  // If adding seller role, create a free trial subscription
+  if (role === 'seller') {
+    const subscription = await Subscription.findOne({ seller: user._id });
+    if (!subscription) {
+      await new Subscription({
+        seller: user._id,
+        plan: 'free_trial',
+        status: 'active',
+        price: 0
+      }).save();
+    }
+  }
+
+  // If adding a role that needs a wallet, create one
+  if (WALLET_ROLES.includes(role)) {
+    const wallet = await Wallet.findByOwnerAndType(user._id, role);
+    if (!wallet) {
+      await new Wallet({
+        owner: user._id,
+        walletType: role,
+        balance: 0,
+        currency: user.currency
+      }).save();
+    }
+  }
+};
+
+module.exports = {
+  SELF_SERVICE_ROLES,
+  APPLICATION_ROLES,
+  PRIVILEGED_ROLES,
+  ALL_ROLES,
+  resolveSignupRoles,
+  startApplication,
+  grantRole
+};
@@ -0,0 +1,135 @@
+// Socket.io setup: JWT authentication, room membership and emit helpers
+// Each socket joins:
+// - user:<userId>       every connection of a user
+// - session:<sessionId> the login session it was opened with
+// - role:<role>         one room per role
+// - order:<orderId>     the user's active orders
+// Route handlers use the emit helpers below to push events to these rooms.
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const { verifyAccessToken } = require('./token.service');
+
+const ACTIVE_ORDER_STATUSES = ['pending', 'processing', 'shipped'];
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const roleRoom = (role) => `role:${role}`;
+const orderRoom = (orderId) => `order:${orderId}`;
+
+// Socket middleware verifying the token sent in the handshake auth
+const authenticateSocket = async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) {
+    return next(new Error('No token, authorization denied'));
+  }
+
+  try {
+    const decoded = await verifyAccessToken(token);
+    socket.user = decoded.user;
+    socket.sessionId = decoded.sid;
+    next();
+  } catch (err) {
+    next(new Error(err.name === 'TokenError' ? err.message : 'Token is not valid'));
+  }
+};
+
+// Find the active orders a user takes part in
+const findActiveOrderIds = async (user) => {
+  const conditions = [{ buyer: user.id }];
+
+  if (user.roles.includes('delivery')) {
+    conditions.push({ deliveryAgent: user.id });
+  }
+
+  if (user.roles.includes('seller')) {
+    const productIds = await Product.find({ seller: user.id }).distinct('_id');
+    conditions.push({ 'items.product': { $in: productIds } });
+  }
+
+  return Order.find({ $or: conditions, status: { $in: ACTIVE_ORDER_STATUSES } }).distinct('_id');
+};
+
+// Put a new connection in its rooms
+const joinRooms = async (socket) => {
+  const { user } = socket;
+  const orderIds = await findActiveOrderIds(user);
+
+  socket.join([
+    userRoom(user.id),
+    sessionRoom(socket.sessionId),
+    ...user.roles.map(roleRoom),
+    ...orderIds.map(orderRoom)
+  ]);
+};
+
+// Attach authentication and connection handlers to the server
+// registerHandlers(socket) is called for every authenticated connection
+const initSocket = (server, registerHandlers = () => {}) => {
+  io = server;
+  io.use(authenticateSocket);
+
+  io.on('connection', async (socket) => {
+    try {
+      await joinRooms(socket);
+    } catch (err) {
+      console.error('Error joining socket rooms:', err.message);
+    }
+
+    registerHandlers(socket);
+  });
+
+  return io;
+};
+
+const getIO = () => io;
+
+// Emit an event to every connection of a user
+const emitToUser = (userId, event, data) => {
+  if (io) io.to(userRoom(userId)).emit(event, data);
+};
+
+// Emit an event to every user with a role
+const emitToRole = (role, event, data) => {
+  if (io) io.to(roleRoom(role)).emit(event, data);
+};
+
+// Emit an event to everyone following an order
+const emitToOrder = (orderId, event, data) => {
+  if (io) io.to(orderRoom(orderId)).emit(event, data);
+};
+
+// Add every connection of a user to an order room
+const joinOrderRoom = (userId, orderId) => {
+  if (io) io.in(userRoom(userId)).socketsJoin(orderRoom(orderId));
+};
+
+// Remove every connection from an order room (e.g. once the order is closed)
+const closeOrderRoom = (orderId) => {
+  if (io) io.in(orderRoom(orderId)).socketsLeave(orderRoom(orderId));
+};
+
+// Disconnect sockets opened with revoked sessions
+const disconnectSession = (sessionId) => {
+  if (io) io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+const disconnectUser = (userId, exceptSessionId) => {
+  if (!io) return;
+  const sockets = io.in(userRoom(userId));
+  (exceptSessionId ? sockets.except(sessionRoom(exceptSessionId)) : sockets).disconnectSockets(true);
+};
+
+module.exports = {
+  initSocket,
+  getIO,
+  orderRoom,
+  emitToUser,
+  emitToRole,
+  emitToOrder,
+  joinOrderRoom,
+  closeOrderRoom,
+  disconnectSession,
+  disconnectUser
+};
@@ -0,0 +1,122 @@
+// Failure counter stores for throttling
+// - memory: per-process, fine for a single instance and for development
+// - mongo: shared through MongoDB, use it when running several instances
+// Select with THROTTLE_STORE=memory|mongo (defaults to memory).
+const Throttle = require('../models/throttle.model');
+
+// Counter record shape: { key, failures, firstFailureAt, lastFailureAt, blockedUntil, locked }
+
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const live = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    async get(key) {
+      return live(key);
+    },
+
+    // Add a failure; counters idle for longer than windowMs start over
+    async increment(key, windowMs) {
+      const now = new Date();
+      let record = live(key);
+      if (!record || record.lastFailureAt.getTime() < now.getTime() - windowMs) {
+        record = { key, failures: 0, firstFailureAt: now, locked: false };
+      }
+      record.failures += 1;
+      record.lastFailureAt = now;
+      record.expiresAt = now.getTime() + windowMs;
+      records.set(key, record);
+      return { ...record };
+    },
+
+    async block(key, blockedUntil, locked) {
+      const record = live(key);
+      if (record) {
+        record.blockedUntil = blockedUntil;
+        record.locked = locked;
+        record.expiresAt = Math.max(record.expiresAt, blockedUntil.getTime());
+      }
+    },
+
+    async reset(key) {
+      return records.delete(key);
+    },
+
+    async listBlocked() {
+      const now = Date.now();
+      return [...records.keys()]
+        .map(live)
+        .filter(record => record && record.blockedUntil && record.blockedUntil.getTime() > now)
+        .map(record => ({ ...record }));
+    }
+  };
+};
+
+const createMongoStore = () => ({
+  async get(key) {
+    return Throttle.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  },
+
+  async increment(key, windowMs) {
+    const now = new Date();
+    // Start over when the previous failure is outside the window
+    await Throttle.deleteOne({
+      key,
+      $or: [
+        { lastFailureAt: { $lt: new Date(now.getTime() - windowMs) } },
+        { expiresAt: { $lte: now } }
+      ]
+    });
+    return Throttle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + windowMs) },
+        $setOnInsert: { firstFailureAt: now, locked: false }
+      },
+      { upsert: true, new: true, lean: true }
+    );
+  },
+
+  async block(key, blockedUntil, locked) {
+    await Throttle.updateOne(
+      { key },
+      [{
+        $set: {
+          blockedUntil,
+          locked,
+          expiresAt: { $max: ['$expiresAt', blockedUntil] }
+        }
+      }]
+    );
+  },
+
+  async reset(key) {
+    const result = await Throttle.deleteOne({ key });
+    return result.deletedCount > 0;
+  },
+
+  async listBlocked() {
+    return Throttle.find({ blockedUntil: { $gt: new Date() } }).sort({ blockedUntil: -1 }).lean();
+  }
+});
+
+let store = null;
+
+// Get the configured store (created once per process)
+const getThrottleStore = () => {
+  if (!store) {
+    store = process.env.THROTTLE_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return store;
+};
+
+module.exports = { createMemoryStore, createMongoStore, getThrottleStore };
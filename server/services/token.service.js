@@ -0,0 +1,234 @@
+// Access and refresh token handling
+// - access tokens are short-lived JWTs carrying the user and session id
+// - refresh tokens are opaque "<sessionId>.<secret>" strings; only a hash of
+//   the secret is stored and it is replaced on every refresh
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const { isTwoFactorRequired } = require('./twoFactor.service');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'superupsecret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+// Challenge tokens bridge the password step and the second login step
+const CHALLENGE_TOKEN_TTL = '5m';
+
+// Error raised when a token cannot be accepted
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Sign an access token for a user and session
+const signAccessToken = (user, session) => {
+  const payload = {
+    user: {
+      id: user._id.toString(),
+      roles: user.roles
+    },
+    sid: session._id.toString()
+  };
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Generate a new refresh secret with the session fields storing it
+const newRefreshSecret = () => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  return {
+    secret,
+    fields: {
+      refreshTokenHash: hashSecret(secret),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  };
+};
+
+// Open a new session for a user and return its tokens
+const issueTokens = async (user, req) => {
+  const { secret, fields } = newRefreshSecret();
+  const session = new Session({
+    user: user._id,
+    ...fields,
+    userAgent: req?.get ? req.get('user-agent') : undefined,
+    ip: req?.ip
+  });
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+// Exchange a refresh token for a new access and refresh token pair
+// Presenting an already rotated refresh token revokes the session,
+// since it means the token was copied. The secret is swapped with a single
+// conditional update, so of two concurrent refreshes with the same token only
+// one succeeds and the other counts as reuse. A session without the
+// two-factor the account now requires is revoked too.
+const refreshTokens = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    throw new TokenError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    throw new TokenError('Session has expired or was revoked');
+  }
+
+  if (session.refreshTokenHash !== hashSecret(secret)) {
+    await revokeSession(session._id, 'refresh_token_reuse');
+    throw new TokenError('Refresh token has already been used');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeSession(session._id, 'user_deleted');
+    throw new TokenError('User not found');
+  }
+
+  // Two-factor may have become mandatory since the session was opened (a new
+  // admin role, or earnings over the threshold): sign in again to enroll
+  if (!user.twoFactor?.enabled && await isTwoFactorRequired(user)) {
+    await revokeSession(session._id, 'two_factor_required');
+    throw new TokenError('Two-factor authentication is now required, please sign in again to set it up');
+  }
+
+  const { secret: newSecret, fields } = newRefreshSecret();
+  const update = { ...fields, lastSeenAt: new Date() };
+  if (req) {
+    update.ip = req.ip;
+    update.userAgent = req.get('user-agent') || session.userAgent;
+  }
+  const rotated = await Session.findOneAndUpdate({
+    _id: session._id,
+    refreshTokenHash: hashSecret(secret),
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }, update, { new: true });
+
+  // Another refresh rotated the secret (or the session ended) in the meantime
+  if (!rotated) {
+    await revokeSession(session._id, 'refresh_token_reuse');
+    throw new TokenError('Refresh token has already been used');
+  }
+
+  return {
+    token: signAccessToken(user, rotated),
+    refreshToken: `${rotated._id}.${newSecret}`
+  };
+};
+
+// Verify an access token and check that its session is still active
+// Resolves to the decoded payload
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    throw new TokenError('Token is not valid');
+  }
+
+  if (!decoded.sid) {
+    throw new TokenError('Token is not valid');
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive()) {
+    throw new TokenError('Session has expired or was revoked');
+  }
+
+  // Track activity, at most once per minute per session
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+
+  return decoded;
+};
+
+// Sign a short-lived token proving the password step succeeded
+// purpose is 'two_factor' (enter a code) or 'two_factor_setup' (mandatory enrollment)
+const signChallengeToken = (user, purpose) => {
+  return jwt.sign({ sub: user._id.toString(), purpose }, JWT_SECRET, { expiresIn: CHALLENGE_TOKEN_TTL });
+};
+
+// Verify a challenge token and resolve to its user
+const verifyChallengeToken = async (challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, JWT_SECRET);
+  } catch (err) {
+    throw new TokenError('Login challenge has expired, please sign in again');
+  }
+
+  if (decoded.purpose !== purpose) {
+    throw new TokenError('Invalid login challenge');
+  }
+
+  const user = await User.findById(decoded.sub);
+  if (!user) {
+    throw new TokenError('User not found');
+  }
+
+  return user;
+};
+
+// Finish the first login step for an authenticated user
+// Resolves to the response body: tokens, or a challenge for the second step
+const beginLogin = async (user, req) => {
+  // Accounts with two-factor need a second step before getting tokens
+  if (user.twoFactor?.enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: signChallengeToken(user, 'two_factor')
+    };
+  }
+
+  // Two-factor is mandatory for some accounts: enroll before signing in
+  if (await isTwoFactorRequired(user)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: signChallengeToken(user, 'two_factor_setup')
+    };
+  }
+
+  // Open a session and return access and refresh tokens
+  return issueTokens(user, req);
+};
+
+// Revoke a single session and disconnect the sockets opened with it
+const revokeSession = async (sessionId, reason) => {
+  const session = await Session.findById(sessionId);
+  if (session && !session.revokedAt) {
+    await session.revoke(reason);
+    // Required here because the socket service itself depends on this module
+    require('./socket.service').disconnectSession(session._id);
+  }
+  return session;
+};
+
+// Revoke every session of a user, optionally keeping the current one
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const result = await Session.revokeAllForUser(userId, reason, exceptSessionId);
+  require('./socket.service').disconnectUser(userId, exceptSessionId);
+  return result;
+};
+
+module.exports = {
+  TokenError,
+  issueTokens,
+  beginLogin,
+  refreshTokens,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,108 @@
+// Live delivery tracking
+// Delivery agents report their position through PUT /api/delivery/location.
+// Every order they are actively delivering gets the new position and an ETA
+// pushed to its socket room. ETAs use straight-line distance to the shipping
+// address and an average courier speed, which is good enough for a moto-taxi
+// estimate and needs no routing service.
+const Order = require('../models/order.model');
+const User = require('../models/user.model');
+const { emitToOrder } = require('./socket.service');
+
+const AVERAGE_SPEED_KMH = parseFloat(process.env.DELIVERY_AVERAGE_SPEED_KMH) || 25;
+
+// Delivery statuses during which the agent position is shared with the order
+const ACTIVE_DELIVERY_STATUSES = ['assigned', 'picked_up', 'in_transit'];
+
+const deg2rad = (deg) => deg * (Math.PI / 180);
+
+// Distance between two points in km (haversine formula)
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Radius of the earth in km
+  const dLat = deg2rad(lat2 - lat1);
+  const dLon = deg2rad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
+const hasCoordinates = (point) =>
+  point && typeof point.latitude === 'number' && typeof point.longitude === 'number';
+
+// Estimate arrival from the agent position to the shipping address
+// Returns null when either position is unknown
+const estimateArrival = (location, destination) => {
+  if (!hasCoordinates(location) || !hasCoordinates(destination)) {
+    return null;
+  }
+
+  const distanceKm = calculateDistance(
+    location.latitude,
+    location.longitude,
+    destination.latitude,
+    destination.longitude
+  );
+  const minutes = Math.ceil((distanceKm / AVERAGE_SPEED_KMH) * 60);
+
+  return {
+    distanceKm: Math.round(distanceKm * 100) / 100,
+    minutes,
+    arrivalAt: new Date(Date.now() + minutes * 60 * 1000)
+  };
+};
+
+// Build the tracking state of an order
+// The agent position is only included while the delivery is in progress
+const buildTrackingSnapshot = async (order) => {
+  const snapshot = {
+    ...order.toEventPayload(),
+    estimatedDeliveryDate: order.estimatedDeliveryDate,
+    location: null,
+    eta: null
+  };
+
+  if (!order.deliveryAgent || !ACTIVE_DELIVERY_STATUSES.includes(order.deliveryStatus)) {
+    return snapshot;
+  }
+
+  const agent = await User.findById(order.deliveryAgent._id || order.deliveryAgent)
+    .select('name phone deliveryInfo.currentLocation');
+  const location = agent && agent.deliveryInfo && agent.deliveryInfo.currentLocation;
+
+  if (hasCoordinates(location)) {
+    snapshot.agent = { id: agent._id, name: agent.name, phone: agent.phone };
+    snapshot.location = location;
+    snapshot.eta = estimateArrival(location, order.shippingAddress && order.shippingAddress.coordinates);
+  }
+
+  return snapshot;
+};
+
+// Push an agent position to every order they are actively delivering
+const broadcastAgentLocation = async (agentId, location) => {
+  const orders = await Order.find({
+    deliveryAgent: agentId,
+    deliveryStatus: { $in: ACTIVE_DELIVERY_STATUSES }
+  }).select('shippingAddress.coordinates deliveryStatus');
+
+  for (const order of orders) {
+    emitToOrder(order._id, 'deliveryLocation', {
+      orderId: order._id,
+      deliveryStatus: order.deliveryStatus,
+      location,
+      eta: estimateArrival(location, order.shippingAddress && order.shippingAddress.coordinates)
+    });
+  }
+
+  return orders.length;
+};
+
+module.exports = {
+  ACTIVE_DELIVERY_STATUSES,
+  calculateDistance,
+  estimateArrival,
+  buildTrackingSnapshot,
+  broadcastAgentLocation
+};
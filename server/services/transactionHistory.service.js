@@ -0,0 +1,215 @@
+// Wallet transaction history and monthly statements
+// History is paged with a cursor on the wallet's transaction sequence, so
+// pages stay stable while new transactions arrive. Statements cover one
+// calendar month (UTC) and are exported as JSON, CSV or PDF. History lists
+// cash and promo credit movements; statements cover the cash balance only.
+const PDFDocument = require('pdfkit');
+const Transaction = require('../models/transaction.model');
+const Wallet = require('../models/wallet.model');
+const { formatAmount } = require('./currency.service');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Parse a date filter; a bare day ("2026-09-30") used as an upper bound
+// covers that whole day
+const parseDateFilter = (value, endOfDay = false) => {
+  const date = new Date(value);
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+};
+
+// Get a page of a wallet's transactions, newest first
+const listTransactions = async (wallet, { type, balanceType, status, from, to, order, cursor, limit } = {}) => {
+  const filter = { wallet: wallet._id };
+
+  if (type) filter.type = type;
+  if (balanceType) filter.balanceType = balanceType === 'promo' ? 'promo' : { $ne: 'promo' };
+  if (status) filter.status = status;
+  if (order) filter.relatedOrder = order;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseDateFilter(from);
+    if (to) filter.createdAt[/^\d{4}-\d{2}-\d{2}$/.test(to) ? '$lt' : '$lte'] = parseDateFilter(to, true);
+  }
+  if (cursor !== undefined) {
+    filter.sequence = { $lt: parseInt(cursor, 10) };
+  }
+
+  const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const transactions = await Transaction.find(filter)
+    .sort({ sequence: -1 })
+    .limit(pageSize + 1);
+
+  const hasMore = transactions.length > pageSize;
+  const page = hasMore ? transactions.slice(0, pageSize) : transactions;
+
+  return {
+    transactions: page,
+    nextCursor: hasMore ? String(page[page.length - 1].sequence) : null
+  };
+};
+
+// Build the statement of a wallet for a month ("YYYY-MM")
+const buildStatement = async (wallet, month, owner) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const from = new Date(Date.UTC(year, monthNumber - 1, 1));
+  const to = new Date(Date.UTC(year, monthNumber, 1));
+
+  const [openingBalance, transactions] = await Promise.all([
+    Transaction.balanceAt(wallet._id, from),
+    Transaction.find({ wallet: wallet._id, balanceType: { $ne: 'promo' }, createdAt: { $gte: from, $lt: to } }).sort({ sequence: 1 })
+  ]);
+
+  let totalCredits = 0;
+  let totalDebits = 0;
+  for (const transaction of transactions) {
+    if (transaction.direction === 'credit') {
+      totalCredits += transaction.amount;
+    } else {
+      totalDebits += transaction.amount;
+    }
+  }
+
+  return {
+    accountHolder: owner ? { name: owner.name, email: owner.email, phone: owner.phone } : undefined,
+    wallet: { id: wallet._id, walletType: wallet.walletType, currency: wallet.currency },
+    period: { month, from, to },
+    openingBalance,
+    closingBalance: transactions.length ? transactions[transactions.length - 1].balanceAfter : openingBalance,
+    totalCredits,
+    totalDebits,
+    transactions: transactions.map(transaction => ({
+      date: transaction.createdAt,
+      reference: transaction.reference,
+      type: transaction.type,
+      description: transaction.description,
+      status: transaction.status,
+      direction: transaction.direction,
+      amount: transaction.amount,
+      balanceAfter: transaction.balanceAfter,
+      relatedOrder: transaction.relatedOrder
+    })),
+    generatedAt: new Date()
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+// Render a statement as CSV, with opening and closing balance rows
+const statementCsv = (statement) => {
+  const rows = [['Date', 'Reference', 'Type', 'Description', 'Status', 'Debit', 'Credit', 'Balance']];
+  const lastDay = new Date(statement.period.to.getTime() - 1);
+
+  rows.push([isoDay(statement.period.from), '', '', 'Opening balance', '', '', '', statement.openingBalance]);
+  for (const transaction of statement.transactions) {
+    rows.push([
+      transaction.date.toISOString(),
+      transaction.reference,
+      transaction.type,
+      transaction.description,
+      transaction.status,
+      transaction.direction === 'debit' ? transaction.amount : '',
+      transaction.direction === 'credit' ? transaction.amount : '',
+      transaction.balanceAfter
+    ]);
+  }
+  rows.push([isoDay(lastDay), '', '', 'Closing balance', '', statement.totalDebits, statement.totalCredits, statement.closingBalance]);
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// Write a statement as a PDF to a writable stream
+const writeStatementPdf = (statement, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const { currency } = statement.wallet;
+  // Standard PDF fonts have no glyphs for some currency symbols or the narrow
+  // no-break space some locales group digits with
+  const money = (amount) => formatAmount(amount, currency, { currencyDisplay: 'code' }).replace(/\u202f/g, '\u00a0');
+  const columns = [
+    { label: 'Date', x: 40, width: 70 },
+    { label: 'Description', x: 110, width: 185 },
+    { label: 'Status', x: 295, width: 60 },
+    { label: 'Debit', x: 355, width: 65, align: 'right' },
+    { label: 'Credit', x: 420, width: 65, align: 'right' },
+    { label: 'Balance', x: 485, width: 70, align: 'right' }
+  ];
+
+  const row = (values, options = {}) => {
+    if (doc.y > doc.page.height - 70) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const heights = columns.map((column, index) => doc.heightOfString(String(values[index] ?? ''), { width: column.width }));
+    columns.forEach((column, index) => {
+      doc.text(String(values[index] ?? ''), column.x, y, { width: column.width, align: column.align || 'left' });
+    });
+    doc.y = y + Math.max(...heights) + 4;
+  };
+
+  doc.pipe(stream);
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Super~Up wallet statement');
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10);
+  if (statement.accountHolder) {
+    doc.text(`Account holder: ${statement.accountHolder.name} (${statement.accountHolder.email})`);
+  }
+  doc.text(`Wallet: ${statement.wallet.walletType} (${currency})`);
+  doc.text(`Period: ${isoDay(statement.period.from)} to ${isoDay(new Date(statement.period.to.getTime() - 1))}`);
+  doc.text(`Opening balance: ${money(statement.openingBalance)}`);
+  doc.text(`Total credits: ${money(statement.totalCredits)}   Total debits: ${money(statement.totalDebits)}`);
+  doc.text(`Closing balance: ${money(statement.closingBalance)}`);
+  doc.moveDown();
+
+  row(columns.map(column => column.label), { bold: true });
+  row([isoDay(statement.period.from), 'Opening balance', '', '', '', statement.openingBalance]);
+  for (const transaction of statement.transactions) {
+    row([
+      isoDay(transaction.date),
+      `${transaction.description} (${transaction.reference})`,
+      transaction.status,
+      transaction.direction === 'debit' ? transaction.amount : '',
+      transaction.direction === 'credit' ? transaction.amount : '',
+      transaction.balanceAfter
+    ]);
+  }
+  row(['', 'Closing balance', '', statement.totalDebits, statement.totalCredits, statement.closingBalance], { bold: true });
+
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(7).text(`Generated ${statement.generatedAt.toISOString()}`, 40);
+  doc.end();
+};
+
+// Move transactions still embedded in wallet documents into their own
+// collection and drop them from the wallets
+// Reads the raw documents, since the wallet schema no longer has the field
+const migrateEmbeddedTransactions = async () => {
+  const cursor = Wallet.collection.find({ 'transactions.0': { $exists: true } });
+  let wallets = 0;
+  let transactions = 0;
+
+  for await (const rawWallet of cursor) {
+    transactions += await Transaction.migrateEmbedded(rawWallet);
+    await Wallet.collection.updateOne({ _id: rawWallet._id }, { $unset: { transactions: '' } });
+    wallets++;
+  }
+
+  return { wallets, transactions };
+};
+
+module.exports = {
+  listTransactions,
+  buildStatement,
+  statementCsv,
+  writeStatementPdf,
+  migrateEmbeddedTransactions
+};
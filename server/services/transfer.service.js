@@ -0,0 +1,278 @@
+// Transfers between users
+// The sender first gets a quote naming the recipient and the fee; the
+// transfer only moves money once they confirm it with their wallet PIN.
+// Limits and fees are configured through the environment:
+// - P2P_DAILY_AMOUNT_LIMIT   total a user may send per day (default 500000)
+// - P2P_DAILY_COUNT_LIMIT    transfers a user may send per day (default 20)
+// - P2P_FEE_PERCENT          fee as a percentage of the amount (default 1)
+// - P2P_FEE_FIXED            flat fee added to every transfer (default 0)
+// - P2P_FEE_MAX              cap on the fee, 0 for none (default 0)
+// - P2P_CONFIRMATION_MINUTES how long a quote can be confirmed (default 10)
+// Amounts are in the base currency and converted to the sender's wallet
+// currency at the current rates. The sender's KYC tier limits apply on top.
+// A confirmed transfer the fraud rules hold waits, without moving money, until
+// a reviewer releases or rejects it.
+const crypto = require('crypto');
+const Transfer = require('../models/transfer.model');
+const User = require('../models/user.model');
+const Wallet = require('../models/wallet.model');
+const { debit, credit, postEntry, platformFeeAccount } = require('./ledger.service');
+const { TransactionAbort, runInTransaction } = require('./dbTransaction.service');
+const { emitToUser } = require('./socket.service');
+const { assertWithinLimits } = require('./kyc.service');
+const { onHoldReviewed, screenOperation } = require('./fraud.service');
+const { BASE_CURRENCY, getRateSnapshot, convertAmount, roundAmount, formatAmount } = require('./currency.service');
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const DAILY_AMOUNT_LIMIT = numberFromEnv('P2P_DAILY_AMOUNT_LIMIT', 500000);
+const DAILY_COUNT_LIMIT = numberFromEnv('P2P_DAILY_COUNT_LIMIT', 20);
+const FEE_PERCENT = numberFromEnv('P2P_FEE_PERCENT', 1);
+const FEE_FIXED = numberFromEnv('P2P_FEE_FIXED', 0);
+const FEE_MAX = numberFromEnv('P2P_FEE_MAX', 0);
+const CONFIRMATION_MINUTES = numberFromEnv('P2P_CONFIRMATION_MINUTES', 10);
+
+const startOfDay = () => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+// Fee charged to the sender for a transfer in currency
+const calculateFee = (amount, currency = BASE_CURRENCY, rates) => {
+  const fromBase = (value) => (value > 0 ? convertAmount(value, BASE_CURRENCY, currency, rates) : value);
+  const fee = roundAmount(amount * FEE_PERCENT / 100 + fromBase(FEE_FIXED), currency);
+  return FEE_MAX > 0 ? Math.min(fee, fromBase(FEE_MAX)) : fee;
+};
+
+// What a user has sent today and may still send, in currency
+// Held transfers count as sent until they are reviewed
+const dailyUsage = async (senderId, currency = BASE_CURRENCY, options) => {
+  const [sent, rates] = await Promise.all([Transfer.sentSince(senderId, startOfDay(), options), getRateSnapshot()]);
+  const sentAmount = roundAmount(Object.keys(sent.amounts)
+    .reduce((total, sentCurrency) => total + convertAmount(sent.amounts[sentCurrency], sentCurrency, currency, rates), 0), currency);
+
+  return {
+    currency,
+    sentAmount,
+    sentCount: sent.count,
+    remainingAmount: Math.max(roundAmount(convertAmount(DAILY_AMOUNT_LIMIT, BASE_CURRENCY, currency, rates) - sentAmount, currency), 0),
+    remainingCount: Math.max(DAILY_COUNT_LIMIT - sent.count, 0)
+  };
+};
+
+// Throw when a transfer would exceed the sender's daily limits
+// options ({ exclude, session }) are passed on to Transfer.sentSince
+const checkDailyLimits = async (senderId, amount, currency, options) => {
+  const usage = await dailyUsage(senderId, currency, options);
+
+  if (usage.remainingCount < 1) {
+    throw new TransactionAbort(`Daily transfer limit of ${DAILY_COUNT_LIMIT} transfers reached`);
+  }
+  if (amount > usage.remainingAmount) {
+    throw new TransactionAbort(`Daily transfer limit exceeded. You can send ${formatAmount(usage.remainingAmount, usage.currency)} more today`);
+  }
+  return usage;
+};
+
+// Find the user a transfer is addressed to by email or phone number
+const findRecipient = (identifier) => {
+  const value = String(identifier).trim();
+  return value.includes('@')
+    ? User.findOne({ email: value.toLowerCase() })
+    : User.findOne({ phone: value });
+};
+
+// Prepare a transfer for the sender to confirm
+const quoteTransfer = async ({ senderId, fromWallet, recipientIdentifier, amount, note }) => {
+  const recipient = await findRecipient(recipientIdentifier);
+  if (!recipient) {
+    throw new TransactionAbort('No user found with this phone number or email', 404);
+  }
+  if (recipient._id.toString() === senderId.toString()) {
+    throw new TransactionAbort('Use a wallet transfer to move funds between your own wallets');
+  }
+
+  // The recipient is paid in the sender's currency when they hold it,
+  // otherwise into their default buyer wallet at the current rates
+  const toWallet = await Wallet.findByOwnerAndType(recipient._id, 'buyer', fromWallet.currency)
+    || await Wallet.findByOwnerAndType(recipient._id, 'buyer');
+  if (!toWallet || !toWallet.isActive) {
+    throw new TransactionAbort('This user cannot receive transfers');
+  }
+
+  const usage = await checkDailyLimits(senderId, amount, fromWallet.currency);
+  await assertWithinLimits(senderId, 'transfer', amount, fromWallet.currency);
+  const fee = calculateFee(amount, fromWallet.currency, await getRateSnapshot());
+  const total = roundAmount(amount + fee, fromWallet.currency);
+
+  if (!fromWallet.hasSufficientBalance(total)) {
+    throw new TransactionAbort(`Insufficient balance. Required: ${formatAmount(total, fromWallet.currency)}, Available: ${formatAmount(fromWallet.balance, fromWallet.currency)}`);
+  }
+
+  const transfer = await Transfer.create({
+    sender: senderId,
+    recipient: recipient._id,
+    fromWallet: fromWallet._id,
+    toWallet: toWallet._id,
+    amount,
+    fee,
+    currency: fromWallet.currency,
+    note,
+    reference: `p2p_${crypto.randomBytes(10).toString('hex')}`,
+    confirmationExpiresAt: new Date(Date.now() + CONFIRMATION_MINUTES * 60 * 1000)
+  });
+
+  return { transfer, recipient, usage };
+};
+
+// Move the funds of a transfer claimed by filter
+// unclaimed(session) returns the error to throw when no transfer matched
+// The daily and KYC limits are checked again in the transaction moving the
+// funds, so transfers confirmed or released since the quote count against them
+const settleTransfer = async (filter, unclaimed) => {
+  const completed = await runInTransaction(async session => {
+    const transfer = await Transfer.findOne(filter).session(session);
+    if (!transfer) {
+      throw await unclaimed(session);
+    }
+    await checkDailyLimits(transfer.sender, transfer.amount, transfer.currency, { exclude: transfer._id, session });
+    await assertWithinLimits(transfer.sender, 'transfer', transfer.amount, transfer.currency, { exclude: transfer._id, session });
+
+    const claimed = await Transfer.findOneAndUpdate(
+      filter,
+      { status: 'completed', completedAt: new Date() },
+      { new: true, session }
+    );
+
+    if (!claimed) {
+      throw await unclaimed(session);
+    }
+
+    const [sender, recipient, fromWallet, toWallet] = await Promise.all([
+      User.findById(claimed.sender).select('name').session(session),
+      User.findById(claimed.recipient).select('name').session(session),
+      Wallet.findById(claimed.fromWallet).session(session),
+      Wallet.findById(claimed.toWallet).session(session)
+    ]);
+    if (!fromWallet || !toWallet) {
+      throw new TransactionAbort('Wallet not found', 404);
+    }
+
+    const lines = [
+      debit(fromWallet, claimed.amount, {
+        type: 'transfer',
+        description: `Transfer to ${recipient.name}`,
+        relatedUser: recipient._id
+      }),
+      credit(toWallet, claimed.amount, {
+        type: 'transfer',
+        description: `Transfer from ${sender.name}`,
+        relatedUser: sender._id
+      })
+    ];
+
+    if (claimed.fee > 0) {
+      lines.push(
+        debit(fromWallet, claimed.fee, { type: 'fee', description: `Fee for transfer to ${recipient.name}` }),
+        credit(await platformFeeAccount(claimed.currency), claimed.fee, { type: 'fee', description: `Transfer fee ${claimed.reference}` })
+      );
+    }
+
+    const entry = await postEntry({
+      kind: 'p2p_transfer',
+      description: claimed.note || `Transfer ${claimed.reference}`,
+      reference: claimed.reference,
+      relatedUser: claimed.sender,
+      lines
+    }, session);
+
+    claimed.ledgerEntry = entry._id;
+    return claimed.save({ session });
+  });
+
+  emitToUser(completed.recipient, 'transferReceived', {
+    transferId: completed._id,
+    from: completed.sender,
+    amount: completed.amount,
+    currency: completed.currency,
+    note: completed.note
+  });
+
+  return completed;
+};
+
+// Move the funds of a quoted transfer, or hold it when the fraud rules say so
+// The sender's PIN is checked by the caller
+const confirmTransfer = async (transfer, context) => {
+  await checkDailyLimits(transfer.sender, transfer.amount, transfer.currency);
+  await assertWithinLimits(transfer.sender, 'transfer', transfer.amount, transfer.currency);
+
+  const confirmable = { _id: transfer._id, status: 'pending_confirmation', confirmationExpiresAt: { $gt: new Date() } };
+  const unconfirmable = async (session = null) => {
+    if (transfer.status === 'pending_confirmation' && transfer.confirmationExpiresAt <= new Date()) {
+      await Transfer.updateOne({ _id: transfer._id, status: 'pending_confirmation' }, { status: 'expired' }, { session });
+      return new TransactionAbort('This transfer has expired, please start a new one');
+    }
+    return new TransactionAbort('This transfer can no longer be confirmed');
+  };
+
+  if (!(await Transfer.exists(confirmable))) {
+    throw await unconfirmable();
+  }
+
+  const fraudCheck = await screenOperation({
+    userId: transfer.sender,
+    operation: 'transfer',
+    amount: roundAmount(transfer.amount + transfer.fee, transfer.currency),
+    currency: transfer.currency,
+    context,
+    subjectModel: 'Transfer',
+    subject: transfer._id
+  });
+
+  if (fraudCheck.decision === 'hold') {
+    const held = await Transfer.findOneAndUpdate(confirmable, { status: 'held' }, { new: true });
+    if (!held) {
+      throw await unconfirmable();
+    }
+    return held;
+  }
+
+  return settleTransfer(confirmable, unconfirmable);
+};
+
+// Cancel a transfer the sender has not confirmed
+const cancelTransfer = (transfer) => Transfer.findOneAndUpdate(
+  { _id: transfer._id, status: 'pending_confirmation' },
+  { status: 'cancelled' },
+  { new: true }
+);
+
+// A released transfer moves its funds now; a rejected one is closed without
+// moving any
+onHoldReviewed('transfer', {
+  release: (check) => settleTransfer(
+    { _id: check.subject, status: 'held' },
+    async () => new TransactionAbort('This transfer is no longer held')
+  ),
+  reject: async (check) => {
+    const transfer = await Transfer.findOneAndUpdate({ _id: check.subject, status: 'held' }, { status: 'rejected' }, { new: true });
+    if (transfer) {
+      emitToUser(transfer.sender, 'transferUpdated', { transferId: transfer._id, status: transfer.status });
+    }
+  }
+});
+
+module.exports = {
+  DAILY_AMOUNT_LIMIT,
+  DAILY_COUNT_LIMIT,
+  calculateFee,
+  dailyUsage,
+  quoteTransfer,
+  confirmTransfer,
+  cancelTransfer
+};
@@ -0,0 +1,214 @@
+// TOTP two-factor authentication (RFC 6238, 30 second steps, 6 digits)
+// Secrets are stored encrypted and recovery codes are stored hashed.
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Wallet = require('../models/wallet.model');
+const { BASE_CURRENCY, getRateSnapshot, convertAmount } = require('./currency.service');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Super~Up';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Number of steps accepted before and after the current one (clock drift)
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+// Seller or delivery wallet balance above which two-factor is mandatory, in the base currency
+const BALANCE_THRESHOLD = parseFloat(process.env.TWO_FACTOR_BALANCE_THRESHOLD || '500000');
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'superupsecret')
+  .digest();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = '';
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decrypt = (payload) => {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+};
+
+// Compute the HOTP code for a counter
+const generateCode = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** CODE_DIGITS;
+  return binary.toString().padStart(CODE_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// Find the time step matching a code, or null
+const matchStep = (secret, code) => {
+  const submitted = String(code).trim();
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(submitted)) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+    const candidate = generateCode(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(submitted))) {
+      return step + offset;
+    }
+  }
+  return null;
+};
+
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+// Check whether two-factor is mandatory for a user
+const isTwoFactorRequired = async (user) => {
+  if (user.roles.includes('admin')) {
+    return true;
+  }
+
+  const [wallets, snapshot] = await Promise.all([
+    Wallet.find({
+      owner: user._id,
+      walletType: { $in: ['seller', 'delivery'] },
+      balance: { $gt: 0 }
+    }).select('balance currency'),
+    getRateSnapshot()
+  ]);
+
+  // A currency without a rate yet is compared unconverted
+  return wallets.some(wallet => (snapshot.rates[wallet.currency]
+    ? convertAmount(wallet.balance, wallet.currency, BASE_CURRENCY, snapshot)
+    : wallet.balance) > BALANCE_THRESHOLD);
+};
+
+// Start enrollment: store a pending secret and return what the authenticator app needs
+// The caller saves the user.
+const beginSetup = async (user) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  user.twoFactor = user.twoFactor || {};
+  user.twoFactor.pendingSecret = encrypt(secret);
+
+  const otpauthUrl = `otpauth://totp/${encodeURIComponent(`${ISSUER}:${user.email}`)}` +
+    `?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Finish enrollment with a code from the authenticator app
+// Returns the plain recovery codes, or null if the code is wrong. The caller saves the user.
+const confirmSetup = (user, code) => {
+  if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+    return null;
+  }
+
+  const secret = decrypt(user.twoFactor.pendingSecret);
+  const step = matchStep(secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactor.enabledAt = new Date();
+
+  return recoveryCodes;
+};
+
+// Check a TOTP code or a recovery code for an enrolled user
+// Codes cannot be replayed and recovery codes are single-use. The caller saves the user.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (!user.twoFactor || !user.twoFactor.enabled) {
+    return false;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+      return false;
+    }
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  if (!code) {
+    return false;
+  }
+
+  const step = matchStep(decrypt(user.twoFactor.secret), code);
+  if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Replace the recovery codes of an enrolled user (the caller saves the user)
+const regenerateRecoveryCodes = (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  return recoveryCodes;
+};
+
+// Turn two-factor off (the caller saves the user)
+const disable = (user) => {
+  user.twoFactor = { enabled: false };
+};
+
+module.exports = {
+  BALANCE_THRESHOLD,
+  isTwoFactorRequired,
+  beginSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable
+};
@@ -0,0 +1,134 @@
+// Wallet PIN authorization
+// Operations listed in WALLET_PIN_REQUIRED_FOR (comma separated; default
+// "payment,withdrawal,transfer") need the owner's wallet PIN. Payments only
+// need it from WALLET_PIN_PAYMENT_THRESHOLD (in the base currency) upwards. After
+// WALLET_PIN_MAX_ATTEMPTS wrong PINs in a row the wallet is locked for
+// WALLET_PIN_LOCK_MINUTES, during which no wallet operation goes through.
+// Clients send the PIN in the X-Wallet-Pin header or a "pin" body field.
+const User = require('../models/user.model');
+const AuditLog = require('../models/audit.model');
+const { TransactionAbort } = require('./dbTransaction.service');
+const { notifyUser } = require('./notification.service');
+const { BASE_CURRENCY, getRateSnapshot, convertAmount } = require('./currency.service');
+
+const PIN_OPERATIONS = ['payment', 'withdrawal', 'transfer'];
+const REQUIRED_FOR = (process.env.WALLET_PIN_REQUIRED_FOR || PIN_OPERATIONS.join(','))
+  .split(',')
+  .map(operation => operation.trim())
+  .filter(operation => PIN_OPERATIONS.includes(operation));
+const PAYMENT_THRESHOLD = parseFloat(process.env.WALLET_PIN_PAYMENT_THRESHOLD) || 50000;
+const MAX_ATTEMPTS = parseInt(process.env.WALLET_PIN_MAX_ATTEMPTS, 10) || 5;
+const LOCK_MINUTES = parseInt(process.env.WALLET_PIN_LOCK_MINUTES, 10) || 30;
+
+// Error refusing a wallet operation because of the PIN
+class WalletPinError extends TransactionAbort {
+  constructor(message, status = 403) {
+    super(message, status);
+    this.name = 'WalletPinError';
+  }
+}
+
+// Read the PIN sent with a request
+const pinFromRequest = (req) => req.header('X-Wallet-Pin') || req.body?.pin;
+
+// Whether an operation of this amount needs the PIN
+const isPinRequired = (operation, amount = 0) => {
+  if (!REQUIRED_FOR.includes(operation)) {
+    return false;
+  }
+  return operation !== 'payment' || amount >= PAYMENT_THRESHOLD;
+};
+
+const isLocked = (user) => Boolean(user.walletPin?.lockedUntil && user.walletPin.lockedUntil > new Date());
+
+const lockedError = (user) => {
+  const minutes = Math.ceil((user.walletPin.lockedUntil - Date.now()) / 60000);
+  return new WalletPinError(`Wallet is locked after too many wrong PIN attempts. Try again in ${minutes} minutes`, 423);
+};
+
+// Count a wrong PIN, locking the wallet when the limit is reached
+const recordFailedAttempt = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { 'walletPin.failedAttempts': 1 } },
+    { new: true }
+  );
+
+  if (updated.walletPin.failedAttempts < MAX_ATTEMPTS) {
+    const remaining = MAX_ATTEMPTS - updated.walletPin.failedAttempts;
+    return new WalletPinError(`Invalid wallet PIN. ${remaining} attempt${remaining === 1 ? '' : 's'} left`);
+  }
+
+  updated.walletPin.lockedUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+  updated.walletPin.failedAttempts = 0;
+  await updated.save();
+
+  await AuditLog.record('wallet_pin.locked', {
+    actor: updated._id,
+    targetUser: updated._id,
+    details: { lockedUntil: updated.walletPin.lockedUntil }
+  });
+
+  notifyUser(updated, {
+    subject: 'Your wallet has been locked',
+    text: `Your wallet PIN was entered incorrectly ${MAX_ATTEMPTS} times, so your wallet is locked for ${LOCK_MINUTES} minutes. If this was not you, change your password.`
+  }).catch(err => console.error('Error sending wallet lock notice:', err.message));
+
+  return lockedError(updated);
+};
+
+// Check a PIN against the user's stored PIN
+// Throws WalletPinError when the wallet is locked, no PIN is set or it is wrong
+const verifyPin = async (user, pin) => {
+  if (isLocked(user)) {
+    throw lockedError(user);
+  }
+  if (!user.walletPin?.hash) {
+    throw new WalletPinError('Set a wallet PIN before making this operation');
+  }
+  if (!pin) {
+    throw new WalletPinError('Wallet PIN is required for this operation');
+  }
+
+  if (!(await user.compareWalletPin(pin))) {
+    throw await recordFailedAttempt(user);
+  }
+
+  if (user.walletPin.failedAttempts) {
+    await User.updateOne({ _id: user._id }, { 'walletPin.failedAttempts': 0 });
+  }
+};
+
+// Authorize a wallet operation for a user
+// A locked wallet refuses every operation; the PIN is only checked when the
+// operation and amount require it; amount is in currency
+const authorizeWalletOperation = async (userId, operation, amount, pin, currency = BASE_CURRENCY) => {
+  const user = await User.findById(userId);
+
+  if (isLocked(user)) {
+    throw lockedError(user);
+  }
+
+  const baseAmount = currency === BASE_CURRENCY ? amount : convertAmount(amount, currency, BASE_CURRENCY, await getRateSnapshot());
+  if (isPinRequired(operation, baseAmount)) {
+    await verifyPin(user, pin);
+  }
+};
+
+// PIN settings shown to the user
+const pinStatus = (user) => ({
+  isSet: Boolean(user.walletPin?.hash),
+  setAt: user.walletPin?.setAt,
+  lockedUntil: isLocked(user) ? user.walletPin.lockedUntil : null,
+  requiredFor: REQUIRED_FOR,
+  paymentThreshold: PAYMENT_THRESHOLD
+});
+
+module.exports = {
+  WalletPinError,
+  pinFromRequest,
+  isPinRequired,
+  verifyPin,
+  authorizeWalletOperation,
+  pinStatus
+};
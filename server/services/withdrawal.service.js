@@ -0,0 +1,340 @@
+// Withdrawals and payout batches
+// A withdrawal request moves its amount from the wallet into the
+// system:payouts ledger account, so the funds cannot be spent twice while an
+// admin reviews it. Approved requests are grouped into payout batches; each
+// batch item is then settled as paid (the money leaves to system:external) or
+// failed. Rejected, cancelled and failed withdrawals return the reserved
+// amount to the wallet. Every status change is a conditional update, so a
+// withdrawal is paid or returned exactly once.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Withdrawal = require('../models/withdrawal.model');
+const PayoutBatch = require('../models/payoutBatch.model');
+const Wallet = require('../models/wallet.model');
+const Transaction = require('../models/transaction.model');
+const { SYSTEM_ACCOUNTS, debit, credit, postEntry } = require('./ledger.service');
+const { TransactionAbort, runInTransaction } = require('./dbTransaction.service');
+const { emitToUser } = require('./socket.service');
+const { assertWithinLimits } = require('./kyc.service');
+const { onHoldReviewed, screenOperation, attachSubject } = require('./fraud.service');
+
+// Wallets whose earnings can be paid out
+const WITHDRAWABLE_WALLET_TYPES = ['seller', 'delivery'];
+// Largest number of withdrawals grouped into one payout batch
+const PAYOUT_BATCH_MAX_ITEMS = parseInt(process.env.PAYOUT_BATCH_MAX_ITEMS, 10) || 100;
+
+const newReference = (prefix) => `${prefix}_${crypto.randomBytes(10).toString('hex')}`;
+
+const paymentMethodOf = (destination) => (destination.type === 'bank' ? 'bank_transfer' : 'mobile_money');
+
+const notify = (withdrawal) => {
+  emitToUser(withdrawal.user, 'withdrawalUpdated', {
+    withdrawalId: withdrawal._id,
+    reference: withdrawal.reference,
+    status: withdrawal.status,
+    amount: withdrawal.amount,
+    reason: withdrawal.rejectionReason || withdrawal.failureReason
+  });
+};
+
+// Error for a status change that did not apply
+const unchangeable = async (id, session = null) => (
+  await Withdrawal.exists({ _id: id }).session(session)
+    ? new TransactionAbort('Withdrawal can no longer be changed')
+    : new TransactionAbort('Withdrawal not found', 404)
+);
+
+// Reserve the amount of a withdrawal and open it for review
+// Throws when the amount is over the user's withdrawal limits or the fraud rules block it
+const requestWithdrawal = async ({ userId, wallet, amount, payoutAccount, context }) => {
+  await assertWithinLimits(userId, 'withdrawal', amount, wallet.currency);
+  const fraudCheck = await screenOperation({
+    userId,
+    operation: 'withdrawal',
+    amount,
+    currency: wallet.currency,
+    context
+  });
+
+  const withdrawal = await runInTransaction(async session => {
+    // Checked again in the transaction reserving the funds, so requests made
+    // since the first check count against the limit
+    await assertWithinLimits(userId, 'withdrawal', amount, wallet.currency, { session });
+
+    const destination = payoutAccount.toDestination();
+    const [created] = await Withdrawal.create([{
+      user: userId,
+      wallet: wallet._id,
+      walletType: wallet.walletType,
+      amount,
+      currency: wallet.currency,
+      reference: newReference('wdr'),
+      payoutAccount: payoutAccount._id,
+      destination,
+      fraudHold: fraudCheck.decision === 'hold'
+    }], { session });
+
+    const entry = await postEntry({
+      kind: 'withdrawal_request',
+      description: `Withdrawal from ${wallet.walletType} wallet to ${payoutAccount.describe()}`,
+      relatedUser: userId,
+      lines: [
+        debit(wallet, amount, {
+          type: 'withdrawal',
+          status: 'pending',
+          reference: created.reference,
+          paymentMethod: paymentMethodOf(destination),
+          paymentDetails: {
+            provider: destination.provider || destination.bankName,
+            accountNumber: destination.phone || destination.accountNumber,
+            transactionId: created.reference
+          }
+        }),
+        credit(SYSTEM_ACCOUNTS.PAYOUTS, amount)
+      ]
+    }, session);
+
+    created.reserveEntry = entry._id;
+    return created.save({ session });
+  });
+
+  await attachSubject(fraudCheck, 'Withdrawal', withdrawal._id);
+  notify(withdrawal);
+  return withdrawal;
+};
+
+// Give the reserved amount of a closed withdrawal back to its wallet
+const returnFunds = async (withdrawal, reason, session) => {
+  const wallet = await Wallet.findById(withdrawal.wallet).session(session);
+  if (!wallet) {
+    throw new TransactionAbort('Wallet not found', 404);
+  }
+
+  const entry = await postEntry({
+    kind: 'withdrawal_return',
+    description: `Returned withdrawal ${withdrawal.reference}: ${reason}`,
+    relatedUser: withdrawal.user,
+    lines: [
+      debit(SYSTEM_ACCOUNTS.PAYOUTS, withdrawal.amount),
+      credit(wallet, withdrawal.amount, { type: 'refund' })
+    ]
+  }, session);
+
+  // The reservation did take the funds out of the wallet, so it stays on
+  // record as completed next to the credit that returns them
+  await Transaction.setStatus(withdrawal.reference, 'completed', session);
+
+  withdrawal.settlementEntry = entry._id;
+  withdrawal.settledAt = new Date();
+  return withdrawal.save({ session });
+};
+
+// Close a withdrawal that was not paid out and return its funds
+// Throws when it is no longer in one of the expected statuses
+const closeWithdrawal = async (id, from, update, reason) => {
+  const withdrawal = await runInTransaction(async session => {
+    const closed = await Withdrawal.transition(id, from, update, session);
+    if (!closed) {
+      throw await unchangeable(id, session);
+    }
+    return returnFunds(closed, reason, session);
+  });
+
+  notify(withdrawal);
+  return withdrawal;
+};
+
+// Cancel a withdrawal its owner no longer wants, while it awaits review
+const cancelWithdrawal = (withdrawal) => closeWithdrawal(
+  withdrawal._id,
+  'pending_review',
+  { status: 'cancelled' },
+  'cancelled by user'
+);
+
+// Reject a withdrawal under review
+const rejectWithdrawal = (id, adminId, reason) => closeWithdrawal(
+  id,
+  'pending_review',
+  { status: 'rejected', reviewedBy: adminId, reviewedAt: new Date(), rejectionReason: reason },
+  reason
+);
+
+// Approve a withdrawal under review for the next payout batch
+// A withdrawal held for fraud review cannot be approved until the hold is released
+const approveWithdrawal = async (id, adminId) => {
+  const withdrawal = await Withdrawal.transition(id, 'pending_review', {
+    status: 'approved',
+    reviewedBy: adminId,
+    reviewedAt: new Date()
+  }, null, { fraudHold: { $ne: true } });
+  if (!withdrawal) {
+    if (await Withdrawal.exists({ _id: id, status: 'pending_review', fraudHold: true })) {
+      throw new TransactionAbort('This withdrawal is held for fraud review');
+    }
+    throw await unchangeable(id);
+  }
+
+  notify(withdrawal);
+  return withdrawal;
+};
+
+// Group approved withdrawals into a payout batch, oldest first
+// Pass withdrawalIds to choose which ones; withdrawals taken by a concurrent
+// batch are skipped. A batch pays out in one currency: the given one, or else
+// that of the oldest withdrawal. Returns null when none could be added.
+const createPayoutBatch = async (adminId, withdrawalIds, currency) => {
+  const filter = { status: 'approved' };
+  if (withdrawalIds && withdrawalIds.length) {
+    filter._id = { $in: withdrawalIds };
+  }
+
+  const oldest = currency ? null : await Withdrawal.findOne(filter).sort({ createdAt: 1 }).select('currency');
+  filter.currency = currency || (oldest && oldest.currency);
+
+  const candidates = await Withdrawal.find(filter).sort({ createdAt: 1 }).limit(PAYOUT_BATCH_MAX_ITEMS);
+  const batchId = new mongoose.Types.ObjectId();
+  const claimed = [];
+
+  // The claims and the batch commit together, so no withdrawal is left
+  // processing in a batch that does not exist
+  let batch;
+  try {
+    batch = await runInTransaction(async session => {
+      // Start over when the transaction is retried
+      claimed.length = 0;
+      for (const candidate of candidates) {
+        const withdrawal = await Withdrawal.transition(candidate._id, 'approved', { status: 'processing', batch: batchId }, session);
+        if (withdrawal) {
+          claimed.push(withdrawal);
+        }
+      }
+
+      if (!claimed.length) {
+        return null;
+      }
+
+      const [created] = await PayoutBatch.create([{
+        _id: batchId,
+        reference: newReference('pb'),
+        createdBy: adminId,
+        items: claimed.map(withdrawal => ({
+          withdrawal: withdrawal._id,
+          user: withdrawal.user,
+          amount: withdrawal.amount,
+          destination: withdrawal.destination
+        })),
+        totalAmount: claimed.reduce((total, withdrawal) => total + withdrawal.amount, 0),
+        currency: claimed[0].currency
+      }], { session });
+      return created;
+    });
+  } catch (err) {
+    // Without database transactions the claims outlive a failed batch;
+    // return them to the approved queue
+    await Withdrawal.updateMany(
+      { batch: batchId, status: 'processing' },
+      { status: 'approved', $unset: { batch: 1 } }
+    );
+    throw err;
+  }
+
+  if (!batch) {
+    return null;
+  }
+
+  claimed.forEach(notify);
+  return batch;
+};
+
+// Record the outcome of one payout in a batch
+// A paid item sends the reserved funds out of the platform; a failed one
+// returns them to the wallet
+const settlePayoutItem = async (batchId, withdrawalId, { status, providerReference, failureReason }) => {
+  const reason = failureReason || 'Payout failed';
+
+  const { batch, withdrawal } = await runInTransaction(async session => {
+    const updated = await PayoutBatch.findOneAndUpdate(
+      { _id: batchId, items: { $elemMatch: { withdrawal: withdrawalId, status: 'pending' } } },
+      {
+        $set: {
+          'items.$.status': status,
+          'items.$.providerReference': providerReference,
+          'items.$.failureReason': status === 'failed' ? reason : undefined,
+          'items.$.settledAt': new Date()
+        }
+      },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      const exists = await PayoutBatch.exists({ _id: batchId, 'items.withdrawal': withdrawalId }).session(session);
+      throw exists
+        ? new TransactionAbort('Payout has already been settled')
+        : new TransactionAbort('Payout not found', 404);
+    }
+
+    let settled = await Withdrawal.transition(withdrawalId, 'processing', {
+      status,
+      providerReference,
+      failureReason: status === 'failed' ? reason : undefined
+    }, session);
+    if (!settled) {
+      throw new TransactionAbort('Withdrawal is not being paid out');
+    }
+
+    if (status === 'paid') {
+      // Money leaves the platform through the payment provider or bank
+      const entry = await postEntry({
+        kind: 'withdrawal_payout',
+        description: `Payout of withdrawal ${settled.reference}`,
+        relatedUser: settled.user,
+        lines: [
+          debit(SYSTEM_ACCOUNTS.PAYOUTS, settled.amount),
+          credit(SYSTEM_ACCOUNTS.EXTERNAL, settled.amount)
+        ]
+      }, session);
+
+      await Transaction.setStatus(settled.reference, 'completed', session);
+
+      settled.settlementEntry = entry._id;
+      settled.settledAt = new Date();
+      settled = await settled.save({ session });
+    } else {
+      settled = await returnFunds(settled, reason, session);
+    }
+
+    if (updated.items.every(item => item.status !== 'pending')) {
+      updated.status = 'completed';
+      updated.completedAt = new Date();
+      await updated.save({ session });
+    }
+
+    return { batch: updated, withdrawal: settled };
+  });
+
+  notify(withdrawal);
+  return { batch, withdrawal };
+};
+
+// A released withdrawal can be approved as usual; a rejected one is rejected
+// and its funds returned, unless the user already cancelled it
+onHoldReviewed('withdrawal', {
+  release: (check) => Withdrawal.updateOne({ _id: check.subject }, { fraudHold: false }),
+  reject: async (check, adminId, reason) => {
+    if (await Withdrawal.exists({ _id: check.subject, status: 'pending_review' })) {
+      await rejectWithdrawal(check.subject, adminId, reason || 'Rejected after fraud review');
+    }
+    await Withdrawal.updateOne({ _id: check.subject }, { fraudHold: false });
+  }
+});
+
+module.exports = {
+  WITHDRAWABLE_WALLET_TYPES,
+  requestWithdrawal,
+  cancelWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  createPayoutBatch,
+  settlePayoutItem
+};